@@ -1,13 +1,59 @@
 import { createOptimizedPicture, readBlockConfig } from "../../scripts/aem.js";
-import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import {
+  isAuthorEnvironment,
+  fetchLanguagePlaceholders,
+} from "../../scripts/scripts.js";
+import {
+  formatPrice,
+  formatShipping,
+  removeItem,
+  setQuantity,
+  setGiftOptions,
+  saveForLater,
+  moveSavedToCart,
+  removeSavedLine,
+  restoreCart,
+  whenDataLayerReady,
+  getCart,
+  applyPromotion,
+  removePromotion,
+  GIFT_MESSAGE_MAX_LENGTH,
+  LINE_NOTE_MAX_LENGTH,
+} from "../../scripts/cart-model.js";
+import { formatLineOptions } from "../../scripts/variants.js";
+import { fetchProducts, findProductsBySku } from "../../scripts/catalog.js";
+import {
+  getCartFromUrl,
+  getCartRestoreUrl,
+  clearCartParam,
+  resolveCartLines,
+  CART_PARAM,
+} from "../../scripts/abandoned-cart.js";
+import {
+  getStockLabel,
+  getStockStatus,
+  loadStockLevels,
+  STOCK_STATUS,
+} from "../../scripts/inventory.js";
+
+// Fallback messages for promotion errors (overridable via placeholders, e.g. "promo-expired")
+const PROMOTION_MESSAGES = {
+  promoApplied: "Code applied",
+  promoInvalid: "This discount code is not valid",
+  promoExpired: "This discount code has expired",
+  promoNotStarted: "This discount code is not active yet",
+  promoMinSubtotal: "Your cart does not reach the minimum amount for this code",
+  promoNotApplicable: "This discount code does not apply to the items in your cart",
+  promoAlreadyApplied: "This discount code is already applied",
+};
 
 /**
- * Format price as currency
- * @param {number} amount - Amount to format
- * @returns {string} Formatted price
+ * Format the cart tax ("---" until a shipping destination is known at checkout)
+ * @param {Object} cartData - Cart data from dataLayer
+ * @returns {string} Formatted tax
  */
-function formatPrice(amount) {
-  return `$${amount.toFixed(2)}`;
+function formatTax(cartData) {
+  return cartData.taxAddress ? formatPrice(cartData.tax) : "---";
 }
 
 /**
@@ -17,18 +63,34 @@ function formatPrice(amount) {
  */
 function updateCartTotals(block, cartData) {
   const subtotalEl = block.querySelector(".cart-subtotal-value");
+  const shippingEl = block.querySelector(".cart-shipping-value");
+  const discountEl = block.querySelector(".cart-discount-value");
+  const taxEl = block.querySelector(".cart-tax-value");
   const totalEl = block.querySelector(".cart-total-value");
   const productCountEl = block.querySelector(".cart-product-count");
 
   if (subtotalEl) {
     subtotalEl.textContent = formatPrice(cartData.subTotal || 0);
   }
+  if (shippingEl) {
+    shippingEl.textContent = formatShipping(cartData);
+  }
+  if (discountEl) {
+    discountEl.textContent = cartData.discount
+      ? `-${formatPrice(cartData.discount)}`
+      : "----";
+  }
+  if (taxEl) {
+    taxEl.textContent = formatTax(cartData);
+  }
   if (totalEl) {
     totalEl.textContent = formatPrice(cartData.total || 0);
   }
   if (productCountEl) {
     productCountEl.textContent = cartData.productCount || 0;
   }
+
+  renderAppliedPromotions(block, cartData);
 }
 
 /**
@@ -37,44 +99,12 @@ function updateCartTotals(block, cartData) {
  * @param {HTMLElement} block - Cart block element
  */
 function removeFromCart(productId, block) {
-  const currentCart = window.getDataLayerProperty("cart") || {
-    productCount: 0,
-    products: {},
-    subTotal: 0,
-    total: 0,
-  };
-
-  if (currentCart.products[productId]) {
-    delete currentCart.products[productId];
+  const currentCart = removeItem(productId);
+  console.log(`Removed product ${productId} from cart. New cart:`, currentCart);
 
-    // Recalculate totals
-    const productValues = Object.values(currentCart.products);
-    currentCart.productCount = productValues.reduce(
-      (sum, p) => sum + p.quantity,
-      0
-    );
-    currentCart.subTotal = productValues.reduce(
-      (sum, p) => sum + p.subTotal,
-      0
-    );
-    currentCart.total = currentCart.subTotal;
-
-    // Update dataLayer (use merge=false to replace entire cart, not deep merge)
-    // This ensures deleted products are actually removed, not merged back
-    if (window.updateDataLayer) {
-      window.updateDataLayer({ cart: currentCart }, false);
-      console.log(
-        `Removed product ${productId} from cart. New cart:`,
-        currentCart
-      );
-    } else {
-      console.error("updateDataLayer not available");
-    }
-
-    // Refresh cart display
-    renderCartItems(block, currentCart);
-    updateCartTotals(block, currentCart);
-  }
+  // Refresh cart display
+  renderCartItems(block, currentCart);
+  updateCartTotals(block, currentCart);
 }
 
 /**
@@ -90,69 +120,41 @@ function updateQuantity(productId, newQuantity, block) {
     return;
   }
 
-  const currentCart = window.getDataLayerProperty("cart") || {
-    productCount: 0,
-    products: {},
-    subTotal: 0,
-    total: 0,
-  };
+  // The cart model limits the quantity to the units in stock
+  const currentCart = setQuantity(productId, quantity);
+  const line = currentCart.products[productId];
+  if (!line) return;
 
-  if (currentCart.products[productId]) {
-    currentCart.products[productId].quantity = quantity;
-    currentCart.products[productId].subTotal =
-      quantity * currentCart.products[productId].price;
-    currentCart.products[productId].total =
-      currentCart.products[productId].subTotal;
-
-    // Recalculate cart totals
-    const productValues = Object.values(currentCart.products);
-    currentCart.productCount = productValues.reduce(
-      (sum, p) => sum + p.quantity,
-      0
-    );
-    currentCart.subTotal = productValues.reduce(
-      (sum, p) => sum + p.subTotal,
-      0
-    );
-    currentCart.total = currentCart.subTotal;
+  // Update display
+  updateCartTotals(block, currentCart);
 
-    // Update dataLayer (use merge=false to replace entire cart)
-    window.updateDataLayer({ cart: currentCart }, false);
+  // Update individual product total
+  const productRow = block.querySelector(`[data-product-id="${productId}"]`);
+  if (productRow) {
+    const priceEl = productRow.querySelector(".cart-item-price");
+    if (priceEl) {
+      priceEl.textContent = formatPrice(line.subTotal);
+    }
 
-    // Update display
-    updateCartTotals(block, currentCart);
+    const qtyInput = productRow.querySelector(".cart-qty-input");
+    if (qtyInput && line.quantity !== quantity) {
+      qtyInput.value = line.quantity;
+    }
 
-    // Update individual product total
-    const productRow = block.querySelector(`[data-product-id="${productId}"]`);
-    if (productRow) {
-      const priceEl = productRow.querySelector(".cart-item-price");
-      if (priceEl) {
-        priceEl.textContent = formatPrice(
-          currentCart.products[productId].subTotal
-        );
-      }
+    const stockEl = productRow.querySelector(".cart-item-stock");
+    if (stockEl && line.quantity < quantity) {
+      stockEl.textContent = `Only ${line.stock} available`;
     }
   }
 }
 
 /**
- * Build cart item row
- * @param {Object} product - Product data
- * @param {HTMLElement} block - Cart block element
- * @param {boolean} isAuthor - Is author environment
- * @returns {HTMLElement} Cart item row
+ * Build the image of a cart or saved line
+ * @param {string} image - Image URL or path
+ * @param {string} name - Product name
+ * @returns {HTMLElement} Image wrapper
  */
-function buildCartItem(product, block, isAuthor) {
-  const { id, name, image, quantity, price, subTotal } = product;
-
-  const row = document.createElement("div");
-  row.className = "cart-item";
-  row.setAttribute("data-product-id", id);
-
-  // Product image and info
-  const productCell = document.createElement("div");
-  productCell.className = "cart-item-product";
-
+function buildItemImage(image, name) {
   const imageWrap = document.createElement("div");
   imageWrap.className = "cart-item-image";
 
@@ -173,12 +175,120 @@ function buildCartItem(product, block, isAuthor) {
     }
     if (picture) imageWrap.appendChild(picture);
   }
+  return imageWrap;
+}
+
+/**
+ * Build the gift options and note editor of a cart line
+ * Changes are saved on the cart line as soon as a field changes.
+ * @param {Object} product - Cart line
+ * @returns {HTMLElement} Collapsible editor
+ */
+function buildGiftOptions(product) {
+  const { id, giftWrap, giftMessage, note } = product;
+
+  const details = document.createElement("details");
+  details.className = "cart-item-gift";
+  details.dataset.key = id;
+
+  const summary = document.createElement("summary");
+  summary.textContent =
+    giftWrap || giftMessage || note
+      ? "Edit gift options & note"
+      : "Add gift options or a note";
+  details.appendChild(summary);
+
+  const wrapLabel = document.createElement("label");
+  wrapLabel.className = "cart-item-gift-wrap";
+  const wrapInput = document.createElement("input");
+  wrapInput.type = "checkbox";
+  wrapInput.checked = Boolean(giftWrap);
+  wrapInput.addEventListener("change", () => {
+    setGiftOptions(id, { giftWrap: wrapInput.checked });
+  });
+  wrapLabel.append(wrapInput, " Gift wrap this item");
+
+  const buildTextField = (labelText, value, maxLength, field) => {
+    const label = document.createElement("label");
+    label.className = "cart-item-gift-field";
+    const textarea = document.createElement("textarea");
+    textarea.rows = 2;
+    textarea.maxLength = maxLength;
+    textarea.value = value || "";
+    textarea.addEventListener("change", () => {
+      setGiftOptions(id, { [field]: textarea.value });
+    });
+    label.append(labelText, textarea);
+    return label;
+  };
+
+  details.append(
+    wrapLabel,
+    buildTextField(
+      "Gift message",
+      giftMessage,
+      GIFT_MESSAGE_MAX_LENGTH,
+      "giftMessage"
+    ),
+    buildTextField("Note for this item", note, LINE_NOTE_MAX_LENGTH, "note")
+  );
+  return details;
+}
+
+/**
+ * Build cart item row
+ * @param {Object} product - Product data
+ * @param {HTMLElement} block - Cart block element
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {HTMLElement} Cart item row
+ */
+function buildCartItem(product, block, isAuthor) {
+  const { id, name, image, quantity, price, subTotal } = product;
+
+  const row = document.createElement("div");
+  row.className = "cart-item";
+  row.setAttribute("data-product-id", id);
+
+  // Product image and info
+  const productCell = document.createElement("div");
+  productCell.className = "cart-item-product";
+
+  const imageWrap = buildItemImage(image, name);
 
   const nameEl = document.createElement("div");
   nameEl.className = "cart-item-name";
   nameEl.textContent = name ? name.split(",")[0].trim() : "";
 
-  productCell.append(imageWrap, nameEl);
+  const infoEl = document.createElement("div");
+  infoEl.className = "cart-item-info";
+  infoEl.appendChild(nameEl);
+
+  // Selected variant options (e.g. Color: Blue, Size: M)
+  const optionLabels = formatLineOptions(product);
+  if (optionLabels.length) {
+    const optionsEl = document.createElement("div");
+    optionsEl.className = "cart-item-options";
+    optionsEl.textContent = optionLabels.join(" · ");
+    infoEl.appendChild(optionsEl);
+  }
+
+  // Stock note for low stock lines (filled in when the quantity is limited)
+  const stockEl = document.createElement("div");
+  stockEl.className = "cart-item-stock";
+  if (getStockStatus(product.stock) === STOCK_STATUS.LOW_STOCK) {
+    stockEl.textContent = getStockLabel(product.stock);
+  }
+  infoEl.appendChild(stockEl);
+
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "cart-item-save";
+  saveBtn.textContent = "Save for later";
+  saveBtn.setAttribute("aria-label", `Save ${name} for later`);
+  saveBtn.addEventListener("click", () => saveForLater(id));
+  infoEl.append(saveBtn, buildGiftOptions(product));
+
+  productCell.append(imageWrap, infoEl);
 
   // Quantity
   const qtyCell = document.createElement("div");
@@ -187,6 +297,9 @@ function buildCartItem(product, block, isAuthor) {
   const qtyInput = document.createElement("input");
   qtyInput.type = "number";
   qtyInput.min = "1";
+  if (product.stock !== null && product.stock !== undefined) {
+    qtyInput.max = product.stock;
+  }
   qtyInput.value = quantity;
   qtyInput.className = "cart-qty-input";
   qtyInput.setAttribute("aria-label", `Quantity for ${name}`);
@@ -236,6 +349,10 @@ function renderCartItems(block, cartData) {
     return;
   }
 
+  // Keep gift option editors open across re-renders
+  const openEditors = [
+    ...itemsContainer.querySelectorAll(".cart-item-gift[open]"),
+  ].map((details) => details.dataset.key);
   itemsContainer.innerHTML = "";
 
   const products = cartData.products || {};
@@ -308,32 +425,180 @@ function renderCartItems(block, cartData) {
   // Add items
   productValues.forEach((product) => {
     const item = buildCartItem(product, block, isAuthor);
+    if (openEditors.includes(product.id)) {
+      item.querySelector(".cart-item-gift").open = true;
+    }
     itemsContainer.appendChild(item);
   });
 }
 
+/**
+ * Build a saved-for-later line
+ * @param {string} key - Saved line key
+ * @param {Object} line - Saved line
+ * @returns {HTMLElement} Saved line element
+ */
+function buildSavedItem(key, line) {
+  const name = line.name ? line.name.split(",")[0].trim() : "";
+
+  const item = document.createElement("li");
+  item.className = "cart-saved-item";
+
+  const info = document.createElement("div");
+  info.className = "cart-item-info";
+
+  const nameEl = document.createElement("div");
+  nameEl.className = "cart-item-name";
+  nameEl.textContent = name;
+  info.appendChild(nameEl);
+
+  const optionLabels = formatLineOptions(line);
+  if (optionLabels.length) {
+    const optionsEl = document.createElement("div");
+    optionsEl.className = "cart-item-options";
+    optionsEl.textContent = optionLabels.join(" · ");
+    info.appendChild(optionsEl);
+  }
+
+  const priceEl = document.createElement("div");
+  priceEl.className = "cart-saved-price";
+  priceEl.textContent = formatPrice(line.price);
+  info.appendChild(priceEl);
+
+  const actions = document.createElement("div");
+  actions.className = "cart-saved-actions";
+
+  const moveBtn = document.createElement("button");
+  moveBtn.type = "button";
+  moveBtn.className = "cart-saved-move";
+  moveBtn.textContent = "Move to cart";
+  moveBtn.setAttribute("aria-label", `Move ${name} to cart`);
+  moveBtn.addEventListener("click", () => moveSavedToCart(key));
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "cart-saved-remove";
+  removeBtn.textContent = "Remove";
+  removeBtn.setAttribute("aria-label", `Remove ${name} from saved items`);
+  removeBtn.addEventListener("click", () => removeSavedLine(key));
+
+  actions.append(moveBtn, removeBtn);
+  info.appendChild(actions);
+
+  item.append(buildItemImage(line.image, name), info);
+  return item;
+}
+
+/**
+ * Render the saved-for-later list under the cart items
+ * @param {HTMLElement} block - Cart block element
+ * @param {Object} savedForLater - Saved lines from dataLayer
+ */
+function renderSavedForLater(block, savedForLater) {
+  const section = block.querySelector(".cart-saved");
+  if (!section) return;
+
+  const entries = Object.entries(savedForLater || {}).sort(
+    ([, a], [, b]) => (b.savedAt || 0) - (a.savedAt || 0)
+  );
+  section.innerHTML = "";
+  section.hidden = entries.length === 0;
+  if (!entries.length) return;
+
+  const title = document.createElement("h2");
+  title.className = "cart-saved-title";
+  title.textContent = `Saved for later (${entries.length})`;
+
+  const list = document.createElement("ul");
+  list.className = "cart-saved-items";
+  entries.forEach(([key, line]) => list.appendChild(buildSavedItem(key, line)));
+
+  section.append(title, list);
+}
+
+/**
+ * Show a message below the discount code input
+ * @param {HTMLElement} block - Cart block element
+ * @param {string} message - Message text
+ * @param {boolean} isError - Whether the message is an error
+ */
+function showDiscountMessage(block, message, isError = false) {
+  const messageEl = block.querySelector(".cart-discount-message");
+  if (!messageEl) return;
+  messageEl.textContent = message;
+  messageEl.classList.toggle("cart-discount-message-error", isError);
+}
+
+/**
+ * Resolve a localized promotion message
+ * @param {string} key - Placeholder key (e.g. promoExpired)
+ * @returns {Promise<string>} Localized message
+ */
+async function getPromotionMessage(key) {
+  const placeholders = await fetchLanguagePlaceholders();
+  return placeholders?.[key] || PROMOTION_MESSAGES[key] || PROMOTION_MESSAGES.promoInvalid;
+}
+
+/**
+ * Render the list of applied discount codes with remove buttons
+ * @param {HTMLElement} block - Cart block element
+ * @param {Object} cartData - Cart data from dataLayer
+ */
+function renderAppliedPromotions(block, cartData) {
+  const list = block.querySelector(".cart-applied-codes");
+  if (!list) return;
+
+  list.innerHTML = "";
+  (cartData.promotions || []).forEach((promotion) => {
+    const item = document.createElement("li");
+    item.className = "cart-applied-code";
+    if (!promotion.active) item.classList.add("cart-applied-code-inactive");
+
+    const label = document.createElement("span");
+    label.textContent = promotion.label
+      ? `${promotion.code} – ${promotion.label}`
+      : promotion.code;
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "cart-remove-code";
+    removeBtn.innerHTML = "&times;";
+    removeBtn.setAttribute("aria-label", `Remove discount code ${promotion.code}`);
+    removeBtn.addEventListener("click", () => {
+      removePromotion(promotion.code);
+      showDiscountMessage(block, "");
+    });
+
+    item.append(label, removeBtn);
+    list.appendChild(item);
+  });
+}
+
 /**
  * Apply discount code
  * @param {string} code - Discount code
  * @param {HTMLElement} block - Cart block element
  */
-function applyDiscount(code, block) {
-  // TODO: Implement actual discount logic
-  // For now, just show a message
-  const discountValueEl = block.querySelector(".cart-discount-value");
-  if (discountValueEl) {
-    discountValueEl.textContent = "----";
-  }
+async function applyDiscount(code, block) {
+  const currentCart = window.getDataLayerProperty("cart");
+  if (!currentCart || !currentCart.products) return;
 
-  // Show feedback
   const applyBtn = block.querySelector(".cart-apply-discount");
-  if (applyBtn) {
-    const originalText = applyBtn.textContent;
-    applyBtn.textContent = "Applied!";
-    setTimeout(() => {
-      applyBtn.textContent = originalText;
-    }, 2000);
+  if (applyBtn) applyBtn.disabled = true;
+
+  const { valid, error } = await applyPromotion(code);
+
+  if (applyBtn) applyBtn.disabled = false;
+
+  if (!valid) {
+    const key = `promo${error.charAt(0).toUpperCase()}${error.slice(1)}`;
+    showDiscountMessage(block, await getPromotionMessage(key), true);
+    return;
   }
+
+  const input = block.querySelector(".cart-discount-input");
+  if (input) input.value = "";
+  showDiscountMessage(block, await getPromotionMessage("promoApplied"));
 }
 
 /**
@@ -390,7 +655,20 @@ function buildCartSummary(cartData) {
   discountInputWrap.className = "cart-discount-input-wrap";
   discountInputWrap.append(discountInput, applyBtn);
 
-  discountSection.append(discountLabel, discountInputWrap);
+  const discountMessage = document.createElement("p");
+  discountMessage.className = "cart-discount-message";
+  discountMessage.setAttribute("role", "status");
+  discountMessage.setAttribute("aria-live", "polite");
+
+  const appliedCodes = document.createElement("ul");
+  appliedCodes.className = "cart-applied-codes";
+
+  discountSection.append(
+    discountLabel,
+    discountInputWrap,
+    discountMessage,
+    appliedCodes
+  );
 
   const totalsSection = document.createElement("div");
   totalsSection.className = "cart-totals";
@@ -410,7 +688,7 @@ function buildCartSummary(cartData) {
   shippingRow.className = "cart-total-row";
   shippingRow.innerHTML = `
     <span>Shipping</span>
-    <span>---</span>
+    <span class="cart-shipping-value">${formatShipping(cartData)}</span>
   `;
 
   // Discount
@@ -418,7 +696,17 @@ function buildCartSummary(cartData) {
   discountRow.className = "cart-total-row";
   discountRow.innerHTML = `
     <span>Discount</span>
-    <span class="cart-discount-value">----</span>
+    <span class="cart-discount-value">${
+      cartData.discount ? `-${formatPrice(cartData.discount)}` : "----"
+    }</span>
+  `;
+
+  // Tax
+  const taxRow = document.createElement("div");
+  taxRow.className = "cart-total-row";
+  taxRow.innerHTML = `
+    <span>Tax</span>
+    <span class="cart-tax-value">${formatTax(cartData)}</span>
   `;
 
   // Total
@@ -429,7 +717,13 @@ function buildCartSummary(cartData) {
     <span class="cart-total-value">${formatPrice(cartData.total || 0)}</span>
   `;
 
-  totalsSection.append(subtotalRow, shippingRow, discountRow, totalRow);
+  totalsSection.append(
+    subtotalRow,
+    shippingRow,
+    discountRow,
+    taxRow,
+    totalRow
+  );
 
   // Checkout button
   const checkoutBtn = document.createElement("button");
@@ -437,90 +731,155 @@ function buildCartSummary(cartData) {
   checkoutBtn.textContent = "CHECKOUT";
   checkoutBtn.addEventListener("click", handleCheckout);
 
-  summary.append(discountSection, totalsSection, checkoutBtn);
+  // Share button (copies a link that restores this cart)
+  const shareBtn = document.createElement("button");
+  shareBtn.type = "button";
+  shareBtn.className = "cart-share-btn";
+  shareBtn.textContent = "Share cart";
+
+  const shareStatus = document.createElement("p");
+  shareStatus.className = "cart-share-status";
+  shareStatus.setAttribute("aria-live", "polite");
+
+  shareBtn.addEventListener("click", async () => {
+    const url = getCartRestoreUrl();
+    if (!url) return;
+    try {
+      await navigator.clipboard.writeText(url);
+      shareStatus.textContent = "Link copied to clipboard";
+    } catch (error) {
+      // Clipboard not available: show the link so it can be copied by hand
+      shareStatus.textContent = url;
+    }
+  });
+
+  summary.append(
+    discountSection,
+    totalsSection,
+    checkoutBtn,
+    shareBtn,
+    shareStatus
+  );
   return summary;
 }
 
 /**
- * Fetch all products from a folder (aligned with product-detail / category-products-lister)
- * @param {string} path - Content fragment folder path
- * @param {boolean} isAuthor - Is author environment
- * @param {boolean} isLegacy - Use legacy luma3 endpoint/model
- * @returns {Promise<Array>} - Array of products
+ * Show a message about the imported cart link under the cart title
+ * @param {HTMLElement} block - Cart block element
+ * @param {string} message - Message
  */
-async function fetchAllProducts(path, isAuthor, isLegacy = false) {
-  try {
-    if (!path) return [];
-
-    let baseUrl;
-    if (isLegacy) {
-      baseUrl = isAuthor
-        ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/menproductspagelister;"
-        : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGraphQl?environment=p165802-e1765367&";
-    } else {
-      baseUrl = isAuthor
-        ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/zoltarProductListByPath;"
-        : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/luma-zoltar?environment=p165802-e1765367&endpoint=zoltarProductListByPath&";
-    }
-    const url = `${baseUrl}_path=${path}`;
-    const resp = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Cache-Control": "no-cache, no-store, must-revalidate",
-        Pragma: "no-cache",
-      },
-    });
-    const json = await resp.json();
-    const items =
-      json?.data?.productsContentFragmentModelList?.items ||
-      json?.data?.productsModelList?.items ||
-      [];
-    return items.filter((item) => item && (item.sku || item.id));
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error("Cart: fetch all products error", e);
-    return [];
-  }
+function showRestoreNotice(block, message) {
+  const notice = document.createElement("p");
+  notice.className = "cart-restore-notice";
+  notice.setAttribute("role", "status");
+  notice.textContent = message;
+  block.querySelector(".cart-title")?.after(notice);
 }
 
 /**
- * Resolve image URL from product (legacy image vs new externalImageURL/damImageURL)
- * @param {Object} item - Product data
+ * Import the cart encoded in the URL (?cart=, from a shared or abandoned-cart link)
+ * Lines are looked up by SKU in the catalog (price, name, image, stock): in the
+ * folders recorded in the link, the product folder of the block, then the
+ * catalog root. The shopper is told about lines that could not be restored.
+ * An empty cart is filled directly; otherwise the shopper chooses to merge or replace.
+ * @param {HTMLElement} block - Cart block element
+ * @param {string} folderHref - Product folder path
  * @param {boolean} isAuthor - Is author environment
- * @param {boolean} isLegacy - Legacy CF model
- * @returns {string|null} - Image URL
  */
-function getProductImageUrl(item, isAuthor, isLegacy = false) {
-  if (!item) return null;
-  const { image, externalImageURL, damImageURL } = item;
-  if (isLegacy) {
-    if (image && (image._authorUrl || image._publishUrl)) {
-      return isAuthor ? image._authorUrl : image._publishUrl;
-    }
-    return null;
+async function importCartLink(block, folderHref, isAuthor) {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has(CART_PARAM)) return;
+
+  const linkLines = getCartFromUrl();
+  if (!linkLines) {
+    clearCartParam();
+    showRestoreNotice(block, "This cart link is not valid.");
+    return;
   }
-  if (externalImageURL) {
-    const url = typeof externalImageURL === "string"
-      ? externalImageURL
-      : externalImageURL.plaintext;
-    if (url) return url;
+
+  const [products, stockLevels] = await Promise.all([
+    findProductsBySku(
+      linkLines.map((line) => line.id),
+      [...linkLines.map((line) => line.folder), folderHref]
+    ),
+    loadStockLevels({ fresh: true }),
+  ]);
+  const lines = resolveCartLines(linkLines, products, stockLevels, isAuthor);
+  if (!lines.length) {
+    clearCartParam();
+    showRestoreNotice(
+      block,
+      "The items of this cart link are no longer available."
+    );
+    return;
   }
-  if (damImageURL && (damImageURL._authorUrl || damImageURL._publishUrl)) {
-    return isAuthor ? damImageURL._authorUrl : damImageURL._publishUrl;
+  const missing = linkLines.length - lines.length;
+  if (missing) {
+    showRestoreNotice(
+      block,
+      `${missing} ${
+        missing === 1 ? "item" : "items"
+      } of this cart link ${missing === 1 ? "is" : "are"} no longer available.`
+    );
   }
-  return null;
+
+  await whenDataLayerReady();
+  if (!getCart().productCount) {
+    await restoreCart(lines, { replace: true });
+    clearCartParam();
+    return;
+  }
+
+  const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const prompt = document.createElement("div");
+  prompt.className = "cart-restore-prompt";
+  prompt.setAttribute("role", "region");
+  prompt.setAttribute("aria-label", "Shared cart");
+
+  const message = document.createElement("p");
+  message.textContent = `This link contains ${itemCount} ${
+    itemCount === 1 ? "item" : "items"
+  }. Add them to your cart or replace your current cart?`;
+
+  const actions = document.createElement("div");
+  actions.className = "cart-restore-actions";
+
+  const buildAction = (label, className, onClick) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = className;
+    btn.textContent = label;
+    btn.addEventListener("click", async () => {
+      prompt.remove();
+      clearCartParam();
+      if (onClick) await onClick();
+    });
+    return btn;
+  };
+
+  actions.append(
+    buildAction("Add to my cart", "cart-restore-merge", () =>
+      restoreCart(lines)
+    ),
+    buildAction("Replace my cart", "cart-restore-replace", () =>
+      restoreCart(lines, { replace: true })
+    ),
+    buildAction("Dismiss", "cart-restore-dismiss")
+  );
+
+  prompt.append(message, actions);
+  block.querySelector(".cart-title")?.after(prompt);
+  prompt.querySelector("button").focus();
 }
 
 /**
  * Build a recommendation card (aligned with product-detail / new-arrival / category-products-lister)
- * @param {Object} item - Product data
+ * @param {Object} item - Product (see scripts/catalog.js)
  * @param {boolean} isAuthor - Is author environment
- * @param {boolean} isLegacy - Legacy CF model
  * @returns {HTMLElement} - Product card
  */
-function buildRecommendationCard(item, isAuthor, isLegacy = false) {
-  const { id, sku, name, category = [] } = item || {};
-  const imgUrl = getProductImageUrl(item, isAuthor, isLegacy);
+function buildRecommendationCard(item, isAuthor) {
+  const { id, sku, name, category = [], image: imgUrl } = item || {};
   const productId = sku || id || "";
 
   const card = document.createElement("article");
@@ -607,10 +966,9 @@ function buildRecommendationCard(item, isAuthor, isLegacy = false) {
  * @param {Array} allProducts - All products from the folder
  * @param {Object} cartData - Cart data from dataLayer
  * @param {boolean} isAuthor - Is author environment
- * @param {boolean} isLegacy - Legacy CF model
  * @returns {HTMLElement|null} Recommendations section
  */
-function buildRecommendations(allProducts, cartData, isAuthor, isLegacy = false) {
+function buildRecommendations(allProducts, cartData, isAuthor) {
   const cartProducts = Object.values(cartData.products || {});
   const cartCategories = new Set();
 
@@ -647,7 +1005,7 @@ function buildRecommendations(allProducts, cartData, isAuthor, isLegacy = false)
   const grid = document.createElement("div");
   grid.className = "cart-rec-grid";
   recommendations.forEach((product) => {
-    grid.append(buildRecommendationCard(product, isAuthor, isLegacy));
+    grid.append(buildRecommendationCard(product, isAuthor));
   });
   section.append(title, grid);
   return section;
@@ -659,13 +1017,13 @@ function buildRecommendations(allProducts, cartData, isAuthor, isLegacy = false)
  * @param {string} folderHref - Product folder path
  * @param {boolean} isAuthor - Is author environment
  * @param {Array} allProducts - Cached products list
- * @param {boolean} isLegacy - Legacy CF model
  */
-function setupDataLayerListener(block, folderHref, isAuthor, allProducts, isLegacy = false) {
+function setupDataLayerListener(block, folderHref, isAuthor, allProducts) {
   document.addEventListener("dataLayerUpdated", async (event) => {
     const { dataLayer } = event.detail;
     if (dataLayer && dataLayer.cart) {
       renderCartItems(block, dataLayer.cart);
+      renderSavedForLater(block, dataLayer.savedForLater);
       updateCartTotals(block, dataLayer.cart);
 
       if (folderHref && allProducts && allProducts.length > 0) {
@@ -676,8 +1034,7 @@ function setupDataLayerListener(block, folderHref, isAuthor, allProducts, isLega
           const recommendations = buildRecommendations(
             allProducts,
             dataLayer.cart,
-            isAuthor,
-            isLegacy
+            isAuthor
           );
           if (recommendations) container.appendChild(recommendations);
         }
@@ -712,7 +1069,6 @@ export default async function decorate(block) {
     folderHref = folderHref.replace(/\.html$/, "");
   }
 
-  const isLegacyLuma3 = folderHref && folderHref.includes("/dam/luma3/");
   block.textContent = "";
 
   // Build cart structure
@@ -732,7 +1088,12 @@ export default async function decorate(block) {
   const itemsContainer = document.createElement("div");
   itemsContainer.className = "cart-items";
 
-  mainSection.appendChild(itemsContainer);
+  // Saved-for-later list
+  const savedSection = document.createElement("section");
+  savedSection.className = "cart-saved";
+  savedSection.setAttribute("aria-label", "Saved for later");
+
+  mainSection.append(itemsContainer, savedSection);
 
   // Get cart data from dataLayer
   const cartData = window.getDataLayerProperty
@@ -768,18 +1129,29 @@ export default async function decorate(block) {
 
   // Render initial cart items (must be after block.appendChild)
   renderCartItems(block, currentCart);
+  renderSavedForLater(
+    block,
+    window.getDataLayerProperty
+      ? window.getDataLayerProperty("savedForLater")
+      : {}
+  );
+  renderAppliedPromotions(block, currentCart);
+  importCartLink(block, folderHref, isAuthor).catch((error) => {
+    console.error("Cart: could not import the cart link", error);
+    clearCartParam();
+    showRestoreNotice(block, "This cart link could not be loaded.");
+  });
 
   let allProducts = [];
   if (folderHref) {
-    allProducts = await fetchAllProducts(folderHref, isAuthor, isLegacyLuma3);
+    allProducts = await fetchProducts(folderHref);
     const recommendations = buildRecommendations(
       allProducts,
       currentCart,
-      isAuthor,
-      isLegacyLuma3
+      isAuthor
     );
     if (recommendations) container.appendChild(recommendations);
   }
 
-  setupDataLayerListener(block, folderHref, isAuthor, allProducts, isLegacyLuma3);
+  setupDataLayerListener(block, folderHref, isAuthor, allProducts);
 }
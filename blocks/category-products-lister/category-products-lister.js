@@ -1,31 +1,57 @@
 import { readBlockConfig, createOptimizedPicture } from "../../scripts/aem.js";
 import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import { fetchProducts, isLegacyCatalogPath } from "../../scripts/catalog.js";
+import {
+  getStockLabel,
+  getStockStatus,
+  loadStockLevels,
+  resolveStock,
+  STOCK_STATUS,
+} from "../../scripts/inventory.js";
+import { formatMoney } from "../../scripts/money.js";
+import {
+  buildFacets,
+  DEFAULT_SORT,
+  FACETS,
+  filterProducts,
+  readFacetState,
+  SORT_OPTIONS,
+  sortProducts,
+  writeFacetState,
+} from "../../scripts/product-facets.js";
+import { openQuickView } from "../../scripts/quick-view.js";
+import { createPagination, PAGINATION_MODES } from "./pagination.js";
 
-function buildCard(item, isAuthor, isLegacy = false) {
-  // Handle both legacy (image field) and new (externalImageURL/damImageURL) CF models
-  const { id, sku, name, image, externalImageURL, damImageURL, category = [] } = item || {};
-  const productId = sku || id || "";
-  let imgUrl = null;
+// Products per page, unless authored
+const DEFAULT_PAGE_SIZE = 12;
 
-  if (isLegacy) {
-    // Legacy luma3: Use old image field (ImageRef)
-    if (image && (image._authorUrl || image._publishUrl)) {
-      imgUrl = isAuthor ? image._authorUrl : image._publishUrl;
-    }
-  } else {
-    // New CF model: Use externalImageURL and damImageURL
-    // Priority 1: externalImageURL (string or object with plaintext)
-    if (externalImageURL) {
-      imgUrl = typeof externalImageURL === "string"
-        ? externalImageURL
-        : externalImageURL.plaintext;
-    }
+// Scroll position is saved once scrolling pauses
+const SCROLL_SAVE_DELAY = 200; // ms
 
-    // Priority 2: Try damImageURL (DAM assets)
-    if (!imgUrl && damImageURL && (damImageURL._authorUrl || damImageURL._publishUrl)) {
-      imgUrl = isAuthor ? damImageURL._authorUrl : damImageURL._publishUrl;
-    }
-  }
+// Facet sidebars on the page (for unique element IDs)
+let facetSidebarCount = 0;
+
+/**
+ * Get the product page URL of a product, next to the listing page
+ * @param {string} productId - Product SKU or ID
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {string} Product page URL
+ */
+function getProductUrl(productId, isAuthor) {
+  const currentPath = window.location.pathname;
+  // Replace the last segment (e.g., 'men-products') with 'product'
+  const basePath = currentPath.substring(0, currentPath.lastIndexOf("/"));
+  // On author add .html extension, on publish don't
+  const productPath = isAuthor
+    ? `${basePath}/product.html`
+    : `${basePath}/product`;
+  return `${productPath}?productId=${encodeURIComponent(productId)}`;
+}
+
+function buildCard(item, isAuthor, stockLevels = {}) {
+  // Products of both CF models come normalized from the catalog (see scripts/catalog.js)
+  const { id, sku, name, price, image: imgUrl, category = [] } = item || {};
+  const productId = sku || id || "";
 
   const card = document.createElement("article");
   card.className = "cpl-card";
@@ -34,16 +60,7 @@ function buildCard(item, isAuthor, isLegacy = false) {
   if (productId) {
     card.style.cursor = "pointer";
     card.addEventListener("click", () => {
-      const currentPath = window.location.pathname;
-      // Replace the last segment (e.g., 'men-products') with 'product'
-      const basePath = currentPath.substring(0, currentPath.lastIndexOf("/"));
-      // On author add .html extension, on publish don't
-      const productPath = isAuthor
-        ? `${basePath}/product.html`
-        : `${basePath}/product`;
-      window.location.href = `${productPath}?productId=${encodeURIComponent(
-        productId
-      )}`;
+      window.location.href = getProductUrl(productId, isAuthor);
     });
   }
 
@@ -72,6 +89,37 @@ function buildCard(item, isAuthor, isLegacy = false) {
   imgWrap.className = "cpl-card-media";
   if (picture) imgWrap.append(picture);
 
+  // Quick view: variants and add to cart without leaving the listing
+  if (productId) {
+    const quickViewBtn = document.createElement("button");
+    quickViewBtn.type = "button";
+    quickViewBtn.className = "cpl-card-quick-view";
+    quickViewBtn.textContent = "Quick view";
+    quickViewBtn.setAttribute("aria-label", `Quick view ${name || productId}`);
+    quickViewBtn.addEventListener("click", (event) => {
+      event.stopPropagation();
+      openQuickView(item, {
+        productUrl: getProductUrl(productId, isAuthor),
+        source: "category-products-lister",
+        isAuthor,
+        stockLevels,
+      });
+    });
+    imgWrap.append(quickViewBtn);
+  }
+
+  // Stock badge: GraphQL stock field first, then the stock sheet
+  const stock = resolveStock(item?.stock, productId, stockLevels);
+  const stockStatus = getStockStatus(stock);
+  if (stockStatus !== STOCK_STATUS.IN_STOCK) {
+    const isOut = stockStatus === STOCK_STATUS.OUT_OF_STOCK;
+    const badge = document.createElement("span");
+    badge.className = `cpl-card-badge cpl-card-badge-${isOut ? "out" : "low"}`;
+    badge.textContent = getStockLabel(stock);
+    imgWrap.append(badge);
+    if (isOut) card.classList.add("cpl-card-out-of-stock");
+  }
+
   const meta = document.createElement("div");
   meta.className = "cpl-card-meta";
   // Clean category: split by colon and keep only the part after (remove demo ID prefix)
@@ -96,66 +144,15 @@ function buildCard(item, isAuthor, isLegacy = false) {
   // Split name by comma and take only the first part
   const displayName = name ? name.split(",")[0].trim() : "";
   title.textContent = displayName;
-  meta.append(cat, title);
+  const priceEl = document.createElement("p");
+  priceEl.className = "cpl-card-price";
+  priceEl.textContent = price ? formatMoney(price) : "";
+  meta.append(cat, title, priceEl);
 
   card.append(imgWrap, meta);
   return card;
 }
 
-/**
- * Fetches products from GraphQL and optionally filters by category tags
- * @param {string} path - Folder path to fetch products from
- * @param {string|string[]} categoryFilter - Category tag(s) to filter by (optional)
- * @param {boolean} isLegacy - Whether to use legacy CF model/endpoint
- * @returns {Promise<Array>} Array of product items
- */
-async function fetchProducts(path, categoryFilter = null, isLegacy = false) {
-  try {
-    if (!path) return [];
-
-    // Determine which GraphQL endpoint and query to use
-    let baseUrl;
-    if (isLegacy) {
-      // Legacy luma3: Use old endpoint with menproductspagelister query
-      baseUrl = isAuthorEnvironment()
-        ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/menproductspagelister;"
-        : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGraphQl?environment=p165802-e1765367&";
-    } else {
-      // New CF model: Use zoltarProductListByPath query
-      baseUrl = isAuthorEnvironment()
-        ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/zoltarProductListByPath;"
-        : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/luma-zoltar?environment=p165802-e1765367&endpoint=zoltarProductListByPath&";
-    }
-    
-    const url = `${baseUrl}_path=${path}`;
-
-    const resp = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        Pragma: 'no-cache',
-      },
-    });
-    const json = await resp.json();
-    // Support both response shapes: productsContentFragmentModelList (new CF) and productsModelList (legacy)
-    let items =
-      json?.data?.productsContentFragmentModelList?.items ||
-      json?.data?.productsModelList?.items ||
-      [];
-    
-    // Apply client-side category filtering if specified
-    if (categoryFilter && items.length > 0) {
-      items = filterByCategory(items, categoryFilter);
-    }
-    
-    return items;
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error("Category Products Lister: fetch error", e);
-    return [];
-  }
-}
-
 /**
  * Filters products by category tags
  * @param {Array} products - Array of product items
@@ -214,6 +211,174 @@ function renderHeader(container, selectedTags) {
   container.append(wrap);
 }
 
+/**
+ * Build the facet sidebar
+ * Checkboxes are built once for every value of the listed products; counts and
+ * states are refreshed by updateFacets as filters change.
+ * @param {Array<Object>} facets - Facets (see buildFacets)
+ * @param {string} id - Sidebar element ID
+ * @returns {HTMLElement} Sidebar
+ */
+function buildFacetSidebar(facets, id) {
+  const aside = document.createElement("aside");
+  aside.id = id;
+  aside.className = "cpl-facets";
+  aside.setAttribute("aria-label", "Product filters");
+
+  const header = document.createElement("div");
+  header.className = "cpl-facets-header";
+  const heading = document.createElement("h2");
+  heading.className = "cpl-facets-title";
+  heading.textContent = "Filter by";
+  const clearBtn = document.createElement("button");
+  clearBtn.type = "button";
+  clearBtn.className = "cpl-facets-clear";
+  clearBtn.textContent = "Clear all";
+  header.append(heading, clearBtn);
+  aside.append(header);
+
+  facets.forEach((facet) => {
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "cpl-facet";
+    fieldset.dataset.facet = facet.name;
+    const legend = document.createElement("legend");
+    legend.textContent = facet.label;
+    const list = document.createElement("ul");
+    list.className = "cpl-facet-values";
+
+    facet.values.forEach(({ value, label }) => {
+      const item = document.createElement("li");
+      const option = document.createElement("label");
+      option.className = "cpl-facet-value";
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.name = facet.name;
+      input.value = value;
+      const text = document.createElement("span");
+      text.textContent = label;
+      const count = document.createElement("span");
+      count.className = "cpl-facet-count";
+      option.append(input, text, count);
+      item.append(option);
+      list.append(item);
+    });
+
+    fieldset.append(legend, list);
+    aside.append(fieldset);
+  });
+  return aside;
+}
+
+/**
+ * Refresh the counts and states of the facet sidebar
+ * Values that would list no product are disabled unless selected.
+ * @param {HTMLElement} aside - Sidebar
+ * @param {Array<Object>} facets - Facets (see buildFacets)
+ */
+function updateFacets(aside, facets) {
+  facets.forEach((facet) => {
+    facet.values.forEach(({ value, count, selected }) => {
+      const input = [
+        ...aside.querySelectorAll(`input[name="${facet.name}"]`),
+      ].find((el) => el.value === value);
+      if (!input) return;
+      input.checked = selected;
+      input.disabled = !count && !selected;
+      const label = input.closest(".cpl-facet-value");
+      label.classList.toggle("cpl-facet-value-disabled", input.disabled);
+      label.querySelector(".cpl-facet-count").textContent = `(${count})`;
+    });
+  });
+  const hasFilters = facets.some((facet) => facet.values.some((v) => v.selected));
+  aside.querySelector(".cpl-facets-clear").hidden = !hasFilters;
+}
+
+/**
+ * Build the toolbar above the grid (filters toggle, result count, sort)
+ * @param {string} facetsId - Facet sidebar element ID
+ * @param {string} sort - Selected sort option
+ * @returns {HTMLElement} Toolbar
+ */
+function buildToolbar(facetsId, sort) {
+  const toolbar = document.createElement("div");
+  toolbar.className = "cpl-toolbar";
+
+  // Shown on small screens, where the sidebar is collapsed
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "cpl-facets-toggle";
+  toggle.textContent = "Filters";
+  toggle.setAttribute("aria-controls", facetsId);
+  toggle.setAttribute("aria-expanded", "false");
+
+  const count = document.createElement("p");
+  count.className = "cpl-result-count";
+  count.setAttribute("role", "status");
+  count.setAttribute("aria-live", "polite");
+
+  const sortLabel = document.createElement("label");
+  sortLabel.className = "cpl-sort";
+  sortLabel.textContent = "Sort by";
+  const select = document.createElement("select");
+  select.name = "sort";
+  SORT_OPTIONS.forEach(({ value, label }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.append(option);
+  });
+  select.value = sort;
+  sortLabel.append(select);
+
+  toolbar.append(toggle, count, sortLabel);
+  return toolbar;
+}
+
+/**
+ * Push the filters, sort and page of the listing to the dataLayer
+ * Every facet is listed (empty when not filtered) so the section is replaced whole.
+ * @param {string} path - Content fragment folder path
+ * @param {Object} state - { filters, sort, page }
+ * @param {number} resultCount - Products listed
+ * @param {number} totalCount - Products before filtering
+ */
+function pushListingToDataLayer(path, state, resultCount, totalCount) {
+  if (typeof window.updateDataLayer !== "function") return;
+  const filters = Object.fromEntries(
+    FACETS.map(({ name }) => [name, state.filters[name] || []])
+  );
+  window.updateDataLayer(
+    {
+      productListing: {
+        path,
+        filters,
+        sort: state.sort,
+        page: state.page,
+        resultCount,
+        totalCount,
+      },
+    },
+    false
+  );
+}
+
+/**
+ * Read an authored option of the block
+ * Document authoring uses key/value rows (readBlockConfig); Universal Editor
+ * renders one single-cell row per model field, in model order.
+ * @param {HTMLElement} block - Block element
+ * @param {Object} cfg - Block config (see readBlockConfig)
+ * @param {Array<string>} keys - Config keys of the option
+ * @param {number} row - Row of the option in Universal Editor markup
+ * @returns {string} Value ("" when not authored)
+ */
+function readOption(block, cfg, keys, row) {
+  const key = keys.find((name) => cfg?.[name]);
+  if (key) return `${cfg[key]}`.trim();
+  const cells = block.querySelectorAll(`:scope > div:nth-child(${row}) > div`);
+  return cells.length === 1 ? cells[0].textContent.trim() : "";
+}
+
 export default async function decorate(block) {
   // Check if we're in author environment
   const isAuthor = isAuthorEnvironment();
@@ -248,6 +413,15 @@ export default async function decorate(block) {
   // Extract tags from block configuration - these will be used for filtering (new demos only)
   const tags = block.dataset?.["cqTags"] || cfg?.tags || cfg?.["cq:tags"] || "";
 
+  // Pagination: numbered pages (default), load more or infinite scroll
+  const authoredMode = readOption(block, cfg, ["pagination"], 2).toLowerCase();
+  const paginationMode = PAGINATION_MODES.includes(authoredMode)
+    ? authoredMode
+    : PAGINATION_MODES[0];
+  const pageSize =
+    parseInt(readOption(block, cfg, ["page-size", "pagesize"], 3), 10) ||
+    DEFAULT_PAGE_SIZE;
+
   // Clear author table
   block.innerHTML = "";
 
@@ -257,17 +431,14 @@ export default async function decorate(block) {
   grid.className = "cpl-grid";
   block.append(grid);
 
-  // Check if this is a legacy Luma3 demo (backward compatibility)
-  const isLegacyLuma3 = folderHref && folderHref.includes('/dam/luma3/');
-  
-  // Fetch products from GraphQL with appropriate endpoint
-  let items;
-  if (isLegacyLuma3) {
-    // Legacy Luma3: folder-based, no tag filtering, old CF model
-    items = await fetchProducts(folderHref, null, true);
-  } else {
-    // New demos: fetch all products, apply client-side tag filtering, new CF model
-    items = await fetchProducts(folderHref, tags, false);
+  // Stock levels load alongside the products (used for the card badges)
+  const stockLevelsPromise = loadStockLevels();
+
+  // Legacy Luma3 demos are folder-based (no tag filtering); new demos are
+  // filtered client-side by the block tags
+  let items = await fetchProducts(folderHref);
+  if (!isLegacyCatalogPath(folderHref)) {
+    items = filterByCategory(items, tags);
   }
   if (!items || items.length === 0) {
     const empty = document.createElement("p");
@@ -277,6 +448,128 @@ export default async function decorate(block) {
     return;
   }
 
-  const cards = items.map((item) => buildCard(item, isAuthor, isLegacyLuma3));
-  grid.append(...cards);
+  const stockLevels = await stockLevelsPromise;
+  // Cards are built once and reordered as filters and sort change
+  const cards = new Map(
+    items.map((item) => [item, buildCard(item, isAuthor, stockLevels)])
+  );
+
+  // Facets, sort and the results share the block; the state lives in the URL
+  const facets = buildFacets(items, {});
+  const state = readFacetState();
+  // Values of the URL that no listed product has are dropped
+  Object.keys(state.filters).forEach((name) => {
+    const known = facets.find((facet) => facet.name === name)?.values || [];
+    state.filters[name] = state.filters[name].filter((value) =>
+      known.some((v) => v.value === value)
+    );
+    if (!state.filters[name].length) delete state.filters[name];
+  });
+  facetSidebarCount += 1;
+  const facetsId = `cpl-facets-${facetSidebarCount}`;
+  const aside = buildFacetSidebar(facets, facetsId);
+  const toolbar = buildToolbar(facetsId, state.sort);
+  const count = toolbar.querySelector(".cpl-result-count");
+  const toggle = toolbar.querySelector(".cpl-facets-toggle");
+
+  const results = document.createElement("div");
+  results.className = "cpl-results";
+  grid.remove();
+  // eslint-disable-next-line no-use-before-define
+  const pagination = createPagination({ mode: paginationMode, onPageChange });
+  results.append(toolbar, grid, pagination.element);
+
+  const layout = document.createElement("div");
+  layout.className = "cpl-layout";
+  layout.append(aside, results);
+  block.append(layout);
+
+  function render() {
+    const matches = sortProducts(filterProducts(items, state.filters), state.sort);
+    const pageCount = Math.max(Math.ceil(matches.length / pageSize), 1);
+    state.page = Math.min(state.page, pageCount);
+    // Numbered pages show one page; load more and infinite scroll every page so far
+    const start = paginationMode === "pages" ? (state.page - 1) * pageSize : 0;
+    const visible = matches.slice(start, state.page * pageSize);
+
+    updateFacets(aside, buildFacets(items, state.filters));
+    count.textContent = matches.length
+      ? `${start + 1}–${start + visible.length} of ${matches.length} products`
+      : `0 of ${items.length} products`;
+
+    grid.innerHTML = "";
+    if (visible.length) {
+      grid.append(...visible.map((item) => cards.get(item)));
+    } else {
+      const empty = document.createElement("p");
+      empty.className = "cpl-empty";
+      empty.textContent = "No products match the selected filters.";
+      grid.append(empty);
+    }
+    pagination.update({ page: state.page, pageCount });
+    pushListingToDataLayer(folderHref, state, matches.length, items.length);
+  }
+
+  function update() {
+    writeFacetState(state);
+    render();
+  }
+
+  function onPageChange(page) {
+    state.page = page;
+    update();
+    // A new page of numbered pages starts at the top of the listing
+    if (paginationMode === "pages") {
+      block.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+  }
+
+  aside.addEventListener("change", (event) => {
+    const { name } = event.target;
+    if (!FACETS.some((facet) => facet.name === name)) return;
+    state.filters[name] = [
+      ...aside.querySelectorAll(`input[name="${name}"]:checked`),
+    ].map((input) => input.value);
+    if (!state.filters[name].length) delete state.filters[name];
+    state.page = 1;
+    update();
+  });
+
+  aside.querySelector(".cpl-facets-clear").addEventListener("click", () => {
+    state.filters = {};
+    state.page = 1;
+    update();
+  });
+
+  toolbar.querySelector("select").addEventListener("change", (event) => {
+    state.sort = event.target.value || DEFAULT_SORT;
+    state.page = 1;
+    update();
+  });
+
+  toggle.addEventListener("click", () => {
+    const expanded = layout.classList.toggle("cpl-facets-open");
+    toggle.setAttribute("aria-expanded", String(expanded));
+  });
+
+  render();
+
+  // Back navigation returns to the products the shopper scrolled to: the
+  // position is kept in the history entry, since the listing renders after
+  // the browser would restore it
+  const savedScroll = window.history.state?.cplScrollY;
+  if (savedScroll) window.scrollTo(0, savedScroll);
+  if ("scrollRestoration" in window.history) {
+    window.history.scrollRestoration = "manual";
+  }
+  let scrollTimeout;
+  window.addEventListener("scroll", () => {
+    clearTimeout(scrollTimeout);
+    scrollTimeout = setTimeout(() => {
+      window.history.replaceState(
+        { ...window.history.state, cplScrollY: window.scrollY },
+        ""
+      );
+    }, SCROLL_SAVE_DELAY);
+  });
 }
@@ -0,0 +1,153 @@
+// ==========================================
+// Pagination
+// Page controls of the category products lister: numbered pages, a "load
+// more" button, or infinite scroll (IntersectionObserver on a sentinel after
+// the grid). Numbered pages show one page at a time; the other modes show
+// every page up to the current one.
+// ==========================================
+
+export const PAGINATION_MODES = ["pages", "load-more", "infinite-scroll"];
+
+// Next pages load when the sentinel is this close to the viewport
+const SCROLL_MARGIN = "400px";
+
+/**
+ * Get the page numbers to show around the current page
+ * The first and last pages are always shown; gaps are marked with null.
+ * @param {number} page - Current page
+ * @param {number} pageCount - Number of pages
+ * @returns {Array<number|null>} Page numbers, null for "…"
+ */
+function getPageNumbers(page, pageCount) {
+  const pages = [];
+  for (let i = 1; i <= pageCount; i += 1) {
+    if (i === 1 || i === pageCount || Math.abs(i - page) <= 1) {
+      pages.push(i);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+  return pages;
+}
+
+/**
+ * Create a page button
+ * @param {string} label - Button text
+ * @param {number} page - Page the button opens
+ * @param {string} className - Class name
+ * @returns {HTMLButtonElement} Button
+ */
+function createPageButton(label, page, className) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = className;
+  button.textContent = label;
+  button.dataset.page = page;
+  return button;
+}
+
+/**
+ * Create the page controls of a listing
+ * Infinite scroll falls back to the "load more" button where
+ * IntersectionObserver is not available.
+ * @param {Object} options - { mode, onPageChange }
+ *   mode: one of PAGINATION_MODES; onPageChange(page) is called with the page
+ *   the shopper asks for
+ * @returns {Object} { element, update } - Controls to insert after the grid, and
+ *   update({ page, pageCount }) to call after each render
+ */
+export function createPagination({ mode, onPageChange }) {
+  const infinite =
+    mode === "infinite-scroll" && "IntersectionObserver" in window;
+  let current = { page: 1, pageCount: 1 };
+
+  const element = document.createElement("div");
+  element.className = `cpl-pagination cpl-pagination-${mode}`;
+
+  if (mode === "pages") {
+    const nav = document.createElement("nav");
+    nav.setAttribute("aria-label", "Pagination");
+    element.append(nav);
+    nav.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-page]");
+      if (button && !button.disabled) onPageChange(Number(button.dataset.page));
+    });
+
+    return {
+      element,
+      update({ page, pageCount }) {
+        nav.innerHTML = "";
+        element.hidden = pageCount <= 1;
+        if (pageCount <= 1) return;
+
+        const list = document.createElement("ul");
+        list.className = "cpl-pages";
+        const prev = createPageButton("Previous", page - 1, "cpl-page-prev");
+        prev.disabled = page <= 1;
+        const next = createPageButton("Next", page + 1, "cpl-page-next");
+        next.disabled = page >= pageCount;
+
+        const items = [
+          prev,
+          ...getPageNumbers(page, pageCount).map((number) => {
+            if (number === null) {
+              const gap = document.createElement("span");
+              gap.className = "cpl-page-gap";
+              gap.textContent = "…";
+              return gap;
+            }
+            const button = createPageButton(`${number}`, number, "cpl-page");
+            button.setAttribute("aria-label", `Page ${number}`);
+            if (number === page) button.setAttribute("aria-current", "page");
+            return button;
+          }),
+          next,
+        ];
+        items.forEach((item) => {
+          const li = document.createElement("li");
+          li.append(item);
+          list.append(li);
+        });
+        nav.append(list);
+      },
+    };
+  }
+
+  // Load more / infinite scroll
+  const button = createPageButton("Load more", 2, "cpl-load-more");
+  button.addEventListener("click", () => onPageChange(current.page + 1));
+  element.append(button);
+
+  let observer = null;
+  const sentinel = document.createElement("div");
+  sentinel.className = "cpl-scroll-sentinel";
+  if (infinite) {
+    button.hidden = true;
+    element.append(sentinel);
+    observer = new IntersectionObserver(
+      (entries) => {
+        if (
+          entries.some((entry) => entry.isIntersecting) &&
+          current.page < current.pageCount
+        ) {
+          onPageChange(current.page + 1);
+        }
+      },
+      { rootMargin: SCROLL_MARGIN }
+    );
+  }
+
+  return {
+    element,
+    update({ page, pageCount }) {
+      current = { page, pageCount };
+      const hasMore = page < pageCount;
+      element.hidden = !hasMore;
+      if (!infinite) return;
+      // Observing again reports the sentinel position right away, so the next
+      // page loads while the sentinel is still in view after a render
+      observer.disconnect();
+      if (hasMore) observer.observe(sentinel);
+    },
+  };
+}
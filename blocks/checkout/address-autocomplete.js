@@ -0,0 +1,312 @@
+// ==========================================
+// Address autocomplete
+// Street suggestions (combobox on the street field), city and region lookup
+// from the postal code, normalization of the typed address and a "did you
+// mean" prompt when the postal code does not match the country format.
+// Fields are filled through change events, so tax, shipping options and the
+// checkout autosave follow (see scripts/address-lookup.js).
+// ==========================================
+
+import {
+  findAddressCorrection,
+  lookupPostalCode,
+  normalizeAddress,
+  searchAddresses,
+} from "../../scripts/address-lookup.js";
+
+// Street suggestions are searched from this many characters, once typing pauses
+const MIN_QUERY_LENGTH = 3;
+const SEARCH_DELAY = 250; // ms
+
+// Fields filled from a suggestion or correction
+const FILLED_FIELDS = ["streetAddress", "city", "region", "postalCode"];
+
+/**
+ * Read the address of the fields
+ * @param {Object} fields - Address field elements by name
+ * @returns {Object} { country, streetAddress, city, region, postalCode }
+ */
+function readAddress(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([name, field]) => [name, field.value])
+  );
+}
+
+/**
+ * Set a field value and notify its listeners (only when it changes)
+ * @param {HTMLInputElement} field - Field
+ * @param {string} value - Value
+ */
+function setFieldValue(field, value) {
+  if (field.value === value) return;
+  field.value = value;
+  field.dispatchEvent(new Event("change", { bubbles: true }));
+}
+
+/**
+ * Format the second line of a suggestion
+ * @param {Object} address - Address
+ * @returns {string} City, region and postal code
+ */
+function formatLocality(address) {
+  return [address.city, address.region, address.postalCode]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Add address suggestions to the fields of an address
+ * @param {Object} fields - Address field elements by name
+ *   { country, streetAddress, city, region, postalCode }
+ * @returns {Object} { element } - "did you mean" prompt, to insert after the fields
+ */
+export function createAddressAutocomplete(fields) {
+  const street = fields.streetAddress;
+  const listId = `${street.id}-suggestions`;
+  let suggestions = [];
+  let activeIndex = -1;
+  let searchTimeout;
+  // Latest search and correction, so late answers of earlier ones are dropped
+  let searchId = 0;
+  let correctionId = 0;
+  // Address the shopper chose to keep as typed (no prompt for it again)
+  let keptAddress = "";
+
+  // Street combobox
+  const list = document.createElement("ul");
+  list.id = listId;
+  list.className = "checkout-address-suggestions";
+  list.setAttribute("role", "listbox");
+  list.setAttribute("aria-label", "Address suggestions");
+  list.hidden = true;
+  street.after(list);
+  street.parentNode.classList.add("checkout-address-combobox");
+
+  street.setAttribute("role", "combobox");
+  street.setAttribute("aria-autocomplete", "list");
+  street.setAttribute("aria-controls", listId);
+  street.setAttribute("aria-expanded", "false");
+
+  // "Did you mean" prompt
+  const element = document.createElement("div");
+  element.className = "checkout-address-correction checkout-field-full";
+  element.setAttribute("role", "status");
+  element.setAttribute("aria-live", "polite");
+  element.hidden = true;
+
+  function closeList() {
+    list.hidden = true;
+    list.innerHTML = "";
+    suggestions = [];
+    activeIndex = -1;
+    street.setAttribute("aria-expanded", "false");
+    street.removeAttribute("aria-activedescendant");
+  }
+
+  function setActive(index) {
+    activeIndex = index;
+    list.querySelectorAll("[role='option']").forEach((option, i) => {
+      option.setAttribute("aria-selected", String(i === index));
+    });
+    if (index >= 0) {
+      street.setAttribute("aria-activedescendant", `${listId}-${index}`);
+      list.children[index].scrollIntoView({ block: "nearest" });
+    } else {
+      street.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  function renderList(results) {
+    closeList();
+    if (!results.length) return;
+    suggestions = results;
+    results.forEach((suggestion, index) => {
+      const option = document.createElement("li");
+      option.id = `${listId}-${index}`;
+      option.className = "checkout-address-suggestion";
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", "false");
+      option.dataset.index = index;
+
+      const line = document.createElement("span");
+      line.className = "checkout-address-suggestion-street";
+      line.textContent = suggestion.streetAddress;
+      const locality = document.createElement("span");
+      locality.className = "checkout-address-suggestion-locality";
+      locality.textContent = formatLocality(suggestion);
+
+      option.append(line, locality);
+      list.appendChild(option);
+    });
+    list.hidden = false;
+    street.setAttribute("aria-expanded", "true");
+  }
+
+  function hideCorrection() {
+    correctionId += 1;
+    element.hidden = true;
+    element.innerHTML = "";
+  }
+
+  function fillAddress(address) {
+    const normalized = normalizeAddress({
+      ...readAddress(fields),
+      ...address,
+      country: fields.country.value,
+    });
+    FILLED_FIELDS.forEach((name) => {
+      setFieldValue(fields[name], normalized[name]);
+    });
+  }
+
+  function showCorrection(correction) {
+    element.innerHTML = "";
+
+    const title = document.createElement("p");
+    title.className = "checkout-address-correction-title";
+    title.textContent = "Did you mean:";
+
+    const address = document.createElement("p");
+    address.className = "checkout-address-correction-address";
+    address.append(
+      correction.streetAddress,
+      document.createElement("br"),
+      formatLocality(correction)
+    );
+
+    const useBtn = document.createElement("button");
+    useBtn.type = "button";
+    useBtn.className = "checkout-address-correction-use";
+    useBtn.textContent = "Use this address";
+    useBtn.addEventListener("click", () => {
+      hideCorrection();
+      fillAddress(correction);
+      fields.postalCode.focus();
+    });
+
+    const keepBtn = document.createElement("button");
+    keepBtn.type = "button";
+    keepBtn.className = "checkout-address-correction-keep";
+    keepBtn.textContent = "Keep what I entered";
+    keepBtn.addEventListener("click", () => {
+      keptAddress = JSON.stringify(readAddress(fields));
+      hideCorrection();
+      fields.postalCode.focus();
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "checkout-address-correction-actions";
+    actions.append(useBtn, keepBtn);
+
+    element.append(title, address, actions);
+    element.hidden = false;
+  }
+
+  // Offer a correction when the postal code does not match the country format
+  async function checkAddress() {
+    const current = readAddress(fields);
+    if (
+      !current.postalCode.trim() ||
+      JSON.stringify(current) === keptAddress
+    ) {
+      hideCorrection();
+      return;
+    }
+    correctionId += 1;
+    const id = correctionId;
+    const correction = await findAddressCorrection(current);
+    if (id !== correctionId) return;
+    if (correction) {
+      showCorrection(correction);
+    } else {
+      hideCorrection();
+    }
+  }
+
+  function selectSuggestion(index) {
+    const suggestion = suggestions[index];
+    closeList();
+    if (!suggestion) return;
+    hideCorrection();
+    fillAddress(suggestion);
+  }
+
+  street.addEventListener("input", () => {
+    clearTimeout(searchTimeout);
+    searchId += 1;
+    const query = street.value.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+      closeList();
+      return;
+    }
+    const id = searchId;
+    searchTimeout = setTimeout(async () => {
+      const results = await searchAddresses(fields.country.value, query);
+      if (id === searchId && document.activeElement === street) {
+        renderList(results);
+      }
+    }, SEARCH_DELAY);
+  });
+
+  street.addEventListener("keydown", (event) => {
+    if (list.hidden) return;
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      setActive((activeIndex + step + suggestions.length) % suggestions.length);
+    } else if (event.key === "Enter" && activeIndex >= 0) {
+      // Picks the suggestion instead of moving to the next step
+      event.preventDefault();
+      selectSuggestion(activeIndex);
+    } else if (event.key === "Escape") {
+      event.preventDefault();
+      closeList();
+    }
+  });
+
+  street.addEventListener("blur", () => {
+    clearTimeout(searchTimeout);
+    searchId += 1;
+    closeList();
+  });
+
+  // Keep the focus on the street field while a suggestion is clicked
+  list.addEventListener("mousedown", (event) => {
+    event.preventDefault();
+  });
+  list.addEventListener("click", (event) => {
+    const option = event.target.closest("[role='option']");
+    if (option) selectSuggestion(Number(option.dataset.index));
+  });
+
+  // Typed values are normalized once the field is left; a normalized value
+  // fires change again, so listeners added before this one get it as well
+  FILLED_FIELDS.forEach((name) => {
+    fields[name].addEventListener("change", () => {
+      const normalized = normalizeAddress(readAddress(fields));
+      setFieldValue(fields[name], normalized[name]);
+    });
+  });
+
+  // The city and region of a known postal code are filled when still empty
+  fields.postalCode.addEventListener("change", async () => {
+    if (fields.city.value.trim() && fields.region.value.trim()) return;
+    const match = await lookupPostalCode(
+      fields.country.value,
+      fields.postalCode.value
+    );
+    if (!match) return;
+    if (!fields.city.value.trim()) setFieldValue(fields.city, match.city);
+    if (!fields.region.value.trim()) setFieldValue(fields.region, match.region);
+  });
+
+  ["streetAddress", "city", "postalCode"].forEach((name) => {
+    fields[name].addEventListener("change", checkAddress);
+  });
+  fields.country.addEventListener("change", () => {
+    closeList();
+    checkAddress();
+  });
+
+  return { element };
+}
@@ -1,3 +1,74 @@
+import {
+  getCart,
+  formatPrice,
+  formatShipping,
+  formatLineNotes,
+  setTaxAddress,
+  setShippingMethod,
+  refreshStock,
+} from "../../scripts/cart-model.js";
+import {
+  getAvailableShippingMethods,
+  calculateShipping,
+} from "../../scripts/shipping.js";
+import { formatLineOptions } from "../../scripts/variants.js";
+import { getStockIssues } from "../../scripts/inventory.js";
+import {
+  COUNTRIES,
+  getAddressFormat,
+  isValidPhone,
+  isValidPostalCode,
+} from "../../scripts/address-formats.js";
+import {
+  authorizePayment,
+  formatPayment,
+  getAvailablePaymentProviders,
+  getPaymentProvider,
+} from "../../scripts/payment.js";
+import {
+  getDefaultAddress,
+  isAddressBookAvailable,
+} from "../../scripts/address-book.js";
+import { WizardLayout } from "../form/components/wizard/wizard.js";
+import { createSavedAddresses } from "./saved-addresses.js";
+import { createAddressAutocomplete } from "./address-autocomplete.js";
+
+// Checkout steps in order; fields lists the form fields validated by each step
+// (payment provider fields are validated by the step they are rendered in)
+const STEPS = [
+  {
+    id: "contact",
+    title: "Contact",
+    fields: ["firstName", "lastName", "email"],
+  },
+  {
+    id: "address",
+    title: "Shipping address",
+    fields: ["country", "streetAddress", "city", "region", "postalCode", "phone"],
+  },
+  { id: "shipping", title: "Shipping method", fields: ["shippingMethod"] },
+  { id: "payment", title: "Payment", fields: ["paymentMethod"] },
+  { id: "review", title: "Review", fields: [] },
+];
+
+// Fields of a checkout address; billing fields carry a prefix (billingCountry, ...)
+const ADDRESS_FIELDS = [
+  "country",
+  "streetAddress",
+  "city",
+  "region",
+  "postalCode",
+  "phone",
+];
+const BILLING_PREFIX = "billing";
+
+// URL parameter holding the current step (browser back/forward moves between steps)
+const STEP_PARAM = "step";
+
+// Dotted domain with a TLD of two letters or more, no spaces or consecutive dots
+const EMAIL_PATTERN =
+  /^[\w!#$%&'*+/=?^`{|}~-]+(\.[\w!#$%&'*+/=?^`{|}~-]+)*@([a-z\d]([a-z\d-]*[a-z\d])?\.)+[a-z]{2,}$/i;
+
 /**
  * Save form data to localStorage
  * Delegates to global saveCheckoutData() from datalayer.js for consistent storage management
@@ -40,8 +111,60 @@ function loadFormData() {
   }
 }
 
+/**
+ * Get the name of an address field
+ * @param {string} prefix - Field name prefix ("" for the shipping address)
+ * @param {string} name - Address field (e.g. "postalCode")
+ * @returns {string} Form field name (e.g. "billingPostalCode")
+ */
+function getFieldName(prefix, name) {
+  return prefix
+    ? `${prefix}${name.charAt(0).toUpperCase()}${name.slice(1)}`
+    : name;
+}
+
+/**
+ * Validate an address
+ * Postal codes, phone numbers and the region follow the rules of the selected country
+ * (see scripts/address-formats.js).
+ * @param {Object} address - { country, streetAddress, city, region, postalCode, phone }
+ * @param {string} prefix - Field name prefix of the errors ("" for the shipping address)
+ * @returns {Object} Errors by field name
+ */
+function validateAddress(address, prefix = "") {
+  const errors = {};
+  const format = getAddressFormat(address.country);
+  const name = (field) => getFieldName(prefix, field);
+
+  if (address.phone?.trim() && !isValidPhone(address.country, address.phone)) {
+    errors[name("phone")] = `Please enter a valid phone number (e.g. ${format.phoneExample})`;
+  }
+  if (!address.country?.trim()) {
+    errors[name("country")] = "Country is required";
+  }
+  if (!address.streetAddress?.trim()) {
+    errors[name("streetAddress")] = "Street address is required";
+  }
+  if (!address.city?.trim()) {
+    errors[name("city")] = "City is required";
+  }
+  if (format.regionRequired && !address.region?.trim()) {
+    errors[name("region")] = `${format.regionLabel} is required`;
+  }
+  if (!address.postalCode?.trim()) {
+    errors[name("postalCode")] = `${format.postalLabel} is required`;
+  } else if (!isValidPostalCode(address.country, address.postalCode)) {
+    errors[name("postalCode")] = format.postalExample
+      ? `Please enter a valid ${format.postalLabel} (e.g. ${format.postalExample})`
+      : `Please enter a valid ${format.postalLabel}`;
+  }
+
+  return errors;
+}
+
 /**
  * Validate form data
+ * The billing address is only validated when it differs from the shipping address.
  * @param {Object} formData - Form data to validate
  * @returns {Object} Validation result
  */
@@ -56,23 +179,18 @@ function validateForm(formData) {
   }
   if (!formData.email?.trim()) {
     errors.email = "Email is required";
-  } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+  } else if (!EMAIL_PATTERN.test(formData.email.trim())) {
     errors.email = "Please enter a valid email";
   }
-  if (!formData.phone?.trim()) {
-    errors.phone = "Phone number is required";
-  }
-  if (!formData.streetAddress?.trim()) {
-    errors.streetAddress = "Street address is required";
-  }
-  if (!formData.city?.trim()) {
-    errors.city = "City is required";
+  Object.assign(errors, validateAddress(formData));
+  if (formData.billingSameAsShipping === false) {
+    Object.assign(
+      errors,
+      validateAddress(formData.billingAddress || {}, BILLING_PREFIX)
+    );
   }
-  if (!formData.postalCode?.trim()) {
-    errors.postalCode = "Postal code is required";
-  }
-  if (!formData.country?.trim()) {
-    errors.country = "Country is required";
+  if (!formData.shippingMethod) {
+    errors.shippingMethod = "Please select a shipping method";
   }
 
   return {
@@ -84,7 +202,7 @@ function validateForm(formData) {
 /**
  * Display validation errors
  * @param {Object} errors - Validation errors
- * @param {HTMLElement} form - Form element
+ * @param {HTMLElement} form - Form element (or a step of it)
  */
 function displayErrors(errors, form) {
   // Clear previous errors
@@ -97,14 +215,17 @@ function displayErrors(errors, form) {
       const errorMsg = document.createElement("div");
       errorMsg.className = "checkout-error";
       errorMsg.textContent = errors[fieldName];
-      field.parentNode.appendChild(errorMsg);
+      // Radio groups show a single message below the whole group
+      const container =
+        field.closest(".checkout-shipping-options") || field.parentNode;
+      container.appendChild(errorMsg);
     }
   });
 }
 
 /**
  * Clear validation errors
- * @param {HTMLElement} form - Form element
+ * @param {HTMLElement} form - Form element (or a step of it)
  */
 function clearErrors(form) {
   form.querySelectorAll(".checkout-error").forEach((el) => el.remove());
@@ -114,24 +235,280 @@ function clearErrors(form) {
 }
 
 /**
- * Get cart data from dataLayer
- * @returns {Object} Cart data
+ * Format discount amount for the summary ("----" when no code is applied)
+ * @param {number} amount - Discount amount
+ * @returns {string} Formatted discount
+ */
+function formatDiscount(amount) {
+  return amount ? `-${formatPrice(amount)}` : "----";
+}
+
+/**
+ * Get the selected shipping method ID
+ * @param {HTMLElement} form - Checkout form
+ * @returns {string} Shipping method ID, or "" when none is selected
+ */
+function getSelectedShippingMethodId(form) {
+  const checked = form.querySelector('input[name="shippingMethod"]:checked');
+  return checked ? checked.value : "";
+}
+
+/**
+ * Get the selected payment method ID
+ * @param {HTMLElement} form - Checkout form
+ * @returns {string} Payment provider ID, or "" when none is selected
+ */
+function getSelectedPaymentMethodId(form) {
+  const checked = form.querySelector('input[name="paymentMethod"]:checked');
+  return checked ? checked.value : "";
+}
+
+/**
+ * Read the values of an address
+ * @param {HTMLFormElement} form - Checkout form
+ * @param {string} prefix - Field name prefix ("" for the shipping address)
+ * @returns {Object} { country, streetAddress, city, region, postalCode[, phone] }
+ */
+function getAddressValues(form, prefix = "") {
+  const values = {};
+  ADDRESS_FIELDS.forEach((name) => {
+    const field = form.elements[getFieldName(prefix, name)];
+    if (field) values[name] = field.value.trim();
+  });
+  return values;
+}
+
+/**
+ * Read the checkout form values
+ * @param {HTMLFormElement} form - Checkout form
+ * @returns {Object} Form data
+ */
+function getFormValues(form) {
+  return {
+    firstName: form.firstName.value.trim(),
+    lastName: form.lastName.value.trim(),
+    email: form.email.value.trim(),
+    phone: form.phone.value.trim(),
+    streetAddress: form.streetAddress.value.trim(),
+    city: form.city.value.trim(),
+    region: form.region.value.trim(),
+    postalCode: form.postalCode.value.trim(),
+    country: form.country.value,
+    shippingMethod: getSelectedShippingMethodId(form),
+    shippingAmount: getCart().shipping,
+    paymentMethod: getSelectedPaymentMethodId(form),
+    billingSameAsShipping: form.billingSameAsShipping.checked,
+    billingAddress: getAddressValues(form, BILLING_PREFIX),
+  };
+}
+
+/**
+ * Read the field values of a payment provider
+ * Kept out of getFormValues: card data is never saved with the checkout data.
+ * @param {HTMLFormElement} form - Checkout form
+ * @param {Object} provider - Payment provider
+ * @returns {Object} Values by field name
+ */
+function getPaymentValues(form, provider) {
+  return Object.fromEntries(
+    provider.fields.map(({ name }) => [
+      name,
+      form.elements[name]?.value.trim() || "",
+    ])
+  );
+}
+
+/**
+ * Validate the selected payment method and its fields
+ * @param {HTMLFormElement} form - Checkout form
+ * @returns {Object} Errors by field name
+ */
+function validatePayment(form) {
+  const provider = getPaymentProvider(getSelectedPaymentMethodId(form));
+  if (!provider) {
+    return { paymentMethod: "Please select a payment method" };
+  }
+  return provider.validate(getPaymentValues(form, provider));
+}
+
+/**
+ * Get the validation errors of the fields in a checkout step
+ * @param {HTMLFormElement} form - Checkout form
+ * @param {HTMLElement} step - Step fieldset
+ * @returns {Object} Errors by field name (empty when the step is valid)
+ */
+function getStepErrors(form, step) {
+  const { fields = [] } = STEPS.find(({ id }) => id === step.dataset.step) || {};
+  const errors = {
+    ...validateForm(getFormValues(form)).errors,
+    ...validatePayment(form),
+  };
+  return Object.fromEntries(
+    Object.entries(errors).filter(
+      ([name]) =>
+        fields.includes(name) || step.querySelector(`[name="${name}"]`)
+    )
+  );
+}
+
+/**
+ * Render the shipping method options with their cost for the current cart
+ * @param {HTMLElement} container - Shipping options container
+ * @param {Array} methods - Available shipping methods
+ * @param {string} selectedId - Selected shipping method ID
+ */
+function renderShippingOptions(container, methods, selectedId) {
+  const cart = getCart();
+  container.innerHTML = "";
+
+  methods.forEach((method) => {
+    const amount = calculateShipping(method, cart);
+
+    const option = document.createElement("label");
+    option.className = "checkout-shipping-option";
+    option.innerHTML = `
+      <input type="radio" name="shippingMethod" value="${method.id}" ${
+      method.id === selectedId ? "checked" : ""
+    }>
+      <span class="checkout-shipping-label">
+        <strong>${method.label}</strong>
+        ${method.description ? `<small>${method.description}</small>` : ""}
+      </span>
+      <span class="checkout-shipping-price">${
+        amount ? formatPrice(amount) : "Free"
+      }</span>
+    `;
+    container.appendChild(option);
+  });
+}
+
+/**
+ * Render the payment method options
+ * @param {HTMLElement} container - Payment options container
+ * @param {Array} providers - Available payment providers
+ * @param {string} selectedId - Selected provider ID
+ */
+function renderPaymentOptions(container, providers, selectedId) {
+  container.innerHTML = "";
+
+  providers.forEach((provider) => {
+    const option = document.createElement("label");
+    option.className = "checkout-payment-option";
+    option.innerHTML = `
+      <input type="radio" name="paymentMethod" value="${provider.id}" ${
+      provider.id === selectedId ? "checked" : ""
+    }>
+      <span class="checkout-payment-label">
+        <strong>${provider.label}</strong>
+        ${provider.description ? `<small>${provider.description}</small>` : ""}
+      </span>
+    `;
+    container.appendChild(option);
+  });
+}
+
+/**
+ * Render the fields of a payment provider
+ * @param {HTMLElement} container - Payment fields container
+ * @param {Object|null} provider - Selected payment provider
+ * @param {Object} values - Initial values by field name
+ */
+function renderPaymentFields(container, provider, values = {}) {
+  container.innerHTML = "";
+  container.dataset.provider = provider?.id || "";
+  container.hidden = !provider?.fields.length;
+  if (!provider) return;
+
+  provider.fields.forEach((field) => {
+    const group = document.createElement("div");
+    group.className = field.full
+      ? "checkout-field-group checkout-field-full"
+      : "checkout-field-group";
+
+    const label = document.createElement("label");
+    label.htmlFor = field.name;
+    label.innerHTML = field.required
+      ? `${field.label} <span class="required">*</span>`
+      : field.label;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.id = field.name;
+    input.name = field.name;
+    input.value = values[field.name] || "";
+    input.required = Boolean(field.required);
+    if (field.autocomplete) input.autocomplete = field.autocomplete;
+    if (field.inputmode) input.inputMode = field.inputmode;
+    if (field.placeholder) input.placeholder = field.placeholder;
+
+    group.append(label, input);
+    container.appendChild(group);
+  });
+}
+
+/**
+ * Build the tax rows for the summary (one row per tax line)
+ * @param {Object} cart - Cart data
+ * @returns {string} Tax rows HTML
  */
-function getCartData() {
-  const cartData = window.getDataLayerProperty
-    ? window.getDataLayerProperty("cart")
-    : null;
+function buildTaxRows(cart) {
+  if (!cart.taxAddress) {
+    return `
+    <div class="checkout-summary-row">
+      <span>Tax</span>
+      <span>---</span>
+    </div>`;
+  }
 
-  return cartData || { productCount: 0, products: {}, subTotal: 0, total: 0 };
+  const taxLines = cart.taxLines?.length
+    ? cart.taxLines
+    : [{ label: "Tax", amount: 0 }];
+  return taxLines
+    .map(
+      (line) => `
+    <div class="checkout-summary-row">
+      <span>${line.label}${line.rate ? ` (${line.rate}%)` : ""}</span>
+      <span>${formatPrice(line.amount)}</span>
+    </div>`
+    )
+    .join("");
 }
 
 /**
- * Format price as currency
- * @param {number} amount - Amount to format
- * @returns {string} Formatted price
+ * Render the list of cart lines that can no longer be fulfilled
+ * @param {HTMLElement} container - Stock warning element
+ * @param {Array} issues - Stock issues (see getStockIssues in scripts/inventory.js)
  */
-function formatPrice(amount) {
-  return `$${amount.toFixed(2)}`;
+function renderStockWarning(container, issues) {
+  container.innerHTML = "";
+  container.hidden = issues.length === 0;
+  if (!issues.length) return;
+
+  const message = document.createElement("p");
+  message.className = "checkout-stock-warning-title";
+  message.textContent =
+    "Some items in your cart are no longer available in the requested quantity:";
+
+  const list = document.createElement("ul");
+  list.className = "checkout-stock-warning-list";
+  issues.forEach((issue) => {
+    const item = document.createElement("li");
+    item.textContent =
+      issue.reason === "outOfStock"
+        ? `${issue.name}: out of stock`
+        : `${issue.name}: only ${issue.stock} available (${issue.quantity} in cart)`;
+    list.appendChild(item);
+  });
+
+  const cartLink = document.createElement("button");
+  cartLink.type = "button";
+  cartLink.className = "checkout-stock-warning-link";
+  cartLink.textContent = "Update your cart";
+  cartLink.addEventListener("click", () => {
+    navigateToPage("cart");
+  });
+
+  container.append(message, list, cartLink);
 }
 
 /**
@@ -160,6 +537,312 @@ function loadRegisteredUserData() {
   return null;
 }
 
+/**
+ * Form wizard that adds the checkout rules to the native constraint validation
+ * and can jump to any step (edit links, browser back/forward)
+ */
+class CheckoutWizard extends WizardLayout {
+  /**
+   * Validate a step and show its errors
+   * @param {HTMLElement} container - Step fieldset
+   * @returns {boolean} False when the step has invalid fields
+   */
+  validateContainer(container) {
+    const errors = getStepErrors(container.form, container);
+    container.querySelectorAll(this.inputFields).forEach((field) => {
+      field.setCustomValidity(errors[field.name] || "");
+    });
+    clearErrors(container);
+    displayErrors(errors, container);
+    const fieldsValid = super.validateContainer(container);
+    return fieldsValid && Object.keys(errors).length === 0;
+  }
+
+  /**
+   * Show a step without validating the current one
+   * Dispatches wizard:navigate like navigate().
+   * @param {HTMLElement} panel - Wizard panel
+   * @param {HTMLElement} step - Step fieldset to show
+   */
+  // eslint-disable-next-line class-methods-use-this
+  showStep(panel, step) {
+    const current = panel.querySelector(".current-wizard-step");
+    if (!step || step === current) return;
+
+    current.classList.remove("current-wizard-step");
+    step.classList.add("current-wizard-step");
+    panel
+      .querySelector(".wizard-menu-active-item")
+      ?.classList.remove("wizard-menu-active-item");
+    panel
+      .querySelector(`li[data-index="${step.dataset.index}"]`)
+      ?.classList.add("wizard-menu-active-item");
+    panel.dispatchEvent(
+      new CustomEvent("wizard:navigate", {
+        detail: {
+          prevStep: { id: current.id, index: +current.dataset.index },
+          currStep: { id: step.id, index: +step.dataset.index },
+        },
+        bubbles: false,
+      })
+    );
+  }
+}
+
+/**
+ * Build a checkout step
+ * @param {string} id - Step ID (see STEPS)
+ * @param {...HTMLElement} content - Step content
+ * @returns {HTMLFieldSetElement} Step fieldset
+ */
+function buildStep(id, ...content) {
+  const { title } = STEPS.find((step) => step.id === id);
+
+  const fieldset = document.createElement("fieldset");
+  fieldset.id = `checkout-step-${id}`;
+  fieldset.className = "panel-wrapper checkout-step";
+  fieldset.dataset.step = id;
+
+  // Focused when the step is shown so screen readers announce it
+  const legend = document.createElement("legend");
+  legend.className = "checkout-section-title";
+  legend.tabIndex = -1;
+  legend.textContent = title;
+
+  fieldset.append(legend, ...content);
+  return fieldset;
+}
+
+/**
+ * Update the address labels and hints for the selected country
+ * @param {HTMLFormElement} form - Checkout form
+ * @param {string} prefix - Field name prefix ("" for the shipping address)
+ */
+function applyAddressFormat(form, prefix = "") {
+  const field = (name) => form.elements[getFieldName(prefix, name)];
+  const format = getAddressFormat(field("country").value);
+  const required = '<span class="required">*</span>';
+  const region = field("region");
+  const postalCode = field("postalCode");
+
+  form.querySelector(`label[for="${region.id}"]`).innerHTML =
+    format.regionRequired
+      ? `${format.regionLabel} ${required}`
+      : format.regionLabel;
+  region.required = format.regionRequired;
+  form.querySelector(
+    `label[for="${postalCode.id}"]`
+  ).innerHTML = `${format.postalLabel} ${required}`;
+  postalCode.placeholder = format.postalExample;
+  if (field("phone")) field("phone").placeholder = format.phoneExample;
+}
+
+/**
+ * Convert checkout address values to the address book format
+ * @param {Object} values - { country, streetAddress, city, region, postalCode, phone }
+ * @returns {Object} Address { street1, city, region, postalCode, country, phone }
+ */
+function toSavedAddress(values) {
+  return {
+    street1: values.streetAddress || "",
+    city: values.city || "",
+    region: values.region || "",
+    postalCode: values.postalCode || "",
+    country: values.country || "",
+    phone: values.phone || "",
+  };
+}
+
+/**
+ * Convert an address book address to checkout address values
+ * @param {Object|null} address - Saved address
+ * @returns {Object} { country, streetAddress, city, region, postalCode, phone }
+ */
+function fromSavedAddress(address) {
+  return {
+    country: address?.country || "",
+    streetAddress: address?.street1 || "",
+    city: address?.city || "",
+    region: address?.region || "",
+    postalCode: address?.postalCode || "",
+    phone: address?.phone || "",
+  };
+}
+
+/**
+ * Build the billing address of the payment step
+ * Its fields are disabled, which also leaves them out of the native validation,
+ * while the billing address is the shipping address.
+ * @param {Object} formData - Prefilled checkout data
+ * @returns {HTMLElement} Billing section
+ */
+function buildBillingSection(formData) {
+  const address = formData.billingAddress;
+  const section = document.createElement("div");
+  section.className = "checkout-billing";
+
+  const sameLabel = document.createElement("label");
+  sameLabel.className = "checkout-billing-same";
+  sameLabel.innerHTML = `
+    <input type="checkbox" id="billingSameAsShipping" name="billingSameAsShipping" ${
+      formData.billingSameAsShipping ? "checked" : ""
+    }>
+    Billing address same as shipping
+  `;
+
+  const fields = document.createElement("fieldset");
+  fields.className = "checkout-billing-address";
+  fields.disabled = formData.billingSameAsShipping;
+  fields.hidden = formData.billingSameAsShipping;
+
+  const legend = document.createElement("legend");
+  legend.className = "checkout-billing-title";
+  legend.textContent = "Billing address";
+
+  const grid = document.createElement("div");
+  grid.className = "checkout-grid checkout-billing-fields";
+  grid.innerHTML = `
+    <div class="checkout-field-group checkout-field-full">
+      <label for="billingCountry">Country <span class="required">*</span></label>
+      <select id="billingCountry" name="billingCountry" autocomplete="billing country-name" required>
+        <option value="">Select country</option>
+        ${COUNTRIES.map(
+          (country) => `<option value="${country}">${country}</option>`
+        ).join("")}
+      </select>
+    </div>
+    <div class="checkout-field-group checkout-field-full">
+      <label for="billingStreetAddress">Street address <span class="required">*</span></label>
+      <input type="text" id="billingStreetAddress" name="billingStreetAddress" autocomplete="billing street-address" required>
+    </div>
+    <div class="checkout-field-group">
+      <label for="billingCity">City <span class="required">*</span></label>
+      <input type="text" id="billingCity" name="billingCity" autocomplete="billing address-level2" required>
+    </div>
+    <div class="checkout-field-group">
+      <label for="billingRegion">State / Province</label>
+      <input type="text" id="billingRegion" name="billingRegion" autocomplete="billing address-level1">
+    </div>
+    <div class="checkout-field-group">
+      <label for="billingPostalCode">Postal code</label>
+      <input type="text" id="billingPostalCode" name="billingPostalCode" autocomplete="billing postal-code" required>
+    </div>
+  `;
+
+  // Saved values are set as properties so quotes or tags cannot break the markup
+  const values = {
+    billingCountry: address.country,
+    billingStreetAddress: address.streetAddress,
+    billingCity: address.city,
+    billingRegion: address.region,
+    billingPostalCode: address.postalCode,
+  };
+  Object.entries(values).forEach(([fieldName, value]) => {
+    grid.querySelector(`[name="${fieldName}"]`).value = value || "";
+  });
+  const countrySelect = grid.querySelector("#billingCountry");
+  if (countrySelect.selectedIndex < 0) countrySelect.value = "";
+
+  fields.append(legend, grid);
+  section.append(sameLabel, fields);
+  return section;
+}
+
+/**
+ * Render the recap of the previous steps, each with a button back to its step
+ * @param {HTMLElement} container - Review container
+ * @param {HTMLFormElement} form - Checkout form
+ */
+function renderReview(container, form) {
+  const values = getFormValues(form);
+  const cart = getCart();
+  const provider = getPaymentProvider(values.paymentMethod);
+  const recap = {
+    contact: [`${values.firstName} ${values.lastName}`, values.email],
+    address: [
+      values.streetAddress,
+      [values.city, values.region, values.postalCode].filter(Boolean).join(", "),
+      values.country,
+      values.phone,
+    ],
+    shipping: [
+      cart.shippingMethod
+        ? `${cart.shippingMethod.label} (${formatShipping(cart)})`
+        : "",
+    ],
+    payment: provider
+      ? formatPayment({
+          method: provider.id,
+          label: provider.label,
+          details: provider.getDetails(getPaymentValues(form, provider)),
+        })
+      : [],
+  };
+  if (provider) {
+    const billing = values.billingSameAsShipping
+      ? "same as shipping"
+      : [
+          values.billingAddress.streetAddress,
+          values.billingAddress.city,
+          values.billingAddress.postalCode,
+          values.billingAddress.country,
+        ]
+          .filter(Boolean)
+          .join(", ");
+    recap.payment.push(`Billing address: ${billing}`);
+  }
+
+  container.innerHTML = "";
+  STEPS.filter(({ id }) => recap[id]).forEach(({ id, title }) => {
+    const section = document.createElement("section");
+    section.className = "checkout-review-section";
+
+    const heading = document.createElement("h3");
+    heading.className = "checkout-review-title";
+    heading.textContent = title;
+
+    const details = document.createElement("p");
+    details.className = "checkout-review-details";
+    recap[id].filter(Boolean).forEach((line, index) => {
+      if (index) details.appendChild(document.createElement("br"));
+      details.append(line);
+    });
+
+    const editBtn = document.createElement("button");
+    editBtn.type = "button";
+    editBtn.className = "checkout-review-edit";
+    editBtn.dataset.step = id;
+    editBtn.setAttribute("aria-label", `Edit ${title.toLowerCase()}`);
+    editBtn.textContent = "Edit";
+
+    section.append(heading, details, editBtn);
+    container.appendChild(section);
+  });
+}
+
+/**
+ * Read the step requested in the current URL
+ * @returns {string} Step ID ("" when the URL has none)
+ */
+function getStepFromUrl() {
+  return new URLSearchParams(window.location.search).get(STEP_PARAM) || "";
+}
+
+/**
+ * Record a step in the URL
+ * @param {string} id - Step ID
+ * @param {boolean} replace - Replace the current history entry instead of adding one
+ */
+function setStepInUrl(id, replace = false) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(STEP_PARAM, id);
+  if (replace) {
+    window.history.replaceState(window.history.state, "", url.toString());
+  } else {
+    window.history.pushState(window.history.state, "", url.toString());
+  }
+}
+
 /**
  * Build checkout form
  * @returns {HTMLElement} Checkout form
@@ -168,51 +851,77 @@ function buildCheckoutForm() {
   const savedData = loadFormData();
   const registeredUser = loadRegisteredUserData();
 
+  // Signed-in users start from the default addresses of their address book
+  const savedShipping = getDefaultAddress("shipping");
+  const savedBilling = getDefaultAddress("billing");
+  const defaultShipping = fromSavedAddress(savedShipping);
+
   // Merge registered user data with saved checkout data
-  // Priority: savedData > registeredUser (if user has edited checkout form before)
+  // Priority: savedData (if user has edited checkout form before) > address book > registeredUser
   const formData = {
     firstName: savedData?.firstName || registeredUser?.firstName || "",
     lastName: savedData?.lastName || registeredUser?.lastName || "",
     email: savedData?.email || registeredUser?.email || "",
     phone:
       savedData?.phone ||
+      defaultShipping.phone ||
       registeredUser?.phone ||
       registeredUser?.phoneNumber ||
       "",
     streetAddress:
       savedData?.streetAddress ||
+      defaultShipping.streetAddress ||
       registeredUser?.streetAddress ||
       registeredUser?.address ||
       "",
-    city: savedData?.city || registeredUser?.city || "",
+    city: savedData?.city || defaultShipping.city || registeredUser?.city || "",
+    region:
+      savedData?.region ||
+      defaultShipping.region ||
+      registeredUser?.region ||
+      registeredUser?.state ||
+      "",
     postalCode:
       savedData?.postalCode ||
+      defaultShipping.postalCode ||
       registeredUser?.postalCode ||
       registeredUser?.zip ||
       "",
-    country: savedData?.country || registeredUser?.country || "",
+    country:
+      savedData?.country ||
+      defaultShipping.country ||
+      registeredUser?.country ||
+      "",
+    shippingMethod: savedData?.shippingMethod || "",
+    paymentMethod: savedData?.paymentMethod || savedData?.payment?.method || "",
+    billingSameAsShipping: savedData
+      ? savedData.billingSameAsShipping !== false
+      : !savedBilling || savedBilling.id === savedShipping.id,
+    billingAddress: savedData?.billingAddress?.streetAddress
+      ? { ...fromSavedAddress(null), ...savedData.billingAddress }
+      : fromSavedAddress(savedBilling),
   };
 
   const form = document.createElement("form");
   form.className = "checkout-form";
+  form.noValidate = true;
 
-  // Personal Information Section
-  const personalSection = document.createElement("div");
-  personalSection.className = "checkout-section";
+  // Lines that became unavailable since they were added to the cart
+  const stockWarning = document.createElement("div");
+  stockWarning.className = "checkout-stock-warning";
+  stockWarning.setAttribute("role", "alert");
+  stockWarning.hidden = true;
 
-  const personalTitle = document.createElement("h2");
-  personalTitle.className = "checkout-section-title";
-  personalTitle.textContent = "Personal information";
-
-  const personalGrid = document.createElement("div");
-  personalGrid.className = "checkout-grid";
+  // Contact step
+  const contactGrid = document.createElement("div");
+  contactGrid.className = "checkout-grid";
 
   // First Name
   const firstNameGroup = document.createElement("div");
   firstNameGroup.className = "checkout-field-group";
   firstNameGroup.innerHTML = `
     <label for="firstName">First name <span class="required">*</span></label>
-    <input type="text" id="firstName" name="firstName" value="${formData.firstName}" required>
+    <input type="text" id="firstName" name="firstName" value="${formData.firstName}" autocomplete="given-name" required>
   `;
 
   // Last Name
@@ -220,89 +929,130 @@ function buildCheckoutForm() {
   lastNameGroup.className = "checkout-field-group";
   lastNameGroup.innerHTML = `
     <label for="lastName">Last name <span class="required">*</span></label>
-    <input type="text" id="lastName" name="lastName" value="${formData.lastName}" required>
+    <input type="text" id="lastName" name="lastName" value="${formData.lastName}" autocomplete="family-name" required>
   `;
 
   // Email
   const emailGroup = document.createElement("div");
-  emailGroup.className = "checkout-field-group";
+  emailGroup.className = "checkout-field-group checkout-field-full";
   emailGroup.innerHTML = `
     <label for="email">Email <span class="required">*</span></label>
-    <input type="email" id="email" name="email" value="${formData.email}" required>
+    <input type="email" id="email" name="email" value="${formData.email}" autocomplete="email" required>
   `;
 
-  // Phone
-  const phoneGroup = document.createElement("div");
-  phoneGroup.className = "checkout-field-group";
-  phoneGroup.innerHTML = `
-    <label for="phone">Phone number</label>
-    <input type="tel" id="phone" name="phone" value="${formData.phone}">
+  contactGrid.append(firstNameGroup, lastNameGroup, emailGroup);
+
+  // Shipping address step
+  const addressGrid = document.createElement("div");
+  addressGrid.className = "checkout-grid";
+
+  // Country (first, as it sets the address labels and formats)
+  const countryGroup = document.createElement("div");
+  countryGroup.className = "checkout-field-group checkout-field-full";
+  countryGroup.innerHTML = `
+    <label for="country">Country <span class="required">*</span></label>
+    <select id="country" name="country" autocomplete="country-name" required>
+      <option value="">Select country</option>
+      ${COUNTRIES.map(
+        (country) =>
+          `<option value="${country}" ${
+            formData.country === country ? "selected" : ""
+          }>${country}</option>`
+      ).join("")}
+    </select>
   `;
 
   // Street Address
   const streetGroup = document.createElement("div");
   streetGroup.className = "checkout-field-group checkout-field-full";
   streetGroup.innerHTML = `
-    <label for="streetAddress">Street address</label>
-    <input type="text" id="streetAddress" name="streetAddress" value="${formData.streetAddress}">
+    <label for="streetAddress">Street address <span class="required">*</span></label>
+    <input type="text" id="streetAddress" name="streetAddress" value="${formData.streetAddress}" autocomplete="street-address" required>
   `;
 
   // City
   const cityGroup = document.createElement("div");
   cityGroup.className = "checkout-field-group";
   cityGroup.innerHTML = `
-    <label for="city">City</label>
-    <input type="text" id="city" name="city" value="${formData.city}">
+    <label for="city">City <span class="required">*</span></label>
+    <input type="text" id="city" name="city" value="${formData.city}" autocomplete="address-level2" required>
+  `;
+
+  // State / Province (used for tax; label set by applyAddressFormat)
+  const regionGroup = document.createElement("div");
+  regionGroup.className = "checkout-field-group";
+  regionGroup.innerHTML = `
+    <label for="region">State / Province</label>
+    <input type="text" id="region" name="region" value="${formData.region}" autocomplete="address-level1">
   `;
 
-  // Postal Code
+  // Postal Code (label set by applyAddressFormat)
   const postalGroup = document.createElement("div");
   postalGroup.className = "checkout-field-group";
   postalGroup.innerHTML = `
     <label for="postalCode">Postal code</label>
-    <input type="text" id="postalCode" name="postalCode" value="${formData.postalCode}">
+    <input type="text" id="postalCode" name="postalCode" value="${formData.postalCode}" autocomplete="postal-code" required>
   `;
 
-  // Country
-  const countryGroup = document.createElement("div");
-  countryGroup.className = "checkout-field-group";
-  countryGroup.innerHTML = `
-    <label for="country">Country</label>
-    <select id="country" name="country">
-      <option value="">Select country</option>
-      <option value="United States" ${
-        formData.country === "United States" ? "selected" : ""
-      }>United States</option>
-      <option value="Canada" ${
-        formData.country === "Canada" ? "selected" : ""
-      }>Canada</option>
-      <option value="United Kingdom" ${
-        formData.country === "United Kingdom" ? "selected" : ""
-      }>United Kingdom</option>
-      <option value="Australia" ${
-        formData.country === "Australia" ? "selected" : ""
-      }>Australia</option>
-      <option value="India" ${
-        formData.country === "India" ? "selected" : ""
-      }>India</option>
-      <option value="Other" ${
-        formData.country === "Other" ? "selected" : ""
-      }>Other</option>
-    </select>
+  // Phone
+  const phoneGroup = document.createElement("div");
+  phoneGroup.className = "checkout-field-group";
+  phoneGroup.innerHTML = `
+    <label for="phone">Phone number</label>
+    <input type="tel" id="phone" name="phone" value="${formData.phone}" autocomplete="tel">
   `;
 
-  personalGrid.append(
-    firstNameGroup,
-    lastNameGroup,
-    emailGroup,
-    phoneGroup,
+  addressGrid.append(
+    countryGroup,
     streetGroup,
     cityGroup,
+    regionGroup,
     postalGroup,
-    countryGroup
+    phoneGroup
+  );
+
+  // Shipping method step
+  const shippingOptions = document.createElement("div");
+  shippingOptions.className = "checkout-shipping-options";
+  shippingOptions.setAttribute("role", "radiogroup");
+  shippingOptions.setAttribute("aria-label", "Shipping method");
+
+  // Payment step
+  const paymentOptions = document.createElement("div");
+  paymentOptions.className = "checkout-payment-options";
+  paymentOptions.setAttribute("role", "radiogroup");
+  paymentOptions.setAttribute("aria-label", "Payment method");
+
+  const paymentFields = document.createElement("div");
+  paymentFields.className = "checkout-grid checkout-payment-fields";
+
+  const billingSection = buildBillingSection(formData);
+  const billingFieldset = billingSection.querySelector(
+    ".checkout-billing-address"
+  );
+  const billingFields = billingSection.querySelector(
+    ".checkout-billing-fields"
   );
 
-  personalSection.append(personalTitle, personalGrid);
+  // Review step
+  const review = document.createElement("div");
+  review.className = "checkout-review";
+
+  // Declined or failed payment authorizations
+  const paymentStatus = document.createElement("p");
+  paymentStatus.className = "checkout-payment-status";
+  paymentStatus.setAttribute("role", "alert");
+  paymentStatus.hidden = true;
+
+  const stepsPanel = document.createElement("div");
+  stepsPanel.className = "checkout-section checkout-steps";
+  stepsPanel.append(
+    buildStep("contact", contactGrid),
+    buildStep("address", addressGrid),
+    buildStep("shipping", shippingOptions),
+    buildStep("payment", paymentOptions, paymentFields, billingSection),
+    buildStep("review", review, paymentStatus)
+  );
 
   // Summary Section
   const summarySection = document.createElement("div");
@@ -312,7 +1062,7 @@ function buildCheckoutForm() {
   summaryTitle.className = "checkout-section-title";
   summaryTitle.textContent = "Summary";
 
-  const cart = getCartData();
+  const cart = getCart();
   const products = Object.values(cart.products || {});
 
   // Cart Items Preview (if any)
@@ -349,6 +1099,14 @@ function buildCheckoutForm() {
       itemName.className = "checkout-item-name";
       itemName.textContent = product.name || "";
 
+      const itemOptions = document.createElement("div");
+      itemOptions.className = "checkout-item-options";
+      itemOptions.textContent = formatLineOptions(product).join(" · ");
+
+      const itemNotes = document.createElement("div");
+      itemNotes.className = "checkout-item-notes";
+      itemNotes.textContent = formatLineNotes(product).join(" · ");
+
       const itemMeta = document.createElement("div");
       itemMeta.className = "checkout-item-meta";
       itemMeta.innerHTML = `
@@ -358,7 +1116,7 @@ function buildCheckoutForm() {
         )}</span>
       `;
 
-      itemDetails.append(itemName, itemMeta);
+      itemDetails.append(itemName, itemOptions, itemNotes, itemMeta);
       item.append(itemImage, itemDetails);
       itemsList.appendChild(item);
     });
@@ -377,12 +1135,12 @@ function buildCheckoutForm() {
     </div>
     <div class="checkout-summary-row">
       <span>Shipping</span>
-      <span>---</span>
+      <span>${formatShipping(cart)}</span>
     </div>
     <div class="checkout-summary-row">
       <span>Discount</span>
-      <span>----</span>
-    </div>
+      <span>${formatDiscount(cart.discount)}</span>
+    </div>${buildTaxRows(cart)}
     <div class="checkout-summary-row checkout-summary-total">
       <span>Total</span>
       <span>${formatPrice(cart.total || 0)}</span>
@@ -391,15 +1149,30 @@ function buildCheckoutForm() {
 
   summarySection.append(summaryTitle, summaryContent);
 
-  // Buttons
-  const buttonGroup = document.createElement("div");
-  buttonGroup.className = "checkout-buttons";
-
-  const backBtn = document.createElement("button");
-  backBtn.type = "button";
-  backBtn.className = "checkout-btn checkout-btn-back";
-  backBtn.textContent = "BACK";
-  backBtn.addEventListener("click", () => {
+  form.append(stockWarning, stepsPanel, summarySection);
+
+  // One step at a time; a step is validated before moving past it
+  const wizard = new CheckoutWizard();
+  wizard.applyLayout(stepsPanel);
+  const steps = wizard.getSteps(stepsPanel);
+  const getStep = (id) => steps.find((step) => step.dataset.step === id);
+
+  // Wizard Back / Next, plus back to the cart on the first step and submit on the last
+  const buttonWrapper = stepsPanel.querySelector(".wizard-button-wrapper");
+  const prevWrapper = buttonWrapper.querySelector(".wizard-button-prev");
+  const nextWrapper = buttonWrapper.querySelector(".wizard-button-next");
+  prevWrapper
+    .querySelector("button")
+    .classList.add("checkout-btn", "checkout-btn-back");
+  nextWrapper
+    .querySelector("button")
+    .classList.add("checkout-btn", "checkout-btn-continue");
+
+  const cartBtn = document.createElement("button");
+  cartBtn.type = "button";
+  cartBtn.className = "checkout-btn checkout-btn-back";
+  cartBtn.textContent = "BACK TO CART";
+  cartBtn.addEventListener("click", () => {
     navigateToPage("cart");
   });
 
@@ -408,9 +1181,101 @@ function buildCheckoutForm() {
   continueBtn.className = "checkout-btn checkout-btn-continue";
   continueBtn.textContent = "CONTINUE";
 
-  buttonGroup.append(backBtn, continueBtn);
+  buttonWrapper.prepend(cartBtn);
+  buttonWrapper.append(continueBtn);
+
+  function updateStepControls() {
+    const current = stepsPanel.querySelector(".current-wizard-step");
+    const index = steps.indexOf(current);
+    const isLast = index === steps.length - 1;
+    cartBtn.hidden = index !== 0;
+    prevWrapper.hidden = index === 0;
+    nextWrapper.hidden = isLast;
+    continueBtn.hidden = !isLast;
+  }
+
+  // Steps are only reachable once the steps before them are valid
+  function getReachableStep(id) {
+    const target = getStep(id) || steps[0];
+    const invalidStep = steps
+      .slice(0, steps.indexOf(target))
+      .find((step) => Object.keys(getStepErrors(form, step)).length);
+    return invalidStep || target;
+  }
 
-  form.append(personalSection, summarySection, buttonGroup);
+  // Every step change adds a history entry (?step=...), except when it comes from history
+  let restoringStep = false;
+
+  function restoreStep(id) {
+    const step = getReachableStep(id);
+    restoringStep = true;
+    wizard.showStep(stepsPanel, step);
+    restoringStep = false;
+    if (id && step.dataset.step !== id) {
+      setStepInUrl(step.dataset.step, true);
+    }
+  }
+
+  stepsPanel.addEventListener("wizard:navigate", (event) => {
+    const step = steps.find(({ id }) => id === event.detail.currStep.id);
+    updateStepControls();
+    if (step.dataset.step === "review") {
+      renderReview(review, form);
+      paymentStatus.hidden = true;
+    }
+    if (!restoringStep) {
+      setStepInUrl(step.dataset.step);
+    }
+    step.querySelector("legend").focus();
+  });
+
+  window.addEventListener("popstate", () => {
+    restoreStep(getStepFromUrl());
+  });
+
+  // Edit buttons of the review step go back to their step
+  review.addEventListener("click", (event) => {
+    const editBtn = event.target.closest(".checkout-review-edit");
+    if (editBtn) {
+      wizard.showStep(stepsPanel, getStep(editBtn.dataset.step));
+    }
+  });
+
+  updateStepControls();
+
+  // Address labels and formats follow the selected country
+  applyAddressFormat(form);
+  form.country.addEventListener("change", () => {
+    applyAddressFormat(form);
+  });
+  applyAddressFormat(form, BILLING_PREFIX);
+  form.billingCountry.addEventListener("change", () => {
+    applyAddressFormat(form, BILLING_PREFIX);
+  });
+
+  // Street suggestions, postal code lookup, normalization and "did you mean"
+  [
+    ["", addressGrid],
+    [BILLING_PREFIX, billingFields],
+  ].forEach(([prefix, fields]) => {
+    const autocomplete = createAddressAutocomplete(
+      Object.fromEntries(
+        ADDRESS_FIELDS.filter((name) => name !== "phone").map((name) => [
+          name,
+          form.elements[getFieldName(prefix, name)],
+        ])
+      )
+    );
+    fields.appendChild(autocomplete.element);
+  });
+
+  // A separate billing address is only entered (and validated) when asked for
+  form.billingSameAsShipping.addEventListener("change", () => {
+    const same = form.billingSameAsShipping.checked;
+    billingFieldset.disabled = same;
+    billingFieldset.hidden = same;
+    clearErrors(billingFieldset);
+  });
 
   // Auto-save form data as user types (debounced)
   let autoSaveTimeout;
@@ -419,16 +1284,7 @@ function buildCheckoutForm() {
   function autoSaveFormData() {
     clearTimeout(autoSaveTimeout);
     autoSaveTimeout = setTimeout(() => {
-      const formData = {
-        firstName: form.firstName.value.trim(),
-        lastName: form.lastName.value.trim(),
-        email: form.email.value.trim(),
-        phone: form.phone.value.trim(),
-        streetAddress: form.streetAddress.value.trim(),
-        city: form.city.value.trim(),
-        postalCode: form.postalCode.value.trim(),
-        country: form.country.value,
-      };
+      const formData = getFormValues(form);
 
       // Only save if at least one field has content
       const hasContent = Object.values(formData).some((value) => value);
@@ -444,35 +1300,190 @@ function buildCheckoutForm() {
     input.addEventListener("change", autoSaveFormData);
   });
 
+  // Recalculate tax when the shipping destination changes
+  function updateTaxAddress() {
+    setTaxAddress({
+      country: form.country.value,
+      region: form.region.value.trim(),
+      postalCode: form.postalCode.value.trim(),
+    });
+  }
+
+  [form.country, form.region, form.postalCode].forEach((input) => {
+    input.addEventListener("change", updateTaxAddress);
+  });
+
+  // Calculate tax for the prefilled address
+  updateTaxAddress();
+
+  // Shipping methods depend on the destination country
+  let availableMethods = [];
+
+  async function loadShippingOptions() {
+    availableMethods = await getAvailableShippingMethods(form.country.value);
+    const preferredId =
+      getSelectedShippingMethodId(form) ||
+      formData.shippingMethod ||
+      getCart().shippingMethod?.id;
+    const selected =
+      availableMethods.find((method) => method.id === preferredId) ||
+      availableMethods[0] ||
+      null;
+
+    renderShippingOptions(shippingOptions, availableMethods, selected?.id);
+    await setShippingMethod(selected);
+  }
+
+  shippingOptions.addEventListener("change", (e) => {
+    const method = availableMethods.find((m) => m.id === e.target.value);
+    setShippingMethod(method).then(autoSaveFormData);
+  });
+
+  // Payment methods depend on the cart (e.g. pay on delivery up to a total);
+  // fields are prefilled with the saved details of the method (never card data)
+  function updatePaymentOptions() {
+    const providers = getAvailablePaymentProviders(getCart());
+    const preferredId =
+      getSelectedPaymentMethodId(form) || formData.paymentMethod;
+    const selected =
+      providers.find((provider) => provider.id === preferredId) ||
+      providers[0] ||
+      null;
+
+    renderPaymentOptions(paymentOptions, providers, selected?.id);
+    if ((selected?.id || "") !== paymentFields.dataset.provider) {
+      const savedDetails =
+        savedData?.payment?.method === selected?.id
+          ? savedData.payment.details
+          : {};
+      renderPaymentFields(paymentFields, selected, savedDetails);
+    }
+  }
+
+  paymentOptions.addEventListener("change", () => {
+    updatePaymentOptions();
+    autoSaveFormData();
+  });
+
+  updatePaymentOptions();
+
+  // Refresh option prices when the cart changes (e.g. free-over thresholds)
+  document.addEventListener("cartUpdated", (event) => {
+    updatePaymentOptions();
+    if (event.detail.action === "setShippingMethod") return;
+    renderShippingOptions(
+      shippingOptions,
+      availableMethods,
+      getSelectedShippingMethodId(form)
+    );
+  });
+
+  form.country.addEventListener("change", loadShippingOptions);
+
+  // Signed-in users pick, add and edit the addresses of their address book;
+  // the picked address is copied into the address fields
+  function setupSavedAddresses(type, fields, prefix, onChange) {
+    const picker = createSavedAddresses(type, {
+      getAddress: () => toSavedAddress(getAddressValues(form, prefix)),
+      setAddress: (address) => {
+        const country = form.elements[getFieldName(prefix, "country")];
+        const previousCountry = country.value;
+        Object.entries(fromSavedAddress(address)).forEach(([name, value]) => {
+          const field = form.elements[getFieldName(prefix, name)];
+          if (field) field.value = value;
+        });
+        applyAddressFormat(form, prefix);
+        clearErrors(fields);
+        onChange(previousCountry);
+        autoSaveFormData();
+      },
+      validate: () => {
+        const errors = validateAddress(getAddressValues(form, prefix), prefix);
+        clearErrors(fields);
+        displayErrors(errors, fields);
+        return Object.keys(errors).length === 0;
+      },
+      showFields: (visible, focus) => {
+        fields.hidden = !visible;
+        if (visible && focus) fields.querySelector("input, select").focus();
+      },
+    });
+    fields.before(picker.element);
+    fields.after(picker.actions);
+    picker.init();
+  }
+
+  if (isAddressBookAvailable()) {
+    setupSavedAddresses("shipping", addressGrid, "", (previousCountry) => {
+      updateTaxAddress();
+      if (form.country.value !== previousCountry) loadShippingOptions();
+    });
+    setupSavedAddresses("billing", billingFields, BILLING_PREFIX, () => {});
+  }
+
+  // Open the step from the URL (reload, return from the order summary) once the
+  // shipping method is known, as it is part of the validation of earlier steps
+  loadShippingOptions().then(() => {
+    restoreStep(getStepFromUrl());
+  });
+
+  // Re-validate cart lines against the latest stock levels
+  refreshStock().then(({ issues }) => {
+    renderStockWarning(stockWarning, issues);
+  });
+
   // Form submit handler
-  form.addEventListener("submit", (e) => {
+  form.addEventListener("submit", async (e) => {
     e.preventDefault();
+    if (continueBtn.disabled) return;
 
-    const formData = {
-      firstName: form.firstName.value.trim(),
-      lastName: form.lastName.value.trim(),
-      email: form.email.value.trim(),
-      phone: form.phone.value.trim(),
-      streetAddress: form.streetAddress.value.trim(),
-      city: form.city.value.trim(),
-      postalCode: form.postalCode.value.trim(),
-      country: form.country.value,
-    };
-
-    const validation = validateForm(formData);
-
-    if (validation.isValid) {
-      saveFormData(formData);
-      clearErrors(form);
-      navigateToPage("order-summary");
-    } else {
-      displayErrors(validation.errors, form);
-      // Scroll to first error
-      const firstError = form.querySelector(".checkout-field-error");
-      if (firstError) {
-        firstError.scrollIntoView({ behavior: "smooth", block: "center" });
-      }
+    // Enter in a field of an earlier step moves to the next step
+    const current = stepsPanel.querySelector(".current-wizard-step");
+    if (current !== steps[steps.length - 1]) {
+      wizard.navigate(stepsPanel, true);
+      return;
+    }
+
+    // Unavailable lines must be fixed in the cart before continuing
+    const stockIssues = getStockIssues(getCart());
+    renderStockWarning(stockWarning, stockIssues);
+    if (stockIssues.length) {
+      stockWarning.scrollIntoView({ behavior: "smooth", block: "center" });
+      return;
+    }
+
+    // Completed steps may have been edited since: go back to the first invalid one
+    const invalidStep = steps.find((step) => !wizard.validateContainer(step));
+    if (invalidStep) {
+      wizard.showStep(stepsPanel, invalidStep);
+      return;
     }
+
+    // The order summary can only be confirmed with an authorized payment
+    const provider = getPaymentProvider(getSelectedPaymentMethodId(form));
+    paymentStatus.hidden = true;
+    continueBtn.disabled = true;
+    continueBtn.textContent = "AUTHORIZING…";
+
+    const payment = await authorizePayment(
+      provider.id,
+      getPaymentValues(form, provider),
+      getCart()
+    );
+
+    continueBtn.disabled = false;
+    continueBtn.textContent = "CONTINUE";
+    if (payment.authorization.status !== "authorized") {
+      paymentStatus.textContent =
+        payment.authorization.message ||
+        "Your payment was not authorized. Please check your payment details or choose another payment method.";
+      paymentStatus.hidden = false;
+      return;
+    }
+
+    clearTimeout(autoSaveTimeout);
+    saveFormData({ ...getFormValues(form), payment });
+    navigateToPage("order-summary");
   });
 
   return form;
@@ -483,7 +1494,7 @@ function buildCheckoutForm() {
  * @param {HTMLElement} summarySection - Summary section element
  */
 function updateSummary(summarySection) {
-  const cart = getCartData();
+  const cart = getCart();
   const products = Object.values(cart.products || {});
 
   // Clear existing content (except title)
@@ -527,6 +1538,14 @@ function updateSummary(summarySection) {
       itemName.className = "checkout-item-name";
       itemName.textContent = product.name || "";
 
+      const itemOptions = document.createElement("div");
+      itemOptions.className = "checkout-item-options";
+      itemOptions.textContent = formatLineOptions(product).join(" · ");
+
+      const itemNotes = document.createElement("div");
+      itemNotes.className = "checkout-item-notes";
+      itemNotes.textContent = formatLineNotes(product).join(" · ");
+
       const itemMeta = document.createElement("div");
       itemMeta.className = "checkout-item-meta";
       itemMeta.innerHTML = `
@@ -536,7 +1555,7 @@ function updateSummary(summarySection) {
         )}</span>
       `;
 
-      itemDetails.append(itemName, itemMeta);
+      itemDetails.append(itemName, itemOptions, itemNotes, itemMeta);
       item.append(itemImage, itemDetails);
       itemsList.appendChild(item);
     });
@@ -555,12 +1574,12 @@ function updateSummary(summarySection) {
     </div>
     <div class="checkout-summary-row">
       <span>Shipping</span>
-      <span>---</span>
+      <span>${formatShipping(cart)}</span>
     </div>
     <div class="checkout-summary-row">
       <span>Discount</span>
-      <span>----</span>
-    </div>
+      <span>${formatDiscount(cart.discount)}</span>
+    </div>${buildTaxRows(cart)}
     <div class="checkout-summary-row checkout-summary-total">
       <span>Total</span>
       <span>${formatPrice(cart.total || 0)}</span>
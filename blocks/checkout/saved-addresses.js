@@ -0,0 +1,258 @@
+// ==========================================
+// Saved addresses
+// Address book picker of the checkout for signed-in users. Picking a saved
+// address copies it into the address fields of the step, which stay the
+// source of truth for validation, tax and shipping. Addresses are added,
+// edited, removed and made default in place (see scripts/address-book.js).
+// ==========================================
+
+import {
+  ADDRESS_BOOK_EVENT,
+  formatAddress,
+  getAddress,
+  getAddresses,
+  getDefaultAddressId,
+  isSameAddress,
+  removeAddress,
+  saveAddress,
+  setDefaultAddress,
+} from "../../scripts/address-book.js";
+
+// Radio value of the "new address" option
+const NEW_ADDRESS = "new";
+
+/**
+ * Build a button of a saved address
+ * @param {string} action - Action name (edit, remove, default)
+ * @param {string} id - Address ID
+ * @param {string} label - Accessible label
+ * @param {string} text - Visible text
+ * @returns {HTMLButtonElement} Button
+ */
+function buildAddressButton(action, id, label, text) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = `checkout-saved-address-${action}`;
+  btn.dataset.action = action;
+  btn.dataset.id = id;
+  btn.setAttribute("aria-label", label);
+  btn.textContent = text;
+  return btn;
+}
+
+/**
+ * Build a saved address option
+ * @param {string} name - Radio group name
+ * @param {Object} address - Saved address
+ * @param {boolean} isDefault - Whether it is the default address of the picker type
+ * @param {string} type - "shipping" or "billing"
+ * @returns {HTMLElement} Option element
+ */
+function buildAddressOption(name, address, isDefault, type) {
+  const option = document.createElement("div");
+  option.className = "checkout-saved-address";
+
+  const label = document.createElement("label");
+  label.className = "checkout-saved-address-option";
+
+  const radio = document.createElement("input");
+  radio.type = "radio";
+  radio.name = name;
+  radio.value = address.id;
+
+  const text = document.createElement("span");
+  text.className = "checkout-saved-address-text";
+  formatAddress(address).forEach((line, index) => {
+    if (index) text.appendChild(document.createElement("br"));
+    text.append(line);
+  });
+  label.append(radio, text);
+
+  if (isDefault) {
+    const badge = document.createElement("span");
+    badge.className = "checkout-saved-address-badge";
+    badge.textContent = `Default ${type}`;
+    label.appendChild(badge);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "checkout-saved-address-actions";
+  actions.append(
+    buildAddressButton("edit", address.id, `Edit ${address.street1}`, "Edit"),
+    buildAddressButton(
+      "remove",
+      address.id,
+      `Delete ${address.street1}`,
+      "Delete"
+    )
+  );
+  if (!isDefault) {
+    actions.appendChild(
+      buildAddressButton(
+        "default",
+        address.id,
+        `Use ${address.street1} as default ${type} address`,
+        "Set as default"
+      )
+    );
+  }
+
+  option.append(label, actions);
+  return option;
+}
+
+/**
+ * Create the saved address picker of an address step
+ * @param {string} type - "shipping" or "billing"
+ * @param {Object} handlers - Access to the address fields of the step:
+ *   getAddress() -> address in address book format,
+ *   setAddress(address) fills the fields,
+ *   validate() -> true when the fields are valid (and shows their errors),
+ *   showFields(visible, focus) shows or hides the fields
+ * @returns {Object} { element, actions, init } - picker and Save / Cancel buttons,
+ *   to insert before and after the fields; init() selects the address of the fields
+ */
+export function createSavedAddresses(type, handlers) {
+  const name = `${type}AddressId`;
+  let selectedId = NEW_ADDRESS;
+  // ID of the saved address being edited, NEW_ADDRESS for a new one, null otherwise
+  let editingId = null;
+
+  const element = document.createElement("div");
+  element.className = "checkout-saved-addresses";
+  element.setAttribute("role", "radiogroup");
+  element.setAttribute("aria-label", `Saved ${type} addresses`);
+
+  const actions = document.createElement("div");
+  actions.className = "checkout-address-actions";
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "checkout-address-save";
+  saveBtn.textContent = "SAVE ADDRESS";
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.className = "checkout-address-cancel";
+  cancelBtn.textContent = "Cancel";
+  actions.append(saveBtn, cancelBtn);
+
+  function getRadio(id) {
+    return element.querySelector(`input[name="${name}"][value="${id}"]`);
+  }
+
+  // Fields are shown for new addresses and while a saved address is edited
+  function setEditing(id, focus = false) {
+    editingId = id;
+    actions.hidden = id === null;
+    cancelBtn.hidden = getAddresses().length === 0;
+    saveBtn.textContent = id === NEW_ADDRESS ? "SAVE ADDRESS" : "UPDATE ADDRESS";
+    handlers.showFields(id !== null, focus);
+  }
+
+  function edit(id, focus = false) {
+    selectedId = id;
+    getRadio(id).checked = true;
+    const address = getAddress(id);
+    handlers.setAddress(address || { country: handlers.getAddress().country });
+    setEditing(id, focus);
+  }
+
+  function select(id) {
+    const address = getAddress(id);
+    if (!address) {
+      edit(NEW_ADDRESS);
+      return;
+    }
+    selectedId = id;
+    getRadio(id).checked = true;
+    handlers.setAddress(address);
+
+    // Saved addresses that no longer pass validation are opened for editing
+    setEditing(handlers.validate() ? null : id);
+  }
+
+  function render() {
+    const addresses = getAddresses();
+    const defaultId = getDefaultAddressId(type);
+    // Recorded before the reset: the selected address was removed (in either picker)
+    const selectionRemoved =
+      selectedId !== NEW_ADDRESS && !getAddress(selectedId);
+    if (!getAddress(selectedId)) selectedId = NEW_ADDRESS;
+
+    element.innerHTML = "";
+    element.hidden = addresses.length === 0;
+    addresses.forEach((address) => {
+      element.appendChild(
+        buildAddressOption(name, address, address.id === defaultId, type)
+      );
+    });
+
+    const newOption = document.createElement("label");
+    newOption.className =
+      "checkout-saved-address-option checkout-saved-address-new";
+    newOption.innerHTML = `<input type="radio" name="${name}" value="${NEW_ADDRESS}"> Use a new address`;
+    element.appendChild(newOption);
+
+    getRadio(selectedId).checked = true;
+    if (selectionRemoved) select(getDefaultAddressId(type));
+  }
+
+  saveBtn.addEventListener("click", () => {
+    if (!handlers.validate()) return;
+    const saved = saveAddress({
+      ...handlers.getAddress(),
+      id: editingId === NEW_ADDRESS ? undefined : editingId,
+    });
+    selectedId = saved.id;
+    render();
+    setEditing(null);
+    getRadio(saved.id).focus();
+  });
+
+  cancelBtn.addEventListener("click", () => {
+    const id = getAddress(selectedId) ? selectedId : getDefaultAddressId(type);
+    select(id);
+    getRadio(id)?.focus();
+  });
+
+  element.addEventListener("change", (event) => {
+    if (event.target.name === name) select(event.target.value);
+  });
+
+  element.addEventListener("click", (event) => {
+    const btn = event.target.closest("button[data-action]");
+    if (!btn) return;
+
+    const { action, id } = btn.dataset;
+    if (action === "edit") edit(id, true);
+    if (action === "default") setDefaultAddress(id, type);
+    if (action === "remove") {
+      // render() moves a removed selection to the default address
+      removeAddress(id);
+      element.querySelector("input")?.focus();
+    }
+  });
+
+  // Both pickers (shipping and billing) list the same addresses
+  document.addEventListener(ADDRESS_BOOK_EVENT, render);
+
+  function init() {
+    const current = handlers.getAddress();
+    const match = getAddresses().find((address) =>
+      isSameAddress(address, current)
+    );
+    if (match) {
+      selectedId = match.id;
+      render();
+      setEditing(null);
+    } else if (current.street1 || getAddresses().length === 0) {
+      selectedId = NEW_ADDRESS;
+      render();
+      setEditing(NEW_ADDRESS);
+    } else {
+      render();
+      select(getDefaultAddressId(type));
+    }
+  }
+
+  return { element, actions, init };
+}
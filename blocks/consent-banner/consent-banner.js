@@ -0,0 +1,176 @@
+import { readBlockConfig } from "../../scripts/aem.js";
+import {
+  acceptAll,
+  rejectAll,
+  setConsent,
+  getConsent,
+  hasConsentChoice,
+  CONSENT_EVENTS,
+} from "../../scripts/consent.js";
+
+// Footer links with this href reopen the banner
+const PREFERENCES_LINK = 'a[href$="#consent-preferences"]';
+
+const PURPOSES = [
+  {
+    id: "analytics",
+    label: "Analytics",
+    description: "Measure visits and interactions to improve the store.",
+  },
+  {
+    id: "marketing",
+    label: "Marketing",
+    description: "Receive offers by email, phone and SMS.",
+  },
+  {
+    id: "personalization",
+    label: "Personalization",
+    description:
+      "Remember your profile and tailor content and recommendations to you.",
+  },
+];
+
+/**
+ * Build a button
+ * @param {string} label - Button text
+ * @param {string} className - Additional class
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function buildButton(label, className, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = `consent-btn ${className}`;
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Build the purpose toggles
+ * @returns {HTMLElement} Preferences fieldset
+ */
+function buildPreferences() {
+  const fieldset = document.createElement("fieldset");
+  fieldset.className = "consent-preferences";
+  fieldset.hidden = true;
+
+  const legend = document.createElement("legend");
+  legend.textContent = "Choose what you allow";
+  fieldset.appendChild(legend);
+
+  PURPOSES.forEach(({ id, label, description }) => {
+    const row = document.createElement("label");
+    row.className = "consent-purpose";
+
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.name = id;
+
+    const text = document.createElement("span");
+    text.className = "consent-purpose-text";
+    const name = document.createElement("strong");
+    name.textContent = label;
+    const detail = document.createElement("span");
+    detail.textContent = description;
+    text.append(name, detail);
+
+    row.append(input, text);
+    fieldset.appendChild(row);
+  });
+
+  return fieldset;
+}
+
+/**
+ * Decorate the consent banner block
+ * Shown until the shopper answers; reopened with the consentPreferencesOpen event
+ * or a link to #consent-preferences.
+ * @param {HTMLElement} block - The block element
+ */
+export default function decorate(block) {
+  const config = readBlockConfig(block);
+  block.textContent = "";
+  block.setAttribute("role", "dialog");
+  block.setAttribute("aria-labelledby", "consent-banner-title");
+
+  const title = document.createElement("h2");
+  title.id = "consent-banner-title";
+  title.className = "consent-banner-title";
+  title.textContent = config.title || "Your privacy choices";
+
+  const text = document.createElement("p");
+  text.className = "consent-banner-text";
+  text.textContent =
+    config.text ||
+    "We use cookies and similar technologies for analytics, marketing and personalization. Nothing is collected until you allow it.";
+
+  const preferences = buildPreferences();
+
+  const actions = document.createElement("div");
+  actions.className = "consent-banner-actions";
+
+  const hide = () => {
+    block.hidden = true;
+  };
+
+  const saveBtn = buildButton("Save choices", "consent-btn-secondary", () => {
+    const choice = {};
+    PURPOSES.forEach(({ id }) => {
+      choice[id] = preferences.querySelector(`input[name="${id}"]`).checked;
+    });
+    setConsent(choice);
+    hide();
+  });
+  saveBtn.hidden = true;
+
+  const customizeBtn = buildButton(
+    "Customize",
+    "consent-btn-secondary",
+    () => {
+      preferences.hidden = false;
+      customizeBtn.hidden = true;
+      saveBtn.hidden = false;
+    }
+  );
+
+  actions.append(
+    buildButton("Reject all", "consent-btn-secondary", () => {
+      rejectAll();
+      hide();
+    }),
+    customizeBtn,
+    saveBtn,
+    buildButton("Accept all", "consent-btn-primary", () => {
+      acceptAll();
+      hide();
+    })
+  );
+
+  block.append(title, text, preferences, actions);
+
+  // Reopened banners show the toggles with the current choice
+  const open = () => {
+    const consent = getConsent();
+    PURPOSES.forEach(({ id }) => {
+      preferences.querySelector(`input[name="${id}"]`).checked = Boolean(
+        consent?.[id]
+      );
+    });
+    preferences.hidden = false;
+    customizeBtn.hidden = true;
+    saveBtn.hidden = false;
+    block.hidden = false;
+    block.querySelector(".consent-btn").focus();
+  };
+
+  block.hidden = hasConsentChoice();
+
+  document.addEventListener(CONSENT_EVENTS.OPEN, open);
+  document.addEventListener("click", (event) => {
+    if (event.target.closest(PREFERENCES_LINK)) {
+      event.preventDefault();
+      open();
+    }
+  });
+}
@@ -10,10 +10,13 @@ import {
   SUPPORTED_LANGUAGES,
   computeLocalizedUrl,
   discoverLanguagesFromPlaceholders,
+  getLocalizedPath,
 } from "../../scripts/utils.js";
 import { button, div, img, span, a } from "../../scripts/dom-helpers.js";
 
 import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import { getWishlist, WISHLIST_EVENTS } from "../../scripts/wishlist.js";
+import { createMiniCart } from "./mini-cart.js";
 
 // media query match that indicates mobile/tablet width
 const isDesktop = window.matchMedia("(min-width: 900px)");
@@ -629,7 +632,14 @@ function handleSignOut(langCode) {
       name: { firstName: "", lastName: "" },
       personalEmail: { address: "" },
       mobilePhone: { number: "" },
-      homeAddress: { street1: "", city: "", postalCode: "" },
+      homeAddress: {
+        street1: "",
+        city: "",
+        postalCode: "",
+        addresses: null,
+        defaultShipping: "",
+        defaultBilling: "",
+      },
       person: { gender: "", birthDayAndMonth: "", loyaltyConsent: false },
       individualCharacteristics: {
         shoeSize: "",
@@ -740,9 +750,35 @@ export default async function decorate(block) {
     );
     const targetContainer = contentWrapper || navTools;
 
-    // Add Cart Icon with badge
+    // Add Wishlist Icon with badge
+    const wishlistLink = document.createElement("a");
+    wishlistLink.href = getLocalizedPath("wishlist");
+    wishlistLink.className = "wishlist-icon";
+    wishlistLink.setAttribute("aria-label", "Wishlist");
+    wishlistLink.setAttribute("title", "Wishlist");
+
+    const wishlistBadge = document.createElement("span");
+    wishlistBadge.className = "wishlist-badge";
+    wishlistBadge.textContent = "0";
+    wishlistBadge.style.display = "none"; // Hidden by default
+    wishlistLink.appendChild(wishlistBadge);
+
+    targetContainer.append(wishlistLink);
+
+    // Update wishlist count from localStorage
+    const updateWishlistCount = () => {
+      const count = getWishlist().length;
+      wishlistBadge.textContent = count;
+      wishlistBadge.style.display = count > 0 ? "flex" : "none";
+      wishlistLink.setAttribute("aria-label", `Wishlist (${count} items)`);
+    };
+
+    updateWishlistCount();
+    document.addEventListener(WISHLIST_EVENTS.UPDATED, updateWishlistCount);
+
+    // Add Cart Icon with badge (opens the mini-cart; the link is the fallback)
     const cartLink = document.createElement("a");
-    cartLink.href = "/en/cart";
+    cartLink.href = getLocalizedPath("cart");
     cartLink.className = "cart-icon";
     cartLink.setAttribute("aria-label", "Shopping Cart");
     cartLink.setAttribute("title", "Shopping Cart");
@@ -755,6 +791,7 @@ export default async function decorate(block) {
     cartLink.appendChild(cartBadge);
 
     targetContainer.append(cartLink);
+    createMiniCart(cartLink);
 
     // Update cart count from dataLayer
     const updateCartCount = () => {
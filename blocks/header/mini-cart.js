@@ -0,0 +1,300 @@
+// ==========================================
+// Mini-cart
+// Drawer opened from the header cart icon and after window.addToCart.
+// Lines are read and changed through the cart model, so the drawer stays in
+// sync with the cart page and other tabs. The drawer is a modal <dialog>:
+// the rest of the page is inert while it is open, which keeps focus inside it.
+// ==========================================
+
+import { createOptimizedPicture } from "../../scripts/aem.js";
+import {
+  CART_UPDATED_EVENT,
+  formatPrice,
+  getCart,
+  removeItem,
+  setQuantity,
+} from "../../scripts/cart-model.js";
+import { formatLineOptions } from "../../scripts/variants.js";
+import { getLocalizedPath } from "../../scripts/utils.js";
+
+/**
+ * Build a line image
+ * @param {Object} line - Cart line
+ * @returns {HTMLElement} Image wrapper
+ */
+function buildLineImage(line) {
+  const imageWrap = document.createElement("div");
+  imageWrap.className = "mini-cart-item-image";
+  if (!line.image) return imageWrap;
+
+  const alt = line.name || "Product image";
+  if (line.image.startsWith("http")) {
+    const img = document.createElement("img");
+    img.src = line.image;
+    img.alt = alt;
+    img.loading = "lazy";
+    imageWrap.appendChild(img);
+  } else {
+    imageWrap.appendChild(
+      createOptimizedPicture(line.image, alt, false, [{ width: "160" }])
+    );
+  }
+  return imageWrap;
+}
+
+/**
+ * Build a mini-cart button
+ * @param {string} action - Action name (kept in data-action to restore focus after re-render)
+ * @param {string} key - Cart line key
+ * @param {string} label - Accessible label
+ * @param {string} text - Visible text
+ * @returns {HTMLButtonElement} Button
+ */
+function buildLineButton(action, key, label, text) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = `mini-cart-${action}`;
+  btn.dataset.action = action;
+  btn.dataset.key = key;
+  btn.setAttribute("aria-label", label);
+  btn.textContent = text;
+  return btn;
+}
+
+/**
+ * Build a single mini-cart line
+ * @param {string} key - Cart line key
+ * @param {Object} line - Cart line
+ * @returns {HTMLElement} Line element
+ */
+function buildLine(key, line) {
+  const name = line.name ? line.name.split(",")[0].trim() : "";
+
+  const item = document.createElement("li");
+  item.className = "mini-cart-item";
+  item.dataset.key = key;
+
+  const info = document.createElement("div");
+  info.className = "mini-cart-item-info";
+
+  const nameEl = document.createElement("p");
+  nameEl.className = "mini-cart-item-name";
+  nameEl.textContent = name;
+  info.appendChild(nameEl);
+
+  const optionLabels = formatLineOptions(line);
+  if (optionLabels.length) {
+    const optionsEl = document.createElement("p");
+    optionsEl.className = "mini-cart-item-options";
+    optionsEl.textContent = optionLabels.join(" · ");
+    info.appendChild(optionsEl);
+  }
+
+  // Quantity stepper (decreasing below 1 removes the line)
+  const stepper = document.createElement("div");
+  stepper.className = "mini-cart-stepper";
+
+  const decreaseBtn = buildLineButton(
+    "decrease",
+    key,
+    `Decrease quantity of ${name}`,
+    "−"
+  );
+  const quantity = document.createElement("span");
+  quantity.className = "mini-cart-quantity";
+  quantity.setAttribute("aria-label", `Quantity of ${name}`);
+  quantity.textContent = line.quantity;
+  const increaseBtn = buildLineButton(
+    "increase",
+    key,
+    `Increase quantity of ${name}`,
+    "+"
+  );
+  const hasStock = line.stock !== null && line.stock !== undefined;
+  increaseBtn.disabled = hasStock && line.quantity >= line.stock;
+  stepper.append(decreaseBtn, quantity, increaseBtn);
+
+  const removeBtn = buildLineButton(
+    "remove",
+    key,
+    `Remove ${name} from cart`,
+    "Remove"
+  );
+
+  const actions = document.createElement("div");
+  actions.className = "mini-cart-item-actions";
+  actions.append(stepper, removeBtn);
+  info.appendChild(actions);
+
+  const price = document.createElement("p");
+  price.className = "mini-cart-item-price";
+  price.textContent = formatPrice(line.subTotal || line.price * line.quantity);
+
+  item.append(buildLineImage(line), info, price);
+  return item;
+}
+
+/**
+ * Render the cart into the drawer
+ * Focus stays on the same control when the lines are rebuilt.
+ * @param {HTMLDialogElement} drawer - Mini-cart drawer
+ */
+function renderMiniCart(drawer) {
+  const cart = getCart();
+  const entries = Object.entries(cart.products || {});
+  const list = drawer.querySelector(".mini-cart-items");
+  const focused = drawer.contains(document.activeElement)
+    ? document.activeElement
+    : null;
+  const { action, key } = focused?.dataset || {};
+
+  list.innerHTML = "";
+  entries.forEach(([lineKey, line]) => {
+    list.appendChild(buildLine(lineKey, line));
+  });
+
+  const isEmpty = entries.length === 0;
+  drawer.querySelector(".mini-cart-empty").hidden = !isEmpty;
+  drawer.querySelector(".mini-cart-footer").hidden = isEmpty;
+  drawer.querySelector(".mini-cart-subtotal-value").textContent = formatPrice(
+    cart.subTotal
+  );
+  drawer.querySelector(".mini-cart-title").textContent = isEmpty
+    ? "Your cart"
+    : `Your cart (${cart.productCount})`;
+
+  if (action && key) {
+    const target = list.querySelector(
+      `[data-action="${action}"][data-key="${CSS.escape(key)}"]`
+    );
+    const fallback = drawer.querySelector(".mini-cart-close");
+    (target && !target.disabled ? target : fallback).focus();
+  }
+}
+
+/**
+ * Handle clicks on line controls
+ * @param {Event} event - Click event
+ */
+function handleLineAction(event) {
+  const btn = event.target.closest("button[data-action]");
+  if (!btn) return;
+
+  const { action, key } = btn.dataset;
+  const line = getCart().products[key];
+  if (!line) return;
+
+  if (action === "increase") setQuantity(key, line.quantity + 1);
+  if (action === "decrease") setQuantity(key, line.quantity - 1);
+  if (action === "remove") removeItem(key);
+}
+
+/**
+ * Create the mini-cart drawer for a header cart icon
+ * The icon keeps its link to the cart page as a fallback and opens the drawer on click.
+ * @param {HTMLAnchorElement} trigger - Header cart icon
+ * @returns {Object} { open, close }
+ */
+export function createMiniCart(trigger) {
+  const drawer = document.createElement("dialog");
+  drawer.className = "mini-cart";
+  drawer.id = "mini-cart";
+  drawer.setAttribute("aria-labelledby", "mini-cart-title");
+
+  const header = document.createElement("div");
+  header.className = "mini-cart-header";
+  const title = document.createElement("h2");
+  title.className = "mini-cart-title";
+  title.id = "mini-cart-title";
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.className = "mini-cart-close";
+  closeBtn.setAttribute("aria-label", "Close cart");
+  closeBtn.innerHTML = "&times;";
+  header.append(title, closeBtn);
+
+  const empty = document.createElement("p");
+  empty.className = "mini-cart-empty";
+  empty.textContent = "Your cart is empty";
+
+  const list = document.createElement("ul");
+  list.className = "mini-cart-items";
+  list.addEventListener("click", handleLineAction);
+
+  const footer = document.createElement("div");
+  footer.className = "mini-cart-footer";
+  const subtotal = document.createElement("p");
+  subtotal.className = "mini-cart-subtotal";
+  subtotal.innerHTML =
+    '<span>Subtotal</span><span class="mini-cart-subtotal-value"></span>';
+  const note = document.createElement("p");
+  note.className = "mini-cart-note";
+  note.textContent = "Shipping and taxes are calculated at checkout.";
+  const checkoutLink = document.createElement("a");
+  checkoutLink.className = "mini-cart-checkout";
+  checkoutLink.href = getLocalizedPath("checkout");
+  checkoutLink.textContent = "CHECKOUT";
+  const cartLink = document.createElement("a");
+  cartLink.className = "mini-cart-view-cart";
+  cartLink.href = getLocalizedPath("cart");
+  cartLink.textContent = "View cart";
+  footer.append(subtotal, note, checkoutLink, cartLink);
+
+  drawer.append(header, empty, list, footer);
+  document.body.appendChild(drawer);
+
+  const open = () => {
+    renderMiniCart(drawer);
+    if (!drawer.open) {
+      drawer.showModal();
+      document.body.classList.add("mini-cart-open");
+      trigger.setAttribute("aria-expanded", "true");
+    }
+    closeBtn.focus();
+  };
+
+  const close = () => {
+    if (drawer.open) drawer.close();
+  };
+
+  drawer.addEventListener("close", () => {
+    document.body.classList.remove("mini-cart-open");
+    trigger.setAttribute("aria-expanded", "false");
+    trigger.focus();
+  });
+
+  // Close on backdrop clicks (outside the drawer panel)
+  drawer.addEventListener("click", (event) => {
+    const rect = drawer.getBoundingClientRect();
+    if (
+      event.clientX < rect.left ||
+      event.clientX > rect.right ||
+      event.clientY < rect.top ||
+      event.clientY > rect.bottom
+    ) {
+      close();
+    }
+  });
+  closeBtn.addEventListener("click", close);
+
+  trigger.setAttribute("aria-haspopup", "dialog");
+  trigger.setAttribute("aria-controls", drawer.id);
+  trigger.setAttribute("aria-expanded", "false");
+  trigger.addEventListener("click", (event) => {
+    event.preventDefault();
+    open();
+  });
+
+  // Keep the drawer current and open it after products are added
+  // (not on the cart page, which already shows the lines)
+  document.addEventListener(CART_UPDATED_EVENT, (event) => {
+    const onCartPage = Boolean(document.querySelector("main .cart"));
+    if (event.detail?.action === "add" && !onCartPage) {
+      open();
+    } else if (drawer.open) {
+      renderMiniCart(drawer);
+    }
+  });
+
+  return { open, close };
+}
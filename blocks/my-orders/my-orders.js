@@ -0,0 +1,404 @@
+import { formatMoney, getMarket } from "../../scripts/money.js";
+import {
+  getOrder,
+  isOrderHistoryPersonal,
+  loadOrderHistory,
+} from "../../scripts/orders.js";
+import { formatPayment } from "../../scripts/payment.js";
+import { formatLineOptions } from "../../scripts/variants.js";
+import { getLocalizedPath } from "../../scripts/utils.js";
+
+// URL parameter holding the order shown in the detail view
+const ORDER_PARAM = "order";
+
+/**
+ * Format the date an order was placed
+ * @param {string} date - ISO date
+ * @returns {string} Localized date
+ */
+function formatOrderDate(date) {
+  if (!date) return "";
+  return new Date(date).toLocaleDateString(getMarket().locale, {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+/**
+ * Format the status of an order
+ * @param {string} status - Order status (e.g. "received")
+ * @returns {string} Status label
+ */
+function formatStatus(status) {
+  const label = status || "received";
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Count the items of an order
+ * @param {Object} order - Order
+ * @returns {number} Item count
+ */
+function getItemCount(order) {
+  return (order.items || []).reduce(
+    (count, item) => count + (item.quantity || 1),
+    0
+  );
+}
+
+/**
+ * Format an address of an order
+ * @param {string} name - Customer name
+ * @param {Object} address - { streetAddress, city, region, postalCode, country }
+ * @returns {Array<string>} Lines
+ */
+function formatOrderAddress(name, address) {
+  if (!address) return [];
+  return [
+    name,
+    address.streetAddress,
+    [address.city, address.region, address.postalCode]
+      .filter(Boolean)
+      .join(" "),
+    address.country,
+  ].filter(Boolean);
+}
+
+/**
+ * Build a detail section with a title and text lines
+ * @param {string} title - Section title
+ * @param {Array<string>} lines - Lines (the first one is emphasized)
+ * @returns {HTMLElement} Section element
+ */
+function buildSection(title, lines) {
+  const section = document.createElement("section");
+  section.className = "my-orders-section";
+
+  const heading = document.createElement("h3");
+  heading.className = "my-orders-section-title";
+  heading.textContent = title;
+  section.appendChild(heading);
+
+  (lines.length ? lines : ["---"]).forEach((line, index) => {
+    const p = document.createElement("p");
+    if (index === 0) p.className = "my-orders-section-name";
+    p.textContent = line;
+    section.appendChild(p);
+  });
+  return section;
+}
+
+/**
+ * Build an order of the list
+ * @param {Object} order - Order
+ * @returns {HTMLElement} Order element
+ */
+function buildOrderItem(order) {
+  const item = document.createElement("li");
+  item.className = "my-orders-item";
+
+  const number = document.createElement("h2");
+  number.className = "my-orders-item-number";
+  number.textContent = `Order No. ${order.orderNumber}`;
+
+  const meta = document.createElement("dl");
+  meta.className = "my-orders-item-meta";
+  const itemCount = getItemCount(order);
+  [
+    ["Date", formatOrderDate(order.createdAt)],
+    ["Status", formatStatus(order.status)],
+    ["Items", `${itemCount} ${itemCount === 1 ? "item" : "items"}`],
+    ["Total", formatMoney(order.totals?.total)],
+  ].forEach(([label, value]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    meta.append(term, detail);
+  });
+
+  const viewBtn = document.createElement("button");
+  viewBtn.type = "button";
+  viewBtn.className = "my-orders-btn";
+  viewBtn.dataset.order = order.orderNumber;
+  viewBtn.textContent = "VIEW DETAILS";
+  viewBtn.setAttribute(
+    "aria-label",
+    `View details of order ${order.orderNumber}`
+  );
+
+  item.append(number, meta, viewBtn);
+  return item;
+}
+
+/**
+ * Build the empty state
+ * Guests are invited to sign in to see the orders of their account.
+ * @returns {HTMLElement} Empty state element
+ */
+function buildEmptyState() {
+  const emptyContainer = document.createElement("div");
+  emptyContainer.className = "my-orders-empty";
+
+  const emptyMsg = document.createElement("h2");
+  emptyMsg.className = "my-orders-empty-message";
+  emptyMsg.textContent = "You have not placed any orders yet";
+  emptyContainer.appendChild(emptyMsg);
+
+  if (!isOrderHistoryPersonal()) {
+    const hint = document.createElement("p");
+    hint.className = "my-orders-empty-text";
+    const signIn = document.createElement("a");
+    signIn.href = getLocalizedPath("sign-in");
+    signIn.textContent = "Sign in";
+    hint.append(signIn, " to see the orders placed with your account.");
+    emptyContainer.appendChild(hint);
+  }
+  return emptyContainer;
+}
+
+/**
+ * Build the line items of an order
+ * @param {Object} order - Order
+ * @returns {HTMLElement} Items list
+ */
+function buildOrderLines(order) {
+  const list = document.createElement("ul");
+  list.className = "my-orders-lines";
+
+  (order.items || []).forEach((line) => {
+    const item = document.createElement("li");
+    item.className = "my-orders-line";
+
+    const imageWrapper = document.createElement("div");
+    imageWrapper.className = "my-orders-line-image";
+    if (line.image) {
+      const img = document.createElement("img");
+      img.src = line.image;
+      img.alt = line.name || "Product image";
+      img.loading = "lazy";
+      imageWrapper.appendChild(img);
+    }
+
+    const details = document.createElement("div");
+    details.className = "my-orders-line-details";
+    const name = document.createElement("p");
+    name.className = "my-orders-line-name";
+    name.textContent = line.name || "";
+    details.appendChild(name);
+
+    const labels = [...formatLineOptions(line), `Qty: ${line.quantity || 1}`];
+    const options = document.createElement("p");
+    options.className = "my-orders-line-options";
+    options.textContent = labels.join(" · ");
+    details.appendChild(options);
+
+    const price = document.createElement("p");
+    price.className = "my-orders-line-price";
+    price.textContent = formatMoney(line.price * (line.quantity || 1));
+
+    item.append(imageWrapper, details, price);
+    list.appendChild(item);
+  });
+  return list;
+}
+
+/**
+ * Build the totals of an order
+ * @param {Object} order - Order
+ * @returns {HTMLElement} Totals element
+ */
+function buildOrderTotals(order) {
+  const totals = order.totals || {};
+  const rows = [
+    ["Subtotal", formatMoney(totals.subTotal)],
+    ["Shipping", formatMoney(totals.shipping)],
+  ];
+  if (totals.discount) {
+    rows.push(["Discount", `-${formatMoney(totals.discount)}`]);
+  }
+  (totals.taxLines || []).forEach((line) => {
+    const rate = line.rate ? ` (${line.rate}%)` : "";
+    rows.push([`${line.label}${rate}`, formatMoney(line.amount)]);
+  });
+  rows.push(["Total", formatMoney(totals.total)]);
+
+  const list = document.createElement("dl");
+  list.className = "my-orders-totals";
+  rows.forEach(([label, value]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    list.append(term, detail);
+  });
+  return list;
+}
+
+/**
+ * Build the detail view of an order
+ * @param {Object} order - Order
+ * @returns {HTMLElement} Order detail element
+ */
+function buildOrderDetail(order) {
+  const detail = document.createElement("article");
+  detail.className = "my-orders-detail";
+
+  const backBtn = document.createElement("button");
+  backBtn.type = "button";
+  backBtn.className = "my-orders-back";
+  backBtn.textContent = "← All orders";
+
+  const title = document.createElement("h2");
+  title.className = "my-orders-detail-title";
+  title.tabIndex = -1;
+  title.textContent = `Order No. ${order.orderNumber}`;
+
+  const meta = document.createElement("p");
+  meta.className = "my-orders-detail-meta";
+  meta.textContent = `${formatOrderDate(order.createdAt)} · ${formatStatus(
+    order.status
+  )}`;
+
+  const customer = order.customer || {};
+  const customerName = `${customer.firstName || ""} ${
+    customer.lastName || ""
+  }`.trim();
+
+  const shippingMethod = order.shippingMethod || {};
+  const shippingLines = [
+    shippingMethod.label || shippingMethod.id,
+    formatMoney(shippingMethod.amount),
+  ].filter(Boolean);
+
+  const sections = document.createElement("div");
+  sections.className = "my-orders-sections";
+  sections.append(
+    buildSection(
+      "Shipping address",
+      formatOrderAddress(customerName, order.shippingAddress)
+    ),
+    buildSection(
+      "Billing address",
+      formatOrderAddress(
+        customerName,
+        order.billingAddress || order.shippingAddress
+      )
+    ),
+    buildSection("Shipping", shippingLines),
+    buildSection("Payment", formatPayment(order.payment))
+  );
+
+  detail.append(
+    backBtn,
+    title,
+    meta,
+    buildOrderLines(order),
+    sections,
+    buildOrderTotals(order)
+  );
+  return detail;
+}
+
+/**
+ * Get the order selected in the URL
+ * @returns {string} Order number ("" for the list)
+ */
+function getOrderFromUrl() {
+  return new URLSearchParams(window.location.search).get(ORDER_PARAM) || "";
+}
+
+/**
+ * Select an order in the URL (adds a history entry)
+ * @param {string} orderNumber - Order number ("" for the list)
+ */
+function setOrderInUrl(orderNumber) {
+  const url = new URL(window.location.href);
+  if (orderNumber) {
+    url.searchParams.set(ORDER_PARAM, orderNumber);
+  } else {
+    url.searchParams.delete(ORDER_PARAM);
+  }
+  window.history.pushState({ order: orderNumber }, "", url.toString());
+}
+
+/**
+ * Render the order list, or the order selected in the URL
+ * @param {HTMLElement} container - My orders container
+ * @param {Array<Object>} orders - Orders, newest first
+ * @param {string} [focusOrder] - Order whose button gets the focus back in the list
+ */
+function renderOrders(container, orders, focusOrder = "") {
+  const content = container.querySelector(".my-orders-content");
+  content.innerHTML = "";
+
+  const orderNumber = getOrderFromUrl();
+  const order = orderNumber ? getOrder(orderNumber) : null;
+  if (order) {
+    const detail = buildOrderDetail(order);
+    content.appendChild(detail);
+    detail.querySelector(".my-orders-detail-title").focus();
+    return;
+  }
+
+  if (orders.length === 0) {
+    content.appendChild(buildEmptyState());
+    return;
+  }
+
+  const list = document.createElement("ul");
+  list.className = "my-orders-items";
+  orders.forEach((item) => list.appendChild(buildOrderItem(item)));
+  content.appendChild(list);
+
+  if (focusOrder) {
+    list
+      .querySelector(`[data-order="${CSS.escape(focusOrder)}"]`)
+      ?.focus();
+  }
+}
+
+/**
+ * Decorate the my orders block
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  block.textContent = "";
+
+  const container = document.createElement("div");
+  container.className = "my-orders-container";
+
+  const title = document.createElement("h1");
+  title.className = "my-orders-title";
+  title.textContent = "MY ORDERS";
+
+  const content = document.createElement("div");
+  content.className = "my-orders-content";
+
+  container.append(title, content);
+  block.appendChild(container);
+
+  const orders = await loadOrderHistory();
+  renderOrders(container, orders);
+
+  // Order detail and back to the list
+  content.addEventListener("click", (event) => {
+    const viewBtn = event.target.closest(".my-orders-btn");
+    if (viewBtn) {
+      setOrderInUrl(viewBtn.dataset.order);
+      renderOrders(container, orders);
+      return;
+    }
+    if (event.target.closest(".my-orders-back")) {
+      const previous = getOrderFromUrl();
+      setOrderInUrl("");
+      renderOrders(container, orders, previous);
+    }
+  });
+
+  // Browser back/forward between the list and order details
+  window.addEventListener("popstate", () => {
+    renderOrders(container, orders);
+  });
+}
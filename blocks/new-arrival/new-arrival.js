@@ -1,32 +1,59 @@
 import { readBlockConfig, createOptimizedPicture } from "../../scripts/aem.js";
 import { isAuthorEnvironment } from "../../scripts/scripts.js";
-
-function buildCard(item, isAuthor, isLegacy = false) {
-  // Handle both legacy (image field) and new (externalImageURL/damImageURL) CF models
-  const { id, sku, name, image, externalImageURL, damImageURL, category = [] } = item || {};
-  const productId = sku || id || "";
-  let imgUrl = null;
-
-  if (isLegacy) {
-    // Legacy luma3: Use old image field (ImageRef)
-    if (image && (image._authorUrl || image._publishUrl)) {
-      imgUrl = isAuthor ? image._authorUrl : image._publishUrl;
-    }
-  } else {
-    // New CF model: Use externalImageURL and damImageURL
-    // Priority 1: externalImageURL (string or object with plaintext)
-    if (externalImageURL) {
-      imgUrl = typeof externalImageURL === "string"
-        ? externalImageURL
-        : externalImageURL.plaintext;
-    }
-
-    // Priority 2: Try damImageURL (DAM assets)
-    if (!imgUrl && damImageURL && (damImageURL._authorUrl || damImageURL._publishUrl)) {
-      imgUrl = isAuthor ? damImageURL._authorUrl : damImageURL._publishUrl;
+import { fetchProducts } from "../../scripts/catalog.js";
+import { openQuickView } from "../../scripts/quick-view.js";
+import {
+  getStockLabel,
+  getStockStatus,
+  loadStockLevels,
+  resolveStock,
+  STOCK_STATUS,
+} from "../../scripts/inventory.js";
+
+/**
+ * Get the product page URL of a product, under the language root of the page
+ * @param {string} productId - Product SKU or ID
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {string} Product page URL
+ */
+function getProductUrl(productId, isAuthor) {
+  const currentPath = window.location.pathname;
+
+  // Smart path construction: ensure we navigate to the correct product page
+  // Look for language code pattern (e.g., /en/, /fr/, /de/)
+  let basePath = currentPath.substring(0, currentPath.lastIndexOf("/"));
+
+  // If the current page doesn't have a language segment, try to add it
+  // Check if basePath ends with a language code pattern
+  const langPattern = /\/(en|fr|de|es|it|ja|zh|pt|nl|sv|da|no|fi)$/;
+  if (!langPattern.test(basePath) && !basePath.includes("/en/")) {
+    // Check if there's a language code in the path we can use
+    const pathMatch = currentPath.match(
+      /\/(en|fr|de|es|it|ja|zh|pt|nl|sv|da|no|fi)\//
+    );
+    if (pathMatch) {
+      // Language code found in path, use it
+      const langCode = pathMatch[1];
+      const langIndex = currentPath.indexOf(`/${langCode}/`);
+      basePath = currentPath.substring(0, langIndex + langCode.length + 1);
+    } else {
+      // Default to /en/ if no language code found
+      basePath = `${basePath}/en`;
     }
   }
 
+  // On author add .html extension, on publish don't
+  const productPath = isAuthor
+    ? `${basePath}/product.html`
+    : `${basePath}/product`;
+  return `${productPath}?productId=${encodeURIComponent(productId)}`;
+}
+
+function buildCard(item, isAuthor, stockLevels = {}) {
+  // Products of both CF models come normalized from the catalog (see scripts/catalog.js)
+  const { id, sku, name, image: imgUrl, category = [] } = item || {};
+  const productId = sku || id || "";
+
   const card = document.createElement("article");
   card.className = "na-card";
 
@@ -34,38 +61,7 @@ function buildCard(item, isAuthor, isLegacy = false) {
   if (productId) {
     card.style.cursor = "pointer";
     card.addEventListener("click", () => {
-      const currentPath = window.location.pathname;
-
-      // Smart path construction: ensure we navigate to the correct product page
-      // Look for language code pattern (e.g., /en/, /fr/, /de/)
-      let basePath = currentPath.substring(0, currentPath.lastIndexOf("/"));
-
-      // If the current page doesn't have a language segment, try to add it
-      // Check if basePath ends with a language code pattern
-      const langPattern = /\/(en|fr|de|es|it|ja|zh|pt|nl|sv|da|no|fi)$/;
-      if (!langPattern.test(basePath) && !basePath.includes("/en/")) {
-        // Check if there's a language code in the path we can use
-        const pathMatch = currentPath.match(
-          /\/(en|fr|de|es|it|ja|zh|pt|nl|sv|da|no|fi)\//
-        );
-        if (pathMatch) {
-          // Language code found in path, use it
-          const langCode = pathMatch[1];
-          const langIndex = currentPath.indexOf(`/${langCode}/`);
-          basePath = currentPath.substring(0, langIndex + langCode.length + 1);
-        } else {
-          // Default to /en/ if no language code found
-          basePath = `${basePath}/en`;
-        }
-      }
-
-      // On author add .html extension, on publish don't
-      const productPath = isAuthor
-        ? `${basePath}/product.html`
-        : `${basePath}/product`;
-      window.location.href = `${productPath}?productId=${encodeURIComponent(
-        productId
-      )}`;
+      window.location.href = getProductUrl(productId, isAuthor);
     });
   }
 
@@ -94,6 +90,37 @@ function buildCard(item, isAuthor, isLegacy = false) {
   imgWrap.className = "na-card-media";
   if (picture) imgWrap.append(picture);
 
+  // Quick view: variants and add to cart without leaving the page
+  if (productId) {
+    const quickViewBtn = document.createElement("button");
+    quickViewBtn.type = "button";
+    quickViewBtn.className = "na-card-quick-view";
+    quickViewBtn.textContent = "Quick view";
+    quickViewBtn.setAttribute("aria-label", `Quick view ${name || productId}`);
+    quickViewBtn.addEventListener("click", (event) => {
+      event.stopPropagation();
+      openQuickView(item, {
+        productUrl: getProductUrl(productId, isAuthor),
+        source: "new-arrival",
+        isAuthor,
+        stockLevels,
+      });
+    });
+    imgWrap.append(quickViewBtn);
+  }
+
+  // Stock badge: GraphQL stock field first, then the stock sheet
+  const stock = resolveStock(item?.stock, productId, stockLevels);
+  const stockStatus = getStockStatus(stock);
+  if (stockStatus !== STOCK_STATUS.IN_STOCK) {
+    const isOut = stockStatus === STOCK_STATUS.OUT_OF_STOCK;
+    const badge = document.createElement("span");
+    badge.className = `na-card-badge na-card-badge-${isOut ? "out" : "low"}`;
+    badge.textContent = getStockLabel(stock);
+    imgWrap.append(badge);
+    if (isOut) card.classList.add("na-card-out-of-stock");
+  }
+
   const meta = document.createElement("div");
   meta.className = "na-card-meta";
   // Clean category text: split by colon and keep only the part after the colon (remove demo ID prefix)
@@ -124,47 +151,6 @@ function buildCard(item, isAuthor, isLegacy = false) {
   return card;
 }
 
-async function fetchProducts(path, isLegacy = false) {
-  try {
-    if (!path) return [];
-    
-    // Determine which GraphQL endpoint and query to use
-    let baseUrl;
-    if (isLegacy) {
-      // Legacy luma3: Use old endpoint with menproductspagelister query
-      baseUrl = isAuthorEnvironment()
-        ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/menproductspagelister;"
-        : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGraphQl?environment=p165802-e1765367&";
-    } else {
-      // New CF model: Use zoltarProductListByPath query
-      baseUrl = isAuthorEnvironment()
-        ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/zoltarProductListByPath;"
-        : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/luma-zoltar?environment=p165802-e1765367&endpoint=zoltarProductListByPath&";
-    }
-    
-    const url = `${baseUrl}_path=${path}`;
-    const resp = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Cache-Control": "no-cache, no-store, must-revalidate",
-        Pragma: "no-cache",
-      },
-    });
-    const json = await resp.json();
-    // Support both response shapes: productsContentFragmentModelList (new CF) and productsModelList (legacy)
-    const items =
-      json?.data?.productsContentFragmentModelList?.items ||
-      json?.data?.productsModelList?.items ||
-      [];
-    // Filter out null/invalid products
-    return items.filter((item) => item && item.sku);
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error("New Arrival: fetch error", e);
-    return [];
-  }
-}
-
 function filterProductsBySKU(products, skuList) {
   if (!skuList || skuList.length === 0) return products;
 
@@ -522,9 +508,6 @@ export default async function decorate(block) {
   // Extract SKUs from multifield
   const skuList = extractSKUs(block, cfg);
 
-  // Check if this is a legacy luma3 demo (backward compatibility)
-  const isLegacyLuma3 = folderHref && folderHref.includes('/dam/luma3/');
-
   // Clear author table
   block.innerHTML = "";
 
@@ -537,15 +520,16 @@ export default async function decorate(block) {
   header.append(title);
   block.append(header);
 
-  // Fetch all products with appropriate endpoint
-  const allProducts = await fetchProducts(folderHref, isLegacyLuma3);
+  // Fetch all products of the folder (stock levels for the card badges load alongside)
+  const [allProducts, stockLevels] = await Promise.all([
+    fetchProducts(folderHref),
+    loadStockLevels(),
+  ]);
 
   // eslint-disable-next-line no-console
   console.log("New Arrival - All products fetched:", allProducts.length);
   // eslint-disable-next-line no-console
   console.log("New Arrival - Extracted SKUs:", skuList);
-  // eslint-disable-next-line no-console
-  console.log("New Arrival - Using legacy mode:", isLegacyLuma3);
 
   if (!allProducts || allProducts.length === 0) {
     const empty = document.createElement("p");
@@ -579,8 +563,9 @@ export default async function decorate(block) {
     return;
   }
 
-  // Build cards with appropriate field structure
-  const cards = filteredProducts.map((item) => buildCard(item, isAuthor, isLegacyLuma3));
+  const cards = filteredProducts.map((item) =>
+    buildCard(item, isAuthor, stockLevels)
+  );
 
   // Create carousel
   createCarousel(block, cards);
@@ -1,6 +1,9 @@
+import { createEmptyCart } from "../../scripts/cart-model.js";
+import { getOrderHistory } from "../../scripts/orders.js";
+
 /**
  * Get purchase order number from localStorage (set by order-summary)
- * Falls back to generating new one if not found
+ * Falls back to the latest order of the order history if not found
  * @returns {string} Purchase order number
  */
 function getPurchaseOrderNumber() {
@@ -8,11 +11,8 @@ function getPurchaseOrderNumber() {
   if (stored) {
     return stored;
   }
-  // Fallback: generate new order number if not found
-  const prefix = "fb";
-  const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).substring(2, 7);
-  return `${prefix}${timestamp}${random}`.substring(0, 12);
+  // Fallback: latest order placed by this user
+  return getOrderHistory()[0]?.orderNumber || "---";
 }
 
 /**
@@ -28,12 +28,9 @@ function navigateToHome() {
  * User's personal information is preserved for future orders
  */
 function resetCart() {
-  const defaultCart = {
-    productCount: 0,
-    products: {},
-    subTotal: 0,
-    total: 0,
-  };
+  // clearedAt makes other open tabs drop their copy of the ordered lines
+  const now = Date.now();
+  const defaultCart = { ...createEmptyCart(), clearedAt: now, updatedAt: now };
 
   if (window.updateDataLayer) {
     // Clear both cart and commerce objects
@@ -1,42 +1,84 @@
-/**
- * Generate random purchase order number
- * @returns {string} Random purchase order number
- */
-function generatePurchaseOrderNumber() {
-  const prefix = "fb";
-  const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).substring(2, 7);
-  return `${prefix}${timestamp}${random}`.substring(0, 12);
-}
+import {
+  getCart,
+  formatPrice,
+  formatShipping,
+  formatLineNotes,
+} from "../../scripts/cart-model.js";
+import { formatLineOptions } from "../../scripts/variants.js";
+import { formatPayment, isPaymentAuthorized } from "../../scripts/payment.js";
+import { submitOrder } from "../../scripts/orders.js";
 
 /**
- * Load checkout data from localStorage
+ * Load saved checkout data
+ * Delegates to global loadCheckoutData() from datalayer.js, which reads the configured
+ * storage backend and drops expired data
  * @returns {Object|null} Saved checkout data
  */
 function loadCheckoutData() {
-  const saved = localStorage.getItem("luma_checkout_data");
-  return saved ? JSON.parse(saved) : null;
+  if (typeof window.loadCheckoutData !== "function") {
+    console.warn("⚠ window.loadCheckoutData() not available");
+    return null;
+  }
+  return window.loadCheckoutData();
 }
 
 /**
- * Get cart data from dataLayer
- * @returns {Object} Cart data
+ * Get the billing address of the checkout
+ * It is the shipping address unless another one was entered.
+ * @param {Object} checkoutData - Checkout data from localStorage
+ * @returns {Object} { streetAddress, city, region, postalCode, country }
  */
-function getCartData() {
-  const cartData = window.getDataLayerProperty
-    ? window.getDataLayerProperty("cart")
-    : null;
+function getBillingAddress(checkoutData) {
+  if (
+    checkoutData.billingSameAsShipping === false &&
+    checkoutData.billingAddress
+  ) {
+    return checkoutData.billingAddress;
+  }
+  return {
+    streetAddress: checkoutData.streetAddress,
+    city: checkoutData.city,
+    region: checkoutData.region || "",
+    postalCode: checkoutData.postalCode,
+    country: checkoutData.country,
+  };
+}
 
-  return cartData || { productCount: 0, products: {}, subTotal: 0, total: 0 };
+/**
+ * Format discount amount for the summary ("----" when no code is applied)
+ * @param {number} amount - Discount amount
+ * @returns {string} Formatted discount
+ */
+function formatDiscount(amount) {
+  return amount ? `-${formatPrice(amount)}` : "----";
 }
 
 /**
- * Format price as currency
- * @param {number} amount - Amount to format
- * @returns {string} Formatted price
+ * Build the tax rows for the price summary (one row per tax line)
+ * @param {Object} cartData - Cart data
+ * @returns {string} Tax rows HTML
  */
-function formatPrice(amount) {
-  return `$${amount.toFixed(2)}`;
+function buildTaxRows(cartData) {
+  if (!cartData.taxAddress) {
+    return `
+    <div class="order-summary-price-row">
+      <span>Tax</span>
+      <span>---</span>
+    </div>`;
+  }
+
+  const taxLines = cartData.taxLines?.length
+    ? cartData.taxLines
+    : [{ label: "Tax", amount: 0 }];
+  return taxLines
+    .map(
+      (line) => `
+    <div class="order-summary-price-row">
+      <span>${line.label}${line.rate ? ` (${line.rate}%)` : ""}</span>
+      <span>${formatPrice(line.amount)}</span>
+    </div>`
+    )
+    .join("");
 }
 
 /**
@@ -93,25 +135,35 @@ function buildCartItem(product) {
   details.appendChild(name);
 
   // Size/Color if available
-  if (product.size || product.color) {
+  const optionLabels = formatLineOptions(product);
+  if (optionLabels.length) {
     const attributes = document.createElement("div");
     attributes.className = "order-summary-item-attributes";
 
-    if (product.size) {
-      const size = document.createElement("span");
-      size.textContent = `Size: ${product.size}`;
-      attributes.appendChild(size);
-    }
-
-    if (product.color) {
-      const color = document.createElement("span");
-      color.textContent = `Color: ${product.color}`;
-      attributes.appendChild(color);
-    }
+    optionLabels.forEach((label) => {
+      const option = document.createElement("span");
+      option.textContent = label;
+      attributes.appendChild(option);
+    });
 
     details.appendChild(attributes);
   }
 
+  // Gift options and note
+  const noteLabels = formatLineNotes(product);
+  if (noteLabels.length) {
+    const notes = document.createElement("div");
+    notes.className = "order-summary-item-notes";
+
+    noteLabels.forEach((label) => {
+      const note = document.createElement("p");
+      note.textContent = label;
+      notes.appendChild(note);
+    });
+
+    details.appendChild(notes);
+  }
+
   // Price and Quantity
   const priceQty = document.createElement("div");
   priceQty.className = "order-summary-item-price-qty";
@@ -187,10 +239,11 @@ function buildOrderSummary(checkoutData, cartData) {
   billingContent.className = "order-summary-address";
 
   if (checkoutData) {
+    const billing = getBillingAddress(checkoutData);
     billingContent.innerHTML = `
       <p class="order-summary-name">${checkoutData.firstName} ${checkoutData.lastName}</p>
-      <p>${checkoutData.streetAddress}</p>
-      <p>${checkoutData.city} ${checkoutData.postalCode} ${checkoutData.country}</p>
+      <p>${billing.streetAddress}</p>
+      <p>${billing.city} ${billing.region || ""} ${billing.postalCode} ${billing.country}</p>
     `;
   } else {
     billingContent.innerHTML = "<p>No billing address found</p>";
@@ -208,10 +261,43 @@ function buildOrderSummary(checkoutData, cartData) {
 
   const shippingContent = document.createElement("div");
   shippingContent.className = "order-summary-shipping";
-  shippingContent.textContent = "---";
+  const { shippingMethod } = cartData;
+  if (shippingMethod) {
+    shippingContent.innerHTML = `
+      <p class="order-summary-name">${shippingMethod.label}</p>
+      ${shippingMethod.description ? `<p>${shippingMethod.description}</p>` : ""}
+      <p>${formatShipping(cartData)}</p>
+    `;
+  } else {
+    shippingContent.textContent = "---";
+  }
 
   shippingSection.append(shippingTitle, shippingContent);
 
+  // Payment
+  const paymentSection = document.createElement("div");
+  paymentSection.className = "order-summary-section";
+
+  const paymentTitle = document.createElement("h2");
+  paymentTitle.className = "order-summary-section-title";
+  paymentTitle.textContent = "Payment";
+
+  const paymentContent = document.createElement("div");
+  paymentContent.className = "order-summary-payment";
+  const paymentLines = formatPayment(checkoutData?.payment);
+  if (paymentLines.length) {
+    paymentLines.forEach((line, index) => {
+      const p = document.createElement("p");
+      if (index === 0) p.className = "order-summary-name";
+      p.textContent = line;
+      paymentContent.appendChild(p);
+    });
+  } else {
+    paymentContent.textContent = "---";
+  }
+
+  paymentSection.append(paymentTitle, paymentContent);
+
   // Price Summary
   const priceSection = document.createElement("div");
   priceSection.className = "order-summary-pricing";
@@ -223,19 +309,24 @@ function buildOrderSummary(checkoutData, cartData) {
     </div>
     <div class="order-summary-price-row">
       <span>Shipping</span>
-      <span>---</span>
+      <span>${formatShipping(cartData)}</span>
     </div>
     <div class="order-summary-price-row">
       <span>Discount</span>
-      <span>----</span>
-    </div>
+      <span>${formatDiscount(cartData.discount)}</span>
+    </div>${buildTaxRows(cartData)}
     <div class="order-summary-price-row order-summary-price-total">
       <span>Total</span>
       <span>${formatPrice(cartData.total || 0)}</span>
     </div>
   `;
 
-  rightColumn.append(billingSection, shippingSection, priceSection);
+  rightColumn.append(
+    billingSection,
+    shippingSection,
+    paymentSection,
+    priceSection
+  );
 
   container.append(leftColumn, rightColumn);
   return container;
@@ -243,11 +334,16 @@ function buildOrderSummary(checkoutData, cartData) {
 
 /**
  * Build action buttons
+ * Confirmation is blocked until the payment is authorized for the current cart
+ * (e.g. the cart changed after checkout).
+ * @param {Object} checkoutData - Checkout data from localStorage
+ * @param {Object} cartData - Cart data from dataLayer
  * @returns {HTMLElement} Buttons container
  */
-function buildButtons() {
+function buildButtons(checkoutData, cartData) {
   const buttonGroup = document.createElement("div");
   buttonGroup.className = "order-summary-buttons";
+  const isAuthorized = isPaymentAuthorized(checkoutData?.payment, cartData);
 
   const backBtn = document.createElement("button");
   backBtn.type = "button";
@@ -261,52 +357,198 @@ function buildButtons() {
   confirmBtn.type = "button";
   confirmBtn.className = "order-summary-btn order-summary-btn-confirm";
   confirmBtn.textContent = "CONFIRM ORDER";
+  confirmBtn.disabled = !isAuthorized;
   confirmBtn.addEventListener("click", () => {
-    handleConfirmOrder();
+    handleConfirmOrder(confirmBtn);
   });
 
   buttonGroup.append(backBtn, confirmBtn);
+
+  if (!isAuthorized) {
+    const notice = document.createElement("div");
+    notice.className = "order-summary-payment-notice";
+    notice.setAttribute("role", "alert");
+
+    const message = document.createElement("p");
+    message.textContent = checkoutData?.payment
+      ? "Your order total has changed since your payment was authorized. Please authorize your payment again."
+      : "Please add a payment method before confirming your order.";
+
+    const paymentBtn = document.createElement("button");
+    paymentBtn.type = "button";
+    paymentBtn.className = "order-summary-payment-link";
+    paymentBtn.textContent = "Update payment";
+    paymentBtn.addEventListener("click", () => {
+      navigateToPage("checkout?step=payment");
+    });
+
+    notice.append(message, paymentBtn);
+    buttonGroup.prepend(notice);
+  }
+
   return buttonGroup;
 }
 
 /**
- * Handle confirm order - Update dataLayer with commerce object
+ * Build the order sent to the order endpoint
+ * @param {Object} checkoutData - Checkout data from localStorage
+ * @param {Object} cartData - Cart data
+ * @returns {Object} Order { customer, shippingAddress, billingAddress, shippingMethod,
+ *   payment, items, totals }
+ */
+function buildOrder(checkoutData, cartData) {
+  const { payment } = checkoutData;
+  const products = Object.values(cartData.products || {});
+
+  return {
+    customer: {
+      firstName: checkoutData.firstName,
+      lastName: checkoutData.lastName,
+      email: checkoutData.email,
+    },
+    shippingAddress: {
+      streetAddress: checkoutData.streetAddress,
+      city: checkoutData.city,
+      region: checkoutData.region || "",
+      postalCode: checkoutData.postalCode,
+      country: checkoutData.country,
+      phone: checkoutData.phone || "",
+    },
+    billingAddress: getBillingAddress(checkoutData),
+    shippingMethod: {
+      id: cartData.shippingMethod?.id || checkoutData.shippingMethod || "",
+      label: cartData.shippingMethod?.label || "",
+      amount: cartData.shipping || 0,
+    },
+    payment: {
+      method: payment.method,
+      label: payment.label,
+      details: payment.details || {},
+      authorization: payment.authorization,
+      authorizationId: payment.authorization.id,
+    },
+    items: products.map((product) => ({
+      id: product.id,
+      productId: product.productId || product.id,
+      sku: product.sku || product.id,
+      options: product.options || {},
+      name: product.name,
+      image: product.image || "",
+      price: product.price,
+      quantity: product.quantity || 1,
+      category: product.category || "",
+      giftWrap: Boolean(product.giftWrap),
+      giftMessage: product.giftMessage || "",
+      note: product.note || "",
+    })),
+    totals: {
+      currency: cartData.currency,
+      productCount: cartData.productCount || 0,
+      subTotal: cartData.subTotal || 0,
+      discount: cartData.discount || 0,
+      promotionCodes: (cartData.promotions || [])
+        .filter((promotion) => promotion.active)
+        .map((promotion) => promotion.code),
+      shipping: cartData.shipping || 0,
+      tax: cartData.tax || 0,
+      taxLines: (cartData.taxLines || []).map((line) => ({
+        label: line.label,
+        rate: line.rate,
+        amount: line.amount,
+      })),
+      total: cartData.total || 0,
+    },
+  };
+}
+
+/**
+ * Show (or clear) the order submission error above the buttons
+ * @param {HTMLElement} buttonGroup - Buttons container
+ * @param {Error|null} error - Submission error, or null to clear it
  */
-function handleConfirmOrder() {
-  const cartData = getCartData();
+function showOrderError(buttonGroup, error) {
+  buttonGroup.querySelector(".order-summary-order-error")?.remove();
+  if (!error) return;
+
+  const notice = document.createElement("div");
+  notice.className = "order-summary-order-error";
+  notice.setAttribute("role", "alert");
+
+  const message = document.createElement("p");
+  message.textContent = error.retryable
+    ? `We could not place your order: ${error.message} You can safely try again, your order will only be placed once.`
+    : `We could not place your order: ${error.message}`;
+
+  notice.appendChild(message);
+  buttonGroup.prepend(notice);
+}
+
+/**
+ * Handle confirm order - Submit the order, then update dataLayer with commerce object
+ * The order keeps its idempotency key until it is placed, so double clicks and
+ * retries after an error cannot create a second order.
+ * @param {HTMLButtonElement} confirmBtn - Confirm button
+ */
+async function handleConfirmOrder(confirmBtn) {
+  const cartData = getCart();
   const checkoutData = loadCheckoutData();
-  
-  // Generate purchase order number
-  const purchaseOrderNumber = generatePurchaseOrderNumber();
-  
+  const payment = checkoutData?.payment;
+  if (!isPaymentAuthorized(payment, cartData)) {
+    console.warn("⚠ Order not confirmed: payment is not authorized");
+    return;
+  }
+
+  const buttonGroup = confirmBtn.closest(".order-summary-buttons");
+  showOrderError(buttonGroup, null);
+  confirmBtn.disabled = true;
+  confirmBtn.textContent = "PLACING ORDER…";
+
+  let placedOrder;
+  try {
+    placedOrder = await submitOrder(buildOrder(checkoutData, cartData));
+  } catch (error) {
+    console.warn("⚠ Order submission failed:", error.message);
+    showOrderError(buttonGroup, error);
+    confirmBtn.disabled = false;
+    confirmBtn.textContent = error.retryable ? "TRY AGAIN" : "CONFIRM ORDER";
+    return;
+  }
+
+  const purchaseOrderNumber = placedOrder.orderNumber;
+
   // Store purchase order number for order-confirmation page
   localStorage.setItem("luma_purchase_order_number", purchaseOrderNumber);
-  
-  // Prepare order items for commerce object
-  const products = Object.values(cartData.products || {});
-  const orderItems = products.map(product => ({
-    id: product.id,
-    name: product.name,
-    price: product.price,
-    quantity: product.quantity || 1,
-    category: product.category || "",
-  }));
-  
+
   // Create commerce object
+  const { totals } = placedOrder;
   const commerceData = {
     order: {
-      purchaseOrderNumber: purchaseOrderNumber,
-      productCount: cartData.productCount || 0,
-      subTotal: cartData.subTotal || 0,
-      total: cartData.total || 0,
-      items: orderItems,
+      purchaseOrderNumber,
+      currency: totals.currency,
+      productCount: totals.productCount,
+      subTotal: totals.subTotal,
+      discount: totals.discount,
+      promotionCodes: totals.promotionCodes,
+      tax: totals.tax,
+      taxLines: totals.taxLines,
+      total: totals.total,
+      items: placedOrder.items,
     },
     shipping: {
-      shippingAmount: 5,
-      shippingMethod: "standardShipping",
+      shippingAmount: placedOrder.shippingMethod.amount,
+      shippingMethod: placedOrder.shippingMethod.id,
     },
+    payments: [
+      {
+        paymentType: payment.method,
+        paymentAmount: payment.authorization.amount,
+        currencyCode: payment.authorization.currency,
+        transactionID: payment.authorization.id,
+        details: payment.details || {},
+      },
+    ],
   };
-  
+
   // Update dataLayer with commerce object
   if (window.updateDataLayer) {
     window.updateDataLayer({ commerce: commerceData }, true);
@@ -314,7 +556,7 @@ function handleConfirmOrder() {
   } else {
     console.warn("⚠️ updateDataLayer not available");
   }
-  
+
   // Navigate to order confirmation
   setTimeout(() => {
     navigateToPage("order-confirmation");
@@ -327,7 +569,7 @@ function handleConfirmOrder() {
  */
 function renderOrderSummary(block) {
   const checkoutData = loadCheckoutData();
-  const cartData = getCartData();
+  const cartData = getCart();
 
   const container = block.querySelector(".order-summary-container");
   if (!container) return;
@@ -345,7 +587,7 @@ function renderOrderSummary(block) {
   }
 
   const summary = buildOrderSummary(checkoutData, cartData);
-  const buttons = buildButtons();
+  const buttons = buildButtons(checkoutData, cartData);
 
   container.append(summary, buttons);
 }
@@ -367,13 +609,18 @@ function setupDataLayerListener(block) {
  * Decorate the order summary block
  * @param {HTMLElement} block - The block element
  */
-export default function decorate(block) {
+export default async function decorate(block) {
   block.textContent = "";
 
   const container = document.createElement("div");
   container.className = "order-summary-container";
   block.appendChild(container);
 
+  // Async storage backends (IndexedDB, remote cart) load the checkout data later
+  if (typeof window.whenDataLayerStorageReady === "function") {
+    await window.whenDataLayerStorageReady();
+  }
+
   // Initial render
   renderOrderSummary(block);
 
@@ -1,5 +1,22 @@
 import { createOptimizedPicture, readBlockConfig } from "../../scripts/aem.js";
 import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import { formatMoney } from "../../scripts/money.js";
+import {
+  fetchProduct,
+  fetchProducts,
+  formatCategory,
+} from "../../scripts/catalog.js";
+import { isInWishlist, toggleWishlist } from "../../scripts/wishlist.js";
+import { getProductVariants, findVariant } from "../../scripts/variants.js";
+import { buildVariantPicker } from "../../scripts/variant-picker.js";
+import { createProductGallery } from "./product-gallery.js";
+import {
+  getStockLabel,
+  getStockStatus,
+  loadStockLevels,
+  resolveStock,
+  STOCK_STATUS,
+} from "../../scripts/inventory.js";
 
 /**
  * Get query parameter from URL
@@ -11,146 +28,14 @@ function getQueryParam(param) {
   return urlParams.get(param);
 }
 
-/**
- * Fetch product details from GraphQL
- * @param {string} path - Content fragment folder path
- * @param {string} sku - Product SKU
- * @param {boolean} isAuthor - Is author environment
- * @param {boolean} isLegacy - Use legacy luma3 endpoint/model
- * @returns {Promise<Object|null>} - Product data
- */
-async function fetchProductDetail(path, sku, isAuthor, isLegacy = false) {
-  try {
-    if (!path || !sku) {
-      // eslint-disable-next-line no-console
-      console.error("Product Detail: Missing path or SKU");
-      return null;
-    }
-
-    if (isLegacy) {
-      const skuItem = isAuthor ? `;sku=${sku}` : `&sku=${sku}`;
-      const baseUrl = isAuthor
-        ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/getProductsByPathAndSKU;"
-        : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGrapghQlByPathAndSku?environment=p165802-e1765367&";
-      const url = `${baseUrl}_path=${path}${skuItem}`;
-      const resp = await fetch(url, {
-        method: "GET",
-        headers: {
-          "Cache-Control": "no-cache, no-store, must-revalidate",
-          Pragma: "no-cache",
-        },
-      });
-      const json = await resp.json();
-      const items = json?.data?.productsModelList?.items || [];
-      return items.length > 0 ? items[0] : null;
-    }
-
-    // New CF: fetch list by path then find by sku
-    const baseUrl = isAuthor
-      ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/zoltarProductListByPath;"
-      : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/luma-zoltar?environment=p165802-e1765367&endpoint=zoltarProductListByPath&";
-    const url = `${baseUrl}_path=${path}`;
-    const resp = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Cache-Control": "no-cache, no-store, must-revalidate",
-        Pragma: "no-cache",
-      },
-    });
-    const json = await resp.json();
-    const items =
-      json?.data?.productsContentFragmentModelList?.items ||
-      json?.data?.productsModelList?.items ||
-      [];
-    const product = items.find((item) => (item.sku || item.id || "").toString() === sku.toString());
-    return product || null;
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error("Product Detail: fetch error", e);
-    return null;
-  }
-}
-
-/**
- * Fetch all products from a folder
- * @param {string} path - Content fragment folder path
- * @param {boolean} isAuthor - Is author environment
- * @param {boolean} isLegacy - Use legacy luma3 endpoint/model
- * @returns {Promise<Array>} - Array of products
- */
-async function fetchAllProducts(path, isAuthor, isLegacy = false) {
-  try {
-    if (!path) return [];
-
-    let baseUrl;
-    if (isLegacy) {
-      baseUrl = isAuthor
-        ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/menproductspagelister;"
-        : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGraphQl?environment=p165802-e1765367&";
-    } else {
-      baseUrl = isAuthor
-        ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/zoltarProductListByPath;"
-        : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/luma-zoltar?environment=p165802-e1765367&endpoint=zoltarProductListByPath&";
-    }
-    const url = `${baseUrl}_path=${path}`;
-    const resp = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Cache-Control": "no-cache, no-store, must-revalidate",
-        Pragma: "no-cache",
-      },
-    });
-    const json = await resp.json();
-    const items =
-      json?.data?.productsContentFragmentModelList?.items ||
-      json?.data?.productsModelList?.items ||
-      [];
-    return items.filter((item) => item && (item.sku || item.id));
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error("Product Detail: fetch all products error", e);
-    return [];
-  }
-}
-
-/**
- * Resolve image URL from product (legacy image vs new externalImageURL/damImageURL)
- * @param {Object} item - Product data
- * @param {boolean} isAuthor - Is author environment
- * @param {boolean} isLegacy - Legacy CF model
- * @returns {string|null} - Image URL
- */
-function getProductImageUrl(item, isAuthor, isLegacy = false) {
-  if (!item) return null;
-  const { image, externalImageURL, damImageURL } = item;
-  if (isLegacy) {
-    if (image && (image._authorUrl || image._publishUrl)) {
-      return isAuthor ? image._authorUrl : image._publishUrl;
-    }
-    return null;
-  }
-  if (externalImageURL) {
-    const url = typeof externalImageURL === "string"
-      ? externalImageURL
-      : externalImageURL.plaintext;
-    if (url) return url;
-  }
-  if (damImageURL && (damImageURL._authorUrl || damImageURL._publishUrl)) {
-    return isAuthor ? damImageURL._authorUrl : damImageURL._publishUrl;
-  }
-  return null;
-}
-
 /**
  * Build a recommendation card (aligned with new-arrival / category-products-lister)
- * @param {Object} item - Product data
+ * @param {Object} item - Product (see scripts/catalog.js)
  * @param {boolean} isAuthor - Is author environment
- * @param {boolean} isLegacy - Legacy CF model
  * @returns {HTMLElement} - Product card
  */
-function buildRecommendationCard(item, isAuthor, isLegacy = false) {
-  const { id, sku, name, category = [] } = item || {};
-  const imgUrl = getProductImageUrl(item, isAuthor, isLegacy);
+function buildRecommendationCard(item, isAuthor) {
+  const { id, sku, name, category = [], image: imgUrl } = item || {};
   const productId = sku || id || "";
 
   const card = document.createElement("article");
@@ -234,34 +119,14 @@ function buildRecommendationCard(item, isAuthor, isLegacy = false) {
   return card;
 }
 
-/**
- * Format category array: split by colon (remove demo ID), title case
- * @param {Array} category - Category array
- * @returns {string} - Formatted category string
- */
-function formatCategoryDisplay(category) {
-  if (!category || category.length === 0) return "";
-  const cleaned = category
-    .map((cat) => {
-      const parts = cat.split(":");
-      return parts.length > 1 ? parts[1] : cat;
-    })
-    .filter(Boolean);
-  return cleaned
-    .join(", ")
-    .replace(/,/g, " /")
-    .toLowerCase()
-    .replace(/\b\w/g, (char) => char.toUpperCase());
-}
-
 /**
  * Build product detail view (aligned with new-arrival / category-products-lister)
- * @param {Object} product - Product data
+ * @param {Object} product - Product (see scripts/catalog.js)
  * @param {boolean} isAuthor - Is author environment
- * @param {boolean} isLegacy - Legacy CF model
+ * @param {Object} stockLevels - Stock levels by SKU (see scripts/inventory.js)
  * @returns {HTMLElement} - Product detail container
  */
-function buildProductDetail(product, isAuthor, isLegacy = false) {
+function buildProductDetail(product, isAuthor, stockLevels = {}) {
   const {
     name,
     price,
@@ -269,11 +134,11 @@ function buildProductDetail(product, isAuthor, isLegacy = false) {
     description = {},
     sku,
     id,
+    image: imageUrl,
   } = product;
 
-  const imageUrl = getProductImageUrl(product, isAuthor, isLegacy);
   const displayName = name ? name.split(",")[0].trim() : "";
-  const formattedCategory = formatCategoryDisplay(category);
+  const formattedCategory = formatCategory(category);
   const descriptionText = description?.html || description?.markdown || description?.plaintext || "";
 
   const productData = {
@@ -285,6 +150,7 @@ function buildProductDetail(product, isAuthor, isLegacy = false) {
     description: descriptionText,
     image: imageUrl || "",
     thumbnail: imageUrl || "",
+    folder: product.folder || "",
   };
 
   if (typeof window.updateDataLayer === "function") {
@@ -299,28 +165,15 @@ function buildProductDetail(product, isAuthor, isLegacy = false) {
   const container = document.createElement("div");
   container.className = "pd-container";
 
-  const imageSection = document.createElement("div");
-  imageSection.className = "pd-image";
-
-  if (imageUrl) {
-    const useDirectImg = imageUrl.startsWith("http");
-    let picture = null;
-    if (useDirectImg) {
-      picture = document.createElement("picture");
-      const img = document.createElement("img");
-      img.src = imageUrl;
-      img.alt = name || "Product image";
-      img.loading = "eager";
-      picture.appendChild(img);
-    } else {
-      picture = createOptimizedPicture(imageUrl, name || "Product image", true, [
-        { media: "(min-width: 900px)", width: "800" },
-        { media: "(min-width: 600px)", width: "600" },
-        { width: "400" },
-      ]);
-    }
-    if (picture) imageSection.appendChild(picture);
-  }
+  // Gallery of every image of the product and its variants
+  const variants = getProductVariants(product, isAuthor, stockLevels);
+  const images = [
+    ...new Set([
+      ...(product.images || [imageUrl]),
+      ...variants.map((variant) => variant.image),
+    ]),
+  ].filter(Boolean);
+  const gallery = createProductGallery(images, name || "Product image");
 
   const contentSection = document.createElement("div");
   contentSection.className = "pd-content";
@@ -338,10 +191,10 @@ function buildProductDetail(product, isAuthor, isLegacy = false) {
   contentSection.appendChild(nameEl);
 
   // Price
+  const priceEl = document.createElement("p");
+  priceEl.className = "pd-price";
   if (price) {
-    const priceEl = document.createElement("p");
-    priceEl.className = "pd-price";
-    priceEl.textContent = `$${price}`;
+    priceEl.textContent = formatMoney(price);
     contentSection.appendChild(priceEl);
   }
 
@@ -367,16 +220,93 @@ function buildProductDetail(product, isAuthor, isLegacy = false) {
   addToCartBtn.className = "pd-btn pd-btn-primary";
   addToCartBtn.textContent = "Add to Cart";
   addToCartBtn.setAttribute("aria-label", `Add ${name} to cart`);
+
+  // Variants (size/color) with per-variant SKU, price, image and availability
+  const productStock = resolveStock(product.stock, sku || id, stockLevels);
+  const selectedVariantSku = getQueryParam("variant");
+  const initialVariant =
+    variants.find((variant) => variant.sku === selectedVariantSku) ||
+    variants.find((variant) => variant.available) ||
+    null;
+  const selectedOptions = { ...(initialVariant?.options || {}) };
+  let currentVariant = initialVariant;
+
+  const availabilityEl = document.createElement("p");
+  availabilityEl.className = "pd-availability";
+
+  // Show stock and disable add to cart for the selected variant (or the product)
+  const updateAvailability = () => {
+    const purchasable = variants.length
+      ? currentVariant
+      : { stock: productStock, available: productStock !== 0 };
+    const status =
+      purchasable && !purchasable.available
+        ? STOCK_STATUS.OUT_OF_STOCK
+        : getStockStatus(purchasable?.stock ?? null);
+
+    availabilityEl.textContent = purchasable
+      ? getStockLabel(status === STOCK_STATUS.OUT_OF_STOCK ? 0 : purchasable.stock)
+      : "Select options";
+    availabilityEl.classList.toggle(
+      "pd-availability-out",
+      Boolean(purchasable) && status === STOCK_STATUS.OUT_OF_STOCK
+    );
+    availabilityEl.classList.toggle(
+      "pd-availability-low",
+      Boolean(purchasable) && status === STOCK_STATUS.LOW_STOCK
+    );
+    addToCartBtn.disabled = !purchasable || status === STOCK_STATUS.OUT_OF_STOCK;
+  };
+
+  const updateVariant = () => {
+    currentVariant = findVariant(variants, selectedOptions);
+    const variantPrice = currentVariant?.price || price || 0;
+    priceEl.textContent = formatMoney(variantPrice);
+
+    if (currentVariant?.image) gallery.show(currentVariant.image);
+
+    updateAvailability();
+
+    if (currentVariant && typeof window.updateDataLayer === "function") {
+      window.updateDataLayer({
+        product: {
+          variantSku: currentVariant.sku,
+          options: currentVariant.options,
+          price: variantPrice,
+        },
+      });
+    }
+  };
+
+  if (variants.length) {
+    contentSection.append(
+      buildVariantPicker(variants, selectedOptions, updateVariant),
+      availabilityEl
+    );
+    if (!priceEl.isConnected) {
+      nameEl.after(priceEl);
+    }
+    updateVariant();
+  } else if (productStock !== null) {
+    contentSection.appendChild(availabilityEl);
+    updateAvailability();
+  }
+
   addToCartBtn.addEventListener("click", () => {
+    const variantImage = currentVariant?.image || imageUrl || "";
     window.addToCart({
       id: id || sku || "",
+      variantSku: currentVariant?.sku,
+      options: currentVariant?.options,
       name: displayName || name || "",
-      image: imageUrl || "",
-      thumbnail: imageUrl || "",
+      image: variantImage,
+      thumbnail: variantImage,
       category: formattedCategory,
       description: descriptionText,
-      price: price || 0,
+      price: currentVariant?.price || price || 0,
       quantity: 1,
+      stock: variants.length ? currentVariant?.stock : productStock,
+      folder: product.folder || "",
     });
 
     // Show visual feedback
@@ -388,28 +318,58 @@ function buildProductDetail(product, isAuthor, isLegacy = false) {
 
   const addToWishlistBtn = document.createElement("button");
   addToWishlistBtn.className = "pd-btn pd-btn-secondary";
-  addToWishlistBtn.textContent = "Add to Wishlist";
-  addToWishlistBtn.setAttribute("aria-label", `Add ${name} to wishlist`);
+
+  // Reflect the wishlist state on the button
+  const updateWishlistBtn = () => {
+    const inWishlist = isInWishlist(productData.id);
+    addToWishlistBtn.textContent = inWishlist
+      ? "In Wishlist ✓"
+      : "Add to Wishlist";
+    addToWishlistBtn.setAttribute("aria-pressed", inWishlist);
+    addToWishlistBtn.setAttribute(
+      "aria-label",
+      inWishlist ? `Remove ${name} from wishlist` : `Add ${name} to wishlist`
+    );
+  };
+  updateWishlistBtn();
+
+  // The selected variant and its stock are saved with the item (the link preselects it)
   addToWishlistBtn.addEventListener("click", () => {
-    // TODO: Implement wishlist functionality
+    let stock = productStock;
+    if (variants.length) {
+      stock = currentVariant?.available === false ? 0 : currentVariant?.stock;
+    }
+    const url = new URL(window.location.href);
+    if (currentVariant) url.searchParams.set("variant", currentVariant.sku);
+    toggleWishlist({
+      ...productData,
+      variantSku: currentVariant?.sku,
+      options: currentVariant?.options,
+      hasVariants: variants.length > 0,
+      image: currentVariant?.image || productData.image,
+      thumbnail: currentVariant?.image || productData.thumbnail,
+      price: currentVariant?.price || productData.price,
+      stock,
+      url: `${url.pathname}${url.search}`,
+    });
+    updateWishlistBtn();
   });
 
   actionsEl.append(addToCartBtn, addToWishlistBtn);
   contentSection.appendChild(actionsEl);
 
-  container.append(imageSection, contentSection);
+  container.append(gallery.element, contentSection);
   return container;
 }
 
 /**
  * Build "You May Also Like" recommendations section
- * @param {Object} currentProduct - Current product data
+ * @param {Object} currentProduct - Current product
  * @param {Array} allProducts - All products from the folder
  * @param {boolean} isAuthor - Is author environment
- * @param {boolean} isLegacy - Legacy CF model
  * @returns {HTMLElement|null} - Recommendations section or null
  */
-function buildRecommendations(currentProduct, allProducts, isAuthor, isLegacy = false) {
+function buildRecommendations(currentProduct, allProducts, isAuthor) {
   const { sku: currentSku, id: currentId, category: currentCategories = [] } = currentProduct;
 
   if (!currentCategories || currentCategories.length === 0) return null;
@@ -435,7 +395,7 @@ function buildRecommendations(currentProduct, allProducts, isAuthor, isLegacy =
   const grid = document.createElement("div");
   grid.className = "pd-rec-grid";
   recs.forEach((product) => {
-    grid.append(buildRecommendationCard(product, isAuthor, isLegacy));
+    grid.append(buildRecommendationCard(product, isAuthor));
   });
   section.append(title, grid);
   return section;
@@ -467,7 +427,6 @@ export default async function decorate(block) {
     folderHref = folderHref.replace(/\.html$/, "");
   }
 
-  const isLegacyLuma3 = folderHref && folderHref.includes("/dam/luma3/");
   const sku = getQueryParam("productId");
 
   // Clear block content
@@ -496,9 +455,10 @@ export default async function decorate(block) {
   loader.textContent = "Loading product details...";
   block.appendChild(loader);
 
-  const [product, allProducts] = await Promise.all([
-    fetchProductDetail(folderHref, sku, isAuthor, isLegacyLuma3),
-    fetchAllProducts(folderHref, isAuthor, isLegacyLuma3),
+  const [product, allProducts, stockLevels] = await Promise.all([
+    fetchProduct(folderHref, sku),
+    fetchProducts(folderHref),
+    loadStockLevels(),
   ]);
 
   block.textContent = "";
@@ -511,10 +471,10 @@ export default async function decorate(block) {
     return;
   }
 
-  const productDetail = buildProductDetail(product, isAuthor, isLegacyLuma3);
+  const productDetail = buildProductDetail(product, isAuthor, stockLevels);
   block.appendChild(productDetail);
 
-  const recommendations = buildRecommendations(product, allProducts, isAuthor, isLegacyLuma3);
+  const recommendations = buildRecommendations(product, allProducts, isAuthor);
   if (recommendations) {
     block.appendChild(recommendations);
   }
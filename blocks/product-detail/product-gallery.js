@@ -0,0 +1,306 @@
+// ==========================================
+// Product gallery
+// Images of the product detail page: slides with thumbnails, previous/next
+// buttons, arrow keys and swipe navigation, hover zoom with a mouse and pinch
+// zoom on touch screens. Dynamic Media assets are delivered as renditions
+// (with the smart crop of the page, see scripts/dynamic-media.js); other DAM
+// images as optimized pictures and external URLs as they are.
+// ==========================================
+
+import { createOptimizedPicture } from "../../scripts/aem.js";
+import {
+  buildRenditionPicture,
+  getRenditionUrl,
+  getSmartCrop,
+  isDynamicMediaUrl,
+} from "../../scripts/dynamic-media.js";
+
+// Horizontal distance of a swipe to the next or previous image
+const SWIPE_THRESHOLD = 50; // px
+
+// Hover zoom magnification and pinch zoom bounds
+const HOVER_ZOOM = 2;
+const MAX_PINCH_ZOOM = 4;
+
+/**
+ * Build the picture of a product image
+ * @param {string} imageUrl - Image URL
+ * @param {string} alt - Alt text
+ * @param {boolean} eager - Load the image right away (first slide)
+ * @returns {HTMLElement} Picture element
+ */
+function buildProductPicture(imageUrl, alt, eager) {
+  if (isDynamicMediaUrl(imageUrl)) {
+    return buildRenditionPicture(imageUrl, alt, {
+      breakpoints: [
+        { media: "(min-width: 900px)", width: 1000 },
+        { media: "(min-width: 600px)", width: 800 },
+        { width: 600 },
+      ],
+      smartCrop: getSmartCrop(),
+      eager,
+    });
+  }
+  if (imageUrl.startsWith("http")) {
+    const picture = document.createElement("picture");
+    const img = document.createElement("img");
+    img.src = imageUrl;
+    img.alt = alt;
+    img.loading = eager ? "eager" : "lazy";
+    picture.appendChild(img);
+    return picture;
+  }
+  return createOptimizedPicture(imageUrl, alt, eager, [
+    { media: "(min-width: 900px)", width: "800" },
+    { media: "(min-width: 600px)", width: "600" },
+    { width: "400" },
+  ]);
+}
+
+/**
+ * Get the URL of a small image for a thumbnail
+ * @param {string} imageUrl - Image URL
+ * @returns {string} Thumbnail URL
+ */
+function getThumbnailUrl(imageUrl) {
+  if (isDynamicMediaUrl(imageUrl)) {
+    return getRenditionUrl(imageUrl, { width: 160, smartCrop: getSmartCrop() });
+  }
+  if (imageUrl.startsWith("http")) return imageUrl;
+  return `${imageUrl}?width=160&format=webply&optimize=medium`;
+}
+
+/**
+ * Get the URL of a large image for the hover zoom
+ * @param {string} imageUrl - Image URL
+ * @returns {string} Zoom image URL
+ */
+function getZoomUrl(imageUrl) {
+  if (isDynamicMediaUrl(imageUrl)) {
+    return getRenditionUrl(imageUrl, { width: 2000, smartCrop: getSmartCrop() });
+  }
+  if (imageUrl.startsWith("http")) return imageUrl;
+  return `${imageUrl}?width=2000&format=webply&optimize=medium`;
+}
+
+/**
+ * Create the product image gallery
+ * @param {Array<string>} images - Image URLs, the main image first
+ * @param {string} alt - Alt text of the product images
+ * @returns {Object} { element, show } - Gallery, and show(url) to display an image
+ */
+export function createProductGallery(images, alt) {
+  // Current slide (none until the first one is shown)
+  let index = -1;
+  // Pinch zoom of the current slide
+  let zoom = { scale: 1, x: 0, y: 0 };
+
+  const element = document.createElement("div");
+  element.className = "pd-image pd-gallery";
+  element.setAttribute("role", "region");
+  element.setAttribute("aria-roledescription", "carousel");
+  element.setAttribute("aria-label", "Product images");
+  if (!images.length) return { element, show: () => {} };
+
+  const viewport = document.createElement("div");
+  viewport.className = "pd-gallery-viewport";
+  const track = document.createElement("div");
+  track.className = "pd-gallery-track";
+  track.setAttribute("aria-live", "polite");
+
+  const slides = images.map((url, i) => {
+    const slide = document.createElement("div");
+    slide.className = "pd-gallery-slide";
+    slide.setAttribute("role", "group");
+    slide.setAttribute("aria-roledescription", "slide");
+    slide.setAttribute("aria-label", `${i + 1} of ${images.length}`);
+    slide.append(buildProductPicture(url, alt, i === 0));
+    track.append(slide);
+    return slide;
+  });
+
+  // Hover zoom: a magnified copy of the image follows the pointer
+  const lens = document.createElement("div");
+  lens.className = "pd-gallery-zoom";
+  lens.hidden = true;
+  viewport.append(track, lens);
+  element.append(viewport);
+
+  const thumbs = document.createElement("div");
+  thumbs.className = "pd-gallery-thumbs";
+  const thumbButtons = images.map((url, i) => {
+    const thumb = document.createElement("button");
+    thumb.type = "button";
+    thumb.className = "pd-gallery-thumb";
+    thumb.setAttribute("aria-label", `Show image ${i + 1} of ${images.length}`);
+    const img = document.createElement("img");
+    img.src = getThumbnailUrl(url);
+    img.alt = "";
+    img.loading = "lazy";
+    thumb.append(img);
+    thumbs.append(thumb);
+    return thumb;
+  });
+
+  const prevBtn = document.createElement("button");
+  prevBtn.type = "button";
+  prevBtn.className = "pd-gallery-prev";
+  prevBtn.setAttribute("aria-label", "Previous image");
+  const nextBtn = document.createElement("button");
+  nextBtn.type = "button";
+  nextBtn.className = "pd-gallery-next";
+  nextBtn.setAttribute("aria-label", "Next image");
+
+  if (images.length > 1) {
+    viewport.append(prevBtn, nextBtn);
+    element.append(thumbs);
+    // Arrow keys move between images once the gallery has focus
+    element.tabIndex = 0;
+  }
+
+  function applyPinchZoom() {
+    const img = slides[index]?.querySelector("img");
+    if (!img) return;
+    img.style.transform =
+      zoom.scale > 1
+        ? `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`
+        : "";
+    viewport.classList.toggle("pd-gallery-pinched", zoom.scale > 1);
+  }
+
+  function resetZoom() {
+    zoom = { scale: 1, x: 0, y: 0 };
+    applyPinchZoom();
+    lens.hidden = true;
+  }
+
+  function goTo(newIndex) {
+    if (newIndex < 0 || newIndex >= images.length || newIndex === index) return;
+    resetZoom();
+    index = newIndex;
+    track.style.transform = `translateX(-${index * 100}%)`;
+    slides.forEach((slide, i) => {
+      slide.setAttribute("aria-hidden", String(i !== index));
+    });
+    thumbButtons.forEach((thumb, i) => {
+      if (i === index) {
+        thumb.setAttribute("aria-current", "true");
+      } else {
+        thumb.removeAttribute("aria-current");
+      }
+    });
+    prevBtn.disabled = index === 0;
+    nextBtn.disabled = index === images.length - 1;
+  }
+
+  thumbButtons.forEach((thumb, i) => {
+    thumb.addEventListener("click", () => goTo(i));
+  });
+  prevBtn.addEventListener("click", () => goTo(index - 1));
+  nextBtn.addEventListener("click", () => goTo(index + 1));
+
+  element.addEventListener("keydown", (event) => {
+    const targets = {
+      ArrowLeft: index - 1,
+      ArrowRight: index + 1,
+      Home: 0,
+      End: images.length - 1,
+    };
+    if (event.key in targets) {
+      event.preventDefault();
+      goTo(targets[event.key]);
+    } else if (event.key === "Escape") {
+      resetZoom();
+    }
+  });
+
+  // Hover zoom (mouse only)
+  viewport.addEventListener("pointermove", (event) => {
+    if (event.pointerType !== "mouse" || event.target.closest("button")) {
+      lens.hidden = true;
+      return;
+    }
+    const rect = viewport.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * 100;
+    const y = ((event.clientY - rect.top) / rect.height) * 100;
+    lens.style.backgroundImage = `url("${getZoomUrl(images[index])}")`;
+    lens.style.backgroundSize = `${HOVER_ZOOM * 100}%`;
+    lens.style.backgroundPosition = `${x}% ${y}%`;
+    lens.hidden = false;
+  });
+  viewport.addEventListener("pointerleave", () => {
+    lens.hidden = true;
+  });
+
+  // Touch: swipe between images, pinch to zoom, drag to pan a zoomed image
+  const pointers = new Map();
+  let gesture = null;
+
+  const getDistance = () => {
+    const [a, b] = [...pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  viewport.addEventListener("pointerdown", (event) => {
+    if (event.pointerType === "mouse" || event.target.closest("button")) return;
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    viewport.setPointerCapture(event.pointerId);
+    gesture =
+      pointers.size === 2
+        ? { type: "pinch", distance: getDistance(), scale: zoom.scale }
+        : {
+            type: zoom.scale > 1 ? "pan" : "swipe",
+            startX: event.clientX,
+            startY: event.clientY,
+            x: zoom.x,
+            y: zoom.y,
+          };
+  });
+
+  viewport.addEventListener("pointermove", (event) => {
+    if (!pointers.has(event.pointerId) || !gesture) return;
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (gesture.type === "pinch" && pointers.size === 2) {
+      zoom.scale = Math.min(
+        Math.max((gesture.scale * getDistance()) / gesture.distance, 1),
+        MAX_PINCH_ZOOM
+      );
+      applyPinchZoom();
+    } else if (gesture.type === "pan") {
+      zoom.x = gesture.x + event.clientX - gesture.startX;
+      zoom.y = gesture.y + event.clientY - gesture.startY;
+      applyPinchZoom();
+    }
+  });
+
+  const endGesture = (event) => {
+    if (!pointers.has(event.pointerId)) return;
+    pointers.delete(event.pointerId);
+    if (gesture?.type === "swipe" && event.type === "pointerup") {
+      const dx = event.clientX - gesture.startX;
+      const dy = event.clientY - gesture.startY;
+      if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+        goTo(index + (dx < 0 ? 1 : -1));
+      }
+    }
+    if (!pointers.size) {
+      gesture = null;
+      if (zoom.scale <= 1) resetZoom();
+    }
+  };
+  viewport.addEventListener("pointerup", endGesture);
+  viewport.addEventListener("pointercancel", endGesture);
+
+  // Double tap resets a pinch zoom
+  viewport.addEventListener("dblclick", resetZoom);
+
+  goTo(0);
+
+  return {
+    element,
+    show(url) {
+      const i = images.indexOf(url);
+      if (i !== -1) goTo(i);
+    },
+  };
+}
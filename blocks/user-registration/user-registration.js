@@ -1,3 +1,5 @@
+import { setMarketingChannels } from "../../scripts/consent.js";
+
 export default async function decorate(block) {
   // Build Adaptive Form definition for User Registration
   const formDef = {
@@ -360,28 +362,12 @@ function updateAllDataLayerFields(formData) {
         favoriteColor: formData.favoriteColor || "",
       },
     },
-    consents: {
-      marketing: {
-        email: {
-          val:
-            Array.isArray(formData.commPrefs) &&
-            formData.commPrefs.includes("email"),
-        },
-        call: {
-          val:
-            Array.isArray(formData.commPrefs) &&
-            formData.commPrefs.includes("phone"),
-        },
-        sms: {
-          val:
-            Array.isArray(formData.commPrefs) &&
-            formData.commPrefs.includes("sms"),
-        },
-      },
-    },
   };
 
   window.updateDataLayer(updateObj);
+
+  // Consents are owned by the consent manager, which reflects them into the dataLayer
+  updateCommunicationPreferences(formData.commPrefs);
 }
 
 /**
@@ -502,14 +488,13 @@ function prePopulateFormFromDataLayer(block) {
     );
     commPrefsCheckboxes.forEach((checkbox) => {
       const prefType = checkbox.value; // 'email', 'phone', 'sms'
-      if (prefType === "email" && dataLayer.consents.marketing.email?.val) {
+      // XDM consent values are "y" / "n"
+      const { marketing } = dataLayer.consents;
+      if (prefType === "email" && marketing.email?.val === "y") {
         checkbox.checked = true;
-      } else if (
-        prefType === "phone" &&
-        dataLayer.consents.marketing.call?.val
-      ) {
+      } else if (prefType === "phone" && marketing.call?.val === "y") {
         checkbox.checked = true;
-      } else if (prefType === "sms" && dataLayer.consents.marketing.sms?.val) {
+      } else if (prefType === "sms" && marketing.sms?.val === "y") {
         checkbox.checked = true;
       }
     });
@@ -585,18 +570,12 @@ function updateDataLayerField(fieldName, value) {
  * @param {Array} preferences - Array of selected preferences ['email', 'phone', 'sms']
  */
 function updateCommunicationPreferences(preferences = []) {
-  if (!window.updateDataLayer) return;
-
   const prefsArray = Array.isArray(preferences) ? preferences : [];
 
-  window.updateDataLayer({
-    consents: {
-      marketing: {
-        email: { val: prefsArray.includes("email") },
-        call: { val: prefsArray.includes("phone") },
-        sms: { val: prefsArray.includes("sms") },
-      },
-    },
+  setMarketingChannels({
+    email: prefsArray.includes("email"),
+    call: prefsArray.includes("phone"),
+    sms: prefsArray.includes("sms"),
   });
 }
 
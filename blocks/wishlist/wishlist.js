@@ -0,0 +1,172 @@
+import { formatMoney } from "../../scripts/money.js";
+import { formatLineOptions } from "../../scripts/variants.js";
+import {
+  getWishlist,
+  removeFromWishlist,
+  moveToCart,
+  WISHLIST_EVENTS,
+} from "../../scripts/wishlist.js";
+
+// Shown when an item cannot be moved to the cart
+const MOVE_MESSAGES = {
+  outOfStock: "This item is out of stock",
+  insufficientStock: "All available units are already in your cart",
+};
+
+/**
+ * Build a single wishlist item
+ * @param {Object} item - Wishlist item
+ * @returns {HTMLElement} Wishlist item element
+ */
+function buildWishlistItem(item) {
+  const card = document.createElement("li");
+  card.className = "wishlist-item";
+  card.setAttribute("data-product-id", item.id);
+
+  // Image
+  const imageWrapper = document.createElement(item.url ? "a" : "div");
+  imageWrapper.className = "wishlist-item-image";
+  if (item.url) imageWrapper.href = item.url;
+  if (item.image) {
+    const img = document.createElement("img");
+    img.src = item.image;
+    img.alt = item.name || "Product image";
+    img.loading = "lazy";
+    imageWrapper.appendChild(img);
+  }
+
+  // Details
+  const details = document.createElement("div");
+  details.className = "wishlist-item-details";
+
+  if (item.category) {
+    const category = document.createElement("p");
+    category.className = "wishlist-item-category";
+    category.textContent = item.category;
+    details.appendChild(category);
+  }
+
+  const name = document.createElement("h3");
+  name.className = "wishlist-item-name";
+  if (item.url) {
+    const link = document.createElement("a");
+    link.href = item.url;
+    link.textContent = item.name || "";
+    name.appendChild(link);
+  } else {
+    name.textContent = item.name || "";
+  }
+  details.appendChild(name);
+
+  // Saved variant options (e.g. Color: Blue, Size: M)
+  const optionLabels = formatLineOptions(item);
+  if (optionLabels.length) {
+    const options = document.createElement("p");
+    options.className = "wishlist-item-options";
+    options.textContent = optionLabels.join(" · ");
+    details.appendChild(options);
+  }
+
+  const price = document.createElement("p");
+  price.className = "wishlist-item-price";
+  price.textContent = formatMoney(item.price);
+  details.appendChild(price);
+
+  // Actions
+  const actions = document.createElement("div");
+  actions.className = "wishlist-item-actions";
+
+  const moveBtn = document.createElement("button");
+  moveBtn.type = "button";
+  moveBtn.className = "wishlist-btn wishlist-btn-primary";
+  moveBtn.textContent = "MOVE TO CART";
+  moveBtn.setAttribute("aria-label", `Move ${item.name} to cart`);
+  const status = document.createElement("p");
+  status.className = "wishlist-item-status";
+  status.setAttribute("role", "status");
+
+  // Products with variants saved without one open on the PDP to pick it
+  moveBtn.addEventListener("click", async () => {
+    moveBtn.disabled = true;
+    const { reason } = await moveToCart(item.id);
+    moveBtn.disabled = false;
+    if (reason === "selectOptions" && item.url) {
+      window.location.href = item.url;
+    } else {
+      status.textContent = MOVE_MESSAGES[reason] || "";
+    }
+  });
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "wishlist-btn wishlist-btn-secondary";
+  removeBtn.textContent = "REMOVE";
+  removeBtn.setAttribute("aria-label", `Remove ${item.name} from wishlist`);
+  removeBtn.addEventListener("click", () => removeFromWishlist(item.id));
+
+  actions.append(moveBtn, removeBtn);
+  details.append(actions, status);
+
+  card.append(imageWrapper, details);
+  return card;
+}
+
+/**
+ * Render the wishlist items
+ * @param {HTMLElement} container - Wishlist container
+ */
+function renderWishlist(container) {
+  const items = getWishlist();
+  const content = container.querySelector(".wishlist-content");
+  content.innerHTML = "";
+
+  if (items.length === 0) {
+    const emptyContainer = document.createElement("div");
+    emptyContainer.className = "wishlist-empty";
+
+    const emptyMsg = document.createElement("h2");
+    emptyMsg.className = "wishlist-empty-message";
+    emptyMsg.textContent = "Your wishlist is empty";
+
+    const emptyText = document.createElement("p");
+    emptyText.className = "wishlist-empty-text";
+    emptyText.textContent = "Save products you love to find them again later";
+
+    emptyContainer.append(emptyMsg, emptyText);
+    content.appendChild(emptyContainer);
+    return;
+  }
+
+  const list = document.createElement("ul");
+  list.className = "wishlist-items";
+  items.forEach((item) => list.appendChild(buildWishlistItem(item)));
+  content.appendChild(list);
+}
+
+/**
+ * Decorate the wishlist block
+ * @param {HTMLElement} block - The block element
+ */
+export default function decorate(block) {
+  block.textContent = "";
+
+  const container = document.createElement("div");
+  container.className = "wishlist-container";
+
+  const title = document.createElement("h1");
+  title.className = "wishlist-title";
+  title.textContent = "WISHLIST";
+
+  const content = document.createElement("div");
+  content.className = "wishlist-content";
+
+  container.append(title, content);
+  block.appendChild(container);
+
+  renderWishlist(container);
+
+  // Re-render when items are added, removed or moved to the cart
+  document.addEventListener(WISHLIST_EVENTS.UPDATED, () => {
+    renderWishlist(container);
+  });
+}
@@ -0,0 +1,264 @@
+// ==========================================
+// Abandoned Cart
+// Detects non-empty carts left untouched for longer than an idle threshold
+// (reported once per cart state through the custom events pipeline), and
+// encodes carts into shareable restore links (?cart=...) that the cart block
+// imports on landing. Links only carry SKUs, options, quantities and catalog
+// folders: price, name, image and stock are looked up again in the catalog on restore.
+// ==========================================
+
+import { getMetadata } from "./aem.js";
+import { CART_UPDATED_EVENT, getCart } from "./cart-model.js";
+import { formatCategory } from "./catalog.js";
+import { resolveStock } from "./inventory.js";
+import { findVariant, getProductVariants } from "./variants.js";
+import { getLocalizedPath } from "./utils.js";
+
+// URL parameter holding an encoded cart
+export const CART_PARAM = "cart";
+
+// Idle time before a cart counts as abandoned (override with `abandoned-cart-threshold`
+// page metadata, in minutes)
+const DEFAULT_IDLE_THRESHOLD = 60; // minutes
+
+// updatedAt of the last cart reported as abandoned (reported once per cart state)
+const REPORTED_KEY = "luma_cart_abandoned_reported";
+
+// Links carry at most this many lines to keep URLs short
+const MAX_LINK_LINES = 50;
+
+const abandonCallbacks = [];
+let watcherStarted = false;
+let checkTimeout = null;
+
+/**
+ * Get the updatedAt of the last cart reported as abandoned
+ * @returns {string|null} Stored updatedAt, or null when none (or storage is unavailable)
+ */
+function getReportedState() {
+  try {
+    return localStorage.getItem(REPORTED_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the idle threshold configured for the page
+ * @returns {number} Threshold in milliseconds
+ */
+function getIdleThreshold() {
+  const minutes = parseFloat(getMetadata("abandoned-cart-threshold"));
+  return (minutes > 0 ? minutes : DEFAULT_IDLE_THRESHOLD) * 60 * 1000;
+}
+
+/**
+ * Encode a string as base64url (UTF-8 safe)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function toBase64Url(value) {
+  const bytes = new TextEncoder().encode(value);
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decode a base64url string (UTF-8 safe)
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Encode the lines of a cart for a restore link
+ * @param {Object} cart - Cart data
+ * @returns {string} Encoded cart ("" when the cart is empty)
+ */
+export function encodeCart(cart) {
+  const lines = Object.values(cart?.products || {})
+    .slice(0, MAX_LINK_LINES)
+    .map((line) => ({
+      id: line.productId || line.id,
+      sku: line.sku || line.id,
+      options: line.options || {},
+      quantity: line.quantity,
+      folder: line.folder || undefined,
+    }));
+  return lines.length ? toBase64Url(JSON.stringify({ lines })) : "";
+}
+
+/**
+ * Decode a restore link parameter
+ * @param {string} value - Encoded cart
+ * @returns {Array<Object>|null} Lines { id, variantSku, options, quantity, folder }
+ *   to resolve with resolveCartLines(), or null when the value is invalid
+ */
+export function decodeCart(value) {
+  try {
+    const { lines } = JSON.parse(fromBase64Url(value));
+    if (!Array.isArray(lines)) return null;
+
+    const products = lines
+      .slice(0, MAX_LINK_LINES)
+      .map((line) => ({
+        id: String(line?.id || ""),
+        variantSku: line?.sku ? String(line.sku) : undefined,
+        options:
+          line?.options && typeof line.options === "object" ? line.options : {},
+        quantity: parseInt(line?.quantity, 10),
+        folder: typeof line?.folder === "string" ? line.folder : "",
+      }))
+      .filter((line) => line.id && line.quantity > 0);
+    return products.length ? products : null;
+  } catch (error) {
+    console.warn("⚠ Could not read the cart link:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Rebuild the lines of a restore link from the catalog
+ * Price, name, image and stock never come from the link, so an edited link cannot
+ * change them. Lines whose product or variant is not in the catalog, or is out of
+ * stock, are dropped; quantities are limited to the stock by addLine.
+ * @param {Array<Object>} lines - Lines from decodeCart()
+ * @param {Array<Object>} products - Products of the lines (see findProductsBySku in
+ *   scripts/catalog.js)
+ * @param {Object} stockLevels - Stock levels by SKU (see loadStockLevels in scripts/inventory.js)
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {Array<Object>} Product information of each line (see window.addToCart)
+ */
+export function resolveCartLines(lines, products, stockLevels, isAuthor = false) {
+  return lines
+    .map((line) => {
+      const product = products.find(
+        (item) => (item.id || item.sku) === line.id || item.sku === line.id
+      );
+      if (!product) return null;
+
+      const productSku = product.sku || product.id;
+      const variants = getProductVariants(product, isAuthor, stockLevels);
+      const variant = variants.length
+        ? variants.find((item) => item.sku === line.variantSku) ||
+          findVariant(variants, line.options)
+        : null;
+      if (variants.length && !variant) return null;
+
+      let stock = resolveStock(product.stock, productSku, stockLevels);
+      if (variant) stock = variant.available ? variant.stock : 0;
+      if (stock === 0) return null;
+
+      const image = variant?.image || product.image || "";
+      return {
+        id: product.id || productSku,
+        variantSku: variant?.sku,
+        options: variant?.options,
+        name: product.name ? product.name.split(",")[0].trim() : "",
+        image,
+        thumbnail: image,
+        category: formatCategory(product.category),
+        description: product.description?.plaintext || "",
+        price: variant?.price || product.price || 0,
+        quantity: line.quantity,
+        stock,
+        folder: product.folder || "",
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Build a link that restores a cart on the cart page
+ * @param {Object} cart - Cart data (defaults to the current cart)
+ * @returns {string} Absolute URL ("" when the cart is empty)
+ */
+export function getCartRestoreUrl(cart = getCart()) {
+  const encoded = encodeCart(cart);
+  if (!encoded) return "";
+  const url = new URL(getLocalizedPath("cart"), window.location.origin);
+  url.searchParams.set(CART_PARAM, encoded);
+  return url.toString();
+}
+
+/**
+ * Read the cart encoded in the current URL
+ * @returns {Array<Object>|null} Lines (see decodeCart), or null when the URL has no valid cart
+ */
+export function getCartFromUrl() {
+  const value = new URLSearchParams(window.location.search).get(CART_PARAM);
+  return value ? decodeCart(value) : null;
+}
+
+/**
+ * Remove the cart parameter from the current URL (after it was imported or dismissed)
+ */
+export function clearCartParam() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(CART_PARAM);
+  window.history.replaceState(window.history.state, "", url.toString());
+}
+
+/**
+ * Record an abandoned cart in the dataLayer and notify listeners
+ * @param {Object} cart - Abandoned cart
+ * @param {number} idleTime - Time since the last cart change (ms)
+ */
+function reportAbandoned(cart, idleTime) {
+  try {
+    localStorage.setItem(REPORTED_KEY, String(cart.updatedAt));
+  } catch (error) {
+    console.warn("⚠ Could not persist abandoned cart state:", error.message);
+  }
+
+  const abandonedCart = {
+    detectedAt: new Date().toISOString(),
+    idleMinutes: Math.round(idleTime / 60000),
+    productCount: cart.productCount,
+    total: cart.total,
+    currency: cart.currency,
+    restoreUrl: getCartRestoreUrl(cart),
+  };
+  if (window.updateDataLayer) {
+    window.updateDataLayer({ abandonedCart }, false);
+  }
+  abandonCallbacks.forEach((callback) => callback(abandonedCart));
+}
+
+/**
+ * Check the cart now, or schedule the check for when it reaches the idle threshold
+ */
+function checkCart() {
+  clearTimeout(checkTimeout);
+
+  const cart = getCart();
+  if (!cart.productCount || !cart.updatedAt) return;
+  if (getReportedState() === String(cart.updatedAt)) return;
+
+  const idleTime = Date.now() - cart.updatedAt;
+  const threshold = getIdleThreshold();
+  if (idleTime >= threshold) {
+    reportAbandoned(cart, idleTime);
+  } else {
+    checkTimeout = setTimeout(checkCart, threshold - idleTime);
+  }
+}
+
+/**
+ * Call back when the cart is abandoned
+ * Covers returning visitors with a stale cart and carts left idle while the page is open;
+ * every cart change restarts the idle time. Call once the dataLayer is ready.
+ * @param {Function} callback - Receives the dataLayer abandonedCart object
+ */
+export function onCartAbandoned(callback) {
+  abandonCallbacks.push(callback);
+  if (watcherStarted) return;
+
+  watcherStarted = true;
+  document.addEventListener(CART_UPDATED_EVENT, checkCart);
+  checkCart();
+}
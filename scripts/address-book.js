@@ -0,0 +1,254 @@
+// ==========================================
+// Address Book
+// Saved shipping and billing addresses of the signed-in user, persisted with
+// the user profile in the dataLayer homeAddress section:
+//   homeAddress: {
+//     street1, city, postalCode, country,  (default shipping address)
+//     addresses: [{ id, street1, city, region, postalCode, country, phone }],
+//     defaultShipping, defaultBilling,     (address IDs)
+//   }
+// Like the rest of the profile, it is only kept across visits with
+// personalization consent. Guests have no address book.
+// ==========================================
+
+import { isSignedIn } from "./identity.js";
+
+// Dispatched on document when addresses are added, changed or removed
+export const ADDRESS_BOOK_EVENT = "addressBookUpdated";
+
+const ADDRESS_FIELDS = [
+  "street1",
+  "city",
+  "region",
+  "postalCode",
+  "country",
+  "phone",
+];
+
+/**
+ * Check whether the shopper can use an address book (signed-in users only)
+ * @returns {boolean} True for signed-in users
+ */
+export function isAddressBookAvailable() {
+  return isSignedIn();
+}
+
+/**
+ * Read the homeAddress section of the profile
+ * @returns {Object} homeAddress (copy)
+ */
+function readHomeAddress() {
+  const homeAddress = window.getDataLayerProperty
+    ? window.getDataLayerProperty("homeAddress")
+    : null;
+  return homeAddress || {};
+}
+
+/**
+ * Get the address entered at registration (before the address book was used)
+ * @param {Object} homeAddress - homeAddress section
+ * @returns {Object|null} Address, or null when the profile has none
+ */
+function getProfileAddress(homeAddress) {
+  if (homeAddress.street1) {
+    return {
+      street1: homeAddress.street1,
+      city: homeAddress.city || "",
+      region: homeAddress.region || "",
+      postalCode: homeAddress.postalCode || "",
+      country: homeAddress.country || "",
+      phone: window.getDataLayerProperty?.("mobilePhone.number") || "",
+    };
+  }
+
+  try {
+    const user = JSON.parse(localStorage.getItem("luma_registered_user"));
+    if (!user?.address && !user?.streetAddress) return null;
+    return {
+      street1: user.streetAddress || user.address,
+      city: user.city || "",
+      region: user.region || user.state || "",
+      postalCode: user.postalCode || user.zip || "",
+      country: user.country || "",
+      phone: user.phone || user.phoneNumber || "",
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Keep only the address fields of an address
+ * @param {Object} address - Address
+ * @returns {Object} Address fields (empty strings for missing fields)
+ */
+function pickAddressFields(address) {
+  return Object.fromEntries(
+    ADDRESS_FIELDS.map((field) => [field, String(address?.[field] || "").trim()])
+  );
+}
+
+/**
+ * Get the saved addresses of the signed-in user
+ * The registration address is offered until the address book is first changed.
+ * @returns {Array<Object>} Addresses { id, street1, city, region, postalCode, country, phone }
+ */
+export function getAddresses() {
+  if (!isAddressBookAvailable()) return [];
+
+  const homeAddress = readHomeAddress();
+  if (Array.isArray(homeAddress.addresses)) return homeAddress.addresses;
+
+  const profileAddress = getProfileAddress(homeAddress);
+  return profileAddress
+    ? [{ id: "home", ...pickAddressFields(profileAddress) }]
+    : [];
+}
+
+/**
+ * Get the ID of the default address of a type
+ * Falls back to the first address when no default was chosen.
+ * @param {string} type - "shipping" or "billing"
+ * @returns {string} Address ID ("" when the address book is empty)
+ */
+export function getDefaultAddressId(type) {
+  const addresses = getAddresses();
+  const homeAddress = readHomeAddress();
+  const id =
+    type === "billing" ? homeAddress.defaultBilling : homeAddress.defaultShipping;
+  return addresses.some((address) => address.id === id)
+    ? id
+    : addresses[0]?.id || "";
+}
+
+/**
+ * Get a saved address
+ * @param {string} id - Address ID
+ * @returns {Object|null} Address, or null when not found
+ */
+export function getAddress(id) {
+  return getAddresses().find((address) => address.id === id) || null;
+}
+
+/**
+ * Get the default address of a type
+ * @param {string} type - "shipping" or "billing"
+ * @returns {Object|null} Address, or null when the address book is empty
+ */
+export function getDefaultAddress(type) {
+  return getAddress(getDefaultAddressId(type));
+}
+
+/**
+ * Persist the address book with the profile and notify listeners
+ * The top-level homeAddress fields follow the default shipping address.
+ * @param {Array<Object>} addresses - Addresses
+ * @param {Object} defaults - { shipping, billing } default address IDs
+ */
+function writeAddressBook(addresses, { shipping, billing }) {
+  const defaultShipping =
+    addresses.find((address) => address.id === shipping) || addresses[0];
+  const defaultBilling =
+    addresses.find((address) => address.id === billing) || addresses[0];
+
+  if (window.updateDataLayer) {
+    window.updateDataLayer({
+      homeAddress: {
+        street1: defaultShipping?.street1 || "",
+        city: defaultShipping?.city || "",
+        postalCode: defaultShipping?.postalCode || "",
+        country: defaultShipping?.country || "",
+        addresses,
+        defaultShipping: defaultShipping?.id || "",
+        defaultBilling: defaultBilling?.id || "",
+      },
+    });
+  } else {
+    console.error("updateDataLayer not available");
+  }
+
+  document.dispatchEvent(
+    new CustomEvent(ADDRESS_BOOK_EVENT, { detail: { addresses } })
+  );
+}
+
+/**
+ * Add an address, or update it when it has the ID of a saved address
+ * The first saved address becomes the default shipping and billing address.
+ * @param {Object} address - Address { id?, street1, city, region, postalCode, country, phone }
+ * @returns {Object|null} Saved address, or null for guests
+ */
+export function saveAddress(address) {
+  if (!isAddressBookAvailable()) return null;
+
+  const addresses = getAddresses();
+  const existing = addresses.find((item) => item.id === address.id);
+  const saved = {
+    id: existing ? existing.id : `addr-${Date.now().toString(36)}`,
+    ...pickAddressFields(address),
+  };
+
+  const updated = existing
+    ? addresses.map((item) => (item.id === saved.id ? saved : item))
+    : [...addresses, saved];
+  writeAddressBook(updated, {
+    shipping: getDefaultAddressId("shipping") || saved.id,
+    billing: getDefaultAddressId("billing") || saved.id,
+  });
+  return saved;
+}
+
+/**
+ * Remove a saved address
+ * A removed default is replaced by the first remaining address.
+ * @param {string} id - Address ID
+ */
+export function removeAddress(id) {
+  const addresses = getAddresses().filter((address) => address.id !== id);
+  writeAddressBook(addresses, {
+    shipping: getDefaultAddressId("shipping"),
+    billing: getDefaultAddressId("billing"),
+  });
+}
+
+/**
+ * Make a saved address the default of a type
+ * @param {string} id - Address ID
+ * @param {string} type - "shipping" or "billing"
+ */
+export function setDefaultAddress(id, type) {
+  writeAddressBook(getAddresses(), {
+    shipping: type === "shipping" ? id : getDefaultAddressId("shipping"),
+    billing: type === "billing" ? id : getDefaultAddressId("billing"),
+  });
+}
+
+/**
+ * Check whether two addresses are the same place (case and spaces are ignored)
+ * @param {Object} a - Address
+ * @param {Object} b - Address
+ * @returns {boolean} True when street, city, region, postal code and country match
+ */
+export function isSameAddress(a, b) {
+  const normalize = (address) =>
+    ADDRESS_FIELDS.filter((field) => field !== "phone")
+      .map((field) => String(address?.[field] || "").trim().toLowerCase())
+      .join("|");
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Format an address for display
+ * @param {Object} address - Address
+ * @returns {Array<string>} Lines
+ */
+export function formatAddress(address) {
+  return [
+    address.street1,
+    [address.city, address.region, address.postalCode]
+      .filter(Boolean)
+      .join(", "),
+    address.country,
+    address.phone,
+  ].filter(Boolean);
+}
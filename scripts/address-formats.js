@@ -0,0 +1,128 @@
+// ==========================================
+// Address Formats
+// Country-specific labels and postal code / phone number formats used to
+// validate and normalize checkout addresses. Countries are keyed by the names
+// used in the checkout country select; other countries only get generic checks.
+// ==========================================
+
+export const ADDRESS_FORMATS = {
+  "United States": {
+    postalLabel: "ZIP code",
+    postalPattern: /^\d{5}(-\d{4})?$/,
+    postalExample: "94103",
+    formatPostalCode: (code) => code.replace(/^(\d{5})-?(\d{4})$/, "$1-$2"),
+    regionLabel: "State",
+    regionRequired: true,
+    phonePattern: /^(\+?1)?[2-9]\d{2}[2-9]\d{6}$/,
+    phoneExample: "(415) 555-0132",
+    streetStyle: "short",
+  },
+  Canada: {
+    postalLabel: "Postal code",
+    postalPattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/,
+    postalExample: "K1A 0B1",
+    formatPostalCode: (code) => code.replace(/^(\w{3}) ?(\w{3})$/, "$1 $2"),
+    regionLabel: "Province",
+    regionRequired: true,
+    phonePattern: /^(\+?1)?[2-9]\d{2}[2-9]\d{6}$/,
+    phoneExample: "(613) 555-0142",
+    streetStyle: "short",
+  },
+  "United Kingdom": {
+    postalLabel: "Postcode",
+    postalPattern:
+      /^(GIR ?0AA|[A-PR-UWYZ](\d{1,2}|[A-HK-Y]\d[\dABEHMNPRV-Y]?|\d[A-HJKPS-UW]) ?\d[ABD-HJLNP-UW-Z]{2})$/,
+    postalExample: "SW1A 1AA",
+    formatPostalCode: (code) =>
+      code.replace(/ /g, "").replace(/^(\w{2,4})(\w{3})$/, "$1 $2"),
+    regionLabel: "County",
+    regionRequired: false,
+    phonePattern: /^(\+44|0)\d{9,10}$/,
+    phoneExample: "020 7946 0958",
+    streetStyle: "long",
+  },
+  Australia: {
+    postalLabel: "Postcode",
+    postalPattern: /^\d{4}$/,
+    postalExample: "2000",
+    regionLabel: "State / Territory",
+    regionRequired: true,
+    phonePattern: /^(\+61|0)[2-478]\d{8}$/,
+    phoneExample: "(02) 5550 1234",
+    streetStyle: "short",
+  },
+  India: {
+    postalLabel: "PIN code",
+    postalPattern: /^[1-9]\d{5}$/,
+    postalExample: "110001",
+    regionLabel: "State",
+    regionRequired: true,
+    phonePattern: /^(\+91|0)?[6-9]\d{9}$/,
+    phoneExample: "098765 43210",
+    streetStyle: "long",
+  },
+};
+
+// Countries offered in the checkout country select
+export const COUNTRIES = [...Object.keys(ADDRESS_FORMATS), "Other"];
+
+// Used for "Other" and countries without a known format
+const DEFAULT_FORMAT = {
+  postalLabel: "Postal code",
+  postalPattern: /^[A-Z0-9][A-Z0-9 -]{1,9}$/,
+  postalExample: "",
+  regionLabel: "State / Province",
+  regionRequired: false,
+  phonePattern: /^\+?\d{7,15}$/,
+  phoneExample: "+44 20 7946 0958",
+  streetStyle: "",
+};
+
+/**
+ * Get the address format of a country
+ * @param {string} country - Country name
+ * @returns {Object} Format { postalLabel, postalPattern, postalExample, formatPostalCode?,
+ *   regionLabel, regionRequired, phonePattern, phoneExample, streetStyle }
+ *   (streetStyle: "short" for abbreviated street types such as "St", "long" for
+ *   "Street", "" to keep them as typed)
+ */
+export function getAddressFormat(country) {
+  return ADDRESS_FORMATS[country] || DEFAULT_FORMAT;
+}
+
+/**
+ * Check a postal code against the country format (case and surrounding spaces are ignored)
+ * @param {string} country - Country name
+ * @param {string} postalCode - Postal code
+ * @returns {boolean} True when the postal code is valid
+ */
+export function isValidPostalCode(country, postalCode) {
+  const value = (postalCode || "").trim().toUpperCase();
+  return getAddressFormat(country).postalPattern.test(value);
+}
+
+/**
+ * Write a postal code the way the country does
+ * Uppercases it, collapses spaces and adds the separator of the country
+ * (e.g. "k1a0b1" -> "K1A 0B1", "sw1a1aa" -> "SW1A 1AA", "941031234" -> "94103-1234").
+ * @param {string} country - Country name
+ * @param {string} postalCode - Postal code as typed
+ * @returns {string} Postal code
+ */
+export function formatPostalCode(country, postalCode) {
+  const value = (postalCode || "").trim().toUpperCase().replace(/\s+/g, " ");
+  const { formatPostalCode: format } = getAddressFormat(country);
+  return format ? format(value) : value;
+}
+
+/**
+ * Check a phone number against the country format
+ * Spaces, dots, dashes and parentheses are ignored.
+ * @param {string} country - Country name
+ * @param {string} phone - Phone number
+ * @returns {boolean} True when the phone number is valid
+ */
+export function isValidPhone(country, phone) {
+  const value = (phone || "").replace(/[\s().-]/g, "");
+  return getAddressFormat(country).phonePattern.test(value);
+}
@@ -0,0 +1,359 @@
+// ==========================================
+// Address Lookup
+// Address suggestions and normalization for the checkout address fields.
+// Suggestions come from an address lookup provider: the REST provider when the
+// `address-lookup-endpoint` page metadata is set, otherwise the offline
+// provider backed by the bundled postal code dataset (scripts/postal-codes.js).
+// Addresses are normalized (casing, street type abbreviations, postal code
+// format) to the conventions of their country before they are saved.
+// ==========================================
+
+import { getMetadata } from "./aem.js";
+import {
+  formatPostalCode,
+  getAddressFormat,
+  isValidPostalCode,
+} from "./address-formats.js";
+import { POSTAL_CODES } from "./postal-codes.js";
+
+/**
+ * @typedef {Object} AddressSuggestion
+ * @property {string} streetAddress - Street address, with the house number typed
+ * @property {string} city - City
+ * @property {string} region - State / province code or name
+ * @property {string} postalCode - Postal code
+ * @property {string} country - Country name (as in the checkout country select)
+ */
+
+/**
+ * @typedef {Object} AddressLookupProvider
+ * @property {string} name - Provider name
+ * @property {function(Object): Promise<Array<AddressSuggestion>>} search - { country, query }
+ *   -> suggestions, best first (query: street, city or postal code as typed)
+ */
+
+// Suggestions returned by a search
+const MAX_SUGGESTIONS = 5;
+
+// Street types and unit designators: [long, short, other spellings]
+const STREET_TYPES = [
+  ["Street", "St", "Str"],
+  ["Avenue", "Ave", "Av"],
+  ["Road", "Rd"],
+  ["Boulevard", "Blvd", "Boul"],
+  ["Drive", "Dr"],
+  ["Lane", "Ln"],
+  ["Court", "Ct"],
+  ["Place", "Pl"],
+  ["Parkway", "Pkwy"],
+  ["Highway", "Hwy"],
+  ["Square", "Sq"],
+  ["Terrace", "Tce", "Ter"],
+  ["Crescent", "Cres"],
+  ["Apartment", "Apt"],
+  ["Suite", "Ste"],
+];
+
+// Street types by lowercase spelling
+const STREET_TYPE_INDEX = new Map(
+  STREET_TYPES.flatMap((spellings) =>
+    spellings.map((spelling) => [spelling.toLowerCase(), spellings])
+  )
+);
+
+// Words kept in lowercase inside names ("City of Edinburgh")
+const LOWERCASE_WORDS = ["of", "the", "and", "de", "du", "des", "la", "le"];
+
+// Compass points written in capitals ("Stephen Ave SW")
+const COMPASS_POINTS = ["ne", "nw", "se", "sw"];
+
+// House number (and unit) at the start of a street address: "123", "12B", "4/21", "10-12"
+const HOUSE_NUMBER_PATTERN = /^(\d+[a-z]?(?:[-/]\d+[a-z]?)?),?\s+(.+)$/i;
+
+/**
+ * Reduce text to comparable search terms
+ * Case, accents and punctuation are ignored and street types are written the
+ * same way ("Market Street" and "market st." both give ["market", "st"]).
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms
+ */
+function toTerms(text) {
+  return (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((term) => STREET_TYPE_INDEX.get(term)?.[1].toLowerCase() || term);
+}
+
+/**
+ * Split a street address into its house number and street
+ * @param {string} streetAddress - Street address
+ * @returns {Object} { number, street } (number is "" when there is none)
+ */
+function splitHouseNumber(streetAddress) {
+  const value = (streetAddress || "").trim();
+  const match = value.match(HOUSE_NUMBER_PATTERN);
+  return match
+    ? { number: match[1], street: match[2] }
+    : { number: "", street: value };
+}
+
+/**
+ * Compare two postal codes (case and spaces are ignored)
+ * @param {string} a - Postal code
+ * @param {string} b - Postal code
+ * @returns {number} Length of the common prefix
+ */
+function getPostalCodeSimilarity(a, b) {
+  const compact = (code) => (code || "").replace(/\s/g, "").toUpperCase();
+  const [x, y] = [compact(a), compact(b)];
+  let length = 0;
+  while (length < x.length && x[length] === y[length]) length += 1;
+  return length;
+}
+
+/**
+ * Create the offline address lookup provider
+ * Matches the query against the streets, cities and postal codes of the bundled
+ * dataset; every term of the query must start a word of the suggestion.
+ * @param {Object} [dataset] - Postal codes by country (see scripts/postal-codes.js)
+ * @returns {AddressLookupProvider} Provider
+ */
+export function createOfflineAddressLookup(dataset = POSTAL_CODES) {
+  return {
+    name: "offline",
+    search: async ({ country, query }) => {
+      const { number, street } = splitHouseNumber(query);
+      const terms = toTerms(street);
+      if (!terms.length) return [];
+
+      const suggestions = [];
+      (dataset[country] || []).forEach((entry) => {
+        const postalCode = entry.postalCode.replace(/\s/g, "");
+        entry.streets.forEach((name) => {
+          const words = [
+            ...toTerms(`${name} ${entry.city} ${entry.postalCode}`),
+            postalCode.toLowerCase(),
+          ];
+          if (terms.every((term) => words.some((w) => w.startsWith(term)))) {
+            suggestions.push({
+              streetAddress: number ? `${number} ${name}` : name,
+              city: entry.city,
+              region: entry.region,
+              postalCode: entry.postalCode,
+              country,
+            });
+          }
+        });
+      });
+      return suggestions.slice(0, MAX_SUGGESTIONS);
+    },
+  };
+}
+
+/**
+ * Create the REST address lookup provider
+ * GET {endpoint}?country=...&q=... -> { suggestions: [AddressSuggestion] }.
+ * See tools/mock-commerce-server.mjs for a local stub.
+ * @param {string} endpoint - Address lookup endpoint
+ * @returns {AddressLookupProvider} Provider
+ */
+function createRestAddressLookup(endpoint) {
+  return {
+    name: "rest",
+    search: async ({ country, query }) => {
+      const params = new URLSearchParams({ country, q: query });
+      const resp = await fetch(`${endpoint}?${params}`, {
+        headers: { Accept: "application/json" },
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const json = await resp.json();
+      return (json.suggestions || []).slice(0, MAX_SUGGESTIONS);
+    },
+  };
+}
+
+// Provider set with setAddressLookupProvider (null: from the page metadata)
+let customProvider = null;
+
+/**
+ * Use another address lookup provider (e.g. a third-party address service)
+ * @param {AddressLookupProvider|null} provider - Provider, or null for the default one
+ */
+export function setAddressLookupProvider(provider) {
+  customProvider = provider;
+}
+
+/**
+ * Get the address lookup provider of the page
+ * Page metadata: address-lookup-endpoint (REST provider; offline provider when empty)
+ * @returns {AddressLookupProvider} Provider
+ */
+export function getAddressLookupProvider() {
+  if (customProvider) return customProvider;
+  const endpoint = getMetadata("address-lookup-endpoint").trim();
+  return endpoint
+    ? createRestAddressLookup(endpoint.replace(/\/$/, ""))
+    : createOfflineAddressLookup();
+}
+
+/**
+ * Search address suggestions
+ * Lookup errors give no suggestions, so the address can always be typed.
+ * @param {string} country - Country name
+ * @param {string} query - Street, city or postal code as typed
+ * @returns {Promise<Array<AddressSuggestion>>} Suggestions
+ */
+export async function searchAddresses(country, query) {
+  if (!country || !query?.trim()) return [];
+  try {
+    return await getAddressLookupProvider().search({
+      country,
+      query: query.trim(),
+    });
+  } catch (error) {
+    console.warn("⚠ Address lookup failed:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Find the city and region of a postal code
+ * @param {string} country - Country name
+ * @param {string} postalCode - Postal code
+ * @returns {Promise<AddressSuggestion|null>} First address of the postal code, or null
+ */
+export async function lookupPostalCode(country, postalCode) {
+  const code = formatPostalCode(country, postalCode);
+  if (!isValidPostalCode(country, code)) return null;
+  const suggestions = await searchAddresses(country, code);
+  return (
+    suggestions.find(
+      (suggestion) =>
+        getPostalCodeSimilarity(suggestion.postalCode, code) ===
+        code.replace(/\s/g, "").length
+    ) || null
+  );
+}
+
+/**
+ * Capitalize the words of a name typed all in lowercase or all in capitals
+ * Mixed case is kept as typed ("McDonald Rd", "MG Road").
+ * @param {string} text - Name
+ * @returns {string} Name
+ */
+function toTitleCase(text) {
+  if (/[a-z]/.test(text) && /[A-Z]/.test(text)) return text;
+  return text
+    .toLowerCase()
+    .replace(/[^\s-]+/g, (word, offset) => {
+      if (offset > 0 && LOWERCASE_WORDS.includes(word)) return word;
+      if (COMPASS_POINTS.includes(word)) return word.toUpperCase();
+      // Ordinals and house numbers stay lowercase ("34th", "12b")
+      if (/^\d/.test(word)) return word;
+      return word.charAt(0).toUpperCase() + word.slice(1);
+    });
+}
+
+/**
+ * Write the street types of a street the way the country does
+ * The first word of the street is a name, never a street type ("St Georges Tce").
+ * @param {string} street - Street, without the house number
+ * @param {string} style - "short", "long" or "" (street types kept as typed)
+ * @returns {string} Street
+ */
+function normalizeStreetTypes(street, style) {
+  if (!style) return street;
+  return street
+    .split(" ")
+    .map((word, index) => {
+      const spellings = STREET_TYPE_INDEX.get(
+        word.replace(/[.,]$/, "").toLowerCase()
+      );
+      if (!index || !spellings) return word;
+      return style === "short" ? spellings[1] : spellings[0];
+    })
+    .join(" ");
+}
+
+/**
+ * Normalize an address to the conventions of its country
+ * Collapses spaces, capitalizes names typed all in lowercase or capitals, writes
+ * street types in the short ("St") or long ("Street") form of the country,
+ * region codes in capitals and postal codes in the country format.
+ * @param {Object} address - { country, streetAddress, city, region, postalCode, ... }
+ * @returns {Object} Normalized address (other fields are kept)
+ */
+export function normalizeAddress(address) {
+  const clean = (value) => (value || "").trim().replace(/\s+/g, " ");
+  const { streetStyle } = getAddressFormat(address.country);
+  const { number, street } = splitHouseNumber(clean(address.streetAddress));
+  const normalizedStreet = normalizeStreetTypes(
+    toTitleCase(street),
+    streetStyle
+  );
+  const region = clean(address.region);
+
+  return {
+    ...address,
+    streetAddress: number
+      ? `${number.toUpperCase()} ${normalizedStreet}`
+      : normalizedStreet,
+    city: toTitleCase(clean(address.city)),
+    region: region.length <= 3 ? region.toUpperCase() : toTitleCase(region),
+    postalCode: formatPostalCode(address.country, address.postalCode),
+  };
+}
+
+/**
+ * Find a correction for an address whose postal code does not validate
+ * Looks the street and city up and keeps the candidate whose postal code is the
+ * closest to the one typed; the street typed is kept when it is not known.
+ * @param {Object} address - { country, streetAddress, city, region, postalCode, ... }
+ * @returns {Promise<Object|null>} Corrected (normalized) address, or null when the
+ *   postal code is valid or no correction was found
+ */
+export async function findAddressCorrection(address) {
+  if (
+    !address.country ||
+    isValidPostalCode(address.country, address.postalCode)
+  ) {
+    return null;
+  }
+
+  const normalized = normalizeAddress(address);
+  if (isValidPostalCode(address.country, normalized.postalCode)) {
+    return normalized;
+  }
+
+  const street = normalized.streetAddress;
+  const queries = [
+    { query: `${street} ${normalized.city}`, matchesStreet: true },
+    { query: street, matchesStreet: true },
+    { query: normalized.city, matchesStreet: false },
+  ].filter(({ query }) => query.trim());
+
+  for (let i = 0; i < queries.length; i += 1) {
+    const { query, matchesStreet } = queries[i];
+    // eslint-disable-next-line no-await-in-loop
+    const candidates = await searchAddresses(address.country, query);
+    if (candidates.length) {
+      // Sorting is stable: equally close candidates keep the provider order
+      const similarity = (candidate) =>
+        getPostalCodeSimilarity(candidate.postalCode, normalized.postalCode);
+      const [best] = [...candidates].sort(
+        (a, b) => similarity(b) - similarity(a)
+      );
+      return normalizeAddress({
+        ...normalized,
+        streetAddress: matchesStreet ? best.streetAddress : street,
+        city: best.city,
+        region: best.region,
+        postalCode: best.postalCode,
+      });
+    }
+  }
+  return null;
+}
@@ -0,0 +1,609 @@
+// ==========================================
+// Cart Model
+// Single source of truth for cart lines and totals.
+// All cart mutations go through this module so subtotal, discounts,
+// shipping, tax and total are always computed the same way.
+// ==========================================
+
+import { formatMoney, roundAmount, SETTLEMENT_CURRENCY } from "./money.js";
+import { applyCartPromotions, validatePromotion } from "./promotions.js";
+import { applyCartShipping } from "./shipping.js";
+import { applyCartTax, resolveTaxRates } from "./tax.js";
+import {
+  getStockIssues,
+  loadStockLevels,
+  parseStock,
+  resolveStock,
+} from "./inventory.js";
+
+// Event dispatched on document after every cart change
+export const CART_UPDATED_EVENT = "cartUpdated";
+
+// How long removed-line markers are kept for merging carts written by other tabs
+const REMOVED_LINE_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+// Longest accepted gift message and line note
+export const GIFT_MESSAGE_MAX_LENGTH = 200;
+export const LINE_NOTE_MAX_LENGTH = 250;
+
+/**
+ * Create an empty cart object
+ * @returns {Object} Empty cart
+ */
+export function createEmptyCart() {
+  return {
+    currency: SETTLEMENT_CURRENCY,
+    productCount: 0,
+    products: {},
+    promotions: [],
+    subTotal: 0,
+    discount: 0,
+    freeShipping: false,
+    shippingMethod: null,
+    shipping: 0,
+    taxAddress: null,
+    taxLines: [],
+    tax: 0,
+    total: 0,
+    // Sync metadata used to merge carts written by other tabs (see mergeCarts)
+    updatedAt: 0,
+    clearedAt: 0,
+    removedLines: {},
+  };
+}
+
+/**
+ * Format price as currency (in the display currency of the current market)
+ * @param {number} amount - Amount to format, in the settlement currency
+ * @returns {string} Formatted price
+ */
+export function formatPrice(amount) {
+  return formatMoney(amount);
+}
+
+/**
+ * Format the cart shipping amount ("---" until a shipping method is chosen)
+ * @param {Object} cart - Cart data
+ * @returns {string} Formatted shipping
+ */
+export function formatShipping(cart) {
+  if (cart.freeShipping || (cart.shippingMethod && !cart.shipping)) {
+    return "Free";
+  }
+  return cart.shippingMethod ? formatPrice(cart.shipping) : "---";
+}
+
+/**
+ * Recompute line totals and cart totals
+ * This is the only place cart totals are calculated.
+ * @param {Object} cart - Cart data (mutated)
+ * @returns {Object} The same cart with totals updated
+ */
+export function computeTotals(cart) {
+  const lines = Object.values(cart.products || {});
+
+  // Amounts are always stored in the settlement currency
+  cart.currency = SETTLEMENT_CURRENCY;
+
+  lines.forEach((line) => {
+    line.subTotal = roundAmount(line.price * line.quantity);
+    line.total = line.subTotal;
+  });
+
+  cart.productCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+  cart.subTotal = roundAmount(
+    lines.reduce((sum, line) => sum + line.subTotal, 0)
+  );
+
+  // Discounts (sets cart.discount and cart.freeShipping)
+  applyCartPromotions(cart);
+
+  // Shipping (sets cart.shipping from the chosen method)
+  applyCartShipping(cart);
+
+  // Tax (sets cart.taxLines amounts and cart.tax)
+  applyCartTax(cart);
+
+  cart.total = roundAmount(
+    Math.max(0, cart.subTotal - cart.discount) + cart.shipping + cart.tax
+  );
+  return cart;
+}
+
+/**
+ * Get the cart line key of a product (variant SKU for products with variants)
+ * @param {Object} productData - Product information (see window.addToCart)
+ * @returns {string} Cart line key
+ */
+export function getLineKey(productData) {
+  return productData.variantSku || productData.id;
+}
+
+/**
+ * Limit a quantity to the units in stock
+ * @param {number} quantity - Requested quantity
+ * @param {number|null} stock - Units in stock (null = not tracked)
+ * @returns {number} Allowed quantity
+ */
+function clampToStock(quantity, stock) {
+  return stock === null || stock === undefined
+    ? quantity
+    : Math.min(quantity, stock);
+}
+
+/**
+ * Add a product line to a cart object (or increment its quantity)
+ * Lines are keyed by variant SKU so each size/color gets its own line.
+ * The quantity is limited to productData.stock when stock is tracked; a line
+ * left without units (stock 0) is removed.
+ * @param {Object} cart - Cart data (mutated)
+ * @param {Object} productData - Product information (see window.addToCart)
+ * @returns {Object} The same cart with totals updated
+ */
+export function addLine(cart, productData) {
+  const key = getLineKey(productData);
+  const quantity = productData.quantity || 1;
+  const stock = parseStock(productData.stock);
+
+  if (cart.products[key]) {
+    const line = cart.products[key];
+    if (stock !== null) line.stock = stock;
+    const allowedQuantity = clampToStock(line.quantity + quantity, line.stock);
+    if (allowedQuantity < 1) {
+      // Sold out since the line was added: drop it like setQuantity does
+      delete cart.products[key];
+      cart.removedLines = { ...cart.removedLines, [key]: Date.now() };
+    } else {
+      line.quantity = allowedQuantity;
+      line.updatedAt = Date.now();
+    }
+  } else if (clampToStock(quantity, stock) > 0) {
+    cart.products[key] = {
+      id: key,
+      productId: productData.id,
+      sku: key,
+      options: productData.options || {},
+      name: productData.name,
+      image: productData.image,
+      thumbnail: productData.thumbnail,
+      category: productData.category,
+      description: productData.description,
+      quantity: clampToStock(quantity, stock),
+      price: productData.price,
+      stock,
+      folder: productData.folder || "",
+      updatedAt: Date.now(),
+    };
+  }
+
+  cart.updatedAt = Date.now();
+  return computeTotals(cart);
+}
+
+/**
+ * Merge two versions of a cart (e.g. this tab's cart and the one another tab stored)
+ * Lines are merged one by one and the most recently updated version of each line wins;
+ * lines removed or cleared after their last update are dropped. Cart-level fields
+ * (promotions, shipping method, tax address) come from the most recently updated cart.
+ * @param {Object} local - Cart of this tab
+ * @param {Object} incoming - Cart written by another tab
+ * @returns {Object} Merged cart with totals updated
+ */
+export function mergeCarts(local, incoming) {
+  const localCart = { ...createEmptyCart(), ...(local || {}) };
+  const incomingCart = { ...createEmptyCart(), ...(incoming || {}) };
+  const base =
+    incomingCart.updatedAt > localCart.updatedAt ? incomingCart : localCart;
+  const clearedAt = Math.max(localCart.clearedAt, incomingCart.clearedAt);
+  const removedSince = Date.now() - REMOVED_LINE_TTL;
+
+  const removedLines = {};
+  [localCart.removedLines, incomingCart.removedLines].forEach((removed) => {
+    Object.entries(removed || {}).forEach(([key, removedAt]) => {
+      if (
+        removedAt > clearedAt &&
+        removedAt > removedSince &&
+        removedAt > (removedLines[key] || 0)
+      ) {
+        removedLines[key] = removedAt;
+      }
+    });
+  });
+
+  const products = {};
+  [localCart.products, incomingCart.products].forEach((lines) => {
+    Object.entries(lines || {}).forEach(([key, line]) => {
+      const updatedAt = line.updatedAt || 0;
+      const removedAt = removedLines[key] || 0;
+      if (
+        (clearedAt && updatedAt <= clearedAt) ||
+        (removedAt && updatedAt <= removedAt)
+      ) {
+        return;
+      }
+      if (!products[key] || updatedAt > (products[key].updatedAt || 0)) {
+        products[key] = { ...line };
+      }
+    });
+  });
+
+  return computeTotals({
+    ...base,
+    products,
+    removedLines,
+    clearedAt,
+    updatedAt: Math.max(localCart.updatedAt, incomingCart.updatedAt),
+  });
+}
+
+/**
+ * Notify listeners that the cart changed
+ * @param {string} action - Cart action (add, remove, setQuantity, setGiftOptions,
+ *   saveForLater, moveSavedToCart, removeSaved, clear, applyPromotion, removePromotion,
+ *   setTaxAddress, setShippingMethod, refreshStock, restore, sync)
+ * @param {Object} cart - Updated cart
+ * @param {Object} detail - Additional event details (e.g. the affected line key)
+ */
+export function dispatchCartEvent(action, cart, detail = {}) {
+  document.dispatchEvent(
+    new CustomEvent(CART_UPDATED_EVENT, {
+      bubbles: true,
+      detail: { ...detail, action, cart },
+    })
+  );
+}
+
+/**
+ * Get the current cart from the dataLayer, normalized to the full cart shape
+ * @returns {Object} Cart data (copy)
+ */
+export function getCart() {
+  const cart = window.getDataLayerProperty
+    ? window.getDataLayerProperty("cart")
+    : null;
+  return { ...createEmptyCart(), ...(cart || {}) };
+}
+
+/**
+ * Get the current cart totals
+ * @returns {Object} { productCount, subTotal, discount, freeShipping, shippingMethod,
+ *   shipping, taxLines, tax, total }
+ */
+export function getTotals() {
+  const cart = getCart();
+  return {
+    productCount: cart.productCount,
+    subTotal: cart.subTotal,
+    discount: cart.discount,
+    freeShipping: cart.freeShipping,
+    shippingMethod: cart.shippingMethod,
+    shipping: cart.shipping,
+    taxLines: cart.taxLines,
+    tax: cart.tax,
+    total: cart.total,
+  };
+}
+
+/**
+ * Format the gift options and note of a cart line for display
+ * @param {Object} line - Cart line
+ * @returns {Array<string>} Labels like "Gift wrap" or "Note: Leave at the door"
+ */
+export function formatLineNotes(line) {
+  const labels = [];
+  if (line?.giftWrap) labels.push("Gift wrap");
+  if (line?.giftMessage) labels.push(`Gift message: ${line.giftMessage}`);
+  if (line?.note) labels.push(`Note: ${line.note}`);
+  return labels;
+}
+
+/**
+ * Get the lines saved for later (persisted in the dataLayer next to the cart)
+ * @returns {Object} Saved lines keyed like cart lines
+ */
+export function getSavedForLater() {
+  const saved = window.getDataLayerProperty
+    ? window.getDataLayerProperty("savedForLater")
+    : null;
+  return saved && typeof saved === "object" ? saved : {};
+}
+
+/**
+ * Recompute totals, persist the cart to the dataLayer and dispatch the cart event
+ * @param {Object} cart - Cart data
+ * @param {string} action - Cart action name
+ * @param {Object} detail - Additional event details
+ * @param {Object} savedForLater - Saved lines to persist with the cart (when changed)
+ * @returns {Object} Saved cart
+ */
+function commit(cart, action, detail = {}, savedForLater = null) {
+  computeTotals(cart);
+  cart.updatedAt = Date.now();
+
+  if (window.updateDataLayer) {
+    // merge=false replaces the whole cart so removed lines are not merged back
+    window.updateDataLayer(
+      savedForLater ? { cart, savedForLater } : { cart },
+      false
+    );
+  } else {
+    console.error("updateDataLayer not available");
+  }
+
+  dispatchCartEvent(action, cart, detail);
+  return cart;
+}
+
+/**
+ * Add a product to the cart (queued by the dataLayer if it is not ready yet)
+ * @param {Object} productData - Product information (see window.addToCart)
+ */
+export function addItem(productData) {
+  window.addToCart(productData);
+}
+
+/**
+ * Remove a line from the cart
+ * @param {string} key - Cart line key (product ID)
+ * @returns {Object} Updated cart
+ */
+export function removeItem(key) {
+  const cart = getCart();
+  if (!cart.products[key]) return cart;
+
+  delete cart.products[key];
+  // Remember the removal so a stale copy of the line in another tab is not merged back
+  cart.removedLines = { ...cart.removedLines, [key]: Date.now() };
+  return commit(cart, "remove", { key });
+}
+
+/**
+ * Set the quantity of a cart line (removes the line when quantity < 1)
+ * The quantity is limited to the units in stock of the line.
+ * @param {string} key - Cart line key (product ID)
+ * @param {number|string} quantity - New quantity
+ * @returns {Object} Updated cart
+ */
+export function setQuantity(key, quantity) {
+  const newQuantity = parseInt(quantity, 10);
+  if (Number.isNaN(newQuantity) || newQuantity < 1) {
+    return removeItem(key);
+  }
+
+  const cart = getCart();
+  if (!cart.products[key]) return cart;
+
+  const allowedQuantity = clampToStock(newQuantity, cart.products[key].stock);
+  if (allowedQuantity < 1) {
+    return removeItem(key);
+  }
+
+  cart.products[key].quantity = allowedQuantity;
+  cart.products[key].updatedAt = Date.now();
+  return commit(cart, "setQuantity", { key, quantity: allowedQuantity });
+}
+
+/**
+ * Set the gift options and note of a cart line
+ * Values that are not provided keep their current value.
+ * @param {string} key - Cart line key
+ * @param {Object} options - { giftWrap, giftMessage, note }
+ * @returns {Object} Updated cart
+ */
+export function setGiftOptions(key, { giftWrap, giftMessage, note } = {}) {
+  const cart = getCart();
+  const line = cart.products[key];
+  if (!line) return cart;
+
+  if (giftWrap !== undefined) line.giftWrap = Boolean(giftWrap);
+  if (giftMessage !== undefined) {
+    line.giftMessage = String(giftMessage)
+      .trim()
+      .slice(0, GIFT_MESSAGE_MAX_LENGTH);
+  }
+  if (note !== undefined) {
+    line.note = String(note).trim().slice(0, LINE_NOTE_MAX_LENGTH);
+  }
+  line.updatedAt = Date.now();
+  return commit(cart, "setGiftOptions", { key });
+}
+
+/**
+ * Move a cart line to the saved-for-later list
+ * @param {string} key - Cart line key
+ * @returns {Object} Updated cart
+ */
+export function saveForLater(key) {
+  const cart = getCart();
+  const line = cart.products[key];
+  if (!line) return cart;
+
+  const savedForLater = {
+    ...getSavedForLater(),
+    [key]: { ...line, savedAt: Date.now() },
+  };
+  delete cart.products[key];
+  // Same marker as removeItem so another tab does not merge the line back
+  cart.removedLines = { ...cart.removedLines, [key]: Date.now() };
+  return commit(cart, "saveForLater", { key }, savedForLater);
+}
+
+/**
+ * Move a saved line back to the cart
+ * The line stays saved when it can no longer be added (out of stock).
+ * @param {string} key - Saved line key
+ * @returns {Object} Updated cart
+ */
+export function moveSavedToCart(key) {
+  const savedForLater = getSavedForLater();
+  const saved = savedForLater[key];
+  if (!saved) return getCart();
+
+  const cart = addLine(getCart(), {
+    ...saved,
+    id: saved.productId || saved.id,
+    variantSku: key,
+  });
+  const line = cart.products[key];
+  if (!line) return cart;
+
+  // Gift options and notes travel with the line
+  ["giftWrap", "giftMessage", "note"].forEach((field) => {
+    if (saved[field]) line[field] = saved[field];
+  });
+  delete savedForLater[key];
+  return commit(cart, "moveSavedToCart", { key }, savedForLater);
+}
+
+/**
+ * Remove a line from the saved-for-later list
+ * @param {string} key - Saved line key
+ * @returns {Object} Current cart
+ */
+export function removeSavedLine(key) {
+  const savedForLater = getSavedForLater();
+  if (!savedForLater[key]) return getCart();
+
+  delete savedForLater[key];
+  return commit(getCart(), "removeSaved", { key }, savedForLater);
+}
+
+/**
+ * Empty the cart
+ * @returns {Object} Empty cart
+ */
+export function clearCart() {
+  return commit({ ...createEmptyCart(), clearedAt: Date.now() }, "clear");
+}
+
+/**
+ * Wait until the dataLayer has been restored (built by delayed.js)
+ * Cart writes made before that would replace the stored cart with an empty one.
+ * @returns {Promise<void>} Resolves once the dataLayer is ready
+ */
+export function whenDataLayerReady() {
+  if (window._dataLayerReady) return Promise.resolve();
+  return new Promise((resolve) => {
+    document.addEventListener("dataLayerUpdated", () => resolve(), {
+      once: true,
+    });
+  });
+}
+
+/**
+ * Set the shipping destination used for tax and recalculate tax lines
+ * @param {Object} address - Destination { country, region, postalCode }
+ * @returns {Promise<Object>} Updated cart
+ */
+export async function setTaxAddress(address) {
+  const taxAddress = address?.country
+    ? {
+        country: address.country,
+        region: address.region || "",
+        postalCode: address.postalCode || "",
+      }
+    : null;
+  const [taxLines] = await Promise.all([
+    resolveTaxRates(taxAddress),
+    whenDataLayerReady(),
+  ]);
+
+  // Re-read the cart after the rates are loaded so concurrent changes are kept
+  const cart = getCart();
+  cart.taxAddress = taxAddress;
+  cart.taxLines = taxLines;
+  return commit(cart, "setTaxAddress", { address: taxAddress });
+}
+
+/**
+ * Set the shipping method and recalculate shipping
+ * @param {Object|null} method - Shipping method (see scripts/shipping.js)
+ * @returns {Promise<Object>} Updated cart
+ */
+export async function setShippingMethod(method) {
+  await whenDataLayerReady();
+
+  const cart = getCart();
+  cart.shippingMethod = method || null;
+  return commit(cart, "setShippingMethod", { method: method?.id || null });
+}
+
+/**
+ * Re-read stock levels for every cart line and flag lines that became unavailable
+ * Quantities are not changed so the shopper decides what to do with them.
+ * @returns {Promise<Object>} { cart, issues } (see getStockIssues in scripts/inventory.js)
+ */
+export async function refreshStock() {
+  const [stockLevels] = await Promise.all([
+    loadStockLevels({ fresh: true }),
+    whenDataLayerReady(),
+  ]);
+
+  const cart = getCart();
+  Object.values(cart.products).forEach((line) => {
+    const stock = resolveStock(null, line.sku, stockLevels);
+    if (stock !== null) line.stock = stock;
+  });
+
+  const issues = getStockIssues(cart);
+  return { cart: commit(cart, "refreshStock", { issues }), issues };
+}
+
+/**
+ * Add the lines of a shared cart (see scripts/abandoned-cart.js) to the cart
+ * Merging adds the quantities to matching lines; replacing removes the current lines first.
+ * @param {Array<Object>} lines - Product information of each line (see window.addToCart)
+ * @param {Object} options - { replace }
+ * @returns {Promise<Object>} Updated cart
+ */
+export async function restoreCart(lines, { replace = false } = {}) {
+  await whenDataLayerReady();
+
+  const cart = getCart();
+  if (replace) {
+    const keys = new Set(lines.map(getLineKey));
+    const removedAt = Date.now();
+    Object.keys(cart.products).forEach((key) => {
+      // Lines that come back from the link are re-added below, without a removal marker
+      if (!keys.has(key)) {
+        cart.removedLines = { ...cart.removedLines, [key]: removedAt };
+      }
+      delete cart.products[key];
+    });
+  }
+
+  lines.forEach((productData) => addLine(cart, productData));
+  return commit(cart, "restore", { replace, count: lines.length });
+}
+
+/**
+ * Validate and apply a coupon code
+ * @param {string} code - Coupon code
+ * @returns {Promise<Object>} { valid, error, cart }
+ */
+export async function applyPromotion(code) {
+  const { valid, rule, error } = await validatePromotion(code, getCart());
+  // Re-read the cart after the rules are loaded so concurrent changes are kept
+  const cart = getCart();
+  if (!valid) {
+    return { valid, error, cart };
+  }
+
+  // Store the rule on the cart so totals stay correct without refetching the sheet
+  cart.promotions = [
+    ...cart.promotions.filter((promotion) => promotion.code !== rule.code),
+    rule,
+  ];
+  return { valid, error, cart: commit(cart, "applyPromotion", { code: rule.code }) };
+}
+
+/**
+ * Remove an applied coupon code
+ * @param {string} code - Coupon code
+ * @returns {Object} Updated cart
+ */
+export function removePromotion(code) {
+  const cart = getCart();
+  cart.promotions = cart.promotions.filter((p) => p.code !== code);
+  return commit(cart, "removePromotion", { code });
+}
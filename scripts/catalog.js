@@ -0,0 +1,426 @@
+// ==========================================
+// Catalog
+// Client of the product content fragments used by the product blocks.
+// Resolves the GraphQL persisted-query endpoint (AEM author, the publish proxy
+// or a local mock), normalizes the legacy luma3 and current product models to
+// one product shape and caches responses in memory and sessionStorage.
+//
+// Page metadata:
+// - catalog-source: author, publish or mock (default: author on the author
+//   instance, publish otherwise)
+// - catalog-endpoint: base URL of the source (default: the `authorurl`
+//   metadata or the demo author instance, the demo publish proxy, or
+//   http://localhost:8787/api/catalog for tools/mock-commerce-server.mjs)
+// - catalog-environment: AEM program and environment served by the publish
+//   proxy (default: from the author URL, e.g. p165802-e1765367)
+// - catalog-root: product folder searched by SKU when a product's own folder
+//   is not known (e.g. shared cart links)
+// ==========================================
+
+import { getMetadata } from "./aem.js";
+import { isAuthorEnvironment } from "./scripts.js";
+
+export const CATALOG_SOURCES = ["author", "publish", "mock"];
+
+const DEFAULT_AUTHOR_URL = "https://author-p165802-e1765367.adobeaemcloud.com";
+const DEFAULT_PUBLISH_URL =
+  "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1";
+const DEFAULT_MOCK_URL = "http://localhost:8787/api/catalog";
+const DEFAULT_ENVIRONMENT = "p165802-e1765367";
+
+// Persisted queries of the luma3 GraphQL endpoint; action is the publish proxy
+// action serving the query (with its endpoint parameter when it has one)
+const QUERIES = {
+  products: {
+    name: "zoltarProductListByPath",
+    action: "luma-zoltar",
+    endpoint: "zoltarProductListByPath",
+  },
+  legacyProducts: {
+    name: "menproductspagelister",
+    action: "lumaProductsGraphQl",
+  },
+  legacyProductBySku: {
+    name: "getProductsByPathAndSKU",
+    action: "lumaProductsGrapghQlByPathAndSku",
+  },
+};
+
+// Cached product lists (sessionStorage, except on author where content is edited)
+const CACHE_PREFIX = "luma_catalog:";
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Requests by URL for the lifetime of the page (also shares requests in flight)
+const memoryCache = new Map();
+
+// SKU lookups search at most this many folders
+const MAX_LOOKUP_FOLDERS = 5;
+
+/**
+ * @typedef {Object} Product
+ * @property {string} id - Product ID (the SKU when the fragment has no ID)
+ * @property {string} sku - Product SKU
+ * @property {string} name - Product name
+ * @property {number} price - Price in the settlement currency
+ * @property {Array<string>} category - Category tags (e.g. "luma-products:men/tops")
+ * @property {Object} description - { html, markdown, plaintext }
+ * @property {string} image - Image URL ("" when the product has none)
+ * @property {Array<string>} images - Every image of the product, the main image first
+ * @property {number|string|null} stock - Stock field of the fragment (see scripts/inventory.js)
+ * @property {*} variants - Variants field of the fragment (see scripts/variants.js)
+ * @property {*} colors - Colors field of the fragment
+ * @property {*} sizes - Sizes field of the fragment
+ * @property {number|null} rating - Average rating out of 5 (null when not rated)
+ * @property {string} createdAt - Date the product was added (ISO 8601, "" when unknown)
+ * @property {string} folder - Content fragment folder the product was loaded from
+ */
+
+/**
+ * Check whether a content fragment folder uses the legacy luma3 product model
+ * @param {string} path - Content fragment folder path
+ * @returns {boolean} True for legacy luma3 folders
+ */
+export function isLegacyCatalogPath(path) {
+  return Boolean(path && path.includes("/dam/luma3/"));
+}
+
+/**
+ * Get the catalog source configured for the page
+ * @returns {Object} { source, endpoint, environment }
+ */
+function getCatalogConfig() {
+  const configured = getMetadata("catalog-source").trim().toLowerCase();
+  let source = isAuthorEnvironment() ? "author" : "publish";
+  if (CATALOG_SOURCES.includes(configured)) {
+    source = configured;
+  } else if (configured) {
+    console.warn(`⚠ Unknown catalog-source "${configured}", using ${source}`);
+  }
+
+  const authorUrl = getMetadata("authorurl").trim() || DEFAULT_AUTHOR_URL;
+  const defaults = {
+    author: authorUrl,
+    publish: DEFAULT_PUBLISH_URL,
+    mock: DEFAULT_MOCK_URL,
+  };
+  const endpoint = (getMetadata("catalog-endpoint").trim() || defaults[source])
+    .replace(/\/$/, "");
+  const environment =
+    getMetadata("catalog-environment").trim() ||
+    authorUrl.match(/author-(p\d+-e\d+)/)?.[1] ||
+    DEFAULT_ENVIRONMENT;
+
+  return { source, endpoint, environment };
+}
+
+/**
+ * Build the URL of a persisted query
+ * Author: {endpoint}/graphql/execute.json/luma3/{query};_path=...;sku=...
+ * Publish: {endpoint}/{action}?environment=...&endpoint={query}&_path=...&sku=...
+ * Mock: {endpoint}/{query}?_path=...&sku=...
+ * @param {Object} query - Query of QUERIES
+ * @param {Object} params - Query variables (e.g. { _path, sku })
+ * @returns {string} URL
+ */
+function buildQueryUrl(query, params) {
+  const { source, endpoint, environment } = getCatalogConfig();
+  const entries = Object.entries(params).filter(([, value]) => value);
+
+  if (source === "author") {
+    const variables = entries.map(([key, value]) => `;${key}=${value}`);
+    return `${endpoint}/graphql/execute.json/luma3/${query.name}${variables.join("")}`;
+  }
+  if (source === "mock") {
+    return `${endpoint}/${query.name}?${new URLSearchParams(entries)}`;
+  }
+
+  const search = [
+    `environment=${environment}`,
+    query.endpoint ? `endpoint=${query.endpoint}` : "",
+    ...entries.map(([key, value]) => `${key}=${value}`),
+  ].filter(Boolean);
+  return `${endpoint}/${query.action}?${search.join("&")}`;
+}
+
+/**
+ * Resolve the URL of an asset reference ({ _authorUrl, _publishUrl })
+ * @param {Object} ref - Asset reference
+ * @returns {string} URL ("" when there is none)
+ */
+function getAssetUrl(ref) {
+  if (!ref || typeof ref !== "object") return "";
+  return (isAuthorEnvironment() ? ref._authorUrl : ref._publishUrl) || "";
+}
+
+/**
+ * Resolve the URLs of an image list field
+ * Multi-value references, lists of URLs and multi-line text ({ plaintext }) are read.
+ * @param {*} value - Field value
+ * @returns {Array<string>} URLs
+ */
+function getImageUrls(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(getImageUrls);
+  if (typeof value === "string") {
+    return value.split(/[\n,]/).map((url) => url.trim()).filter(Boolean);
+  }
+  return "plaintext" in value
+    ? getImageUrls(value.plaintext)
+    : [getAssetUrl(value)].filter(Boolean);
+}
+
+/**
+ * Format the category tags of a product ("luma-products:men/tops" -> "Men / Tops")
+ * @param {Array<string>} category - Category tags
+ * @returns {string} Category text
+ */
+export function formatCategory(category) {
+  return (category || [])
+    .map((tag) => {
+      const parts = tag.split(":");
+      return parts.length > 1 ? parts[1] : tag;
+    })
+    .filter(Boolean)
+    .join(" / ")
+    .toLowerCase()
+    .replace(/\b\w/g, (char) => char.toUpperCase());
+}
+
+/**
+ * Normalize a product content fragment
+ * Legacy luma3 fragments have an `image` reference; current fragments have an
+ * `externalImageURL` (text) with a `damImageURL` reference as fallback. Every
+ * image reference (including `damImageURL` and the `images` field of either
+ * model) is kept in `images`.
+ * @param {Object} item - Product content fragment
+ * @param {boolean} [legacy] - Whether the fragment uses the legacy luma3 model
+ * @param {string} [folder] - Content fragment folder of the query
+ * @returns {Product} Product
+ */
+export function normalizeProduct(item, legacy = false, folder = "") {
+  const { externalImageURL, description } = item;
+  const externalUrl =
+    typeof externalImageURL === "string"
+      ? externalImageURL
+      : externalImageURL?.plaintext;
+  const image = legacy
+    ? getAssetUrl(item.image)
+    : externalUrl || getAssetUrl(item.damImageURL);
+
+  let category = [];
+  if (Array.isArray(item.category)) {
+    category = item.category.filter((tag) => typeof tag === "string");
+  } else if (typeof item.category === "string" && item.category) {
+    category = [item.category];
+  }
+
+  const sku = `${item.sku || item.id || ""}`;
+  return {
+    id: `${item.id || sku}`,
+    sku,
+    name: item.name || "",
+    price: parseFloat(item.price) || 0,
+    category,
+    description:
+      typeof description === "string"
+        ? { html: "", markdown: "", plaintext: description }
+        : {
+            html: description?.html || "",
+            markdown: description?.markdown || "",
+            plaintext: description?.plaintext || "",
+          },
+    image: image || "",
+    images: [
+      ...new Set([
+        image,
+        ...getImageUrls(legacy ? null : item.damImageURL),
+        ...getImageUrls(item.images),
+      ]),
+    ].filter(Boolean),
+    stock: item.stock ?? null,
+    variants: item.variants || null,
+    colors: item.colors || null,
+    sizes: item.sizes || null,
+    rating: parseFloat(item.rating) || null,
+    createdAt: item.createdAt || item.releaseDate || "",
+    folder,
+  };
+}
+
+/**
+ * Read a product list cached in sessionStorage
+ * @param {string} url - Query URL
+ * @returns {Array<Product>|null} Products, or null when not cached or expired
+ */
+function readSessionCache(url) {
+  try {
+    const cached = JSON.parse(sessionStorage.getItem(`${CACHE_PREFIX}${url}`));
+    if (cached && Date.now() - cached.savedAt < CACHE_TTL) {
+      return cached.products;
+    }
+  } catch (error) {
+    /* ignore */
+  }
+  return null;
+}
+
+/**
+ * Cache a product list in sessionStorage
+ * @param {string} url - Query URL
+ * @param {Array<Product>} products - Products
+ */
+function writeSessionCache(url, products) {
+  try {
+    sessionStorage.setItem(
+      `${CACHE_PREFIX}${url}`,
+      JSON.stringify({ savedAt: Date.now(), products })
+    );
+  } catch (error) {
+    console.warn("⚠ Could not cache catalog response:", error.message);
+  }
+}
+
+/**
+ * Run a persisted query and normalize the products it returns
+ * Responses are cached; failed requests are not.
+ * @param {Object} query - Query of QUERIES
+ * @param {Object} params - Query variables
+ * @param {boolean} legacy - Whether the products use the legacy luma3 model
+ * @returns {Promise<Array<Product>>} Products (rejects when the request fails)
+ */
+function runQuery(query, params, legacy) {
+  const url = buildQueryUrl(query, params);
+  if (memoryCache.has(url)) return memoryCache.get(url);
+
+  const useSessionCache = getCatalogConfig().source !== "author";
+  const cached = useSessionCache ? readSessionCache(url) : null;
+  if (cached) {
+    const request = Promise.resolve(cached);
+    memoryCache.set(url, request);
+    return request;
+  }
+
+  const request = fetch(url, {
+    method: "GET",
+    headers: {
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      Pragma: "no-cache",
+    },
+  })
+    .then((resp) => {
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      return resp.json();
+    })
+    .then((json) => {
+      // Current fragments: productsContentFragmentModelList, legacy: productsModelList
+      const items =
+        json?.data?.productsContentFragmentModelList?.items ||
+        json?.data?.productsModelList?.items ||
+        [];
+      const products = items
+        .filter((item) => item && (item.sku || item.id))
+        .map((item) => normalizeProduct(item, legacy, params._path));
+      if (useSessionCache) writeSessionCache(url, products);
+      return products;
+    })
+    .catch((error) => {
+      memoryCache.delete(url);
+      throw error;
+    });
+
+  memoryCache.set(url, request);
+  return request;
+}
+
+/**
+ * Fetch the products of a content fragment folder
+ * @param {string} path - Content fragment folder path
+ * @returns {Promise<Array<Product>>} Products ([] when the folder cannot be loaded)
+ */
+export async function fetchProducts(path) {
+  if (!path) return [];
+  const legacy = isLegacyCatalogPath(path);
+  try {
+    return await runQuery(
+      legacy ? QUERIES.legacyProducts : QUERIES.products,
+      { _path: path },
+      legacy
+    );
+  } catch (error) {
+    console.error("Catalog: could not load products", error);
+    return [];
+  }
+}
+
+/**
+ * Fetch a product of a content fragment folder by SKU
+ * @param {string} path - Content fragment folder path
+ * @param {string} sku - Product SKU
+ * @returns {Promise<Product|null>} Product, or null when not found or not loaded
+ */
+export async function fetchProduct(path, sku) {
+  if (!path || !sku) return null;
+  if (!isLegacyCatalogPath(path)) {
+    const products = await fetchProducts(path);
+    return products.find((product) => product.sku === `${sku}`) || null;
+  }
+
+  try {
+    const [product] = await runQuery(
+      QUERIES.legacyProductBySku,
+      { _path: path, sku },
+      true
+    );
+    return product || null;
+  } catch (error) {
+    console.error("Catalog: could not load product", error);
+    return null;
+  }
+}
+
+/**
+ * Check whether a path can be a product folder (DAM content fragment folders only)
+ * @param {string} path - Folder path
+ * @returns {boolean} True for DAM folder paths
+ */
+function isCatalogFolder(path) {
+  return typeof path === "string" && /^\/content\/dam\/[^?#]+$/.test(path);
+}
+
+/**
+ * Find products by SKU (or ID) without knowing their folder
+ * The given folders are searched first, in order, then the `catalog-root` folder;
+ * the first product found for a SKU wins.
+ * @param {Array<string>} skus - Product SKUs or IDs
+ * @param {Array<string>} [folders] - Folders the products probably come from
+ * @returns {Promise<Array<Product>>} Products found (missing SKUs are left out)
+ */
+export async function findProductsBySku(skus, folders = []) {
+  const wanted = new Set(skus.filter(Boolean).map(String));
+  const paths = [...new Set([...folders, getMetadata("catalog-root").trim()])]
+    .filter(isCatalogFolder)
+    .slice(0, MAX_LOOKUP_FOLDERS);
+  if (!wanted.size || !paths.length) return [];
+
+  const lists = await Promise.all(paths.map((path) => fetchProducts(path)));
+  const found = new Map();
+  lists.flat().forEach((product) => {
+    const key = [product.sku, product.id].find((value) => wanted.has(value));
+    if (key && !found.has(key)) found.set(key, product);
+  });
+  return [...new Set(found.values())];
+}
+
+/**
+ * Clear the cached catalog responses (e.g. after content was published)
+ */
+export function clearCatalogCache() {
+  memoryCache.clear();
+  try {
+    Object.keys(sessionStorage)
+      .filter((key) => key.startsWith(CACHE_PREFIX))
+      .forEach((key) => sessionStorage.removeItem(key));
+  } catch (error) {
+    /* ignore */
+  }
+}
@@ -0,0 +1,183 @@
+// ==========================================
+// Consent Manager
+// Records the shopper's analytics / marketing / personalization consent,
+// gates event dispatch, Adobe Target and profile persistence on it, and
+// reflects it into the dataLayer `consents` object in XDM form
+// (Consents & Preferences field group: "y" / "n" values).
+// ==========================================
+
+const CONSENT_STORAGE_KEY = "luma_consent";
+
+// Bump to ask everyone again (e.g. when the purposes change)
+const CONSENT_VERSION = 1;
+
+export const CONSENT_PURPOSES = ["analytics", "marketing", "personalization"];
+
+// Marketing channels the shopper can opt out of individually (registration form)
+export const MARKETING_CHANNELS = ["email", "call", "sms"];
+
+// Dispatched on document: UPDATED after a choice, OPEN to reopen the banner
+export const CONSENT_EVENTS = {
+  UPDATED: "consentUpdated",
+  OPEN: "consentPreferencesOpen",
+};
+
+/**
+ * Read the stored consent record
+ * @returns {Object|null} Consent record, or null when the shopper has not chosen yet
+ */
+export function getConsent() {
+  try {
+    const consent = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+    return consent?.version === CONSENT_VERSION ? consent : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether the shopper has made a consent choice
+ * A marketing opt-in from the registration form alone does not answer the banner.
+ * @returns {boolean} True once every purpose has been answered
+ */
+export function hasConsentChoice() {
+  const consent = getConsent();
+  return CONSENT_PURPOSES.every(
+    (purpose) => typeof consent?.[purpose] === "boolean"
+  );
+}
+
+/**
+ * Check consent for a purpose (nothing is granted until the shopper opts in)
+ * @param {string} purpose - One of CONSENT_PURPOSES
+ * @returns {boolean} True when the purpose is granted
+ */
+export function hasConsent(purpose) {
+  return getConsent()?.[purpose] === true;
+}
+
+/**
+ * Build the XDM consents object for a consent record
+ * @param {Object|null} consent - Consent record (null = no choice yet)
+ * @returns {Object} XDM consents { collect, personalize, marketing, metadata }
+ */
+export function toXdmConsents(consent) {
+  const toVal = (granted) => (granted ? "y" : "n");
+  const marketing = { any: { val: toVal(consent?.marketing) } };
+  MARKETING_CHANNELS.forEach((channel) => {
+    marketing[channel] = {
+      val: toVal(consent?.marketing && consent.channels?.[channel] !== false),
+    };
+  });
+
+  return {
+    collect: { val: toVal(consent?.analytics) },
+    personalize: { content: { val: toVal(consent?.personalization) } },
+    marketing,
+    metadata: { time: consent?.updatedAt || "" },
+  };
+}
+
+/**
+ * Mirror the consent record into the dataLayer
+ * @param {Object|null} consent - Consent record
+ */
+function reflectConsent(consent) {
+  if (window.updateDataLayer) {
+    // merge=false replaces the whole consents object so stale keys are dropped
+    window.updateDataLayer({ consents: toXdmConsents(consent) }, false);
+  }
+}
+
+/**
+ * Store a consent choice, update the dataLayer and notify listeners
+ * Purposes that are not provided keep their current value.
+ * @param {Object} choice - { analytics, marketing, personalization, channels }
+ * @returns {Object} Stored consent record
+ */
+export function setConsent(choice = {}) {
+  const current = getConsent() || {};
+  const consent = {
+    version: CONSENT_VERSION,
+    channels: { ...(current.channels || {}), ...(choice.channels || {}) },
+    updatedAt: new Date().toISOString(),
+  };
+  CONSENT_PURPOSES.forEach((purpose) => {
+    const granted = choice[purpose] ?? current[purpose];
+    if (granted !== undefined) consent[purpose] = Boolean(granted);
+  });
+
+  try {
+    localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(consent));
+  } catch (error) {
+    console.warn("⚠ Could not persist consent:", error.message);
+  }
+
+  reflectConsent(consent);
+  document.dispatchEvent(
+    new CustomEvent(CONSENT_EVENTS.UPDATED, {
+      bubbles: true,
+      detail: { consent },
+    })
+  );
+  return consent;
+}
+
+/**
+ * Grant every purpose
+ * @returns {Object} Stored consent record
+ */
+export function acceptAll() {
+  return setConsent({ analytics: true, marketing: true, personalization: true });
+}
+
+/**
+ * Deny every purpose
+ * @returns {Object} Stored consent record
+ */
+export function rejectAll() {
+  return setConsent({
+    analytics: false,
+    marketing: false,
+    personalization: false,
+  });
+}
+
+/**
+ * Set the marketing channel preferences (e.g. from the registration form)
+ * Opting into a channel is an explicit marketing opt-in; unticking every channel
+ * keeps the marketing choice made in the banner.
+ * @param {Object} channels - { email, call, sms } booleans
+ * @returns {Object} Stored consent record
+ */
+export function setMarketingChannels(channels) {
+  const optedIn = MARKETING_CHANNELS.some((channel) => channels[channel]);
+  return setConsent(optedIn ? { channels, marketing: true } : { channels });
+}
+
+/**
+ * Resolve once a purpose is granted (immediately when it already is)
+ * @param {string} purpose - One of CONSENT_PURPOSES
+ * @returns {Promise<void>} Resolves when consent is given
+ */
+export function whenConsented(purpose) {
+  if (hasConsent(purpose)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const onUpdate = (event) => {
+      if (event.detail.consent?.[purpose]) {
+        document.removeEventListener(CONSENT_EVENTS.UPDATED, onUpdate);
+        resolve();
+      }
+    };
+    document.addEventListener(CONSENT_EVENTS.UPDATED, onUpdate);
+  });
+}
+
+/**
+ * Reopen the consent banner with the preferences expanded (e.g. from a footer link)
+ */
+export function openConsentPreferences() {
+  document.dispatchEvent(
+    new CustomEvent(CONSENT_EVENTS.OPEN, { bubbles: true })
+  );
+}
@@ -4,6 +4,9 @@
 // Loaded from delayed.js to not block page load
 // ==========================================
 
+import { hasConsent } from "./consent.js";
+import { onCartAbandoned } from "./abandoned-cart.js";
+
 /**
  * Fetches and caches custom events configuration with conditional request support
  * Uses Last-Modified header to check if config has been updated
@@ -321,14 +324,19 @@ function dispatchCustomEvent(
   additionalDetail = {},
   callback = null
 ) {
-  const customEvent = new CustomEvent(eventName, {
-    bubbles: true,
-  });
-  console.log(
-    `Dispatching custom event: ${eventName}, dataLayer: `,
-    window.dataLayer
-  );
-  document.dispatchEvent(customEvent);
+  // Tracking events are only sent with analytics consent; page actions still run
+  if (hasConsent("analytics")) {
+    const customEvent = new CustomEvent(eventName, {
+      bubbles: true,
+    });
+    console.log(
+      `Dispatching custom event: ${eventName}, dataLayer: `,
+      window.dataLayer
+    );
+    document.dispatchEvent(customEvent);
+  } else {
+    console.log(`Skipping custom event without analytics consent: ${eventName}`);
+  }
 
   // Execute callback immediately - delay is handled by the caller
   if (callback && typeof callback === "function") {
@@ -566,6 +574,18 @@ function triggerCustomEvents(config = null, currentPath = null) {
           }
           break;
 
+        case "cartabandoned":
+          // Dispatch when a non-empty cart has been idle longer than the
+          // abandoned-cart-threshold (details in dataLayer.abandonedCart).
+          // Registered once per configured event since triggerCustomEvents can run again.
+          if (!window._customEventListeners.has(`${event}_${index}_abandon`)) {
+            window._customEventListeners.set(`${event}_${index}_abandon`, {});
+            onCartAbandoned(() => {
+              dispatchCustomEvent(event, eventConfig, pagePath);
+            });
+          }
+          break;
+
         default:
           console.warn(`Unknown trigger type: ${trigger} for event: ${event}`);
       }
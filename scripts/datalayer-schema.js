@@ -0,0 +1,161 @@
+// ==========================================
+// DataLayer Schema
+// Versioning, migrations and repair of the dataLayer persisted in localStorage.
+// Returning visitors keep their cart when the dataLayer shape changes:
+// stored layers are upgraded one version at a time, and corrupt sections
+// are repaired or reset individually instead of discarding the whole layer.
+// ==========================================
+
+import { computeTotals, createEmptyCart } from "./cart-model.js";
+
+// Bump when the persisted shape changes and add a migration from the previous version
+export const DATALAYER_SCHEMA_VERSION = 3;
+
+/**
+ * Check if value is a plain object
+ * @param {*} item - Value to check
+ * @returns {boolean}
+ */
+function isObject(item) {
+  return Boolean(item) && typeof item === "object" && !Array.isArray(item);
+}
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each migration receives the stored dataLayer of that version and returns the next version.
+ */
+const MIGRATIONS = {
+  // v1 -> v2: cart.products changed from an array of lines to an object keyed by product ID
+  1: (dataLayer) => {
+    const cart = isObject(dataLayer.cart) ? dataLayer.cart : {};
+    if (!Array.isArray(cart.products)) return dataLayer;
+
+    const products = {};
+    cart.products.forEach((line) => {
+      if (!isObject(line) || !line.id) return;
+      const quantity = parseInt(line.quantity, 10) || 1;
+      if (products[line.id]) {
+        products[line.id].quantity += quantity;
+      } else {
+        products[line.id] = { ...line, quantity };
+      }
+    });
+    return { ...dataLayer, cart: { ...cart, products } };
+  },
+
+  // v2 -> v3: lines are keyed by variant SKU and carry productId, sku and options;
+  // the cart carries promotions, shipping, tax and cross-tab sync fields
+  2: (dataLayer) => {
+    const cart = isObject(dataLayer.cart) ? dataLayer.cart : {};
+    if (!Object.keys(cart).length) return dataLayer;
+
+    const products = {};
+    Object.entries(isObject(cart.products) ? cart.products : {}).forEach(
+      ([key, line]) => {
+        products[key] = {
+          ...line,
+          productId: line?.productId || line?.id || key,
+          sku: line?.sku || key,
+          options: isObject(line?.options) ? line.options : {},
+        };
+      }
+    );
+    return {
+      ...dataLayer,
+      cart: { ...createEmptyCart(), ...cart, products },
+    };
+  },
+};
+
+/**
+ * Upgrade a stored dataLayer to the current schema version
+ * Layers without a version predate versioning and are treated as version 1.
+ * @param {Object} stored - Stored dataLayer
+ * @returns {Object} Migrated dataLayer stamped with the current schema version
+ */
+export function migrateDataLayer(stored) {
+  let dataLayer = { ...stored };
+  let version = parseInt(dataLayer.schemaVersion, 10) || 1;
+
+  while (version < DATALAYER_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    try {
+      if (migrate) dataLayer = migrate(dataLayer);
+    } catch (error) {
+      // Leave the section to repairDataLayer rather than losing the whole layer
+      console.warn(
+        `⚠ DataLayer migration from v${version} failed:`,
+        error.message
+      );
+    }
+    version += 1;
+  }
+
+  // Layers written by a newer schema keep their version
+  return { ...dataLayer, schemaVersion: version };
+}
+
+/**
+ * Repair the cart section: drop unreadable lines, reset unreadable fields and recompute totals
+ * @param {*} cart - Stored cart
+ * @returns {Object} Valid cart ({} when nothing was ever added)
+ */
+function repairCart(cart) {
+  if (!isObject(cart)) {
+    console.warn("⚠ Discarding corrupt dataLayer cart");
+    return {};
+  }
+  if (!Object.keys(cart).length) return cart;
+
+  const products = {};
+  Object.entries(isObject(cart.products) ? cart.products : {}).forEach(
+    ([key, line]) => {
+      const quantity = parseInt(line?.quantity, 10);
+      const price = parseFloat(line?.price);
+      if (!isObject(line) || !(quantity > 0) || !Number.isFinite(price)) {
+        console.warn(`⚠ Discarding corrupt cart line: ${key}`);
+        return;
+      }
+      products[key] = { ...line, id: line.id || key, quantity, price };
+    }
+  );
+
+  return computeTotals({
+    ...createEmptyCart(),
+    ...cart,
+    products,
+    promotions: Array.isArray(cart.promotions) ? cart.promotions : [],
+    taxLines: Array.isArray(cart.taxLines) ? cart.taxLines : [],
+    shippingMethod: isObject(cart.shippingMethod) ? cart.shippingMethod : null,
+    taxAddress: isObject(cart.taxAddress) ? cart.taxAddress : null,
+    removedLines: isObject(cart.removedLines) ? cart.removedLines : {},
+  });
+}
+
+/**
+ * Validate a migrated dataLayer section by section
+ * Sections that do not have the type of their default are reset to the default;
+ * the cart is repaired line by line.
+ * @param {Object} dataLayer - Migrated dataLayer
+ * @param {Object} defaults - Initial dataLayer
+ * @returns {Object} Repaired dataLayer
+ */
+export function repairDataLayer(dataLayer, defaults) {
+  const repaired = { ...dataLayer };
+
+  Object.entries(defaults).forEach(([section, defaultValue]) => {
+    const value = repaired[section];
+    const isValid = isObject(defaultValue)
+      ? isObject(value)
+      : typeof value === typeof defaultValue;
+    if (!isValid) {
+      if (value !== undefined) {
+        console.warn(`⚠ Resetting corrupt dataLayer section: ${section}`);
+      }
+      repaired[section] = defaultValue;
+    }
+  });
+
+  repaired.cart = repairCart(repaired.cart);
+  return repaired;
+}
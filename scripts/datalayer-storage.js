@@ -0,0 +1,452 @@
+// ==========================================
+// DataLayer Storage
+// Storage adapters for the persisted dataLayer (localStorage, sessionStorage,
+// IndexedDB and a REST "remote cart"), selected with the `datalayer-storage`
+// page metadata. When a backend fails (e.g. quota exceeded) writes fall back
+// to the next adapter so the cart is never silently lost.
+// ==========================================
+
+import { getMetadata } from "./aem.js";
+import { createId } from "./identity.js";
+
+// Supported values of the `datalayer-storage` metadata
+export const STORAGE_BACKENDS = ["local", "session", "indexeddb", "remote"];
+
+const DEFAULT_BACKEND = "local";
+
+// IndexedDB database holding the dataLayer keys
+const IDB_NAME = "luma";
+const IDB_STORE = "dataLayer";
+
+// Remote cart: identifier of this shopper's stored document
+const REMOTE_CART_ID_KEY = "luma_remote_cart_id";
+
+// Writes to async backends are batched
+const FLUSH_DELAY = 300; // ms
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend name (one of STORAGE_BACKENDS, or "memory")
+ * @property {function(string): (string|null)} getItem - Read a value (synchronous)
+ * @property {function(string, string): void} setItem - Write a value (throws when full)
+ * @property {function(string): void} removeItem - Remove a value
+ * @property {Promise<Object>} [ready] - Async backends: resolves with the loaded values
+ * @property {function(Error): void} [onSaveError] - Async backends: called when a batch
+ *   could not be written (set by the fallback storage)
+ */
+
+/**
+ * Check whether an error is a storage quota error
+ * @param {Error} error - Error thrown by the backend
+ * @returns {boolean} True for quota errors
+ */
+function isQuotaError(error) {
+  return (
+    error?.name === "QuotaExceededError" ||
+    error?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    error?.code === 22 ||
+    error?.code === 1014
+  );
+}
+
+/**
+ * Create an adapter for localStorage or sessionStorage
+ * @param {string} name - Adapter name
+ * @param {Storage} storage - Web storage object
+ * @returns {StorageAdapter} Adapter
+ */
+function createWebStorageAdapter(name, storage) {
+  return {
+    name,
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: (key) => storage.removeItem(key),
+  };
+}
+
+/**
+ * Create an in-memory adapter (last resort: kept for the current page only)
+ * @returns {StorageAdapter} Adapter
+ */
+function createMemoryAdapter() {
+  const values = {};
+  return {
+    name: "memory",
+    getItem: (key) => (key in values ? values[key] : null),
+    setItem: (key, value) => {
+      values[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete values[key];
+    },
+  };
+}
+
+/**
+ * Create an adapter for an asynchronous backend
+ * Reads and writes go to an in-memory copy so the dataLayer API stays synchronous;
+ * the copy is loaded from the backend once (`ready`) and changes are written back in batches.
+ * Values written before the backend answered are kept (datalayer.js merges the stored cart itself).
+ * A failed write is reported through `onSaveError` and retried with the next write.
+ * @param {string} name - Adapter name
+ * @param {Object} backend - { load(): Promise<Object>, save(changes, values, options): Promise }
+ *   (options.keepalive is set when the page is going away)
+ * @returns {StorageAdapter} Adapter
+ */
+function createAsyncAdapter(name, backend) {
+  const values = {};
+  const dirty = new Set();
+  let loaded = false;
+  let flushTimeout = null;
+  let adapter = null;
+
+  function flush({ keepalive = false } = {}) {
+    flushTimeout = null;
+    if (!dirty.size) return;
+
+    const changes = {};
+    dirty.forEach((key) => {
+      changes[key] = key in values ? values[key] : null;
+    });
+    dirty.clear();
+
+    backend.save(changes, { ...values }, { keepalive }).catch((error) => {
+      console.warn(`⚠ Could not persist to ${name} storage:`, error.message);
+      // Retry with the next write
+      Object.keys(changes).forEach((key) => dirty.add(key));
+      adapter.onSaveError?.(error);
+    });
+  }
+
+  function scheduleFlush() {
+    if (loaded && !flushTimeout) {
+      flushTimeout = setTimeout(flush, FLUSH_DELAY);
+    }
+  }
+
+  // Write pending changes before the page goes away
+  window.addEventListener("pagehide", () => {
+    if (flushTimeout) {
+      clearTimeout(flushTimeout);
+      flush({ keepalive: true });
+    }
+  });
+
+  const ready = backend
+    .load()
+    .catch((error) => {
+      console.warn(`⚠ Could not load ${name} storage:`, error.message);
+      return {};
+    })
+    .then((stored) => {
+      Object.entries(stored || {}).forEach(([key, value]) => {
+        if (!dirty.has(key) && typeof value === "string") values[key] = value;
+      });
+      loaded = true;
+      scheduleFlush();
+      return stored || {};
+    });
+
+  adapter = {
+    name,
+    ready,
+    onSaveError: null,
+    getItem: (key) => (key in values ? values[key] : null),
+    setItem: (key, value) => {
+      values[key] = String(value);
+      dirty.add(key);
+      scheduleFlush();
+    },
+    removeItem: (key) => {
+      delete values[key];
+      dirty.add(key);
+      scheduleFlush();
+    },
+  };
+  return adapter;
+}
+
+/**
+ * Run an IndexedDB request as a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create the IndexedDB adapter
+ * @returns {StorageAdapter|null} Adapter, or null when IndexedDB is not available
+ */
+function createIndexedDbAdapter() {
+  if (!window.indexedDB) return null;
+
+  let databasePromise = null;
+  const openDatabase = () => {
+    if (!databasePromise) {
+      const request = window.indexedDB.open(IDB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(IDB_STORE);
+      };
+      databasePromise = idbRequest(request);
+    }
+    return databasePromise;
+  };
+
+  return createAsyncAdapter("indexeddb", {
+    load: async () => {
+      const database = await openDatabase();
+      const store = database.transaction(IDB_STORE).objectStore(IDB_STORE);
+      const [keys, storedValues] = await Promise.all([
+        idbRequest(store.getAllKeys()),
+        idbRequest(store.getAll()),
+      ]);
+      return keys.reduce((stored, key, index) => {
+        stored[key] = storedValues[index];
+        return stored;
+      }, {});
+    },
+    save: async (changes) => {
+      const database = await openDatabase();
+      const transaction = database.transaction(IDB_STORE, "readwrite");
+      const store = transaction.objectStore(IDB_STORE);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === null) {
+          store.delete(key);
+        } else {
+          store.put(value, key);
+        }
+      });
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    },
+  });
+}
+
+/**
+ * Get (or create) the identifier of this shopper's remote cart
+ * @returns {string} Remote cart ID
+ */
+function getRemoteCartId() {
+  try {
+    let cartId = localStorage.getItem(REMOTE_CART_ID_KEY);
+    if (!cartId) {
+      cartId = createId();
+      localStorage.setItem(REMOTE_CART_ID_KEY, cartId);
+    }
+    return cartId;
+  } catch (error) {
+    return createId();
+  }
+}
+
+/**
+ * Keep only the given keys of a set of stored values
+ * @param {Object} values - Stored values by key
+ * @param {Array<string>} keys - Keys to keep
+ * @returns {Object} Values of the given keys
+ */
+function pickKeys(values, keys) {
+  return Object.fromEntries(
+    Object.entries(values).filter(([key]) => keys.includes(key))
+  );
+}
+
+/**
+ * Create the REST "remote cart" adapter
+ * The endpoint stores one document per shopper:
+ * GET {endpoint}/{cartId} -> { items: { [key]: value } } (404 when new),
+ * PUT {endpoint}/{cartId} with { items } to replace it.
+ * Only the given keys are sent, so other data (e.g. checkout details) never leaves the browser.
+ * See tools/mock-commerce-server.mjs for a local implementation.
+ * @param {string} endpoint - Remote cart endpoint
+ * @param {Array<string>} keys - Keys stored remotely
+ * @returns {StorageAdapter|null} Adapter, or null without an endpoint
+ */
+function createRemoteAdapter(endpoint, keys) {
+  if (!endpoint) {
+    console.warn("⚠ Remote dataLayer storage needs datalayer-storage-endpoint metadata");
+    return null;
+  }
+  const url = `${endpoint.replace(/\/$/, "")}/${encodeURIComponent(
+    getRemoteCartId()
+  )}`;
+
+  return createAsyncAdapter("remote", {
+    load: async () => {
+      const resp = await fetch(url, { headers: { Accept: "application/json" } });
+      if (resp.status === 404) return {};
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const json = await resp.json();
+      return pickKeys(json.items || {}, keys);
+    },
+    save: async (changes, values, { keepalive }) => {
+      // keepalive requests are limited to 64 KB, so only the pagehide flush uses them
+      const resp = await fetch(url, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ items: pickKeys(values, keys) }),
+        keepalive,
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    },
+  });
+}
+
+/**
+ * Create the adapter of a backend
+ * @param {string} name - Backend name (one of STORAGE_BACKENDS)
+ * @param {Object} options - { endpoint, keys } for the remote backend
+ * @returns {StorageAdapter|null} Adapter, or null when the backend is not available
+ */
+function createAdapter(name, { endpoint, keys } = {}) {
+  try {
+    switch (name) {
+      case "local":
+        return createWebStorageAdapter(name, window.localStorage);
+      case "session":
+        return createWebStorageAdapter(name, window.sessionStorage);
+      case "indexeddb":
+        return createIndexedDbAdapter();
+      case "remote":
+        return createRemoteAdapter(endpoint, keys);
+      default:
+        console.warn(`⚠ Unknown dataLayer storage: ${name}`);
+        return null;
+    }
+  } catch (error) {
+    // e.g. SecurityError when storage is disabled
+    console.warn(`⚠ ${name} storage is not available:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Chain adapters so a failing backend falls back to the next one
+ * Reads use the first adapter holding the key. On fallback every key of the storage
+ * moves to the next adapter and is removed from the failing one, so values and their
+ * timestamps are always read from the same backend (no stale copy on the next visit).
+ * Async backends fail after the write returned: their in-memory values move the same way.
+ * @param {Array<StorageAdapter>} adapters - Adapters in order of preference
+ * @param {Array<string>} keys - Keys written through the storage (e.g. data and timestamp)
+ * @returns {StorageAdapter} Storage (name is the adapter currently written to)
+ */
+function createFallbackStorage(adapters, keys) {
+  let activeIndex = 0;
+
+  function getItem(key) {
+    const adapter = adapters.find((candidate) => {
+      try {
+        return candidate.getItem(key) !== null;
+      } catch (error) {
+        return false;
+      }
+    });
+    return adapter ? adapter.getItem(key) : null;
+  }
+
+  /**
+   * Switch writes to the next adapter and move the stored keys there
+   * @param {Error} error - Error of the failing adapter
+   * @param {string} [pendingKey] - Key being written (written again by the caller)
+   */
+  function fallBack(error, pendingKey) {
+    const adapter = adapters[activeIndex];
+    const next = adapters[activeIndex + 1];
+    const reason = isQuotaError(error) ? "quota exceeded" : error.message;
+    console.warn(
+      `⚠ ${adapter.name} storage failed (${reason}), falling back to ${next.name} storage`
+    );
+
+    [...new Set([...keys, pendingKey].filter(Boolean))].forEach((ownedKey) => {
+      try {
+        const stored = adapter.getItem(ownedKey);
+        if (ownedKey !== pendingKey && stored !== null) next.setItem(ownedKey, stored);
+      } catch (moveError) {
+        /* the next write of the key stores it again */
+      }
+      try {
+        adapter.removeItem(ownedKey);
+      } catch (removeError) {
+        /* ignore */
+      }
+    });
+    activeIndex += 1;
+  }
+
+  function setItem(key, value) {
+    try {
+      adapters[activeIndex].setItem(key, value);
+    } catch (error) {
+      if (activeIndex >= adapters.length - 1) throw error;
+      fallBack(error, key);
+      setItem(key, value);
+    }
+  }
+
+  // Async backends report failed writes later
+  adapters.forEach((adapter, index) => {
+    if (!("onSaveError" in adapter)) return;
+    adapter.onSaveError = (error) => {
+      if (index === activeIndex && activeIndex < adapters.length - 1) {
+        fallBack(error);
+      }
+    };
+  });
+
+  function removeItem(key) {
+    adapters.forEach((adapter) => {
+      try {
+        adapter.removeItem(key);
+      } catch (error) {
+        /* ignore */
+      }
+    });
+  }
+
+  return {
+    get name() {
+      return adapters[activeIndex].name;
+    },
+    ready: adapters[0].ready || null,
+    getItem,
+    setItem,
+    removeItem,
+  };
+}
+
+/**
+ * Create the dataLayer storage configured for the page
+ * Page metadata:
+ * - datalayer-storage: local (default), session, indexeddb or remote
+ * - datalayer-storage-endpoint: remote cart endpoint (remote only)
+ * The configured backend falls back to localStorage, sessionStorage and memory.
+ * @param {Array<string>} keys - Keys the dataLayer stores (moved together on fallback)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.remote=true] - Whether the keys may go to the remote cart
+ *   (when not, a remote configuration stores them in the browser)
+ * @returns {StorageAdapter} Storage
+ */
+export function createDataLayerStorage(keys = [], { remote = true } = {}) {
+  const configured = (getMetadata("datalayer-storage") || DEFAULT_BACKEND)
+    .trim()
+    .toLowerCase();
+  const endpoint = getMetadata("datalayer-storage-endpoint").trim();
+
+  const names = [...new Set([configured, "local", "session"])].filter(
+    (name) => remote || name !== "remote"
+  );
+  const adapters = names
+    .map((name) => createAdapter(name, { endpoint, keys }))
+    .filter(Boolean);
+  adapters.push(createMemoryAdapter());
+
+  return createFallbackStorage(adapters, keys);
+}
@@ -3,8 +3,22 @@
 // Standalone module for managing application data layer
 // ==========================================
 
-// Import language utilities
-import { getLanguage } from "./utils.js";
+// Import market, currency and cart utilities
+import { getMarket, loadExchangeRates, SETTLEMENT_CURRENCY } from "./money.js";
+import {
+  createEmptyCart,
+  addLine,
+  dispatchCartEvent,
+  getLineKey,
+  mergeCarts,
+} from "./cart-model.js";
+import {
+  DATALAYER_SCHEMA_VERSION,
+  migrateDataLayer,
+  repairDataLayer,
+} from "./datalayer-schema.js";
+import { createDataLayerStorage } from "./datalayer-storage.js";
+import { getConsent, hasConsent, toXdmConsents } from "./consent.js";
 
 // Queue for dataLayer updates that occur before dataLayer is ready
 window._dataLayerQueue = window._dataLayerQueue || [];
@@ -17,16 +31,34 @@ window._cartQueue = window._cartQueue || [];
 // Private variable to store the actual dataLayer (will be set by buildCustomDataLayer)
 let _dataLayer = null;
 
-// Storage keys for dataLayer (using localStorage for persistence across sessions)
+// Storage keys for dataLayer (persisted across sessions)
 const STORAGE_KEY = "luma_dataLayer";
 const STORAGE_TIMESTAMP_KEY = "luma_dataLayer_timestamp";
 const STORAGE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds (cart persistence)
 
+// Profile sections are only persisted with personalization consent
+const PROFILE_SECTIONS = [
+  "personalEmail",
+  "mobilePhone",
+  "homeAddress",
+  "person",
+  "individualCharacteristics",
+];
+
 // Storage keys for checkout form data (separate from cart/dataLayer)
 const CHECKOUT_STORAGE_KEY = "luma_checkout_data";
 const CHECKOUT_TIMESTAMP_KEY = "luma_checkout_data_timestamp";
 const CHECKOUT_TTL = 90 * 24 * 60 * 60 * 1000; // 90 days - longer persistence for user info
 
+// Storage backend (localStorage unless the page selects another one, see datalayer-storage.js)
+const storage = createDataLayerStorage([STORAGE_KEY, STORAGE_TIMESTAMP_KEY]);
+
+// Checkout data holds personal details: it stays in the browser even with the remote cart
+const checkoutStorage = createDataLayerStorage(
+  [CHECKOUT_STORAGE_KEY, CHECKOUT_TIMESTAMP_KEY],
+  { remote: false }
+);
+
 /**
  * Deep merge utility function for nested objects
  * Handles null values correctly - replaces null with source value
@@ -85,6 +117,111 @@ function dispatchDataLayerEvent(eventType = "initialized") {
   );
 }
 
+/**
+ * Parse a stored dataLayer and upgrade it to the current schema version
+ * @param {string|null} json - Stored dataLayer JSON
+ * @returns {Object|null} Migrated dataLayer or null when it cannot be read
+ */
+function parseStoredDataLayer(json) {
+  try {
+    const stored = JSON.parse(json);
+    return isObject(stored) ? migrateDataLayer(stored) : null;
+  } catch (error) {
+    console.warn("⚠ Could not read stored dataLayer:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Read the dataLayer stored by this or another tab
+ * @returns {Object|null} Stored dataLayer or null
+ */
+function readStoredDataLayer() {
+  return parseStoredDataLayer(storage.getItem(STORAGE_KEY));
+}
+
+/**
+ * Persist the dataLayer to storage with timestamp
+ * Cart lines another tab stored since this tab last read them are merged in
+ * first, so writing this tab's state never drops the other tab's changes.
+ */
+function persistDataLayer() {
+  try {
+    const stored = readStoredDataLayer();
+    if (isObject(stored?.cart) && Object.keys(stored.cart).length > 0) {
+      _dataLayer.cart = mergeCarts(_dataLayer.cart, stored.cart);
+    }
+
+    // Without personalization consent the profile stays in memory for this page only
+    const persisted = { ..._dataLayer };
+    if (!hasConsent("personalization")) {
+      PROFILE_SECTIONS.forEach((section) => {
+        delete persisted[section];
+      });
+    }
+
+    const now = Date.now().toString();
+    storage.setItem(STORAGE_KEY, JSON.stringify(persisted));
+    storage.setItem(STORAGE_TIMESTAMP_KEY, now);
+  } catch (storageError) {
+    console.warn("⚠ Could not persist dataLayer:", storageError.message);
+  }
+}
+
+/**
+ * Adopt a dataLayer stored elsewhere (another tab, or an async storage backend)
+ * The cart is merged line by line; page, product and project stay as they are
+ * in this tab since they describe the page being viewed.
+ * @param {Object} incoming - Migrated stored dataLayer
+ * @param {string} eventType - dataLayerUpdated event type (synced, hydrated)
+ */
+function adoptStoredDataLayer(incoming, eventType) {
+  const { page, product, project } = _dataLayer;
+
+  // Profile sections are not persisted without consent: keep this tab's copy
+  const profile = {};
+  PROFILE_SECTIONS.forEach((section) => {
+    if (_dataLayer[section]) profile[section] = _dataLayer[section];
+  });
+
+  _dataLayer = {
+    ...repairDataLayer({ ...profile, ...incoming }, createDefaultDataLayer()),
+    page,
+    product,
+    project,
+    cart: mergeCarts(_dataLayer.cart, incoming.cart),
+  };
+
+  // Cart, header badge and checkout re-render from these events
+  dispatchDataLayerEvent(eventType);
+  dispatchCartEvent("sync", JSON.parse(JSON.stringify(_dataLayer.cart)));
+}
+
+/**
+ * Adopt dataLayer changes stored by another tab (localStorage storage event)
+ * @param {StorageEvent} event - Storage event
+ */
+function handleStorageChange(event) {
+  if (event.key !== STORAGE_KEY || !event.newValue || !_dataLayer) return;
+
+  // Another tab may still run an older version of the site
+  const incoming = parseStoredDataLayer(event.newValue);
+  if (incoming) adoptStoredDataLayer(incoming, "synced");
+}
+
+/**
+ * Merge the dataLayer loaded by an async storage backend (IndexedDB, remote cart)
+ * and write the merged result back so the backend also gets this page's changes
+ * @param {Object} stored - Values loaded by the backend
+ */
+function handleStorageReady(stored) {
+  const incoming = parseStoredDataLayer(stored?.[STORAGE_KEY] || null);
+  if (!incoming || !_dataLayer) return;
+
+  adoptStoredDataLayer(incoming, "hydrated");
+  persistDataLayer();
+}
+
 /**
  * Process queued dataLayer updates
  */
@@ -102,13 +239,7 @@ function processDataLayerQueue() {
     });
 
     // Persist final state after all queued updates
-    try {
-      const now = Date.now().toString();
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(_dataLayer));
-      localStorage.setItem(STORAGE_TIMESTAMP_KEY, now);
-    } catch (storageError) {
-      console.warn("⚠ Could not persist dataLayer:", storageError.message);
-    }
+    persistDataLayer();
 
     // Clear the queue
     window._dataLayerQueue = [];
@@ -144,71 +275,83 @@ function executeAddToCart(productData) {
     return;
   }
 
-  // initialize empty cart with products as object
-  let currentCart = {
-    productCount: 0,
-    products: {},
-    subTotal: 0,
-    total: 0,
-  };
-
-  // if cart already exists, use it
-  if (Object.keys(_dataLayer.cart).length > 0) {
-    currentCart = _dataLayer.cart;
-  }
-
-  // Use SKU or ID as the key
-  const productKey = productData.id;
-
-  // Check if product already exists in cart (simple object lookup)
-  if (currentCart.products[productKey]) {
-    // Product exists, increment quantity
-    currentCart.products[productKey].quantity += productData.quantity || 1;
-    currentCart.products[productKey].subTotal =
-      currentCart.products[productKey].quantity *
-      currentCart.products[productKey].price;
-    currentCart.products[productKey].total =
-      currentCart.products[productKey].subTotal;
-  } else {
-    // Add new product to cart as object property
-    currentCart.products[productKey] = {
-      id: productData.id,
-      sku: productData.id,
-      name: productData.name,
-      image: productData.image,
-      thumbnail: productData.thumbnail,
-      category: productData.category,
-      description: productData.description,
-      quantity: productData.quantity || 1,
-      price: productData.price,
-      subTotal: productData.price * (productData.quantity || 1),
-      total: productData.price * (productData.quantity || 1),
-    };
-  }
+  // if cart already exists, use it, otherwise start from an empty cart
+  const currentCart =
+    _dataLayer.cart && Object.keys(_dataLayer.cart).length > 0
+      ? { ...createEmptyCart(), ..._dataLayer.cart }
+      : createEmptyCart();
 
-  // Update cart totals by iterating over object values
-  const productValues = Object.values(currentCart.products);
-  currentCart.productCount = productValues.reduce(
-    (sum, p) => sum + p.quantity,
-    0
-  );
-  currentCart.subTotal = productValues.reduce((sum, p) => sum + p.subTotal, 0);
-  currentCart.total = currentCart.subTotal;
+  // Add the line and recompute totals through the shared cart model
+  addLine(currentCart, productData);
 
   // Update dataLayer with new cart
   _dataLayer.cart = currentCart;
 
-  // Persist to localStorage with timestamp
-  try {
-    const now = Date.now().toString();
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(_dataLayer));
-    localStorage.setItem(STORAGE_TIMESTAMP_KEY, now);
-  } catch (storageError) {
-    console.warn("⚠ Could not persist cart:", storageError.message);
-  }
+  // Persist to storage with timestamp (merges lines added in other tabs)
+  persistDataLayer();
 
-  // Dispatch event
+  // Dispatch events
   dispatchDataLayerEvent("updated");
+  dispatchCartEvent("add", _dataLayer.cart, { key: getLineKey(productData) });
+}
+
+/**
+ * Create the initial dataLayer for a first visit
+ * @returns {Object} Initial dataLayer
+ */
+function createDefaultDataLayer() {
+  return {
+    schemaVersion: DATALAYER_SCHEMA_VERSION,
+    projectName: "luma3",
+    project: {
+      id: "luma3",
+      title: "Luma Website v3",
+      template: "web-modular/empty-website-v2",
+      locale: "en-US",
+      currency: "USD",
+      projectName: "luma3",
+    },
+    page: { name: "home", title: "HOME" },
+    cart: {},
+    savedForLater: {}, // Cart lines the shopper saved for later (see cart-model.js)
+    product: {}, // Will be populated on product detail pages
+    productListing: {}, // Filters and sort of category listings (category-products-lister)
+    partnerData: {
+      PartnerID: "Partner456",
+      BrandLoyalist: 88,
+      Seasonality: "Fall",
+    },
+    // User profile information (populated during registration/signin)
+    personalEmail: {
+      address: "",
+    },
+    mobilePhone: {
+      number: "",
+    },
+    homeAddress: {
+      street1: "",
+      city: "",
+      postalCode: "",
+    },
+    person: {
+      gender: "",
+      birthDayAndMonth: "",
+      loyaltyConsent: false,
+      name: {
+        firstName: "",
+        lastName: "",
+      },
+    },
+    individualCharacteristics: {
+      retail: {
+        shoeSize: "",
+        shirtSize: "",
+        favoriteColor: "",
+      },
+    },
+    // Nothing is granted until the shopper answers the consent banner
+    consents: toXdmConsents(getConsent()),
+  };
 }
 
 /**
@@ -217,9 +360,9 @@ function executeAddToCart(productData) {
  */
 export function buildCustomDataLayer() {
   try {
-    // Try to restore existing dataLayer from localStorage with TTL check
-    const savedDataLayer = localStorage.getItem(STORAGE_KEY);
-    const savedTimestamp = localStorage.getItem(STORAGE_TIMESTAMP_KEY);
+    // Try to restore existing dataLayer from storage with TTL check
+    const savedDataLayer = storage.getItem(STORAGE_KEY);
+    const savedTimestamp = storage.getItem(STORAGE_TIMESTAMP_KEY);
 
     // Check if saved data exists and is within TTL
     let isDataValid = false;
@@ -229,76 +372,23 @@ export function buildCustomDataLayer() {
         isDataValid = true;
       } else {
         // Clear expired data
-        localStorage.removeItem(STORAGE_KEY);
-        localStorage.removeItem(STORAGE_TIMESTAMP_KEY);
+        storage.removeItem(STORAGE_KEY);
+        storage.removeItem(STORAGE_TIMESTAMP_KEY);
       }
     }
 
-    if (savedDataLayer && isDataValid) {
-      // Restore the saved dataLayer
-      _dataLayer = JSON.parse(savedDataLayer);
+    const restoredDataLayer =
+      savedDataLayer && isDataValid
+        ? parseStoredDataLayer(savedDataLayer)
+        : null;
+
+    if (restoredDataLayer) {
+      // Restore the saved dataLayer, upgraded to the current schema and with
+      // corrupt sections repaired individually
+      _dataLayer = repairDataLayer(restoredDataLayer, createDefaultDataLayer());
     } else {
       // Create initial dataLayer if none exists
-      // Detect current language from URL
-      const currentLang = getLanguage() || "en";
-      const locale = `${currentLang}-${
-        currentLang === "en" ? "US" : currentLang.toUpperCase()
-      }`;
-
-      _dataLayer = {
-        projectName: "luma3",
-        project: {
-          id: "luma3",
-          title: "Luma Website v3",
-          template: "web-modular/empty-website-v2",
-          locale: "en-US",
-          currency: "USD",
-          projectName: "luma3",
-        },
-        page: { name: "home", title: "HOME" },
-        cart: {},
-        product: {}, // Will be populated on product detail pages
-        partnerData: {
-          PartnerID: "Partner456",
-          BrandLoyalist: 88,
-          Seasonality: "Fall",
-        },
-        // User profile information (populated during registration/signin)
-        personalEmail: {
-          address: "",
-        },
-        mobilePhone: {
-          number: "",
-        },
-        homeAddress: {
-          street1: "",
-          city: "",
-          postalCode: "",
-        },
-        person: {
-          gender: "",
-          birthDayAndMonth: "",
-          loyaltyConsent: false,
-          name: {
-            firstName: "",
-            lastName: "",
-          },
-        },
-        individualCharacteristics: {
-          retail: {
-            shoeSize: "",
-            shirtSize: "",
-            favoriteColor: "",
-          },
-        },
-        consents: {
-          marketing: {
-            call: { val: true },
-            email: { val: true },
-            sms: { val: true },
-          },
-        },
-      };
+      _dataLayer = createDefaultDataLayer();
     }
 
     // Update page information from current document
@@ -308,14 +398,20 @@ export function buildCustomDataLayer() {
     _dataLayer.page.title = document.title;
     _dataLayer.page.name = document.title.toLowerCase();
 
-    // Save updated dataLayer to localStorage with timestamp
-    try {
-      const now = Date.now().toString();
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(_dataLayer));
-      localStorage.setItem(STORAGE_TIMESTAMP_KEY, now);
-    } catch (storageError) {
-      console.warn("⚠ Could not persist dataLayer:", storageError.message);
-    }
+    // Consents always mirror the consent record (the shopper may have changed them in another tab)
+    _dataLayer.consents = toXdmConsents(getConsent());
+
+    // Locale and currency follow the language of the current page
+    const { locale, currency } = getMarket();
+    _dataLayer.project = {
+      ..._dataLayer.project,
+      locale,
+      currency,
+      settlementCurrency: SETTLEMENT_CURRENCY,
+    };
+
+    // Save updated dataLayer to storage with timestamp
+    persistDataLayer();
 
     // Define window.dataLayer as a read-only property
     Object.defineProperty(window, "dataLayer", {
@@ -346,31 +442,48 @@ export function buildCustomDataLayer() {
     // Process any queued cart operations
     processCartQueue();
 
+    // Keep the cart in sync with other open tabs
+    window.addEventListener("storage", handleStorageChange);
+
+    // Async backends (IndexedDB, remote cart) load after the first render
+    if (storage.ready) {
+      storage.ready.then(handleStorageReady);
+    }
+
+    // Load exchange rates when prices are displayed in another currency
+    if (currency !== SETTLEMENT_CURRENCY) {
+      loadExchangeRates().then((rates) => {
+        if (rates?.[currency]) {
+          window.updateDataLayer({ project: { exchangeRate: rates[currency] } });
+        }
+      });
+    }
+
     // Dispatch initial event after dataLayer is set up
     setTimeout(() => {
-      dispatchDataLayerEvent(savedDataLayer ? "restored" : "initialized");
+      dispatchDataLayerEvent(restoredDataLayer ? "restored" : "initialized");
     }, 0);
   } catch (error) {
     console.error("Error initializing dataLayer:", error);
 
     // Fallback: create basic dataLayer
-    const currentLang = getLanguage() || "en";
-    const locale = `${currentLang}-${
-      currentLang === "en" ? "US" : currentLang.toUpperCase()
-    }`;
+    const { locale, currency } = getMarket();
 
     _dataLayer = {
+      schemaVersion: DATALAYER_SCHEMA_VERSION,
       projectName: "luma3",
       project: {
         id: "luma3",
         title: "Luma Website v3",
         template: "web-modular/empty-website-v2",
-        locale: "en-US",
-        currency: "USD",
+        locale,
+        currency,
+        settlementCurrency: SETTLEMENT_CURRENCY,
         projectName: "luma3",
       },
       page: {},
       cart: {},
+      savedForLater: {},
       product: {},
       partnerData: {},
       personalEmail: { address: "" },
@@ -389,13 +502,7 @@ export function buildCustomDataLayer() {
           favoriteColor: "",
         },
       },
-      consents: {
-        marketing: {
-          call: { val: true },
-          email: { val: true },
-          sms: { val: true },
-        },
-      },
+      consents: toXdmConsents(getConsent()),
     };
 
     Object.defineProperty(window, "dataLayer", {
@@ -444,14 +551,8 @@ window.updateDataLayer = function (updates, merge = true) {
     _dataLayer = { ..._dataLayer, ...updates };
   }
 
-  // Persist to localStorage with timestamp
-  try {
-    const now = Date.now().toString();
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(_dataLayer));
-    localStorage.setItem(STORAGE_TIMESTAMP_KEY, now);
-  } catch (storageError) {
-    console.warn("⚠ Could not persist dataLayer:", storageError.message);
-  }
+  // Persist to storage with timestamp
+  persistDataLayer();
 
   // Clear updating flag
   window._dataLayerUpdating = false;
@@ -495,12 +596,12 @@ window.getDataLayerProperty = function (path) {
 window.clearDataLayer = function () {
   window._dataLayerQueue = [];
   window._cartQueue = [];
-  localStorage.removeItem(STORAGE_KEY);
-  localStorage.removeItem(STORAGE_TIMESTAMP_KEY);
+  storage.removeItem(STORAGE_KEY);
+  storage.removeItem(STORAGE_TIMESTAMP_KEY);
 };
 
 /**
- * Save checkout form data to localStorage with TTL
+ * Save checkout form data to storage with TTL
  * This data persists separately from cart/dataLayer
  * @param {Object} formData - Checkout form data
  */
@@ -512,21 +613,21 @@ window.saveCheckoutData = function (formData) {
 
   try {
     const now = Date.now().toString();
-    localStorage.setItem(CHECKOUT_STORAGE_KEY, JSON.stringify(formData));
-    localStorage.setItem(CHECKOUT_TIMESTAMP_KEY, now);
+    checkoutStorage.setItem(CHECKOUT_STORAGE_KEY, JSON.stringify(formData));
+    checkoutStorage.setItem(CHECKOUT_TIMESTAMP_KEY, now);
   } catch (storageError) {
     console.warn("⚠ Could not save checkout data:", storageError.message);
   }
 };
 
 /**
- * Load checkout form data from localStorage with TTL check
+ * Load checkout form data from storage with TTL check
  * @returns {Object|null} Saved checkout data or null if expired/not found
  */
 window.loadCheckoutData = function () {
   try {
-    const savedData = localStorage.getItem(CHECKOUT_STORAGE_KEY);
-    const savedTimestamp = localStorage.getItem(CHECKOUT_TIMESTAMP_KEY);
+    const savedData = checkoutStorage.getItem(CHECKOUT_STORAGE_KEY);
+    const savedTimestamp = checkoutStorage.getItem(CHECKOUT_TIMESTAMP_KEY);
 
     if (!savedData) {
       return null;
@@ -536,8 +637,8 @@ window.loadCheckoutData = function () {
     if (savedTimestamp) {
       const cacheAge = Date.now() - parseInt(savedTimestamp, 10);
       if (cacheAge > CHECKOUT_TTL) {
-        localStorage.removeItem(CHECKOUT_STORAGE_KEY);
-        localStorage.removeItem(CHECKOUT_TIMESTAMP_KEY);
+        checkoutStorage.removeItem(CHECKOUT_STORAGE_KEY);
+        checkoutStorage.removeItem(CHECKOUT_TIMESTAMP_KEY);
         return null;
       }
     }
@@ -550,19 +651,30 @@ window.loadCheckoutData = function () {
 };
 
 /**
- * Clear checkout form data from localStorage
+ * Clear checkout form data from storage
  * Separate function to explicitly clear user's personal information
  */
 window.clearCheckoutData = function () {
-  localStorage.removeItem(CHECKOUT_STORAGE_KEY);
-  localStorage.removeItem(CHECKOUT_TIMESTAMP_KEY);
+  checkoutStorage.removeItem(CHECKOUT_STORAGE_KEY);
+  checkoutStorage.removeItem(CHECKOUT_TIMESTAMP_KEY);
+};
+
+/**
+ * Wait until the storage backends have loaded
+ * IndexedDB and the remote cart load after the page started; other backends are ready at once.
+ * @returns {Promise<void>} Resolves once stored dataLayer and checkout data can be read
+ */
+window.whenDataLayerStorageReady = function () {
+  return Promise.all([storage.ready, checkoutStorage.ready]).then(() => {});
 };
 
 /**
  * Add product to cart (queues if dataLayer not ready)
- * Products stored as object keyed by ID for easy lookup and duplicate prevention
+ * Products stored as object keyed by ID (or variant SKU) for easy lookup and duplicate prevention
  * @param {Object} productData - Product information
  * @param {string} productData.id - Product ID (used as key in cart.products object)
+ * @param {string} [productData.variantSku] - Variant SKU (used as key instead of the ID)
+ * @param {Object} [productData.options] - Selected variant options (e.g. { color, size })
  * @param {string} productData.name - Product name
  * @param {string} productData.image - Product image URL
  * @param {string} productData.thumbnail - Product thumbnail URL
@@ -570,6 +682,8 @@ window.clearCheckoutData = function () {
  * @param {string} productData.description - Product description
  * @param {number} productData.price - Product price
  * @param {number} productData.quantity - Quantity to add (default: 1)
+ * @param {number} [productData.stock] - Units in stock (the line quantity is limited to it)
+ * @param {string} [productData.folder] - Catalog folder of the product (see scripts/catalog.js)
  */
 window.addToCart = function (productData) {
   if (!productData || !productData.id) {
@@ -592,8 +706,8 @@ window.addToCart = function (productData) {
  * @returns {Object} Queue status and storage information
  */
 window.getDataLayerQueueStatus = function () {
-  const checkoutData = localStorage.getItem(CHECKOUT_STORAGE_KEY);
-  const checkoutTimestamp = localStorage.getItem(CHECKOUT_TIMESTAMP_KEY);
+  const checkoutData = checkoutStorage.getItem(CHECKOUT_STORAGE_KEY);
+  const checkoutTimestamp = checkoutStorage.getItem(CHECKOUT_TIMESTAMP_KEY);
 
   let checkoutAge = null;
   if (checkoutTimestamp) {
@@ -611,6 +725,7 @@ window.getDataLayerQueueStatus = function () {
     cartQueue: window._cartQueue || [],
     checkoutDataSaved: !!checkoutData,
     checkoutDataAge: checkoutAge,
+    storageBackend: storage.name,
   };
 };
 
@@ -8,6 +8,7 @@ import {
 import { a, span, i } from "./dom-helpers.js";
 import { isInternalPage } from "./utils.js";
 import { initializeCustomEvents } from "./custom-events.js";
+import { whenConsented } from "./consent.js";
 
 // Adobe Target - start
 
@@ -21,7 +22,10 @@ function loadAT() {
       at_property: "549d426b-0bcc-be60-ce27-b9923bfcad4f",
     };
   }
-  loadScript(window.hlx.codeBasePath + "/scripts/at-lsig.js");
+  // Target personalizes content: wait for personalization consent
+  whenConsented("personalization").then(() => {
+    loadScript(window.hlx.codeBasePath + "/scripts/at-lsig.js");
+  });
 }
 // Adobe Target - end
 
@@ -0,0 +1,99 @@
+// ==========================================
+// Dynamic Media
+// Renditions of assets delivered by Dynamic Media with OpenAPI
+// (https://delivery-p<program>-e<environment>.adobeaemcloud.com/adobe/...),
+// built the way decorateDMImages in scripts.js builds them for pages: WebP at
+// the requested width, with an optional smart crop of the asset.
+//
+// Page metadata:
+// - dm-smartcrop: smart crop applied to product images (e.g. Square); the
+//   whole image is delivered when empty
+// ==========================================
+
+import { getMetadata } from "./aem.js";
+
+const RENDITION_QUALITY = 85;
+
+/**
+ * Check whether an image URL is delivered by Dynamic Media with OpenAPI
+ * @param {string} url - Image URL
+ * @returns {boolean} True for Dynamic Media delivery URLs
+ */
+export function isDynamicMediaUrl(url) {
+  try {
+    const { hostname } = new URL(url);
+    return (
+      hostname.startsWith("delivery-p") &&
+      hostname.endsWith(".adobeaemcloud.com")
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the smart crop configured for product images
+ * @returns {string} Smart crop name ("" for none)
+ */
+export function getSmartCrop() {
+  return getMetadata("dm-smartcrop").trim();
+}
+
+/**
+ * Build the URL of a Dynamic Media rendition
+ * @param {string} url - Dynamic Media delivery URL of the asset
+ * @param {Object} options - { width, smartCrop, preferWebp }
+ * @returns {string} Rendition URL
+ */
+export function getRenditionUrl(url, { width, smartCrop = "", preferWebp = true }) {
+  const href = url.split("?")[0];
+  const base = href
+    .substring(0, href.lastIndexOf("."))
+    .replace(/\/original\/(?=as\/)/, "/");
+  const params = new URLSearchParams({ width, quality: RENDITION_QUALITY });
+  if (preferWebp) params.set("preferwebp", "true");
+  if (smartCrop) params.set("smartcrop", smartCrop);
+  return `${base}.webp?${params}`;
+}
+
+/**
+ * Build a responsive picture of a Dynamic Media asset
+ * @param {string} url - Dynamic Media delivery URL of the asset
+ * @param {string} alt - Alt text
+ * @param {Object} [options] - { breakpoints, smartCrop, eager }
+ *   breakpoints: [{ media, width }], the last one without media is the fallback
+ * @returns {HTMLPictureElement} Picture
+ */
+export function buildRenditionPicture(url, alt, options = {}) {
+  const {
+    breakpoints = [
+      { media: "(min-width: 992px)", width: 1400 },
+      { media: "(min-width: 768px)", width: 1320 },
+      { width: 780 },
+    ],
+    smartCrop = "",
+    eager = false,
+  } = options;
+
+  const picture = document.createElement("picture");
+  breakpoints.forEach(({ media, width }) => {
+    if (!media) return;
+    const source = document.createElement("source");
+    source.type = "image/webp";
+    source.media = media;
+    source.srcset = getRenditionUrl(url, { width, smartCrop });
+    picture.append(source);
+  });
+
+  const fallback = breakpoints[breakpoints.length - 1];
+  const img = document.createElement("img");
+  img.src = getRenditionUrl(url, {
+    width: fallback.width,
+    smartCrop,
+    preferWebp: false,
+  });
+  img.alt = alt;
+  img.loading = eager ? "eager" : "lazy";
+  picture.append(img);
+  return picture;
+}
@@ -0,0 +1,39 @@
+// ==========================================
+// Identity
+// Who the shopper is (per-user data such as the wishlist and the order history
+// is stored by owner) and random identifiers for carts and orders
+// ==========================================
+
+// Owner key of data stored while signed out
+export const GUEST_OWNER = "guest";
+
+/**
+ * Check whether the shopper is signed in
+ * @returns {boolean} True for signed-in users
+ */
+export function isSignedIn() {
+  return localStorage.getItem("luma_user_logged_in") === "true";
+}
+
+/**
+ * Get the owner key of per-user data (signed-in user's email or guest)
+ * @returns {string} Owner key
+ */
+export function getOwner() {
+  if (!isSignedIn()) return GUEST_OWNER;
+  try {
+    const user = JSON.parse(localStorage.getItem("luma_registered_user"));
+    return user?.email ? user.email.toLowerCase() : GUEST_OWNER;
+  } catch (error) {
+    return GUEST_OWNER;
+  }
+}
+
+/**
+ * Create a random identifier
+ * @returns {string} Identifier
+ */
+export function createId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+}
@@ -0,0 +1,110 @@
+// ==========================================
+// Inventory
+// Resolves stock levels from the product GraphQL response (`stock` field)
+// or the stock sheet, and checks cart lines against them
+// ==========================================
+
+import { loadSheet } from "./sheets.js";
+
+const STOCK_URL = "/stock.json";
+
+// At or below this many units a product is shown as low stock
+export const LOW_STOCK_THRESHOLD = 5;
+
+export const STOCK_STATUS = {
+  IN_STOCK: "inStock",
+  LOW_STOCK: "lowStock",
+  OUT_OF_STOCK: "outOfStock",
+};
+
+/**
+ * Parse a stock value
+ * @param {*} value - Stock field or sheet cell
+ * @returns {number|null} Units in stock, or null when stock is not tracked
+ */
+export function parseStock(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const stock = parseInt(value, 10);
+  return Number.isFinite(stock) ? Math.max(0, stock) : null;
+}
+
+/**
+ * Fetch stock levels from the stock sheet
+ * Sheet columns: sku, stock. Levels are cached per page load unless
+ * `fresh` is set (checkout re-validates against the latest sheet).
+ * @param {Object} options - { fresh }
+ * @returns {Promise<Object>} Units in stock by SKU
+ */
+export function loadStockLevels({ fresh = false } = {}) {
+  return loadSheet(STOCK_URL, {
+    label: "stock levels",
+    fresh,
+    transform: (rows) =>
+      rows.reduce((levels, row) => {
+        const sku = (row.sku || "").trim();
+        const stock = parseStock(row.stock);
+        if (sku && stock !== null) levels[sku] = stock;
+        return levels;
+      }, {}),
+  });
+}
+
+/**
+ * Resolve the stock of a product or variant
+ * The GraphQL `stock` field wins; the stock sheet is used otherwise.
+ * @param {*} value - Stock field from the product response
+ * @param {string} sku - Product or variant SKU
+ * @param {Object} stockLevels - Stock levels from loadStockLevels()
+ * @returns {number|null} Units in stock, or null when stock is not tracked
+ */
+export function resolveStock(value, sku, stockLevels = {}) {
+  const stock = parseStock(value);
+  if (stock !== null) return stock;
+  return sku && stockLevels[sku] !== undefined ? stockLevels[sku] : null;
+}
+
+/**
+ * Get the stock status of a stock level
+ * @param {number|null} stock - Units in stock (null = not tracked)
+ * @returns {string} One of STOCK_STATUS
+ */
+export function getStockStatus(stock) {
+  if (stock === null || stock === undefined) return STOCK_STATUS.IN_STOCK;
+  if (stock <= 0) return STOCK_STATUS.OUT_OF_STOCK;
+  if (stock <= LOW_STOCK_THRESHOLD) return STOCK_STATUS.LOW_STOCK;
+  return STOCK_STATUS.IN_STOCK;
+}
+
+/**
+ * Get the shopper-facing label of a stock level
+ * @param {number|null} stock - Units in stock (null = not tracked)
+ * @returns {string} "Out of stock", "Only N left" or "In stock"
+ */
+export function getStockLabel(stock) {
+  const status = getStockStatus(stock);
+  if (status === STOCK_STATUS.OUT_OF_STOCK) return "Out of stock";
+  if (status === STOCK_STATUS.LOW_STOCK) return `Only ${stock} left`;
+  return "In stock";
+}
+
+/**
+ * Find cart lines that can no longer be fulfilled
+ * @param {Object} cart - Cart data (lines carry the stock resolved when they were added or refreshed)
+ * @returns {Array} Issues { key, name, quantity, stock, reason: "outOfStock" | "insufficientStock" }
+ */
+export function getStockIssues(cart) {
+  return Object.entries(cart.products || {})
+    .filter(
+      ([, line]) =>
+        line.stock !== null &&
+        line.stock !== undefined &&
+        line.quantity > line.stock
+    )
+    .map(([key, line]) => ({
+      key,
+      name: line.name,
+      quantity: line.quantity,
+      stock: line.stock,
+      reason: line.stock <= 0 ? "outOfStock" : "insufficientStock",
+    }));
+}
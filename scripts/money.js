@@ -0,0 +1,178 @@
+// ==========================================
+// Money Formatting
+// Locale-aware price formatting with optional currency conversion.
+// Catalog prices and cart totals are always kept in the settlement currency;
+// conversion only happens when an amount is displayed.
+// ==========================================
+
+import { getLanguage } from "./utils.js";
+
+// Currency all prices and cart amounts are stored in
+export const SETTLEMENT_CURRENCY = "USD";
+
+// Locale and display currency per site language (see helix-query.yaml)
+export const MARKETS = {
+  en: { locale: "en-US", currency: "USD" },
+  fr: { locale: "fr-FR", currency: "EUR" },
+  de: { locale: "de-DE", currency: "EUR" },
+  es: { locale: "es-ES", currency: "EUR" },
+  ja: { locale: "ja-JP", currency: "JPY" },
+};
+
+// Same service as the forex block, returns { title, currencies: [{ currencyCode, currencyTitle, forex }] }
+const FOREX_URL =
+  "https://20092-securbankdemo-stage.adobeio-static.net/api/v1/web/dx-excshell-1/forex";
+const RATES_STORAGE_KEY = "luma_exchange_rates";
+const RATES_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+const formatters = {};
+let exchangeRates = null;
+let ratesPromise = null;
+
+/**
+ * Round an amount to cents
+ * Cart totals, discounts and tax are rounded with this so they always add up.
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+export function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Get the market (locale and display currency) for the current page language
+ * @returns {Object} { language, locale, currency }
+ */
+export function getMarket() {
+  const language = getLanguage() || "en";
+  return { language, ...(MARKETS[language] || MARKETS.en) };
+}
+
+/**
+ * Get the currency prices are displayed in
+ * project.currency in the dataLayer wins over the market default.
+ * @returns {string} ISO 4217 currency code
+ */
+export function getDisplayCurrency() {
+  const projectCurrency =
+    window._dataLayerReady && window.getDataLayerProperty
+      ? window.getDataLayerProperty("project.currency")
+      : null;
+  return projectCurrency || getMarket().currency;
+}
+
+/**
+ * Store exchange rates
+ * @param {Object} data - Forex data { title, currencies: [{ currencyCode, forex }] } based on the settlement currency
+ * @returns {Object} Rates by currency code
+ */
+export function setExchangeRates(data) {
+  const rates = { [SETTLEMENT_CURRENCY]: 1 };
+  (data?.currencies || []).forEach(({ currencyCode, forex }) => {
+    const rate = parseFloat(forex);
+    if (currencyCode && Number.isFinite(rate) && rate > 0) {
+      rates[currencyCode.toUpperCase()] = rate;
+    }
+  });
+  exchangeRates = rates;
+  return rates;
+}
+
+/**
+ * Restore exchange rates saved by a previous page view
+ */
+function restoreExchangeRates() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RATES_STORAGE_KEY));
+    if (saved && Date.now() - saved.timestamp < RATES_TTL) {
+      setExchangeRates(saved.data);
+    }
+  } catch (error) {
+    console.warn("⚠ Could not restore exchange rates:", error.message);
+  }
+}
+
+/**
+ * Fetch exchange rates for the settlement currency (cached per page load and in localStorage)
+ * @returns {Promise<Object|null>} Rates by currency code, or null when unavailable
+ */
+export function loadExchangeRates() {
+  if (exchangeRates) return Promise.resolve(exchangeRates);
+
+  if (!ratesPromise) {
+    ratesPromise = fetch(`${FOREX_URL}?baseCurrency=${SETTLEMENT_CURRENCY}`)
+      .then((resp) => (resp.ok ? resp.json() : null))
+      .then((data) => {
+        if (!data) return null;
+        try {
+          localStorage.setItem(
+            RATES_STORAGE_KEY,
+            JSON.stringify({ data, timestamp: Date.now() })
+          );
+        } catch (storageError) {
+          console.warn("⚠ Could not persist exchange rates:", storageError.message);
+        }
+        return setExchangeRates(data);
+      })
+      .catch((error) => {
+        console.warn("⚠ Could not load exchange rates:", error.message);
+        ratesPromise = null;
+        return null;
+      });
+  }
+  return ratesPromise;
+}
+
+/**
+ * Convert an amount from the settlement currency
+ * @param {number} amount - Amount in the settlement currency
+ * @param {string} currency - Target currency
+ * @returns {number|null} Converted amount, or null when no rate is known
+ */
+export function convertAmount(amount, currency) {
+  if (currency === SETTLEMENT_CURRENCY) return amount;
+  const rate = exchangeRates?.[currency];
+  return rate ? amount * rate : null;
+}
+
+/**
+ * Get a cached Intl.NumberFormat
+ * @param {string} locale - BCP 47 locale
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {Intl.NumberFormat} Currency formatter
+ */
+function getFormatter(locale, currency) {
+  const key = `${locale}|${currency}`;
+  if (!formatters[key]) {
+    // Intl picks the currency's minor units (e.g. no decimals for JPY)
+    formatters[key] = new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency,
+    });
+  }
+  return formatters[key];
+}
+
+/**
+ * Format an amount for display
+ * Amounts are converted to the display currency when an exchange rate is known,
+ * otherwise they are shown in the settlement currency.
+ * @param {number} amount - Amount in the settlement currency
+ * @param {Object} options - { currency, locale } overrides
+ * @returns {string} Formatted amount
+ */
+export function formatMoney(amount, options = {}) {
+  const { locale } = getMarket();
+  const currency = options.currency || getDisplayCurrency();
+  const value = Number(amount) || 0;
+
+  const converted = convertAmount(value, currency);
+  if (converted === null) {
+    return getFormatter(options.locale || locale, SETTLEMENT_CURRENCY).format(
+      value
+    );
+  }
+  return getFormatter(options.locale || locale, currency).format(converted);
+}
+
+restoreExchangeRates();
@@ -0,0 +1,281 @@
+// ==========================================
+// Orders
+// Submits confirmed orders to the order endpoint configured with the
+// `order-endpoint` page metadata (orders are numbered in the browser when it
+// is not set) and keeps an order history per signed-in user in localStorage.
+// Every order attempt carries an idempotency key tied to its payment
+// authorization, so double clicks, retries and reloads submit it only once.
+// ==========================================
+
+import { getMetadata } from "./aem.js";
+import { createId, getOwner, GUEST_OWNER } from "./identity.js";
+
+const ORDERS_STORAGE_KEY = "luma_orders";
+
+// Idempotency key of the order being submitted { key, authorizationId }
+const PENDING_ORDER_KEY = "luma_pending_order";
+
+// Network errors and 5xx responses are retried with these delays (same idempotency key)
+const RETRY_DELAYS = [500, 1500]; // ms
+
+// Orders kept per user in the local history
+const MAX_STORED_ORDERS = 50;
+
+// Requests in flight by idempotency key (double clicks on the same page)
+const inFlight = new Map();
+
+/**
+ * Check whether the order history belongs to a signed-in user
+ * @returns {boolean} True for signed-in users
+ */
+export function isOrderHistoryPersonal() {
+  return getOwner() !== GUEST_OWNER;
+}
+
+/**
+ * Read all stored order histories
+ * @returns {Object} Orders by owner { [owner]: Array<Object> }
+ */
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(ORDERS_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn("⚠ Could not read order history:", error.message);
+    return {};
+  }
+}
+
+/**
+ * Write all order histories
+ * @param {Object} store - Orders by owner
+ */
+function writeStore(store) {
+  try {
+    localStorage.setItem(ORDERS_STORAGE_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.warn("⚠ Could not persist order history:", error.message);
+  }
+}
+
+/**
+ * Add or update orders in the current user's history (newest first)
+ * @param {Array<Object>} orders - Orders
+ */
+function storeOrders(orders) {
+  const store = readStore();
+  const owner = getOwner();
+  const byNumber = new Map(
+    (store[owner] || []).map((order) => [order.orderNumber, order])
+  );
+  orders.forEach((order) => byNumber.set(order.orderNumber, order));
+
+  store[owner] = [...byNumber.values()]
+    .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""))
+    .slice(0, MAX_STORED_ORDERS);
+  writeStore(store);
+}
+
+/**
+ * Get the current user's order history
+ * @returns {Array<Object>} Orders, newest first
+ */
+export function getOrderHistory() {
+  return readStore()[getOwner()] || [];
+}
+
+/**
+ * Get an order of the current user's history
+ * @param {string} orderNumber - Order number
+ * @returns {Object|null} Order, or null when not found
+ */
+export function getOrder(orderNumber) {
+  return (
+    getOrderHistory().find((order) => order.orderNumber === orderNumber) ||
+    null
+  );
+}
+
+/**
+ * Get the configured order endpoint
+ * @returns {string} Endpoint URL ("" when orders are not sent to a backend)
+ */
+function getOrderEndpoint() {
+  return getMetadata("order-endpoint").trim().replace(/\/$/, "");
+}
+
+/**
+ * Get the idempotency key of an order attempt
+ * The key is kept until the order succeeds and reused for the same payment
+ * authorization, so the authorized payment can only become one order.
+ * @param {string} authorizationId - Payment authorization ID
+ * @returns {string} Idempotency key
+ */
+function getIdempotencyKey(authorizationId) {
+  try {
+    const pending = JSON.parse(localStorage.getItem(PENDING_ORDER_KEY));
+    if (pending?.key && pending.authorizationId === authorizationId) {
+      return pending.key;
+    }
+  } catch (error) {
+    /* ignore */
+  }
+
+  const key = createId();
+  try {
+    localStorage.setItem(
+      PENDING_ORDER_KEY,
+      JSON.stringify({ key, authorizationId })
+    );
+  } catch (error) {
+    console.warn("⚠ Could not persist order key:", error.message);
+  }
+  return key;
+}
+
+/**
+ * Generate an order number in the browser (no order endpoint)
+ * @returns {string} Order number
+ */
+function generateOrderNumber() {
+  const random = new Uint32Array(1);
+  window.crypto.getRandomValues(random);
+  return `fb${Date.now().toString(36)}${random[0].toString(36)}`
+    .substring(0, 14)
+    .toUpperCase();
+}
+
+/**
+ * Wait before a retry
+ * @param {number} delay - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(delay) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, delay);
+  });
+}
+
+/**
+ * Send an order to the order endpoint
+ * POST {endpoint} with the Idempotency-Key header
+ * -> 201 { orderNumber, status, createdAt, ... } (200 with the same order for a repeated key).
+ * See tools/mock-commerce-server.mjs for a local implementation.
+ * @param {string} endpoint - Order endpoint
+ * @param {Object} order - Order
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object>} Stored order
+ */
+async function postOrder(endpoint, order, key) {
+  let resp;
+  try {
+    resp = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        "Idempotency-Key": key,
+      },
+      body: JSON.stringify(order),
+    });
+  } catch (error) {
+    throw Object.assign(new Error("We could not reach the store."), {
+      status: 0,
+      retryable: true,
+    });
+  }
+
+  if (resp.ok) return resp.json();
+
+  // 409: the same key is still being processed by the backend
+  const json = await resp.json().catch(() => ({}));
+  const message =
+    json.error ||
+    `The store could not accept the order (HTTP ${resp.status}).`;
+  throw Object.assign(new Error(message), {
+    status: resp.status,
+    retryable: resp.status >= 500 || resp.status === 409,
+  });
+}
+
+/**
+ * Submit an order (once per idempotency key) and add it to the order history
+ * Retries network errors and server errors before giving up.
+ * @param {Object} order - Order { customer, shippingAddress, billingAddress, shippingMethod,
+ *   payment, items, totals }
+ * @returns {Promise<Object>} Stored order with its orderNumber (rejects with an Error
+ *   whose retryable flag is false when the store rejected the order)
+ */
+export function submitOrder(order) {
+  const authorizationId = order.payment?.authorizationId || "";
+
+  // A payment authorization that already became an order returns that order
+  const existing =
+    authorizationId &&
+    getOrderHistory().find(
+      (item) => item.payment?.authorizationId === authorizationId
+    );
+  if (existing) return Promise.resolve(existing);
+
+  const key = getIdempotencyKey(authorizationId);
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const endpoint = getOrderEndpoint();
+
+  const attempt = async (retry = 0) => {
+    if (!endpoint) {
+      return {
+        ...order,
+        orderNumber: generateOrderNumber(),
+        status: "received",
+        createdAt: new Date().toISOString(),
+      };
+    }
+    try {
+      return await postOrder(endpoint, order, key);
+    } catch (error) {
+      if (!error.retryable || retry >= RETRY_DELAYS.length) throw error;
+      console.warn(`⚠ Order submission failed, retrying: ${error.message}`);
+      await wait(RETRY_DELAYS[retry]);
+      return attempt(retry + 1);
+    }
+  };
+
+  const request = attempt()
+    .then((stored) => {
+      const placed = { ...stored, idempotencyKey: key };
+      storeOrders([placed]);
+      localStorage.removeItem(PENDING_ORDER_KEY);
+      return placed;
+    })
+    .finally(() => {
+      inFlight.delete(key);
+    });
+
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Load the current user's order history, including orders placed on other devices
+ * Signed-in users' orders are read from the order endpoint (GET {endpoint}?customer=email)
+ * when it is configured; the local history is used when it cannot be reached.
+ * @returns {Promise<Array<Object>>} Orders, newest first
+ */
+export async function loadOrderHistory() {
+  const endpoint = getOrderEndpoint();
+  const owner = getOwner();
+  if (!endpoint || owner === GUEST_OWNER) return getOrderHistory();
+
+  try {
+    const resp = await fetch(
+      `${endpoint}?customer=${encodeURIComponent(owner)}`,
+      { headers: { Accept: "application/json" } }
+    );
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const json = await resp.json();
+    storeOrders(json.orders || []);
+  } catch (error) {
+    console.warn("⚠ Could not load order history:", error.message);
+  }
+  return getOrderHistory();
+}
@@ -0,0 +1,519 @@
+// ==========================================
+// Payment
+// Payment providers for the checkout payment step: card (validated in the
+// browser, authorized through a payment gateway adapter), invoice / purchase
+// order and pay on delivery. The order total is authorized when checkout is
+// submitted; only the method, masked details and the authorization are kept
+// in the checkout data, and the order summary blocks confirmation until the
+// authorization covers the current cart. Cards are only offered with a gateway:
+// the configured endpoint, or the offline test gateway on localhost and author.
+// ==========================================
+
+import { getMetadata } from "./aem.js";
+import { isAuthorEnvironment } from "./scripts.js";
+import { getTestCardDecline } from "./test-cards.js";
+
+// Pay on delivery is offered up to this order total (settlement currency)
+const PAY_ON_DELIVERY_MAX_TOTAL = 500;
+
+// Hosts of local development, where the offline test gateway may be used
+const LOCAL_HOSTNAMES = ["localhost", "127.0.0.1", "[::1]"];
+
+const CARD_BRANDS = [
+  {
+    id: "amex",
+    label: "American Express",
+    pattern: /^3[47]/,
+    lengths: [15],
+    cvcLength: 4,
+  },
+  {
+    id: "visa",
+    label: "Visa",
+    pattern: /^4/,
+    lengths: [13, 16, 19],
+    cvcLength: 3,
+  },
+  {
+    id: "mastercard",
+    label: "Mastercard",
+    pattern: /^(5[1-5]|2[2-7])/,
+    lengths: [16],
+    cvcLength: 3,
+  },
+  {
+    id: "discover",
+    label: "Discover",
+    pattern: /^(6011|65|64[4-9])/,
+    lengths: [16, 19],
+    cvcLength: 3,
+  },
+];
+
+// Cards of other brands
+const DEFAULT_CARD_BRAND = {
+  id: "card",
+  label: "Card",
+  lengths: [12, 13, 14, 15, 16, 17, 18, 19],
+  cvcLength: 3,
+};
+
+/**
+ * @typedef {Object} PaymentField
+ * @property {string} name - Form field name (unique across providers)
+ * @property {string} label - Field label
+ * @property {string} [autocomplete] - Autocomplete token
+ * @property {string} [inputmode] - Virtual keyboard hint
+ * @property {string} [placeholder] - Example value
+ * @property {boolean} [required] - Whether the field must be filled
+ * @property {boolean} [full] - Whether the field spans the whole row
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} id - Provider ID (stored as the payment method)
+ * @property {string} label - Label of the payment option
+ * @property {string} [description] - Short description of the payment option
+ * @property {Array<PaymentField>} fields - Fields shown when the provider is selected
+ * @property {function(Object): boolean} [isAvailable] - Whether the provider can pay a cart
+ * @property {function(Object): Object} validate - Field values -> errors by field name
+ * @property {function(Object): Object} getDetails - Field values -> details safe to store
+ * @property {function(Object): Array<string>} formatDetails - Stored details -> display lines
+ * @property {function(Object, Object): Promise<Object>} authorize - (field values,
+ *   { amount, currency }) -> { status: "authorized" | "declined", id, message }
+ */
+
+/**
+ * @typedef {Object} PaymentGateway
+ * @property {string} name - Gateway name
+ * @property {function(Object): Promise<Object>} authorize - { amount, currency, card }
+ *   -> { status, id, message }
+ */
+
+/**
+ * Create a payment reference
+ * @param {string} prefix - Reference prefix
+ * @returns {string} Reference
+ */
+function createReference(prefix) {
+  const id = window.crypto?.randomUUID
+    ? window.crypto.randomUUID().replace(/-/g, "").slice(0, 16)
+    : `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+  return `${prefix}_${id}`;
+}
+
+/**
+ * Keep the digits of a card number
+ * @param {string} number - Card number as typed
+ * @returns {string} Digits
+ */
+function toDigits(number) {
+  return (number || "").replace(/\D/g, "");
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} number - Card number (spaces and dashes are ignored)
+ * @returns {boolean} True when the checksum is valid
+ */
+export function isLuhnValid(number) {
+  const digits = toDigits(number);
+  if (!digits || /[^\d\s-]/.test(number)) return false;
+
+  const sum = [...digits].reverse().reduce((total, char, index) => {
+    let digit = parseInt(char, 10);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    return total + digit;
+  }, 0);
+  return sum % 10 === 0;
+}
+
+/**
+ * Detect the brand of a card number
+ * @param {string} number - Card number
+ * @returns {Object} Brand { id, label, lengths, cvcLength }
+ */
+export function getCardBrand(number) {
+  const digits = toDigits(number);
+  return (
+    CARD_BRANDS.find((brand) => brand.pattern.test(digits)) ||
+    DEFAULT_CARD_BRAND
+  );
+}
+
+/**
+ * Parse a card expiry date
+ * @param {string} value - MM/YY or MM/YYYY
+ * @returns {Object|null} { month, year }, or null when the format is invalid
+ */
+function parseExpiry(value) {
+  const match = (value || "").trim().match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/);
+  if (!match) return null;
+  const month = parseInt(match[1], 10);
+  const year = parseInt(match[2].length === 2 ? `20${match[2]}` : match[2], 10);
+  return month >= 1 && month <= 12 ? { month, year } : null;
+}
+
+/**
+ * Check a card expiry date (cards are valid until the end of their expiry month)
+ * @param {string} value - MM/YY or MM/YYYY
+ * @param {Date} [now] - Current date
+ * @returns {boolean} True when the date is valid and not in the past
+ */
+export function isValidExpiry(value, now = new Date()) {
+  const expiry = parseExpiry(value);
+  if (!expiry) return false;
+  const current = now.getFullYear() * 12 + now.getMonth();
+  const expires = expiry.year * 12 + expiry.month - 1;
+  return expires >= current && expiry.year <= now.getFullYear() + 20;
+}
+
+/**
+ * Check a card security code against the card brand
+ * @param {string} cvc - Security code
+ * @param {string} number - Card number
+ * @returns {boolean} True when the code has the length of the brand
+ */
+export function isValidCvc(cvc, number) {
+  const { cvcLength } = getCardBrand(number);
+  return new RegExp(`^\\d{${cvcLength}}$`).test((cvc || "").trim());
+}
+
+/**
+ * Create the offline test gateway (localhost and author without payment-gateway-endpoint)
+ * Authorizes every valid card except the test declines of scripts/test-cards.js.
+ * @returns {PaymentGateway} Gateway
+ */
+function createTestGateway() {
+  return {
+    name: "test",
+    authorize: async ({ card }) => {
+      const message = getTestCardDecline(toDigits(card.number));
+      if (message) return { status: "declined", id: "", message };
+      return { status: "authorized", id: createReference("test") };
+    },
+  };
+}
+
+/**
+ * Create the REST payment gateway adapter
+ * POST {endpoint}/authorizations with { amount, currency, card }
+ * -> 201 { id, status: "authorized" } or 402 { status: "declined", message }.
+ * See tools/mock-commerce-server.mjs for a local stub; production gateways
+ * tokenize card data in their own fields and never receive it from this page.
+ * @param {string} endpoint - Payment gateway endpoint
+ * @returns {PaymentGateway} Gateway
+ */
+function createRestGateway(endpoint) {
+  const url = `${endpoint.replace(/\/$/, "")}/authorizations`;
+  return {
+    name: "rest",
+    authorize: async (request) => {
+      const resp = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify(request),
+      });
+      if (resp.status === 402) {
+        const json = await resp.json();
+        return {
+          status: "declined",
+          id: json.id || "",
+          message: json.message || "Your card was declined.",
+        };
+      }
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const json = await resp.json();
+      return { status: json.status, id: json.id, message: json.message || "" };
+    },
+  };
+}
+
+/**
+ * Get the payment gateway configured for the page
+ * Page metadata: payment-gateway-endpoint (REST gateway). Without it the offline
+ * test gateway is used on localhost and author only, so a published site that
+ * misses the metadata never approves cards without a payment.
+ * @returns {PaymentGateway|null} Gateway, or null when cards cannot be authorized
+ */
+export function getPaymentGateway() {
+  const endpoint = getMetadata("payment-gateway-endpoint").trim();
+  if (endpoint) return createRestGateway(endpoint);
+  if (LOCAL_HOSTNAMES.includes(window.location.hostname) || isAuthorEnvironment()) {
+    return createTestGateway();
+  }
+  return null;
+}
+
+/** @type {PaymentProvider} */
+const cardProvider = {
+  id: "card",
+  label: "Credit or debit card",
+  description: "Visa, Mastercard, American Express, Discover",
+  isAvailable: () => Boolean(getPaymentGateway()),
+  fields: [
+    {
+      name: "cardName",
+      label: "Name on card",
+      autocomplete: "cc-name",
+      required: true,
+      full: true,
+    },
+    {
+      name: "cardNumber",
+      label: "Card number",
+      autocomplete: "cc-number",
+      inputmode: "numeric",
+      placeholder: "1234 1234 1234 1234",
+      required: true,
+      full: true,
+    },
+    {
+      name: "cardExpiry",
+      label: "Expiry date",
+      autocomplete: "cc-exp",
+      inputmode: "numeric",
+      placeholder: "MM/YY",
+      required: true,
+    },
+    {
+      name: "cardCvc",
+      label: "Security code",
+      autocomplete: "cc-csc",
+      inputmode: "numeric",
+      placeholder: "CVC",
+      required: true,
+    },
+  ],
+  validate(values) {
+    const errors = {};
+    const brand = getCardBrand(values.cardNumber);
+
+    if (!values.cardName) {
+      errors.cardName = "Name on card is required";
+    }
+    if (!values.cardNumber) {
+      errors.cardNumber = "Card number is required";
+    } else if (
+      !brand.lengths.includes(toDigits(values.cardNumber).length) ||
+      !isLuhnValid(values.cardNumber)
+    ) {
+      errors.cardNumber = "Please enter a valid card number";
+    }
+    if (!values.cardExpiry) {
+      errors.cardExpiry = "Expiry date is required";
+    } else if (!parseExpiry(values.cardExpiry)) {
+      errors.cardExpiry = "Please enter the expiry date as MM/YY";
+    } else if (!isValidExpiry(values.cardExpiry)) {
+      errors.cardExpiry = "This card has expired";
+    }
+    if (!values.cardCvc) {
+      errors.cardCvc = "Security code is required";
+    } else if (!isValidCvc(values.cardCvc, values.cardNumber)) {
+      errors.cardCvc = `Please enter the ${brand.cvcLength}-digit security code`;
+    }
+    return errors;
+  },
+  getDetails(values) {
+    const expiry = parseExpiry(values.cardExpiry);
+    const month = String(expiry?.month).padStart(2, "0");
+    return {
+      brand: getCardBrand(values.cardNumber).label,
+      last4: toDigits(values.cardNumber).slice(-4),
+      expiry: expiry ? `${month}/${String(expiry.year).slice(-2)}` : "",
+      holder: values.cardName,
+    };
+  },
+  formatDetails(details) {
+    return [
+      `${details.brand} •••• ${details.last4}`,
+      details.expiry ? `Expires ${details.expiry}` : "",
+      details.holder,
+    ].filter(Boolean);
+  },
+  authorize(values, order) {
+    const gateway = getPaymentGateway();
+    if (!gateway) throw new Error("No payment gateway is configured");
+    return gateway.authorize({
+      ...order,
+      card: {
+        number: toDigits(values.cardNumber),
+        expiry: values.cardExpiry,
+        cvc: values.cardCvc,
+        holder: values.cardName,
+      },
+    });
+  },
+};
+
+/** @type {PaymentProvider} */
+const invoiceProvider = {
+  id: "invoice",
+  label: "Invoice / purchase order",
+  description: "Pay within 30 days of the invoice date",
+  fields: [
+    {
+      name: "invoiceCompany",
+      label: "Company",
+      autocomplete: "organization",
+      required: true,
+    },
+    {
+      name: "poNumber",
+      label: "Purchase order number",
+      placeholder: "Optional",
+    },
+  ],
+  validate(values) {
+    const errors = {};
+    if (!values.invoiceCompany) {
+      errors.invoiceCompany = "Company is required";
+    }
+    if (values.poNumber && !/^[\w/-]{1,30}$/.test(values.poNumber)) {
+      errors.poNumber =
+        "Use up to 30 letters, digits, dashes or slashes for the purchase order number";
+    }
+    return errors;
+  },
+  getDetails(values) {
+    return {
+      invoiceCompany: values.invoiceCompany,
+      poNumber: values.poNumber,
+    };
+  },
+  formatDetails(details) {
+    return [
+      details.invoiceCompany,
+      details.poNumber ? `PO ${details.poNumber}` : "",
+    ].filter(Boolean);
+  },
+  // Invoices are approved on order; payment is collected later
+  authorize: async () => ({
+    status: "authorized",
+    id: createReference("inv"),
+  }),
+};
+
+/** @type {PaymentProvider} */
+const payOnDeliveryProvider = {
+  id: "payOnDelivery",
+  label: "Pay on delivery",
+  description: "Pay in cash or by card when your order arrives",
+  fields: [],
+  isAvailable: (cart) => (cart.total || 0) <= PAY_ON_DELIVERY_MAX_TOTAL,
+  validate: () => ({}),
+  getDetails: () => ({}),
+  formatDetails: () => [],
+  authorize: async () => ({
+    status: "authorized",
+    id: createReference("cod"),
+  }),
+};
+
+const providers = [cardProvider, invoiceProvider, payOnDeliveryProvider];
+
+/**
+ * Register a payment provider (replaces a provider with the same ID)
+ * @param {PaymentProvider} provider - Provider
+ */
+export function registerPaymentProvider(provider) {
+  const index = providers.findIndex(({ id }) => id === provider.id);
+  if (index >= 0) {
+    providers[index] = provider;
+  } else {
+    providers.push(provider);
+  }
+}
+
+/**
+ * Get a payment provider
+ * @param {string} id - Provider ID
+ * @returns {PaymentProvider|null} Provider, or null when unknown
+ */
+export function getPaymentProvider(id) {
+  return providers.find((provider) => provider.id === id) || null;
+}
+
+/**
+ * Get the payment providers that can pay a cart
+ * @param {Object} cart - Cart data
+ * @returns {Array<PaymentProvider>} Providers
+ */
+export function getAvailablePaymentProviders(cart) {
+  return providers.filter(
+    (provider) => !provider.isAvailable || provider.isAvailable(cart)
+  );
+}
+
+/**
+ * Authorize the cart total with a provider
+ * @param {string} providerId - Provider ID
+ * @param {Object} values - Provider field values
+ * @param {Object} cart - Cart data
+ * @returns {Promise<Object>} Payment { method, label, details, authorization } to store
+ *   in the checkout data (authorization.status is "authorized", "declined" or "error")
+ */
+export async function authorizePayment(providerId, values, cart) {
+  const provider = getPaymentProvider(providerId);
+  if (!provider) throw new Error(`Unknown payment method: ${providerId}`);
+
+  const order = { amount: cart.total || 0, currency: cart.currency };
+  let result;
+  try {
+    result = await provider.authorize(values, order);
+  } catch (error) {
+    console.warn("⚠ Payment authorization failed:", error.message);
+    result = {
+      status: "error",
+      message: "We could not reach the payment service. Please try again.",
+    };
+  }
+
+  return {
+    method: provider.id,
+    label: provider.label,
+    details: provider.getDetails(values),
+    authorization: {
+      id: result.id || "",
+      status: result.status,
+      message: result.message || "",
+      amount: order.amount,
+      currency: order.currency,
+      authorizedAt:
+        result.status === "authorized" ? new Date().toISOString() : "",
+    },
+  };
+}
+
+/**
+ * Check that a stored payment is authorized for a cart (same total and currency)
+ * @param {Object|null} payment - Payment from the checkout data
+ * @param {Object} cart - Cart data
+ * @returns {boolean} True when the order can be confirmed
+ */
+export function isPaymentAuthorized(payment, cart) {
+  const authorization = payment?.authorization;
+  return (
+    authorization?.status === "authorized" &&
+    authorization.currency === cart.currency &&
+    Math.abs(authorization.amount - (cart.total || 0)) < 0.005
+  );
+}
+
+/**
+ * Format a stored payment for display
+ * @param {Object|null} payment - Payment from the checkout data
+ * @returns {Array<string>} Lines (label first), empty without a payment
+ */
+export function formatPayment(payment) {
+  if (!payment?.method) return [];
+  const provider = getPaymentProvider(payment.method);
+  const details = provider ? provider.formatDetails(payment.details || {}) : [];
+  return [payment.label || provider?.label || payment.method, ...details];
+}
@@ -0,0 +1,210 @@
+// ==========================================
+// Postal Codes
+// Small offline postal code dataset of the checkout countries, used by the
+// default address lookup provider (see scripts/address-lookup.js) so address
+// suggestions work without a lookup service, e.g. in tests and previews.
+// Each entry lists a few streets of the postal code area.
+// ==========================================
+
+export const POSTAL_CODES = {
+  "United States": [
+    {
+      postalCode: "94103",
+      city: "San Francisco",
+      region: "CA",
+      streets: ["Market St", "Mission St", "Howard St", "Folsom St"],
+    },
+    {
+      postalCode: "94105",
+      city: "San Francisco",
+      region: "CA",
+      streets: ["Mission St", "Howard St", "Spear St", "Townsend St"],
+    },
+    {
+      postalCode: "95110",
+      city: "San Jose",
+      region: "CA",
+      streets: ["Park Ave", "Almaden Blvd", "W San Fernando St"],
+    },
+    {
+      postalCode: "10001",
+      city: "New York",
+      region: "NY",
+      streets: ["W 34th St", "7th Ave", "8th Ave", "Broadway"],
+    },
+    {
+      postalCode: "60601",
+      city: "Chicago",
+      region: "IL",
+      streets: ["N Michigan Ave", "E Randolph St", "N State St"],
+    },
+    {
+      postalCode: "78701",
+      city: "Austin",
+      region: "TX",
+      streets: ["Congress Ave", "W 6th St", "Lavaca St"],
+    },
+    {
+      postalCode: "98101",
+      city: "Seattle",
+      region: "WA",
+      streets: ["Pike St", "Pine St", "1st Ave", "4th Ave"],
+    },
+    {
+      postalCode: "02108",
+      city: "Boston",
+      region: "MA",
+      streets: ["Beacon St", "Tremont St", "School St"],
+    },
+    {
+      postalCode: "84043",
+      city: "Lehi",
+      region: "UT",
+      streets: ["W Adobe Way", "N Thanksgiving Way", "W Main St"],
+    },
+  ],
+  Canada: [
+    {
+      postalCode: "M5V 2T6",
+      city: "Toronto",
+      region: "ON",
+      streets: ["King St W", "Spadina Ave", "Blue Jays Way"],
+    },
+    {
+      postalCode: "M5H 2N2",
+      city: "Toronto",
+      region: "ON",
+      streets: ["Queen St W", "Bay St", "Richmond St W"],
+    },
+    {
+      postalCode: "K1A 0B1",
+      city: "Ottawa",
+      region: "ON",
+      streets: ["Wellington St", "Sparks St"],
+    },
+    {
+      postalCode: "H3B 4W8",
+      city: "Montréal",
+      region: "QC",
+      streets: ["Rue Sainte-Catherine O", "Boul René-Lévesque O"],
+    },
+    {
+      postalCode: "V6B 1A1",
+      city: "Vancouver",
+      region: "BC",
+      streets: ["W Hastings St", "Granville St", "Seymour St"],
+    },
+    {
+      postalCode: "T2P 1J9",
+      city: "Calgary",
+      region: "AB",
+      streets: ["Stephen Ave SW", "1 St SW", "Centre St"],
+    },
+  ],
+  "United Kingdom": [
+    {
+      postalCode: "SW1A 1AA",
+      city: "London",
+      region: "Greater London",
+      streets: ["The Mall", "Buckingham Palace Road"],
+    },
+    {
+      postalCode: "SW1A 2AA",
+      city: "London",
+      region: "Greater London",
+      streets: ["Downing Street", "Whitehall"],
+    },
+    {
+      postalCode: "EC1A 1BB",
+      city: "London",
+      region: "Greater London",
+      streets: ["King Edward Street", "Newgate Street"],
+    },
+    {
+      postalCode: "W1D 3QU",
+      city: "London",
+      region: "Greater London",
+      streets: ["Oxford Street", "Dean Street", "Soho Square"],
+    },
+    {
+      postalCode: "M1 1AE",
+      city: "Manchester",
+      region: "Greater Manchester",
+      streets: ["Market Street", "Piccadilly", "Oldham Street"],
+    },
+    {
+      postalCode: "EH1 1YZ",
+      city: "Edinburgh",
+      region: "City of Edinburgh",
+      streets: ["Princes Street", "Waverley Bridge"],
+    },
+  ],
+  Australia: [
+    {
+      postalCode: "2000",
+      city: "Sydney",
+      region: "NSW",
+      streets: ["George St", "Pitt St", "Martin Pl", "Macquarie St"],
+    },
+    {
+      postalCode: "3000",
+      city: "Melbourne",
+      region: "VIC",
+      streets: ["Collins St", "Bourke St", "Swanston St"],
+    },
+    {
+      postalCode: "4000",
+      city: "Brisbane",
+      region: "QLD",
+      streets: ["Queen St", "Adelaide St", "Eagle St"],
+    },
+    {
+      postalCode: "6000",
+      city: "Perth",
+      region: "WA",
+      streets: ["St Georges Tce", "Hay St", "Murray St"],
+    },
+    {
+      postalCode: "2600",
+      city: "Canberra",
+      region: "ACT",
+      streets: ["Commonwealth Ave", "Kings Ave"],
+    },
+  ],
+  India: [
+    {
+      postalCode: "110001",
+      city: "New Delhi",
+      region: "DL",
+      streets: ["Connaught Place", "Janpath", "Barakhamba Road"],
+    },
+    {
+      postalCode: "400001",
+      city: "Mumbai",
+      region: "MH",
+      streets: [
+        "Dalal Street",
+        "Veer Nariman Road",
+        "Shahid Bhagat Singh Road",
+      ],
+    },
+    {
+      postalCode: "560001",
+      city: "Bengaluru",
+      region: "KA",
+      streets: ["MG Road", "Brigade Road", "Residency Road"],
+    },
+    {
+      postalCode: "600001",
+      city: "Chennai",
+      region: "TN",
+      streets: ["Rajaji Salai", "NSC Bose Road"],
+    },
+    {
+      postalCode: "700001",
+      city: "Kolkata",
+      region: "WB",
+      streets: ["Dalhousie Square", "Old Court House Street"],
+    },
+  ],
+};
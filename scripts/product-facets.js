@@ -0,0 +1,261 @@
+// ==========================================
+// Product Facets
+// Facets (category, price range, color, size, rating) computed from a product
+// list, filtering and sorting of the list, and the listing state (filters, sort
+// and page) kept in the URL query parameters so filtered views can be shared:
+// ?category=men/tops&color=Black&color=Gray&price=25-50&rating=4&sort=price-asc&page=2
+// Values of one facet match any of them; facets combine with each other.
+// ==========================================
+
+import { formatMoney } from "./money.js";
+import { getProductVariants, getVariantOptions } from "./variants.js";
+
+export const FACETS = [
+  { name: "category", label: "Category" },
+  { name: "price", label: "Price" },
+  { name: "color", label: "Color" },
+  { name: "size", label: "Size" },
+  { name: "rating", label: "Rating" },
+];
+
+// "featured" keeps the catalog order
+export const SORT_OPTIONS = [
+  { value: "featured", label: "Featured" },
+  { value: "price-asc", label: "Price: Low to High" },
+  { value: "price-desc", label: "Price: High to Low" },
+  { value: "name-asc", label: "Name: A to Z" },
+  { value: "name-desc", label: "Name: Z to A" },
+  { value: "newest", label: "Newest" },
+];
+
+export const DEFAULT_SORT = "featured";
+
+// Price ranges in the settlement currency (max excluded)
+const PRICE_RANGES = [
+  { value: "0-25", min: 0, max: 25 },
+  { value: "25-50", min: 25, max: 50 },
+  { value: "50-100", min: 50, max: 100 },
+  { value: "100-", min: 100, max: Infinity },
+];
+
+// Minimum ratings offered ("4 stars & up")
+const MIN_RATINGS = [4, 3, 2, 1];
+
+// Size order of the facet; other sizes follow alphabetically
+const SIZE_ORDER = ["XXS", "XS", "S", "M", "L", "XL", "XXL", "XXXL"];
+
+// Facet values by product (products are not changed while listed)
+const valueCache = new WeakMap();
+
+/**
+ * Remove the namespace of a category tag ("luma-products:men/tops" -> "men/tops")
+ * @param {string} tag - Category tag
+ * @returns {string} Category path ("" for a bare namespace)
+ */
+function getCategoryPath(tag) {
+  const parts = `${tag}`.split(":");
+  return (parts.length > 1 ? parts[1] : parts[0]).trim();
+}
+
+/**
+ * Get the facet values of a product
+ * Rating values are the minimum ratings the product reaches, so a product
+ * rated 4.2 matches "4 & up" as well as "3 & up".
+ * @param {Object} product - Product (see scripts/catalog.js)
+ * @returns {Object} Values by facet name
+ */
+function getProductValues(product) {
+  if (valueCache.has(product)) return valueCache.get(product);
+
+  const options = getVariantOptions(getProductVariants(product));
+  const getOptionValues = (name) =>
+    options
+      .find((group) => group.name === name)
+      ?.values.map(({ value }) => value) || [];
+  const range = PRICE_RANGES.find(
+    ({ min, max }) => product.price >= min && product.price < max
+  );
+
+  const values = {
+    category: [
+      ...new Set((product.category || []).map(getCategoryPath).filter(Boolean)),
+    ],
+    price: range ? [range.value] : [],
+    color: getOptionValues("color"),
+    size: getOptionValues("size"),
+    rating: MIN_RATINGS.filter((rating) => product.rating >= rating).map(String),
+  };
+  valueCache.set(product, values);
+  return values;
+}
+
+/**
+ * Check whether a product matches the selected values of a facet
+ * @param {Object} product - Product
+ * @param {string} name - Facet name
+ * @param {Array<string>} selected - Selected values (none: every product matches)
+ * @returns {boolean} True when the product matches
+ */
+function matchesFacet(product, name, selected) {
+  if (!selected?.length) return true;
+  return getProductValues(product)[name].some((value) =>
+    selected.includes(value)
+  );
+}
+
+/**
+ * Filter products by the selected facet values
+ * @param {Array<Object>} products - Products
+ * @param {Object} filters - Selected values by facet name
+ * @param {string} [except] - Facet to ignore (used for the counts of that facet)
+ * @returns {Array<Object>} Matching products
+ */
+export function filterProducts(products, filters, except = "") {
+  return products.filter((product) =>
+    FACETS.every(
+      ({ name }) => name === except || matchesFacet(product, name, filters[name])
+    )
+  );
+}
+
+/**
+ * Sort products (a copy of the list is returned)
+ * Products without a date come last when sorting by newest; ties keep the
+ * catalog order.
+ * @param {Array<Object>} products - Products
+ * @param {string} sort - Sort option value (see SORT_OPTIONS)
+ * @returns {Array<Object>} Sorted products
+ */
+export function sortProducts(products, sort) {
+  const byName = (a, b) => (a.name || "").localeCompare(b.name || "");
+  const compare = {
+    "price-asc": (a, b) => a.price - b.price,
+    "price-desc": (a, b) => b.price - a.price,
+    "name-asc": byName,
+    "name-desc": (a, b) => byName(b, a),
+    newest: (a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""),
+  }[sort];
+  return compare ? [...products].sort(compare) : [...products];
+}
+
+/**
+ * Get the label of a facet value
+ * @param {string} name - Facet name
+ * @param {string} value - Value
+ * @returns {string} Label
+ */
+function getValueLabel(name, value) {
+  if (name === "category") {
+    return value
+      .split("/")
+      .map((part) => part.replace(/[-_]/g, " "))
+      .join(" / ")
+      .replace(/\b\w/g, (char) => char.toUpperCase());
+  }
+  if (name === "price") {
+    const { min, max } = PRICE_RANGES.find((range) => range.value === value);
+    if (!min) return `Under ${formatMoney(max)}`;
+    if (max === Infinity) return `${formatMoney(min)} and above`;
+    return `${formatMoney(min)} – ${formatMoney(max)}`;
+  }
+  if (name === "rating") return `${value} star${value === "1" ? "" : "s"} & up`;
+  return value;
+}
+
+/**
+ * Sort the values of a facet for display
+ * @param {string} name - Facet name
+ * @param {Array<string>} values - Values
+ * @returns {Array<string>} Sorted values
+ */
+function sortValues(name, values) {
+  const byOrder = (order) => (a, b) => order.indexOf(a) - order.indexOf(b);
+  if (name === "price") {
+    return [...values].sort(byOrder(PRICE_RANGES.map(({ value }) => value)));
+  }
+  if (name === "rating") return [...values].sort((a, b) => b - a);
+  if (name === "size") {
+    const rank = (value) => {
+      const index = SIZE_ORDER.indexOf(value.toUpperCase());
+      return index === -1 ? SIZE_ORDER.length : index;
+    };
+    return [...values].sort(
+      (a, b) => rank(a) - rank(b) || a.localeCompare(b)
+    );
+  }
+  return [...values].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Build the facets of a product list
+ * The count of a value is the number of products it would list combined with
+ * the values selected in the other facets. Facets without values are left out.
+ * @param {Array<Object>} products - Products
+ * @param {Object} filters - Selected values by facet name
+ * @returns {Array<Object>} Facets { name, label, values: [{ value, label, count, selected }] }
+ */
+export function buildFacets(products, filters) {
+  return FACETS.map(({ name, label }) => {
+    const values = new Set();
+    products.forEach((product) => {
+      getProductValues(product)[name].forEach((value) => values.add(value));
+    });
+    const candidates = filterProducts(products, filters, name);
+    const selected = filters[name] || [];
+
+    return {
+      name,
+      label,
+      values: sortValues(name, [...values]).map((value) => ({
+        value,
+        label: getValueLabel(name, value),
+        count: candidates.filter((product) =>
+          getProductValues(product)[name].includes(value)
+        ).length,
+        selected: selected.includes(value),
+      })),
+    };
+  }).filter((facet) => facet.values.length);
+}
+
+/**
+ * Read the facet state from URL query parameters
+ * @param {string} [search] - Query string (default: the current page URL)
+ * @returns {Object} { filters, sort, page } - Selected values by facet name,
+ *   sort option and page (1 when not set)
+ */
+export function readFacetState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  FACETS.forEach(({ name }) => {
+    const values = params.getAll(name).filter(Boolean);
+    if (values.length) filters[name] = [...new Set(values)];
+  });
+  const sort = params.get("sort");
+  return {
+    filters,
+    sort: SORT_OPTIONS.some(({ value }) => value === sort) ? sort : DEFAULT_SORT,
+    page: Math.max(parseInt(params.get("page"), 10) || 1, 1),
+  };
+}
+
+/**
+ * Write the facet state to the URL query parameters of the page
+ * Replaces the history entry, so the back button leaves the listing; other
+ * query parameters are kept.
+ * @param {Object} state - { filters, sort, page }
+ */
+export function writeFacetState({ filters, sort, page = 1 }) {
+  const url = new URL(window.location.href);
+  [...FACETS.map(({ name }) => name), "sort", "page"].forEach((name) => {
+    url.searchParams.delete(name);
+  });
+  FACETS.forEach(({ name }) => {
+    (filters[name] || []).forEach((value) => {
+      url.searchParams.append(name, value);
+    });
+  });
+  if (sort && sort !== DEFAULT_SORT) url.searchParams.set("sort", sort);
+  if (page > 1) url.searchParams.set("page", page);
+  window.history.replaceState(window.history.state, "", url);
+}
@@ -0,0 +1,230 @@
+// ==========================================
+// Promotions Engine
+// Loads coupon rules from the promotions sheet and calculates cart discounts
+// ==========================================
+
+import { roundAmount } from "./money.js";
+import { loadSheet, toNumber } from "./sheets.js";
+
+const PROMOTIONS_URL = "/promotions.json";
+
+export const PROMOTION_TYPES = {
+  PERCENT: "percent",
+  FIXED: "fixed",
+  FREE_SHIPPING: "free-shipping",
+  BUY_X_GET_Y: "buy-x-get-y",
+};
+
+// Error codes returned by validatePromotion (mapped to localized messages by the UI)
+export const PROMOTION_ERRORS = {
+  INVALID: "invalid",
+  EXPIRED: "expired",
+  NOT_STARTED: "notStarted",
+  MIN_SUBTOTAL: "minSubtotal",
+  NOT_APPLICABLE: "notApplicable",
+  ALREADY_APPLIED: "alreadyApplied",
+};
+
+/**
+ * Normalize a promotions sheet row into a rule object
+ * Sheet columns: code, type, value, label, category, sku, minSubtotal,
+ * buyQuantity, getQuantity, startDate, endDate
+ * @param {Object} row - Raw sheet row
+ * @returns {Object} Promotion rule
+ */
+function normalizeRule(row) {
+  return {
+    code: (row.code || "").trim().toUpperCase(),
+    type: (row.type || PROMOTION_TYPES.PERCENT).trim().toLowerCase(),
+    value: toNumber(row.value),
+    label: row.label || row.description || "",
+    category: (row.category || "").trim().toLowerCase(),
+    sku: (row.sku || "").trim(),
+    minSubtotal: toNumber(row.minSubtotal),
+    buyQuantity: toNumber(row.buyQuantity),
+    getQuantity: toNumber(row.getQuantity),
+    startDate: row.startDate || "",
+    endDate: row.endDate || "",
+  };
+}
+
+/**
+ * Fetch promotion rules from the promotions sheet (cached per page load)
+ * @returns {Promise<Array>} Promotion rules
+ */
+export function loadPromotions() {
+  return loadSheet(PROMOTIONS_URL, {
+    label: "promotions",
+    transform: (rows) => rows.map(normalizeRule).filter((rule) => rule.code),
+  });
+}
+
+/**
+ * Check the date window of a rule
+ * @param {Object} rule - Promotion rule
+ * @param {number} now - Current timestamp
+ * @returns {string|null} Error code, or null when the rule is active
+ */
+function getDateError(rule, now = Date.now()) {
+  const start = rule.startDate ? Date.parse(rule.startDate) : NaN;
+  const end = rule.endDate ? Date.parse(rule.endDate) : NaN;
+  if (!Number.isNaN(start) && now < start) return PROMOTION_ERRORS.NOT_STARTED;
+  if (!Number.isNaN(end) && now > end) return PROMOTION_ERRORS.EXPIRED;
+  return null;
+}
+
+/**
+ * Get cart lines the rule applies to (category/SKU scoped rules)
+ * @param {Object} rule - Promotion rule
+ * @param {Object} cart - Cart data
+ * @returns {Array} Eligible cart lines
+ */
+function getEligibleLines(rule, cart) {
+  const skus = rule.sku
+    ? rule.sku.split(",").map((s) => s.trim().toLowerCase()).filter(Boolean)
+    : [];
+
+  return Object.values(cart.products || {}).filter((line) => {
+    // Variant lines also match rules scoped to the parent product
+    if (
+      skus.length &&
+      !skus.includes(`${line.sku || line.id}`.toLowerCase()) &&
+      !skus.includes(`${line.id}`.toLowerCase()) &&
+      !skus.includes(`${line.productId || ""}`.toLowerCase())
+    ) {
+      return false;
+    }
+    if (
+      rule.category &&
+      !(line.category || "").toLowerCase().includes(rule.category)
+    ) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Calculate the discount a single rule grants on the cart
+ * @param {Object} rule - Promotion rule
+ * @param {Object} cart - Cart data
+ * @returns {number} Discount amount
+ */
+function calculateRuleDiscount(rule, cart) {
+  const lines = getEligibleLines(rule, cart);
+  const eligibleSubTotal = lines.reduce(
+    (sum, line) => sum + line.price * line.quantity,
+    0
+  );
+
+  switch (rule.type) {
+    case PROMOTION_TYPES.PERCENT:
+      return roundAmount((eligibleSubTotal * Math.min(rule.value, 100)) / 100);
+
+    case PROMOTION_TYPES.FIXED:
+      return roundAmount(Math.min(rule.value, eligibleSubTotal));
+
+    case PROMOTION_TYPES.BUY_X_GET_Y: {
+      const groupSize = rule.buyQuantity + rule.getQuantity;
+      if (!rule.buyQuantity || !rule.getQuantity) return 0;
+
+      // Expand lines to unit prices; the cheapest units are the free ones
+      const unitPrices = lines
+        .flatMap((line) => Array(line.quantity).fill(line.price))
+        .sort((a, b) => a - b);
+      const freeUnits =
+        Math.floor(unitPrices.length / groupSize) * rule.getQuantity;
+      return roundAmount(
+        unitPrices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0)
+      );
+    }
+
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Check whether a rule can currently be applied to the cart
+ * @param {Object} rule - Promotion rule
+ * @param {Object} cart - Cart data
+ * @returns {string|null} Error code, or null when applicable
+ */
+function getRuleError(rule, cart) {
+  const dateError = getDateError(rule);
+  if (dateError) return dateError;
+
+  if (rule.minSubtotal && (cart.subTotal || 0) < rule.minSubtotal) {
+    return PROMOTION_ERRORS.MIN_SUBTOTAL;
+  }
+
+  if (
+    rule.type !== PROMOTION_TYPES.FREE_SHIPPING &&
+    calculateRuleDiscount(rule, cart) <= 0
+  ) {
+    return PROMOTION_ERRORS.NOT_APPLICABLE;
+  }
+
+  if (
+    rule.type === PROMOTION_TYPES.FREE_SHIPPING &&
+    (rule.category || rule.sku) &&
+    getEligibleLines(rule, cart).length === 0
+  ) {
+    return PROMOTION_ERRORS.NOT_APPLICABLE;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a coupon code against the promotion rules and the current cart
+ * @param {string} code - Coupon code entered by the shopper
+ * @param {Object} cart - Cart data
+ * @returns {Promise<Object>} { valid, rule, error }
+ */
+export async function validatePromotion(code, cart) {
+  const normalizedCode = (code || "").trim().toUpperCase();
+  const rules = await loadPromotions();
+  const rule = rules.find((r) => r.code === normalizedCode);
+
+  if (!rule) {
+    return { valid: false, rule: null, error: PROMOTION_ERRORS.INVALID };
+  }
+
+  const applied = (cart.promotions || []).some((p) => p.code === rule.code);
+  if (applied) {
+    return { valid: false, rule, error: PROMOTION_ERRORS.ALREADY_APPLIED };
+  }
+
+  const error = getRuleError(rule, cart);
+  return { valid: !error, rule, error };
+}
+
+/**
+ * Recalculate discounts for the promotions applied to the cart
+ * Applied rules are stored on the cart so discounts can be recalculated synchronously.
+ * Rules that no longer apply (expired, below minimum) stay on the cart with a zero
+ * amount so they come back once the cart qualifies again.
+ * Cart totals are computed by the cart model (scripts/cart-model.js).
+ * @param {Object} cart - Cart data with an up to date subTotal (mutated)
+ * @returns {Object} The same cart with promotions, discount and freeShipping updated
+ */
+export function applyCartPromotions(cart) {
+  const promotions = cart.promotions || [];
+  let discount = 0;
+  let freeShipping = false;
+
+  cart.promotions = promotions.map((rule) => {
+    const error = getRuleError(rule, cart);
+    const amount = error ? 0 : calculateRuleDiscount(rule, cart);
+    if (!error && rule.type === PROMOTION_TYPES.FREE_SHIPPING) {
+      freeShipping = true;
+    }
+    discount += amount;
+    return { ...rule, amount, active: !error };
+  });
+
+  cart.discount = roundAmount(Math.min(discount, cart.subTotal || 0));
+  cart.freeShipping = freeShipping;
+  return cart;
+}
@@ -0,0 +1,322 @@
+// ==========================================
+// Quick View
+// Product overlay opened from listing cards (category-products-lister,
+// new-arrival): image gallery, price, variant picker and add to cart without
+// leaving the listing. Built like the form modal component: a native modal
+// <dialog> with a close button that also closes on backdrop clicks.
+// Opens are pushed to the dataLayer `product` object and dispatched as
+// quickViewOpen on document for analytics rules.
+// ==========================================
+
+import { createOptimizedPicture, loadCSS } from "./aem.js";
+import { formatCategory } from "./catalog.js";
+import { formatMoney } from "./money.js";
+import { findVariant, getProductVariants } from "./variants.js";
+import { buildVariantPicker } from "./variant-picker.js";
+import {
+  getStockLabel,
+  getStockStatus,
+  resolveStock,
+  STOCK_STATUS,
+} from "./inventory.js";
+
+export const QUICK_VIEW_EVENTS = {
+  OPEN: "quickViewOpen",
+};
+
+// Shared by every listing on the page; created on the first open
+let dialog = null;
+// Element focused when the quick view opened (focused again on close)
+let opener = null;
+
+/**
+ * Build a product picture (direct img for external URLs, optimized picture for DAM paths)
+ * @param {string} imageUrl - Image URL
+ * @param {string} alt - Alt text
+ * @returns {HTMLElement} Picture element
+ */
+function buildPicture(imageUrl, alt) {
+  if (imageUrl.startsWith("http")) {
+    const picture = document.createElement("picture");
+    const img = document.createElement("img");
+    img.src = imageUrl;
+    img.alt = alt;
+    picture.appendChild(img);
+    return picture;
+  }
+  return createOptimizedPicture(imageUrl, alt, true, [
+    { media: "(min-width: 600px)", width: "600" },
+    { width: "400" },
+  ]);
+}
+
+/**
+ * Create the quick view dialog
+ * @returns {HTMLDialogElement} Dialog
+ */
+function createDialog() {
+  loadCSS(`${window.hlx.codeBasePath}/styles/quick-view.css`);
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "modal quick-view";
+  const element = document.createElement("dialog");
+  element.setAttribute("aria-labelledby", "quick-view-title");
+  const content = document.createElement("div");
+  content.className = "modal-content";
+
+  const closeButton = document.createElement("button");
+  closeButton.className = "close-button";
+  closeButton.setAttribute("aria-label", "Close");
+  closeButton.type = "button";
+  closeButton.innerHTML = "&times;";
+
+  element.append(content, closeButton);
+  wrapper.append(element);
+  document.body.append(wrapper);
+
+  element.addEventListener("click", (event) => {
+    const rect = element.getBoundingClientRect();
+    if (
+      event.clientX < rect.left ||
+      event.clientX > rect.right ||
+      event.clientY < rect.top ||
+      event.clientY > rect.bottom
+    ) {
+      element.close();
+    }
+  });
+  closeButton.addEventListener("click", () => element.close());
+  element.addEventListener("close", () => {
+    document.body.classList.remove("modal-open");
+    content.innerHTML = "";
+    if (opener?.isConnected) opener.focus();
+    opener = null;
+  });
+  return element;
+}
+
+/**
+ * Build the image gallery (main image and one thumbnail per image)
+ * @param {Array<string>} images - Image URLs
+ * @param {string} alt - Alt text
+ * @returns {Object} { element, show } - Gallery, and show(url) to display an image
+ */
+function buildGallery(images, alt) {
+  const element = document.createElement("div");
+  element.className = "qv-gallery";
+  const main = document.createElement("div");
+  main.className = "qv-gallery-main";
+  element.append(main);
+
+  const thumbs = document.createElement("div");
+  thumbs.className = "qv-gallery-thumbs";
+  if (images.length > 1) element.append(thumbs);
+
+  const show = (url) => {
+    if (!url) return;
+    main.replaceChildren(buildPicture(url, alt));
+    thumbs.querySelectorAll("button").forEach((thumb) => {
+      thumb.setAttribute("aria-pressed", thumb.dataset.image === url);
+    });
+  };
+
+  images.forEach((url, index) => {
+    const thumb = document.createElement("button");
+    thumb.type = "button";
+    thumb.className = "qv-gallery-thumb";
+    thumb.dataset.image = url;
+    thumb.setAttribute("aria-label", `Show image ${index + 1} of ${images.length}`);
+    const img = document.createElement("img");
+    img.src = url;
+    img.alt = "";
+    img.loading = "lazy";
+    thumb.append(img);
+    thumb.addEventListener("click", () => show(url));
+    thumbs.append(thumb);
+  });
+
+  show(images[0]);
+  return { element, show };
+}
+
+/**
+ * Build the quick view of a product
+ * @param {Object} product - Product (see scripts/catalog.js)
+ * @param {Object} options - { productUrl, isAuthor, stockLevels }
+ * @returns {HTMLElement} Quick view content
+ */
+function buildQuickView(product, { productUrl, isAuthor, stockLevels }) {
+  const { id, sku, name, price, image, category } = product;
+  // Cart lines and the dataLayer use the same product key as the PDP
+  const productId = id || sku || "";
+  const displayName = name ? name.split(",")[0].trim() : "";
+  const categoryText = formatCategory(category);
+  const description = product.description?.plaintext || "";
+
+  const variants = getProductVariants(product, isAuthor, stockLevels);
+  const productStock = resolveStock(product.stock, sku || id, stockLevels);
+  let currentVariant = variants.find((variant) => variant.available) || null;
+  const selectedOptions = { ...(currentVariant?.options || {}) };
+
+  const images = [
+    ...new Set([image, ...variants.map((variant) => variant.image)]),
+  ].filter(Boolean);
+  const gallery = buildGallery(images, displayName || "Product image");
+
+  const details = document.createElement("div");
+  details.className = "qv-details";
+
+  if (categoryText) {
+    const categoryEl = document.createElement("p");
+    categoryEl.className = "qv-category";
+    categoryEl.textContent = categoryText;
+    details.append(categoryEl);
+  }
+
+  const title = document.createElement("h2");
+  title.className = "qv-name";
+  title.id = "quick-view-title";
+  title.textContent = displayName;
+
+  const priceEl = document.createElement("p");
+  priceEl.className = "qv-price";
+  priceEl.textContent = formatMoney(price);
+  details.append(title, priceEl);
+
+  if (description) {
+    const descEl = document.createElement("p");
+    descEl.className = "qv-description";
+    descEl.textContent = description;
+    details.append(descEl);
+  }
+
+  const availabilityEl = document.createElement("p");
+  availabilityEl.className = "qv-availability";
+
+  const addToCartBtn = document.createElement("button");
+  addToCartBtn.type = "button";
+  addToCartBtn.className = "qv-add-to-cart";
+  addToCartBtn.textContent = "Add to Cart";
+
+  // Show stock and disable add to cart for the selected variant (or the product)
+  const updateAvailability = () => {
+    const purchasable = variants.length
+      ? currentVariant
+      : { stock: productStock, available: productStock !== 0 };
+    const status =
+      purchasable && !purchasable.available
+        ? STOCK_STATUS.OUT_OF_STOCK
+        : getStockStatus(purchasable?.stock ?? null);
+
+    availabilityEl.textContent = purchasable
+      ? getStockLabel(status === STOCK_STATUS.OUT_OF_STOCK ? 0 : purchasable.stock)
+      : "Select options";
+    availabilityEl.classList.toggle(
+      "qv-availability-out",
+      Boolean(purchasable) && status === STOCK_STATUS.OUT_OF_STOCK
+    );
+    availabilityEl.classList.toggle(
+      "qv-availability-low",
+      Boolean(purchasable) && status === STOCK_STATUS.LOW_STOCK
+    );
+    addToCartBtn.disabled = !purchasable || status === STOCK_STATUS.OUT_OF_STOCK;
+  };
+
+  const updateVariant = () => {
+    currentVariant = findVariant(variants, selectedOptions);
+    priceEl.textContent = formatMoney(currentVariant?.price || price || 0);
+    gallery.show(currentVariant?.image);
+    updateAvailability();
+  };
+
+  if (variants.length) {
+    details.append(
+      buildVariantPicker(variants, selectedOptions, updateVariant, "qv")
+    );
+    updateVariant();
+  } else {
+    updateAvailability();
+  }
+  details.append(availabilityEl);
+
+  // The mini-cart opens after the product is added, in place of the quick view
+  addToCartBtn.addEventListener("click", () => {
+    const variantImage = currentVariant?.image || image || "";
+    dialog.close();
+    window.addToCart({
+      id: productId,
+      variantSku: currentVariant?.sku,
+      options: currentVariant?.options,
+      name: displayName || name || "",
+      image: variantImage,
+      thumbnail: variantImage,
+      category: categoryText,
+      description,
+      price: currentVariant?.price || price || 0,
+      quantity: 1,
+      stock: variants.length ? currentVariant?.stock : productStock,
+      folder: product.folder || "",
+    });
+  });
+
+  const actions = document.createElement("div");
+  actions.className = "qv-actions";
+  actions.append(addToCartBtn);
+  if (productUrl) {
+    const detailsLink = document.createElement("a");
+    detailsLink.className = "qv-details-link";
+    detailsLink.href = productUrl;
+    detailsLink.textContent = "View full details";
+    actions.append(detailsLink);
+  }
+  details.append(actions);
+
+  const container = document.createElement("div");
+  container.className = "qv-container";
+  container.append(gallery.element, details);
+  return container;
+}
+
+/**
+ * Open the quick view of a product
+ * @param {Object} product - Product (see scripts/catalog.js)
+ * @param {Object} [options] - { productUrl, source, isAuthor, stockLevels }
+ *   productUrl: PDP link ("View full details"); source: block the quick view
+ *   was opened from (sent with the analytics event)
+ */
+export function openQuickView(product, options = {}) {
+  const { productUrl = "", source = "", isAuthor = false, stockLevels = {} } =
+    options;
+  if (!dialog) dialog = createDialog();
+
+  opener = document.activeElement;
+  dialog
+    .querySelector(".modal-content")
+    .replaceChildren(
+      buildQuickView(product, { productUrl, isAuthor, stockLevels })
+    );
+  if (!dialog.open) {
+    dialog.showModal();
+    document.body.classList.add("modal-open");
+  }
+  dialog.querySelector(".modal-content").scrollTop = 0;
+
+  const productData = {
+    id: product.id || product.sku || "",
+    sku: product.sku || "",
+    name: product.name || "",
+    price: product.price || 0,
+    category: formatCategory(product.category),
+    image: product.image || "",
+    quickView: true,
+  };
+  if (typeof window.updateDataLayer === "function") {
+    window.updateDataLayer({ product: productData }, false);
+  }
+  document.dispatchEvent(
+    new CustomEvent(QUICK_VIEW_EVENTS.OPEN, {
+      bubbles: true,
+      detail: { product: productData, source },
+    })
+  );
+}
@@ -1,4 +1,7 @@
 import {
+  buildBlock,
+  decorateBlock,
+  loadBlock,
   loadHeader,
   loadFooter,
   decorateButtons as libDecorateButtons,
@@ -327,6 +330,20 @@ async function loadEager(doc) {
 //   });
 // }
 
+/**
+ * Loads the consent banner on pages that do not author one
+ * @param {Element} doc The container element
+ */
+async function loadConsentBanner(doc) {
+  if (doc.querySelector(".consent-banner")) return;
+  const bannerBlock = buildBlock("consent-banner", "");
+  const wrapper = document.createElement("div");
+  wrapper.append(bannerBlock);
+  doc.body.append(wrapper);
+  decorateBlock(bannerBlock);
+  await loadBlock(bannerBlock);
+}
+
 /**
  * Loads everything that doesn't need to be delayed.
  * @param {Element} doc The container element
@@ -341,6 +358,7 @@ async function loadLazy(doc) {
   //decorateSectionImages(doc);
   loadHeader(doc.querySelector("header"));
   loadFooter(doc.querySelector("footer"));
+  loadConsentBanner(doc);
 
   // Hide sidekick after DOM is fully loaded
   hideSidekick();
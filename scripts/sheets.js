@@ -0,0 +1,44 @@
+// ==========================================
+// Sheets
+// Loads the JSON of published spreadsheets (promotions, tax rates,
+// shipping methods, stock) once per page and parses their cells
+// ==========================================
+
+// Pending or loaded sheets by URL
+const sheetPromises = new Map();
+
+/**
+ * Parse a spreadsheet cell as a number
+ * @param {*} value - Cell value
+ * @returns {number} Parsed number or 0
+ */
+export function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Fetch a sheet and transform its rows (cached per page load)
+ * A sheet that cannot be loaded is transformed as an empty sheet and fetched
+ * again on the next call. `fresh` bypasses the cache (and the HTTP cache).
+ * @param {string} url - Sheet JSON URL
+ * @param {Object} options - Options
+ * @param {string} options.label - Sheet name used in warnings (e.g. "tax rates")
+ * @param {function(Array<Object>): *} options.transform - Builds the result from the rows
+ * @param {boolean} [options.fresh=false] - Fetch the latest sheet
+ * @returns {Promise<*>} Transformed rows
+ */
+export function loadSheet(url, { label, transform, fresh = false }) {
+  if (!sheetPromises.has(url) || fresh) {
+    const request = fetch(url, fresh ? { cache: "no-store" } : {})
+      .then((resp) => (resp.ok ? resp.json() : { data: [] }))
+      .then((json) => transform(json.data || []))
+      .catch((error) => {
+        console.warn(`⚠ Could not load ${label}:`, error.message);
+        if (sheetPromises.get(url) === request) sheetPromises.delete(url);
+        return transform([]);
+      });
+    sheetPromises.set(url, request);
+  }
+  return sheetPromises.get(url);
+}
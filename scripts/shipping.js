@@ -0,0 +1,115 @@
+// ==========================================
+// Shipping Methods
+// Loads shipping methods and their rate rules from the shipping methods sheet
+// and calculates the cart shipping amount
+// ==========================================
+
+import { loadSheet, toNumber } from "./sheets.js";
+
+const SHIPPING_METHODS_URL = "/shipping-methods.json";
+
+// Used when the sheet is not published (matches the previous flat $5 shipping)
+const DEFAULT_SHIPPING_METHODS = [
+  {
+    id: "standardShipping",
+    label: "Standard shipping",
+    description: "3-5 business days",
+    price: 5,
+    freeOver: 0,
+    countries: [],
+  },
+  {
+    id: "expressShipping",
+    label: "Express shipping",
+    description: "1-2 business days",
+    price: 15,
+    freeOver: 0,
+    countries: [],
+  },
+  {
+    id: "storePickup",
+    label: "Store pickup",
+    description: "Ready in 2 hours",
+    price: 0,
+    freeOver: 0,
+    countries: [],
+  },
+];
+
+/**
+ * Normalize a shipping methods sheet row into a method object
+ * Sheet columns: id, label, description, price, freeOver, countries
+ * freeOver is the order amount from which the method is free (0 = never);
+ * countries is a comma separated list (empty = all countries).
+ * @param {Object} row - Raw sheet row
+ * @returns {Object} Shipping method
+ */
+function normalizeMethod(row) {
+  return {
+    id: (row.id || "").trim(),
+    label: row.label || row.id || "",
+    description: row.description || "",
+    price: toNumber(row.price),
+    freeOver: toNumber(row.freeOver),
+    countries: (row.countries || "")
+      .split(",")
+      .map((country) => country.trim().toLowerCase())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Fetch shipping methods from the shipping methods sheet (cached per page load)
+ * @returns {Promise<Array>} Shipping methods
+ */
+export function loadShippingMethods() {
+  return loadSheet(SHIPPING_METHODS_URL, {
+    label: "shipping methods",
+    transform: (rows) => {
+      const methods = rows.map(normalizeMethod).filter((method) => method.id);
+      return methods.length ? methods : DEFAULT_SHIPPING_METHODS;
+    },
+  });
+}
+
+/**
+ * Get the shipping methods available for a destination country
+ * @param {string} country - Destination country
+ * @returns {Promise<Array>} Available shipping methods
+ */
+export async function getAvailableShippingMethods(country) {
+  const methods = await loadShippingMethods();
+  const normalizedCountry = (country || "").trim().toLowerCase();
+  return methods.filter(
+    (method) =>
+      !method.countries.length ||
+      !normalizedCountry ||
+      method.countries.includes(normalizedCountry)
+  );
+}
+
+/**
+ * Calculate the shipping cost of a method for a cart
+ * @param {Object} method - Shipping method
+ * @param {Object} cart - Cart data with up to date subTotal, discount and freeShipping
+ * @returns {number} Shipping amount
+ */
+export function calculateShipping(method, cart) {
+  if (!method || cart.freeShipping) return 0;
+
+  const orderAmount = Math.max(0, (cart.subTotal || 0) - (cart.discount || 0));
+  if (method.freeOver && orderAmount >= method.freeOver) return 0;
+
+  return method.price;
+}
+
+/**
+ * Recalculate shipping for the shipping method stored on the cart
+ * Cart totals are computed by the cart model (scripts/cart-model.js).
+ * @param {Object} cart - Cart data with up to date subTotal and discount (mutated)
+ * @returns {Object} The same cart with shipping updated
+ */
+export function applyCartShipping(cart) {
+  cart.shipping = calculateShipping(cart.shippingMethod, cart);
+  return cart;
+}
@@ -0,0 +1,103 @@
+// ==========================================
+// Tax Calculation
+// Resolves tax rates for a shipping destination from the tax rates sheet
+// and calculates cart tax lines
+// ==========================================
+
+import { roundAmount } from "./money.js";
+import { loadSheet, toNumber } from "./sheets.js";
+
+const TAX_RATES_URL = "/tax-rates.json";
+
+/**
+ * Normalize a value for case-insensitive comparison
+ * @param {*} value - Value to normalize
+ * @returns {string} Trimmed lower case string
+ */
+function normalize(value) {
+  return `${value || ""}`.trim().toLowerCase();
+}
+
+/**
+ * Normalize a tax rates sheet row into a rate object
+ * Sheet columns: country, region, postalPrefix, rate (percent), label, shipping
+ * Empty region/postalPrefix cells match any value; several matching rows stack
+ * (e.g. a state rate plus a county rate).
+ * @param {Object} row - Raw sheet row
+ * @returns {Object} Tax rate
+ */
+function normalizeRate(row) {
+  return {
+    country: normalize(row.country),
+    region: normalize(row.region),
+    postalPrefix: normalize(row.postalPrefix).replace(/\s/g, ""),
+    rate: toNumber(row.rate),
+    label: row.label || "Tax",
+    shipping: ["true", "yes", "1"].includes(normalize(row.shipping)),
+  };
+}
+
+/**
+ * Fetch tax rates from the tax rates sheet (cached per page load)
+ * @returns {Promise<Array>} Tax rates
+ */
+export function loadTaxRates() {
+  return loadSheet(TAX_RATES_URL, {
+    label: "tax rates",
+    transform: (rows) =>
+      rows.map(normalizeRate).filter((rate) => rate.country && rate.rate > 0),
+  });
+}
+
+/**
+ * Check whether a rate applies to an address
+ * @param {Object} rate - Tax rate
+ * @param {Object} address - Destination { country, region, postalCode }
+ * @returns {boolean} True when the rate applies
+ */
+function matchesAddress(rate, address) {
+  const postalCode = normalize(address.postalCode).replace(/\s/g, "");
+  if (rate.country !== normalize(address.country)) return false;
+  if (rate.region && rate.region !== normalize(address.region)) return false;
+  if (rate.postalPrefix && !postalCode.startsWith(rate.postalPrefix)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Resolve the tax rates that apply to a shipping destination
+ * @param {Object} address - Destination { country, region, postalCode }
+ * @returns {Promise<Array>} Matching rates as tax lines (without amounts)
+ */
+export async function resolveTaxRates(address) {
+  if (!address || !address.country) return [];
+
+  const rates = await loadTaxRates();
+  return rates
+    .filter((rate) => matchesAddress(rate, address))
+    .map(({ label, rate, shipping }) => ({ label, rate, shipping }));
+}
+
+/**
+ * Recalculate tax for the tax lines stored on the cart
+ * Tax is charged on the discounted subtotal, plus shipping for rates flagged
+ * as taxing shipping.
+ * Cart totals are computed by the cart model (scripts/cart-model.js).
+ * @param {Object} cart - Cart data with up to date subTotal, discount and shipping (mutated)
+ * @returns {Object} The same cart with taxLines and tax updated
+ */
+export function applyCartTax(cart) {
+  const goodsAmount = Math.max(0, (cart.subTotal || 0) - (cart.discount || 0));
+  let tax = 0;
+
+  cart.taxLines = (cart.taxLines || []).map((line) => {
+    const taxable = goodsAmount + (line.shipping ? cart.shipping || 0 : 0);
+    const amount = roundAmount((taxable * line.rate) / 100);
+    tax += amount;
+    return { ...line, amount };
+  });
+
+  cart.tax = roundAmount(tax);
+  return cart;
+}
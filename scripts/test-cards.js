@@ -0,0 +1,21 @@
+// ==========================================
+// Test Cards
+// Card numbers declined by the payment test doubles: the offline test gateway
+// of scripts/payment.js (localhost and author only) and the payment stub of
+// tools/mock-commerce-server.mjs. Any other valid card is authorized.
+// ==========================================
+
+// Decline messages by the last four digits of the card number
+export const TEST_CARD_DECLINES = {
+  "0002": "Your card was declined.",
+  9995: "Your card has insufficient funds.",
+};
+
+/**
+ * Get the decline message of a test card
+ * @param {string} number - Card number digits
+ * @returns {string} Decline message ("" for cards that are authorized)
+ */
+export function getTestCardDecline(number) {
+  return TEST_CARD_DECLINES[String(number || "").slice(-4)] || "";
+}
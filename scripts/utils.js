@@ -198,6 +198,19 @@ export function computeLocalizedUrl(targetLang) {
   }
 }
 
+/**
+ * Compute the path of a page in the current language.
+ * Supports both EDS-style (/en/cart) and AEM author (/content/{site}/language-masters/en/cart.html)
+ * @param {string} page Page path relative to the language root, e.g. 'cart'
+ * @returns {string} Localized path
+ */
+export function getLocalizedPath(page) {
+  const { prefix, isContentPath } = getPathDetails();
+  const cleanPage = String(page || '').replace(/^\/+/, '');
+  if (!isContentPath) return `/${getLanguage()}/${cleanPage}`;
+  return `${prefix}/${getLanguage()}/${cleanPage}.html`;
+}
+
 /**
  * Discover available languages from placeholders.
  * Authors can set a row in placeholders with Key=languages and Text="en,fr,de".
@@ -0,0 +1,84 @@
+// ==========================================
+// Variant Picker
+// Option buttons (color swatches, sizes) for the variants of a product, shared
+// by the product detail page and the listing quick view. Options that no
+// available variant offers with the other selected options are marked
+// unavailable but stay selectable, so the shopper can change the other option.
+// ==========================================
+
+import { getVariantOptions, isOptionAvailable } from "./variants.js";
+
+/**
+ * Build the variant picker (one group of option buttons per option)
+ * @param {Array} variants - Product variants
+ * @param {Object} selected - Selected options (mutated on selection)
+ * @param {Function} onChange - Called after an option is selected
+ * @param {string} [prefix] - Class name prefix ("pd" on the PDP, "qv" in the quick view)
+ * @returns {HTMLElement} Variant picker
+ */
+export function buildVariantPicker(variants, selected, onChange, prefix = "pd") {
+  const picker = document.createElement("div");
+  picker.className = `${prefix}-variants`;
+
+  const groups = getVariantOptions(variants);
+
+  const updateOptionStates = () => {
+    groups.forEach(({ name, label }) => {
+      const group = picker.querySelector(`[data-option="${name}"]`);
+      group.querySelector(`.${prefix}-variant-label`).textContent = selected[name]
+        ? `${label}: ${selected[name]}`
+        : label;
+      group.querySelectorAll(`.${prefix}-variant-option`).forEach((btn) => {
+        const { value } = btn.dataset;
+        const isSelected = selected[name] === value;
+        btn.classList.toggle(`${prefix}-variant-option-selected`, isSelected);
+        btn.setAttribute("aria-pressed", isSelected);
+        btn.classList.toggle(
+          `${prefix}-variant-option-unavailable`,
+          !isOptionAvailable(variants, selected, name, value)
+        );
+      });
+    });
+  };
+
+  groups.forEach(({ name, label, values }) => {
+    const group = document.createElement("div");
+    group.className = `${prefix}-variant-group`;
+    group.dataset.option = name;
+    group.setAttribute("role", "group");
+    group.setAttribute("aria-label", label);
+
+    const groupLabel = document.createElement("p");
+    groupLabel.className = `${prefix}-variant-label`;
+
+    const options = document.createElement("div");
+    options.className = `${prefix}-variant-options ${prefix}-variant-options-${name}`;
+
+    values.forEach(({ value, swatch }) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `${prefix}-variant-option`;
+      btn.dataset.value = value;
+      btn.setAttribute("aria-label", `${label} ${value}`);
+      if (swatch) {
+        btn.classList.add(`${prefix}-variant-swatch`);
+        btn.style.setProperty("--swatch", swatch);
+        btn.title = value;
+      } else {
+        btn.textContent = value;
+      }
+      btn.addEventListener("click", () => {
+        selected[name] = value;
+        updateOptionStates();
+        onChange();
+      });
+      options.appendChild(btn);
+    });
+
+    group.append(groupLabel, options);
+    picker.appendChild(group);
+  });
+
+  updateOptionStates();
+  return picker;
+}
@@ -0,0 +1,197 @@
+// ==========================================
+// Product Variants
+// Normalizes size/color variants from product content fragments
+// and resolves the variant for a set of selected options
+// ==========================================
+
+import { resolveStock } from "./inventory.js";
+
+// Supported variant options, in the order they are shown on the PDP
+export const VARIANT_OPTIONS = [
+  { name: "color", label: "Color" },
+  { name: "size", label: "Size" },
+];
+
+/**
+ * Read a content fragment field that may be plain text, a multi-line
+ * text object ({ plaintext }) or a list
+ * @param {*} value - Field value
+ * @returns {Array<string>} Values
+ */
+function toList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(toList);
+  const text = typeof value === "string" ? value : value.plaintext || "";
+  return text
+    .split(/[,\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve the image URL of a variant fragment
+ * @param {Object} variant - Variant fragment
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {string} Image URL or ""
+ */
+function getVariantImage(variant, isAuthor) {
+  const { image, externalImageURL } = variant;
+  if (externalImageURL) {
+    return typeof externalImageURL === "string"
+      ? externalImageURL
+      : externalImageURL.plaintext || "";
+  }
+  if (image && typeof image === "object") {
+    return (isAuthor ? image._authorUrl : image._publishUrl) || "";
+  }
+  return typeof image === "string" ? image : "";
+}
+
+/**
+ * Check a variant's availability (stock count or inStock flag)
+ * @param {Object} variant - Variant fragment
+ * @param {number|null} stock - Resolved units in stock (null = not tracked)
+ * @returns {boolean} True when the variant can be purchased
+ */
+function isVariantAvailable(variant, stock) {
+  if (stock !== null) return stock > 0;
+  return variant.inStock !== false && variant.inStock !== "false";
+}
+
+/**
+ * Get the variants of a product
+ * Uses the `variants` field (JSON or nested fragments with sku, color, size,
+ * swatch, price, image, stock) when present; otherwise builds variants from
+ * the `colors` and `sizes` lists with the product price.
+ * Stock comes from the variant `stock` field, falling back to the stock sheet.
+ * @param {Object} product - Product content fragment
+ * @param {boolean} isAuthor - Is author environment
+ * @param {Object} stockLevels - Stock levels by SKU (see loadStockLevels)
+ * @returns {Array} Variants { sku, options, swatch, price, image, stock, available }
+ */
+export function getProductVariants(product, isAuthor = false, stockLevels = {}) {
+  const productSku = product.sku || product.id || "";
+  let variants = product.variants || [];
+  if (typeof variants === "string") {
+    try {
+      variants = JSON.parse(variants);
+    } catch (e) {
+      variants = [];
+    }
+  }
+
+  if (Array.isArray(variants) && variants.length) {
+    return variants.map((variant) => {
+      const options = {};
+      VARIANT_OPTIONS.forEach(({ name }) => {
+        if (variant[name]) options[name] = `${variant[name]}`.trim();
+      });
+      const sku =
+        variant.sku || [productSku, ...Object.values(options)].join("-");
+      const stock = resolveStock(variant.stock, sku, stockLevels);
+      return {
+        sku,
+        options,
+        swatch: variant.swatch || variant.colorSwatch || "",
+        price: parseFloat(variant.price) || parseFloat(product.price) || 0,
+        image: getVariantImage(variant, isAuthor),
+        stock,
+        available: isVariantAvailable(variant, stock),
+      };
+    });
+  }
+
+  // Build the color x size matrix from option lists
+  const colors = toList(product.colors);
+  const sizes = toList(product.sizes);
+  if (!colors.length && !sizes.length) return [];
+
+  const combinations = (colors.length ? colors : [null]).flatMap((color) =>
+    (sizes.length ? sizes : [null]).map((size) => ({ color, size }))
+  );
+  return combinations.map(({ color, size }) => {
+    const options = {};
+    if (color) options.color = color;
+    if (size) options.size = size;
+    const sku = [productSku, color, size].filter(Boolean).join("-");
+    const stock = resolveStock(null, sku, stockLevels);
+    return {
+      sku,
+      options,
+      swatch: "",
+      price: parseFloat(product.price) || 0,
+      image: "",
+      stock,
+      available: stock === null || stock > 0,
+    };
+  });
+}
+
+/**
+ * Get the option groups and values offered by a list of variants
+ * @param {Array} variants - Product variants
+ * @returns {Array} Option groups { name, label, values: [{ value, swatch }] }
+ */
+export function getVariantOptions(variants) {
+  return VARIANT_OPTIONS.map(({ name, label }) => {
+    const values = [];
+    variants.forEach((variant) => {
+      const value = variant.options[name];
+      if (value && !values.some((v) => v.value === value)) {
+        values.push({ value, swatch: name === "color" ? variant.swatch : "" });
+      }
+    });
+    return { name, label, values };
+  }).filter((group) => group.values.length);
+}
+
+/**
+ * Find the variant matching the selected options
+ * @param {Array} variants - Product variants
+ * @param {Object} selected - Selected options { color, size }
+ * @returns {Object|null} Matching variant or null while options are missing
+ */
+export function findVariant(variants, selected) {
+  return (
+    variants.find((variant) =>
+      Object.entries(variant.options).every(
+        ([name, value]) => selected[name] === value
+      )
+    ) || null
+  );
+}
+
+/**
+ * Check whether any variant with the given option value (combined with the
+ * other selected options) can be purchased
+ * @param {Array} variants - Product variants
+ * @param {Object} selected - Selected options
+ * @param {string} name - Option name
+ * @param {string} value - Option value
+ * @returns {boolean} True when the value is available
+ */
+export function isOptionAvailable(variants, selected, name, value) {
+  return variants.some(
+    (variant) =>
+      variant.available &&
+      variant.options[name] === value &&
+      Object.entries(selected).every(
+        ([otherName, otherValue]) =>
+          otherName === name ||
+          !otherValue ||
+          variant.options[otherName] === otherValue
+      )
+  );
+}
+
+/**
+ * Format the selected options of a cart line for display
+ * @param {Object} line - Cart line (or any object with an options map)
+ * @returns {Array<string>} Labels like "Size: M"
+ */
+export function formatLineOptions(line) {
+  const options = line?.options || {};
+  return VARIANT_OPTIONS.filter(({ name }) => options[name]).map(
+    ({ name, label }) => `${label}: ${options[name]}`
+  );
+}
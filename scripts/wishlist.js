@@ -0,0 +1,250 @@
+// ==========================================
+// Wishlist
+// Persistent wishlist stored in localStorage, kept per signed-in user
+// (guest items are merged into the user's wishlist after sign in)
+// and mirrored to the dataLayer `wishlist` object for analytics.
+// Items keep the variant (size/color) selected when they were saved; products
+// with variants saved without one are completed on the PDP before moving to the cart,
+// and moves are checked against the latest stock levels like PDP adds.
+// ==========================================
+
+import {
+  addItem,
+  getCart,
+  getLineKey,
+  whenDataLayerReady,
+} from "./cart-model.js";
+import { getOwner, GUEST_OWNER } from "./identity.js";
+import { loadStockLevels, parseStock, resolveStock } from "./inventory.js";
+
+const WISHLIST_STORAGE_KEY = "luma_wishlist";
+
+// Dispatched on document: wishlistUpdated for UI, wishlistAdd/wishlistRemove for analytics rules
+export const WISHLIST_EVENTS = {
+  UPDATED: "wishlistUpdated",
+  ADD: "wishlistAdd",
+  REMOVE: "wishlistRemove",
+};
+
+/**
+ * Read all stored wishlists
+ * @returns {Object} Wishlists by owner { [owner]: { items: { [id]: item } } }
+ */
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(WISHLIST_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn("⚠ Could not read wishlist:", error.message);
+    return {};
+  }
+}
+
+/**
+ * Write all wishlists
+ * @param {Object} store - Wishlists by owner
+ */
+function writeStore(store) {
+  try {
+    localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.warn("⚠ Could not persist wishlist:", error.message);
+  }
+}
+
+/**
+ * Get the stored items of the current owner
+ * Guest items are moved to the user's wishlist the first time it is read after sign in.
+ * @returns {Object} Items by product ID
+ */
+function getItems() {
+  const store = readStore();
+  const owner = getOwner();
+  const items = store[owner]?.items || {};
+
+  const guestItems = store[GUEST_OWNER]?.items || {};
+  if (owner !== GUEST_OWNER && Object.keys(guestItems).length) {
+    store[owner] = { items: { ...guestItems, ...items } };
+    delete store[GUEST_OWNER];
+    writeStore(store);
+    return store[owner].items;
+  }
+
+  return items;
+}
+
+/**
+ * Save the items of the current owner and sync the dataLayer
+ * @param {Object} items - Items by product ID
+ * @param {string} action - Wishlist action (add, remove)
+ * @param {Object} item - Affected item
+ */
+function saveItems(items, action, item) {
+  const store = readStore();
+  store[getOwner()] = { items };
+  writeStore(store);
+
+  const wishlist = Object.values(items);
+
+  if (window.updateDataLayer) {
+    // merge=false replaces the whole wishlist so removed items are not merged back
+    window.updateDataLayer(
+      {
+        wishlist: {
+          itemCount: wishlist.length,
+          items: wishlist.map(
+            ({ id, sku, variantSku, name, price, category }) => ({
+              id,
+              sku,
+              variantSku,
+              name,
+              price,
+              category,
+            })
+          ),
+          lastAction: { type: action, productId: item.id },
+        },
+      },
+      false
+    );
+  }
+
+  document.dispatchEvent(
+    new CustomEvent(
+      action === "add" ? WISHLIST_EVENTS.ADD : WISHLIST_EVENTS.REMOVE,
+      { bubbles: true, detail: { item } }
+    )
+  );
+  document.dispatchEvent(
+    new CustomEvent(WISHLIST_EVENTS.UPDATED, {
+      bubbles: true,
+      detail: { action, item, wishlist },
+    })
+  );
+}
+
+/**
+ * Get the wishlist items of the current shopper
+ * @returns {Array} Wishlist items (newest first)
+ */
+export function getWishlist() {
+  return Object.values(getItems()).sort((a, b) => b.addedAt - a.addedAt);
+}
+
+/**
+ * Check whether a product is in the wishlist
+ * @param {string} id - Product ID
+ * @returns {boolean} True when the product is in the wishlist
+ */
+export function isInWishlist(id) {
+  return Boolean(getItems()[id]);
+}
+
+/**
+ * Add a product to the wishlist
+ * @param {Object} productData - Product information (same shape as window.addToCart),
+ *   with hasVariants set for products sold in variants and url for the PDP link
+ * @returns {Array} Updated wishlist
+ */
+export function addToWishlist(productData) {
+  const items = getItems();
+  const item = {
+    id: productData.id,
+    sku: productData.sku || productData.id,
+    variantSku: productData.variantSku,
+    options: productData.options || {},
+    hasVariants: Boolean(productData.hasVariants),
+    name: productData.name,
+    image: productData.image,
+    thumbnail: productData.thumbnail,
+    category: productData.category,
+    description: productData.description,
+    price: productData.price,
+    stock: parseStock(productData.stock),
+    folder: productData.folder || "",
+    url: productData.url || "",
+    addedAt: Date.now(),
+  };
+
+  items[item.id] = item;
+  saveItems(items, "add", item);
+  return getWishlist();
+}
+
+/**
+ * Remove a product from the wishlist
+ * @param {string} id - Product ID
+ * @returns {Array} Updated wishlist
+ */
+export function removeFromWishlist(id) {
+  const items = getItems();
+  const item = items[id];
+  if (!item) return getWishlist();
+
+  delete items[id];
+  saveItems(items, "remove", item);
+  return getWishlist();
+}
+
+/**
+ * Add or remove a product depending on whether it is in the wishlist
+ * @param {Object} productData - Product information
+ * @returns {boolean} True when the product is now in the wishlist
+ */
+export function toggleWishlist(productData) {
+  if (isInWishlist(productData.id)) {
+    removeFromWishlist(productData.id);
+    return false;
+  }
+  addToWishlist(productData);
+  return true;
+}
+
+/**
+ * Move a wishlist item to the cart
+ * Products with variants need the variant saved with the item; items saved without
+ * one (or before variants were kept, hasVariants unknown) are not moved so the
+ * shopper can pick it on the PDP. Stock comes from the stock sheet (the stock saved
+ * with the item otherwise); out of stock items stay in the wishlist and the cart
+ * line quantity is limited to the stock by addLine.
+ * @param {string} id - Product ID
+ * @returns {Promise<Object>} { moved, reason } - reason when not moved: "notFound",
+ *   "selectOptions", "outOfStock" or "insufficientStock" (every unit is in the cart)
+ */
+export async function moveToCart(id) {
+  const item = getItems()[id];
+  if (!item) return { moved: false, reason: "notFound" };
+  if (!item.variantSku && item.hasVariants !== false) {
+    return { moved: false, reason: "selectOptions" };
+  }
+
+  const [stockLevels] = await Promise.all([
+    loadStockLevels({ fresh: true }),
+    whenDataLayerReady(),
+  ]);
+  const sheetStock = resolveStock(null, item.variantSku || item.sku, stockLevels);
+  const stock = sheetStock !== null ? sheetStock : parseStock(item.stock);
+  const inCart = getCart().products[getLineKey(item)]?.quantity || 0;
+  if (stock !== null && stock <= 0) {
+    return { moved: false, reason: "outOfStock" };
+  }
+  if (stock !== null && inCart >= stock) {
+    return { moved: false, reason: "insufficientStock" };
+  }
+
+  addItem({
+    id: item.id,
+    variantSku: item.variantSku,
+    options: item.options,
+    name: item.name,
+    image: item.image,
+    thumbnail: item.thumbnail,
+    category: item.category,
+    description: item.description,
+    price: item.price,
+    quantity: 1,
+    stock,
+    folder: item.folder || "",
+  });
+  removeFromWishlist(id);
+  return { moved: true, reason: "" };
+}
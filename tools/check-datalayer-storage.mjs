@@ -0,0 +1,147 @@
+/* eslint-env node */
+/* eslint-disable no-console */
+// ==========================================
+// DataLayer Storage Check
+// Runs scripts/datalayer-storage.js against stubbed browser globals and checks
+// that a failing async backend (remote cart, IndexedDB) hands its data over to
+// localStorage, and that the remote cart only receives the keys it owns.
+//
+//   npm run check:storage
+// ==========================================
+
+import assert from "node:assert/strict";
+
+const FLUSH_WAIT = 400; // ms, longer than the batching delay of async backends
+
+/**
+ * Create a Web Storage stand-in backed by a Map
+ * @returns {Object} Storage with getItem, setItem, removeItem and a `values` map
+ */
+function createWebStorage() {
+  const values = new Map();
+  return {
+    values,
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+/**
+ * Set the page metadata read by the storage module
+ * @param {Object} metadata - Metadata content by name
+ */
+function setMetadata(metadata) {
+  global.document.head.querySelectorAll = (selector) => {
+    const [, name] = selector.match(/="([^"]+)"/) || [];
+    return name in metadata ? [{ content: metadata[name] }] : [];
+  };
+}
+
+/**
+ * Wait for batched writes (and their failures) to settle
+ * @returns {Promise<void>} Resolves after the flush delay
+ */
+function waitForFlush() {
+  return new Promise((resolve) => {
+    setTimeout(resolve, FLUSH_WAIT);
+  });
+}
+
+global.window = {
+  location: new URL("http://localhost/"),
+  origin: "http://localhost",
+  localStorage: createWebStorage(),
+  sessionStorage: createWebStorage(),
+  addEventListener: () => {},
+};
+global.document = {
+  head: {},
+  querySelector: () => null,
+  addEventListener: () => {},
+};
+global.localStorage = window.localStorage;
+global.sessionStorage = window.sessionStorage;
+setMetadata({});
+
+const { createDataLayerStorage } = await import("../scripts/datalayer-storage.js");
+
+const DATA_KEY = "luma_dataLayer";
+const TIMESTAMP_KEY = "luma_dataLayer_timestamp";
+const CHECKOUT_KEY = "luma_checkout_data";
+
+/**
+ * Remote cart whose writes fail: the data moves to localStorage
+ */
+async function checkRemoteFailure() {
+  const requests = [];
+  global.fetch = async (url, options = {}) => {
+    requests.push(options);
+    if (!options.method) {
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ items: { [CHECKOUT_KEY]: "{\"email\":\"a@b.c\"}" } }),
+      };
+    }
+    return { ok: false, status: 503 };
+  };
+  setMetadata({
+    "datalayer-storage": "remote",
+    "datalayer-storage-endpoint": "http://localhost:8787/api/carts",
+  });
+
+  const storage = createDataLayerStorage([DATA_KEY, TIMESTAMP_KEY]);
+  await storage.ready;
+  assert.equal(storage.getItem(CHECKOUT_KEY), null, "remote keeps only its own keys");
+
+  storage.setItem(DATA_KEY, "{\"cart\":{}}");
+  storage.setItem(TIMESTAMP_KEY, "1");
+  await waitForFlush();
+
+  const put = requests.find((options) => options.method === "PUT");
+  assert.ok(put, "remote write attempted");
+  assert.equal(put.keepalive, false, "keepalive is only used on pagehide");
+  assert.deepEqual(Object.keys(JSON.parse(put.body).items).sort(), [DATA_KEY, TIMESTAMP_KEY]);
+
+  assert.equal(storage.name, "local");
+  assert.equal(localStorage.getItem(DATA_KEY), "{\"cart\":{}}");
+  assert.equal(localStorage.getItem(TIMESTAMP_KEY), "1");
+  assert.equal(storage.getItem(DATA_KEY), "{\"cart\":{}}");
+
+  const checkoutStorage = createDataLayerStorage([CHECKOUT_KEY], { remote: false });
+  assert.equal(checkoutStorage.name, "local", "checkout data stays in the browser");
+  console.log("✓ remote cart failure falls back to localStorage");
+}
+
+/**
+ * IndexedDB that cannot be opened: the data moves to localStorage
+ */
+async function checkIndexedDbFailure() {
+  localStorage.values.clear();
+  window.indexedDB = {
+    open: () => {
+      const request = { error: new Error("Database unavailable") };
+      setTimeout(() => request.onerror());
+      return request;
+    },
+  };
+  setMetadata({ "datalayer-storage": "indexeddb" });
+
+  const storage = createDataLayerStorage([DATA_KEY, TIMESTAMP_KEY]);
+  await storage.ready;
+  storage.setItem(DATA_KEY, "{\"cart\":{\"total\":1}}");
+  storage.setItem(TIMESTAMP_KEY, "2");
+  await waitForFlush();
+
+  assert.equal(storage.name, "local");
+  assert.equal(localStorage.getItem(DATA_KEY), "{\"cart\":{\"total\":1}}");
+  assert.equal(localStorage.getItem(TIMESTAMP_KEY), "2");
+
+  storage.setItem(TIMESTAMP_KEY, "3");
+  assert.equal(localStorage.getItem(TIMESTAMP_KEY), "3", "later writes go to localStorage");
+  console.log("✓ IndexedDB failure falls back to localStorage");
+}
+
+await checkRemoteFailure();
+await checkIndexedDbFailure();
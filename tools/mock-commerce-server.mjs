@@ -0,0 +1,478 @@
+/* eslint-env node */
+/* eslint-disable no-console */
+// ==========================================
+// Mock Commerce Server
+// Local stand-in for the commerce REST endpoints used by the storefront.
+// Data is kept in memory and lost when the server stops.
+//
+//   npm run mock:server            (PORT=8787 by default)
+//
+// Remote cart (scripts/datalayer-storage.js), page metadata:
+//   datalayer-storage: remote
+//   datalayer-storage-endpoint: http://localhost:8787/api/carts
+//
+//   GET    /api/carts/:id  -> { id, items, updatedAt } or 404
+//   PUT    /api/carts/:id  <- { items }
+//   DELETE /api/carts/:id
+//
+// Payment gateway (scripts/payment.js), page metadata:
+//   payment-gateway-endpoint: http://localhost:8787/api/payments
+//
+//   POST   /api/payments/authorizations      <- { amount, currency, card }
+//          -> 201 { id, status: "authorized", ... } or 402 { status: "declined", message }
+//   GET    /api/payments/authorizations/:id
+// Declined test cards are listed in scripts/test-cards.js (e.g. ending with 0002).
+//
+// Orders (scripts/orders.js), page metadata:
+//   order-endpoint: http://localhost:8787/api/orders
+//
+//   POST   /api/orders                  <- order, Idempotency-Key header
+//          -> 201 { orderNumber, status, createdAt, ... }
+//             (200 with the same order for a repeated key, 409 while the first
+//             request with the key is still being processed)
+// payment.authorizationId must be an authorized, unused authorization of
+// /api/payments/authorizations (402 otherwise).
+//   GET    /api/orders?customer=email   -> { orders } (newest first)
+//   GET    /api/orders/:orderNumber
+//
+// Address lookup (scripts/address-lookup.js), page metadata:
+//   address-lookup-endpoint: http://localhost:8787/api/addresses
+//
+//   GET    /api/addresses?country=...&q=...   -> { suggestions }
+// Suggestions come from the bundled postal code dataset (scripts/postal-codes.js).
+//
+// Product catalog (scripts/catalog.js), page metadata:
+//   catalog-source: mock
+//   catalog-endpoint: http://localhost:8787/api/catalog
+//
+//   GET    /api/catalog/:query?_path=...[&sku=...]
+//          -> { data: { productsContentFragmentModelList: { items } } }
+//             (productsModelList for the legacy luma3 queries)
+// Serves a few sample products for any folder path.
+// ==========================================
+
+import http from "node:http";
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+
+// Largest accepted request body (the browser's keepalive limit is 64 KB)
+const MAX_BODY_SIZE = 64 * 1024;
+
+const carts = new Map();
+const authorizations = new Map();
+const orders = new Map();
+// Order numbers by idempotency key (PENDING_ORDER while the order is created)
+const orderKeys = new Map();
+const PENDING_ORDER = null;
+
+// Sample products of the catalog stub (current product model)
+const SAMPLE_PRODUCTS = [
+  {
+    sku: "MH01",
+    name: "Chaz Kangeroo Hoodie",
+    price: 52,
+    category: ["luma-products:men/tops/hoodies"],
+    description: { plaintext: "Ideal for cold-weather training or work outdoors." },
+    colors: { plaintext: "Black, Gray, Orange" },
+    sizes: { plaintext: "S, M, L, XL" },
+    stock: 25,
+    rating: 4.6,
+    createdAt: "2025-09-02",
+  },
+  {
+    sku: "MJ01",
+    name: "Beaumont Summit Kit",
+    price: 42,
+    category: ["luma-products:men/tops/jackets"],
+    description: { plaintext: "A light, water-resistant shell for early starts." },
+    sizes: { plaintext: "M, L, XL" },
+    stock: 3,
+    rating: 3.8,
+    createdAt: "2025-11-15",
+  },
+  {
+    sku: "WS01",
+    name: "Iris Workout Top",
+    price: 29,
+    category: ["luma-products:women/tops/tees"],
+    description: { plaintext: "Sleeveless and breathable for the hottest sessions." },
+    colors: { plaintext: "Blue, Purple" },
+    sizes: { plaintext: "XS, S, M" },
+    stock: 0,
+    rating: 4.2,
+    createdAt: "2026-01-20",
+  },
+  {
+    sku: "WP01",
+    name: "Ida Workout Parachute Pant",
+    price: 48,
+    category: ["luma-products:women/bottoms/pants"],
+    description: { plaintext: "Relaxed fit with a drawstring waist." },
+    colors: { plaintext: "Black, Gray" },
+    sizes: { plaintext: "S, M, L" },
+    stock: 12,
+    rating: 2.9,
+    createdAt: "2025-06-10",
+  },
+];
+
+/**
+ * Send a JSON response (CORS enabled for local development)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} [body] - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept, Idempotency-Key",
+    "Content-Type": "application/json",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error("Payload too large"), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(Object.assign(new Error("Invalid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Handle /api/carts/:id
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} id - Cart ID
+ */
+async function handleCart(req, res, id) {
+  if (req.method === "GET") {
+    const cart = carts.get(id);
+    if (cart) {
+      sendJson(res, 200, cart);
+    } else {
+      sendJson(res, 404, { error: "Cart not found" });
+    }
+    return;
+  }
+
+  if (req.method === "PUT") {
+    const { items } = await readJson(req);
+    if (!items || typeof items !== "object" || Array.isArray(items)) {
+      sendJson(res, 400, { error: "items must be an object" });
+      return;
+    }
+    const cart = { id, items, updatedAt: new Date().toISOString() };
+    carts.set(id, cart);
+    sendJson(res, 200, cart);
+    return;
+  }
+
+  if (req.method === "DELETE") {
+    carts.delete(id);
+    sendJson(res, 204);
+    return;
+  }
+
+  sendJson(res, 405, { error: "Method not allowed" });
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} number - Card number digits
+ * @returns {boolean} True when the checksum is valid
+ */
+function isLuhnValid(number) {
+  const sum = [...number].reverse().reduce((total, char, index) => {
+    let digit = parseInt(char, 10);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    return total + digit;
+  }, 0);
+  return sum % 10 === 0;
+}
+
+/**
+ * Handle /api/payments/authorizations
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleAuthorizations(req, res) {
+  if (req.method !== "POST") {
+    sendJson(res, 405, { error: "Method not allowed" });
+    return;
+  }
+
+  const { amount, currency, card } = await readJson(req);
+  const number = String(card?.number || "").replace(/\D/g, "");
+  if (!(amount >= 0) || typeof currency !== "string" || !currency) {
+    sendJson(res, 400, { error: "amount and currency are required" });
+    return;
+  }
+  if (number.length < 12 || !isLuhnValid(number)) {
+    sendJson(res, 400, { error: "Invalid card number" });
+    return;
+  }
+
+  const id = `auth_${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+  // Loaded on first use, like the postal codes of handleAddresses
+  const { getTestCardDecline } = await import("../scripts/test-cards.js");
+  const declined = getTestCardDecline(number);
+  const authorization = {
+    id,
+    status: declined ? "declined" : "authorized",
+    message: declined || "",
+    amount,
+    currency,
+    last4: number.slice(-4),
+    createdAt: new Date().toISOString(),
+  };
+  authorizations.set(id, authorization);
+  sendJson(res, declined ? 402 : 201, authorization);
+}
+
+/**
+ * Handle /api/payments/authorizations/:id
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} id - Authorization ID
+ */
+async function handleAuthorization(req, res, id) {
+  if (req.method !== "GET") {
+    sendJson(res, 405, { error: "Method not allowed" });
+    return;
+  }
+  const authorization = authorizations.get(id);
+  if (authorization) {
+    sendJson(res, 200, authorization);
+  } else {
+    sendJson(res, 404, { error: "Authorization not found" });
+  }
+}
+
+/**
+ * Handle /api/orders
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleOrders(req, res) {
+  if (req.method === "GET") {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const customer = (searchParams.get("customer") || "").toLowerCase();
+    const list = [...orders.values()]
+      .filter((order) => order.customer?.email?.toLowerCase() === customer)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    sendJson(res, 200, { orders: list });
+    return;
+  }
+  if (req.method !== "POST") {
+    sendJson(res, 405, { error: "Method not allowed" });
+    return;
+  }
+
+  const key = req.headers["idempotency-key"];
+  if (!key) {
+    sendJson(res, 400, { error: "Idempotency-Key header is required" });
+    return;
+  }
+  if (orderKeys.has(key)) {
+    const existing = orderKeys.get(key);
+    if (existing === PENDING_ORDER) {
+      sendJson(res, 409, { error: "This order is still being processed." });
+    } else {
+      sendJson(res, 200, orders.get(existing));
+    }
+    return;
+  }
+
+  // Reserve the key before reading the body so concurrent requests with the
+  // same key do not create a second order
+  orderKeys.set(key, PENDING_ORDER);
+  try {
+    const order = await readJson(req);
+    if (!Array.isArray(order.items) || !order.items.length) {
+      sendJson(res, 400, { error: "The order has no items." });
+      return;
+    }
+    if (!order.customer?.email || !order.payment?.authorizationId) {
+      sendJson(res, 400, { error: "customer and payment are required" });
+      return;
+    }
+    const authorization = authorizations.get(order.payment.authorizationId);
+    if (authorization?.status !== "authorized" || authorization.orderNumber) {
+      sendJson(res, 402, { error: "The payment is not authorized." });
+      return;
+    }
+
+    const orderNumber = `FB${Date.now().toString(36)}${Math.random()
+      .toString(36)
+      .slice(2, 6)}`.toUpperCase();
+    const stored = {
+      ...order,
+      orderNumber,
+      status: "received",
+      createdAt: new Date().toISOString(),
+    };
+    orders.set(orderNumber, stored);
+    orderKeys.set(key, orderNumber);
+    authorization.orderNumber = orderNumber;
+    sendJson(res, 201, stored);
+  } finally {
+    // Rejected orders free the key so a corrected order can use it
+    if (orderKeys.get(key) === PENDING_ORDER) orderKeys.delete(key);
+  }
+}
+
+/**
+ * Handle /api/orders/:orderNumber
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} orderNumber - Order number
+ */
+async function handleOrder(req, res, orderNumber) {
+  if (req.method !== "GET") {
+    sendJson(res, 405, { error: "Method not allowed" });
+    return;
+  }
+  const order = orders.get(orderNumber);
+  if (order) {
+    sendJson(res, 200, order);
+  } else {
+    sendJson(res, 404, { error: "Order not found" });
+  }
+}
+
+/**
+ * Handle /api/addresses
+ * Every word of the query must start a word of the street, city or postal
+ * code; a leading house number is kept in the suggested street address.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleAddresses(req, res) {
+  if (req.method !== "GET") {
+    sendJson(res, 405, { error: "Method not allowed" });
+    return;
+  }
+  const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+  const country = searchParams.get("country") || "";
+  const query = (searchParams.get("q") || "").trim();
+  const [, number = "", street = query] =
+    query.match(/^(\d+[a-z]?)\s+(.+)$/i) || [];
+  const terms = street.toLowerCase().split(/\s+/).filter(Boolean);
+
+  // Loaded on first use: the storefront scripts are ES modules without a
+  // "type": "module" package, which Node only loads with module detection
+  const { POSTAL_CODES } = await import("../scripts/postal-codes.js");
+
+  const suggestions = (POSTAL_CODES[country] || [])
+    .flatMap((entry) =>
+      entry.streets.map((name) => ({
+        streetAddress: number ? `${number} ${name}` : name,
+        city: entry.city,
+        region: entry.region,
+        postalCode: entry.postalCode,
+        country,
+      }))
+    )
+    .filter((suggestion) => {
+      const words = `${suggestion.streetAddress} ${suggestion.city} ${suggestion.postalCode}`
+        .toLowerCase()
+        .split(/\s+/);
+      return (
+        terms.length &&
+        terms.every((term) => words.some((word) => word.startsWith(term)))
+      );
+    })
+    .slice(0, 5);
+  sendJson(res, 200, { suggestions });
+}
+
+/**
+ * Handle /api/catalog/:query (persisted query stub)
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} query - Persisted query name
+ */
+async function handleCatalog(req, res, query) {
+  if (req.method !== "GET") {
+    sendJson(res, 405, { error: "Method not allowed" });
+    return;
+  }
+  const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+  const sku = searchParams.get("sku");
+  const items = SAMPLE_PRODUCTS.filter((product) => !sku || product.sku === sku);
+
+  // Legacy luma3 queries return the old model with an image reference
+  if (query !== "zoltarProductListByPath") {
+    const legacyItems = items.map(({ colors, sizes, ...product }) => ({
+      ...product,
+      image: null,
+    }));
+    sendJson(res, 200, { data: { productsModelList: { items: legacyItems } } });
+    return;
+  }
+  sendJson(res, 200, { data: { productsContentFragmentModelList: { items } } });
+}
+
+// Routes: [method-agnostic path pattern, handler]
+const ROUTES = [
+  [/^\/api\/carts\/([^/]+)$/, handleCart],
+  [/^\/api\/payments\/authorizations$/, handleAuthorizations],
+  [/^\/api\/payments\/authorizations\/([^/]+)$/, handleAuthorization],
+  [/^\/api\/orders$/, handleOrders],
+  [/^\/api\/orders\/([^/]+)$/, handleOrder],
+  [/^\/api\/addresses$/, handleAddresses],
+  [/^\/api\/catalog\/([^/]+)$/, handleCatalog],
+];
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    sendJson(res, 204);
+    return;
+  }
+
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const route = ROUTES.find(([pattern]) => pattern.test(pathname));
+  if (!route) {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+
+  const [pattern, handler] = route;
+  const params = pathname.match(pattern).slice(1).map(decodeURIComponent);
+  try {
+    await handler(req, res, ...params);
+  } catch (error) {
+    sendJson(res, error.status || 500, { error: error.message });
+  }
+
+  console.log(`${req.method} ${pathname} -> ${res.statusCode}`);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock commerce server listening on http://localhost:${PORT}`);
+});